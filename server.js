@@ -12,6 +12,7 @@
 require('dotenv').config();
 
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
@@ -20,6 +21,26 @@ const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+const { findMatches } = require('./server/matching');
+const {
+  FILTER_ACTIONS,
+  SPAM_RULES,
+  normalizeWordList,
+  resolveFilterSettings,
+  filterMessage
+} = require('./server/messageFilter');
+const { extractMentionNames } = require('./server/mentions');
+const {
+  ROOM_VISIBILITY,
+  ROOM_ROLES,
+  DEFAULT_ROOMS,
+  slugifyRoomName,
+  validateRoomFields
+} = require('./server/rooms');
+const { CATEGORIES, resolveCategoryRoom, getCategoryBreadcrumb } = require('./server/categories');
+const { PHOTO_CONTENT_TYPES, MAX_PHOTO_BYTES, processPhoto } = require('./server/photos');
+const { createLocalDiskStorage } = require('./server/storage');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,6 +51,17 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
 const MONGODB_URI = process.env.MONGODB_URI;
 const JWT_SECRET = process.env.JWT_SECRET || 'change-me-in-production';
 const AI_ENABLED = process.env.AI_ENABLED === 'true';
+// Uploaded photos: the directory they're kept in and the address this server
+// is reached at. Photo URLs are built from it when sent out, never stored.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+// How long after sending a message its author can still edit it
+const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+// Comma-separated emails that are always given the admin role
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
 
 // Configure CORS for local development and Vercel deployments
 // This array includes static origins and a RegExp for dynamic Vercel preview URLs
@@ -96,15 +128,6 @@ app.use(express.static(path.join(__dirname, 'public')));
 // CONFIGURATION & CONSTANTS
 // ============================================================================
 
-// General chat rooms available in the app
-const GENERAL_ROOMS = [
-  'Freshwater',
-  'Saltwater',
-  'Reef',
-  'Community Tank',
-  'Photos & Stories'
-];
-
 // Experience levels for advice chat
 const EXPERIENCE_LEVELS = {
   BEGINNER: 'Beginner',
@@ -120,12 +143,60 @@ const ADVICE_TOPICS = [
   'Equipment'
 ];
 
+// Emoji users can react to room messages with
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '🐠', '🌿'];
+
+// Reasons a user can pick when reporting someone
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'inappropriate_content',
+  'scam',
+  'other'
+];
+
+// Lifecycle of a moderation report
+const REPORT_STATUSES = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+// Moderator actions against a user
+const SANCTION_TYPES = {
+  MUTE: 'mute', // can't send room messages or use advice chat
+  KICK: 'kick', // removed from the room and can't rejoin until it expires
+  BAN: 'ban' // same as kick, but usually long or permanent
+};
+
+// Kicks without an explicit duration keep the user out for this long
+const DEFAULT_KICK_DURATION_MS = 10 * 60 * 1000; // 10 minutes
+
+// User roles, lowest to highest privilege
+const USER_ROLES = {
+  MEMBER: 'member',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+  [USER_ROLES.MEMBER]: 0,
+  [USER_ROLES.MODERATOR]: 1,
+  [USER_ROLES.ADMIN]: 2
+};
+
 /**
  * Configuration Section Explanation:
  * This section defines constants used throughout the app:
- * - GENERAL_ROOMS: List of available general chat rooms by topic
  * - EXPERIENCE_LEVELS: User experience levels for matching
  * - ADVICE_TOPICS: Optional topics users can select for advice chat
+ * - REACTION_EMOJIS: Emoji available as message reactions
+ * - REPORT_REASONS / REPORT_STATUSES: Moderation report options and lifecycle
+ * - SANCTION_TYPES: Mutes, kicks and bans moderators can apply to a room or globally
+ * - USER_ROLES / ROLE_RANK: Roles for access control; each role includes the
+ *   privileges of the roles ranked below it
  * - PORT and MONGODB_URI: Server configuration
  */
 
@@ -140,23 +211,49 @@ const userSockets = new Map(); // userId -> socketId
 // Store room memberships
 const roomMembers = new Map(); // roomName -> Set of socketIds
 
-// Advice chat queue system
-const adviceQueue = {
-  beginner: [],      // Queue for Beginner users
-  intermediate: [],  // Queue for Intermediate users
-  advanced: []       // Queue for Advanced users
-};
+// Room catalog, loaded from MongoDB at startup
+const roomCatalog = new Map(); // slug -> room document
+
+// Advice chat queue: everyone waiting for a match, in join order
+let adviceQueue = []; // [{ socketId, userId, username, level, topic, joinedAt }]
 
 // Active advice chat sessions
 const activeAdviceSessions = new Map(); // sessionId -> sessionData
 
+// Feedback received per user, used as a matching signal
+const adviceRatings = new Map(); // userId -> { total, count }
+
+// Block lists of connected users, loaded from MongoDB on connect
+const userBlocks = new Map(); // userId -> Set of blocked userIds
+
+// Active sanctions of connected users, loaded from MongoDB on connect
+const userSanctions = new Map(); // userId -> Array of sanction documents
+
+// Message filter settings, loaded from MongoDB at startup
+const filterSettings = new Map(); // scope ('default', 'advice' or a room slug) -> settings
+
+// Each user's last minute of messages, for the spam heuristics
+const recentUserMessages = new Map(); // userId -> Array of { text, timestamp }
+
+// Sockets per user that are connected or still in the handshake; the caches
+// above are dropped when this reaches zero
+const userConnectionCounts = new Map(); // userId -> number of sockets
+
 /**
  * Data Structures Explanation:
  * - activeUsers: Maps socket IDs to user information (username, level, etc.)
  * - userSockets: Maps user IDs to socket IDs for quick lookups
  * - roomMembers: Tracks which users are in which general chat rooms
- * - adviceQueue: Separate queues for each experience level waiting for matches
+ * - roomCatalog: Cached rooms (active and archived) so room checks stay synchronous
+ * - adviceQueue: Users of every level waiting for a match
  * - activeAdviceSessions: Stores active 1-on-1 advice chat sessions
+ * - adviceRatings: Running feedback totals used to score future matches
+ * - userBlocks: Cached block lists so delivery and matching checks stay synchronous
+ * - userSanctions: Cached mutes/kicks/bans checked before chat actions
+ * - filterSettings / recentUserMessages: Word lists and spam history used by
+ *   the message filter
+ * - userConnectionCounts: Keeps the per-user caches alive while any socket,
+ *   including one still authenticating, belongs to the user
  */
 
 // ============================================================================
@@ -170,75 +267,124 @@ function generateSessionId() {
   return `advice_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// How often the queue is re-scored so aging can pair long waiters
+const MATCH_SWEEP_INTERVAL_MS = 5000;
+
 /**
- * Find a match for a user based on experience level
- * Matching rules:
- * - Beginner → matched with Intermediate (preferred) or Advanced
- * - Intermediate → matched with Intermediate (preferred) or Advanced
- * - Advanced → matched with anyone
- * 
- * @param {string} level - User's experience level
- * @param {string} topic - Optional topic preference
- * @returns {Object|null} - Match data or null if no match found
+ * Remove user from advice queue
+ * @param {string} socketId - Socket ID of user to remove
  */
-function findMatch(level, topic = null) {
-  let candidates = [];
+function removeFromQueue(socketId) {
+  adviceQueue = adviceQueue.filter(user => user.socketId !== socketId);
+}
 
-  if (level === EXPERIENCE_LEVELS.BEGINNER) {
-    // Beginner prefers Intermediate, then Advanced
-    if (adviceQueue.intermediate.length > 0) {
-      candidates = adviceQueue.intermediate;
-    } else if (adviceQueue.advanced.length > 0) {
-      candidates = adviceQueue.advanced;
-    }
-  } else if (level === EXPERIENCE_LEVELS.INTERMEDIATE) {
-    // Intermediate prefers Intermediate, then Advanced
-    if (adviceQueue.intermediate.length > 0) {
-      candidates = adviceQueue.intermediate;
-    } else if (adviceQueue.advanced.length > 0) {
-      candidates = adviceQueue.advanced;
-    }
-  } else if (level === EXPERIENCE_LEVELS.ADVANCED) {
-    // Advanced can match with anyone
-    if (adviceQueue.beginner.length > 0) {
-      candidates = adviceQueue.beginner;
-    } else if (adviceQueue.intermediate.length > 0) {
-      candidates = adviceQueue.intermediate;
-    } else if (adviceQueue.advanced.length > 0) {
-      candidates = adviceQueue.advanced;
-    }
-  }
+/**
+ * Average feedback rating per user, in the shape the matching engine expects
+ * @returns {Map} - userId -> average rating (1-5)
+ */
+function getAverageRatings() {
+  const averages = new Map();
+  adviceRatings.forEach(({ total, count }, userId) => {
+    averages.set(userId, total / count);
+  });
+  return averages;
+}
 
-  // If topic is specified, prefer users with matching topic
-  if (topic && candidates.length > 0) {
-    const topicMatch = candidates.find(user => user.topic === topic);
-    if (topicMatch) {
-      return topicMatch;
-    }
-  }
+/**
+ * Record a rating a user received from their session partner
+ */
+function recordAdviceRating(userId, rating) {
+  const entry = adviceRatings.get(userId) || { total: 0, count: 0 };
+  entry.total += rating;
+  entry.count += 1;
+  adviceRatings.set(userId, entry);
+}
+
+/**
+ * Create an advice session for a matched pair and notify both users
+ * @param {Object} first - Queue entry of the longer waiter
+ * @param {Object} second - Queue entry of their partner
+ */
+function createAdviceSession(first, second) {
+  const sessionId = generateSessionId();
+
+  removeFromQueue(first.socketId);
+  removeFromQueue(second.socketId);
+
+  const session = {
+    sessionId: sessionId,
+    user1: {
+      socketId: first.socketId,
+      userId: first.userId,
+      username: first.username,
+      level: first.level
+    },
+    user2: {
+      socketId: second.socketId,
+      userId: second.userId,
+      username: second.username,
+      level: second.level
+    },
+    topic: first.topic || second.topic || null,
+    createdAt: Date.now(),
+    messages: [],
+    ended: false,
+    feedback: {}
+  };
+
+  activeAdviceSessions.set(sessionId, session);
+
+  saveAdviceSessionToDB(session).catch(error => {
+    console.error('Error saving advice session:', error);
+  });
+
+  // Notify both users
+  io.to(first.socketId).emit('matched', {
+    sessionId: sessionId,
+    partner: {
+      username: second.username,
+      level: second.level
+    },
+    topic: session.topic
+  });
+
+  io.to(second.socketId).emit('matched', {
+    sessionId: sessionId,
+    partner: {
+      username: first.username,
+      level: first.level
+    },
+    topic: session.topic
+  });
 
-  // Return first available candidate or null
-  return candidates.length > 0 ? candidates[0] : null;
+  console.log(`Matched ${first.username} with ${second.username} (Session: ${sessionId})`);
+  return session;
 }
 
 /**
- * Remove user from advice queue
- * @param {string} socketId - Socket ID of user to remove
+ * Score the whole queue and start a session for every pair that qualifies
  */
-function removeFromQueue(socketId) {
-  Object.keys(adviceQueue).forEach(level => {
-    adviceQueue[level] = adviceQueue[level].filter(user => user.socketId !== socketId);
+function runMatching() {
+  if (adviceQueue.length < 2) return;
+
+  const matches = findMatches(adviceQueue, {
+    now: Date.now(),
+    ratings: getAverageRatings(),
+    canPair: (a, b) => !isBlockedBetween(a.userId, b.userId)
   });
+  matches.forEach(({ a, b }) => createAdviceSession(a, b));
 }
 
+setInterval(runMatching, MATCH_SWEEP_INTERVAL_MS).unref();
+
 /**
  * Matching Logic Explanation:
- * The findMatch function implements the matching rules:
- * - Beginners are matched with Intermediate or Advanced users (preferring Intermediate)
- * - Intermediate users are matched with Intermediate or Advanced (preferring Intermediate)
- * - Advanced users can be matched with anyone
- * - If a topic is specified, it tries to match users with the same topic preference
- * - The removeFromQueue function cleans up users who disconnect or leave the queue
+ * Scoring lives in server/matching.js: every waiting pair is scored on level
+ * compatibility, topic overlap, past ratings and time waited, and the score
+ * a pair needs drops the longer someone has waited. runMatching() is called
+ * when someone joins the queue and on a timer, so aging can pair users even
+ * when nobody new arrives. The removeFromQueue function cleans up users who
+ * disconnect or leave the queue.
  */
 
 // ============================================================================
@@ -248,6 +394,84 @@ function removeFromQueue(socketId) {
 let db;
 let client;
 
+// Indexes created at startup, as [collection, keys, options]
+const DB_INDEXES = [
+  ['messages', { room: 1, timestamp: -1 }],
+  ['messages', { room: 1, parentId: 1, timestamp: 1 }],
+  ['messages', { message: 'text' }],
+  ['messages', { room: 1, pinnedAt: -1 }],
+  // Backs the clientId dedupe: a resend racing the original fails with 11000
+  ['messages', { userId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }],
+  ['advice_messages', { sessionId: 1, timestamp: -1 }],
+  ['advice_sessions', { createdAt: -1 }],
+  ['advice_sessions', { sessionId: 1 }, { unique: true }],
+  ['advice_sessions', { participants: 1, createdAt: -1 }],
+  ['users', { email: 1 }, { unique: true }],
+  ['users', { username: 1 }, { unique: true }],
+  ['user_blocks', { blockerId: 1, blockedId: 1 }, { unique: true }],
+  ['user_blocks', { blockedId: 1 }],
+  ['reports', { status: 1, createdAt: -1 }],
+  ['reports', { 'reportedUser.userId': 1, createdAt: -1 }],
+  ['sanctions', { userId: 1, revokedAt: 1, expiresAt: 1 }],
+  ['filter_settings', { scope: 1 }, { unique: true }],
+  ['room_announcements', { room: 1 }, { unique: true }],
+  ['rooms', { slug: 1 }, { unique: true }],
+  ['photos', { id: 1 }, { unique: true }],
+  ['photos', { userId: 1, createdAt: -1 }],
+  ['messages', { room: 1, 'photo.id': 1, timestamp: -1 }],
+  ['photo_albums', { id: 1 }, { unique: true }],
+  ['photo_albums', { room: 1, updatedAt: -1 }],
+  ['read_markers', { userId: 1, room: 1, sessionId: 1 }, { unique: true }],
+  ['refresh_tokens', { tokenHash: 1 }, { unique: true }],
+  ['refresh_tokens', { familyId: 1 }],
+  ['refresh_tokens', { expiresAt: 1 }, { expireAfterSeconds: 0 }]
+];
+
+/**
+ * Drop the first { userId, clientId } index, which wasn't unique
+ * MongoDB won't make an existing index unique, so it has to be recreated.
+ */
+async function dropLegacyClientIdIndex() {
+  try {
+    const indexes = await db.collection('messages').listIndexes().toArray();
+    const legacy = indexes.find(index => index.name === 'userId_1_clientId_1' && !index.unique);
+    if (legacy) {
+      await db.collection('messages').dropIndex(legacy.name);
+      console.log('📋 Dropped the non-unique messages clientId index');
+    }
+  } catch (error) {
+    // A fresh database has no messages collection yet
+    if (error.codeName !== 'NamespaceNotFound') {
+      console.error('❌ Could not check the messages clientId index:', error.message);
+    }
+  }
+}
+
+/**
+ * Create the indexes in DB_INDEXES, each on its own so one failure (e.g.
+ * duplicates blocking a unique index) doesn't skip the rest
+ */
+async function createIndexes() {
+  await dropLegacyClientIdIndex();
+
+  let failed = 0;
+  for (const [collection, keys, options = {}] of DB_INDEXES) {
+    try {
+      await db.collection(collection).createIndex(keys, options);
+    } catch (error) {
+      failed++;
+      const hint = error.code === 11000 ? ' (existing documents have duplicate values)' : '';
+      console.error(`❌ Could not create index on ${collection} ${JSON.stringify(keys)}${hint}:`, error.message);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${DB_INDEXES.length} MongoDB indexes could not be created`);
+  } else {
+    console.log('📋 MongoDB indexes checked');
+  }
+}
+
 async function connectMongoDB() {
   if (!MONGODB_URI) {
     console.error('❌ MONGODB_URI environment variable is not set');
@@ -260,17 +484,7 @@ async function connectMongoDB() {
     db = client.db();
     console.log('✅ Connected to MongoDB');
     
-    // Create indexes for better performance
-    try {
-      await db.collection('messages').createIndex({ room: 1, timestamp: -1 });
-      await db.collection('advice_messages').createIndex({ sessionId: 1, timestamp: -1 });
-      await db.collection('advice_sessions').createIndex({ createdAt: -1 });
-      await db.collection('users').createIndex({ email: 1 }, { unique: true });
-      await db.collection('users').createIndex({ username: 1 }, { unique: true });
-    } catch (indexError) {
-      // Indexes may already exist, which is fine
-      console.log('📋 MongoDB indexes checked');
-    }
+    await createIndexes();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
     throw error;
@@ -278,523 +492,3443 @@ async function connectMongoDB() {
 }
 
 // ============================================================================
-// SOCKET.IO CONNECTION HANDLING
+// ROOM CATALOG
 // ============================================================================
 
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-
-  // ========================================================================
-  // USER AUTHENTICATION & PROFILE (Placeholder)
-  // ========================================================================
-  
-  socket.on('authenticate', (userData) => {
-    // TODO: Implement proper authentication
-    // For now, accept user data directly
-    
-    const userInfo = {
-      userId: userData.userId || socket.id,
-      username: userData.username || `User_${socket.id.substr(0, 6)}`,
-      level: userData.level || EXPERIENCE_LEVELS.BEGINNER,
-      tankType: userData.tankType || null,
-      tankSize: userData.tankSize || null,
-      favoriteFish: userData.favoriteFish || [],
-      favoritePlants: userData.favoritePlants || [],
-      profilePicture: userData.profilePicture || null,
-      socketId: socket.id,
-      connectedAt: Date.now()
-    };
+// Rooms one user can own, and members of one user-created room (owner included)
+const MAX_OWNED_ROOMS = 5;
+const MAX_ROOM_MEMBERS = 500;
+
+// Where rooms are referenced by name, as [collection, field]
+const ROOM_REFERENCE_FIELDS = [
+  ['messages', 'room'],
+  ['read_markers', 'room'],
+  ['room_announcements', 'room'],
+  ['sanctions', 'room'],
+  ['reports', 'context.room'],
+  ['reports', 'heldMessage.room'],
+  ['filter_settings', 'scope']
+];
 
-    activeUsers.set(socket.id, userInfo);
-    userSockets.set(userInfo.userId, socket.id);
+/**
+ * Load the room catalog into the cache
+ * An empty catalog is seeded with DEFAULT_ROOMS. Without MongoDB the
+ * defaults are used as they are.
+ */
+async function loadRoomCatalog() {
+  roomCatalog.clear();
 
-    socket.emit('authenticated', {
-      userId: userInfo.userId,
-      username: userInfo.username
+  if (!db) {
+    DEFAULT_ROOMS.forEach(({ legacyName, ...room }, index) => {
+      roomCatalog.set(room.slug, { ...room, sortOrder: index, archivedAt: null });
     });
+    return;
+  }
 
-    console.log(`User authenticated: ${userInfo.username} (${userInfo.level})`);
-  });
-
-  /**
-   * Authentication Explanation:
-   * This is a placeholder for future authentication. Currently accepts user data
-   * directly and stores it in memory. In production, you'd validate tokens,
-   * check database, and properly authenticate users.
-   */
+  const rooms = db.collection('rooms');
+  if (await rooms.countDocuments({}, { limit: 1 }) === 0) {
+    // Data from before the catalog is stored under the old room names
+    await migrateLegacyRoomNames();
+    const now = new Date();
+    await rooms.insertMany(DEFAULT_ROOMS.map(({ legacyName, ...room }, index) => ({
+      ...room,
+      sortOrder: index,
+      archivedAt: null,
+      createdAt: now,
+      createdBy: null
+    })));
+    console.log(`🏠 Seeded the room catalog with ${DEFAULT_ROOMS.length} rooms`);
+  }
 
-  // ========================================================================
-  // GENERAL CHAT ROOMS
-  // ========================================================================
+  const stored = await rooms.find({}).toArray();
+  stored.forEach(room => roomCatalog.set(room.slug, room));
+}
 
-  /**
-   * Join a general chat room
-   */
-  socket.on('join-room', (roomName) => {
-    // Validate room name
-    if (!GENERAL_ROOMS.includes(roomName)) {
-      socket.emit('error', { message: 'Invalid room name' });
-      return;
-    }
+/**
+ * Move everything stored under a default room's old name to its slug
+ * Safe to run again; nothing matches once it has run.
+ */
+async function migrateLegacyRoomNames() {
+  for (const { slug, legacyName } of DEFAULT_ROOMS) {
+    if (legacyName === slug) continue;
+    await Promise.all(ROOM_REFERENCE_FIELDS.map(([collection, field]) => (
+      db.collection(collection).updateMany({ [field]: legacyName }, { $set: { [field]: slug } })
+    )));
+  }
+}
 
-    socket.join(roomName);
+/**
+ * Rooms users can join, category rooms included, in display order
+ */
+function getActiveRooms() {
+  return [...roomCatalog.values()]
+    .filter(room => !room.archivedAt)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+}
 
-    // Track room membership
-    if (!roomMembers.has(roomName)) {
-      roomMembers.set(roomName, new Set());
-    }
-    roomMembers.get(roomName).add(socket.id);
+function getActiveRoomSlugs() {
+  return getActiveRooms().map(room => room.slug);
+}
 
-    const userInfo = activeUsers.get(socket.id);
-    socket.emit('room-joined', { room: roomName });
-    
-    // Notify others in the room (optional)
-    socket.to(roomName).emit('user-joined-room', {
-      username: userInfo?.username || 'Anonymous',
-      room: roomName
-    });
+/**
+ * Rooms on the Community Chat page; category rooms are reached through the
+ * category selector, unlisted and invite-only rooms through their links
+ */
+function getListedRooms() {
+  return getActiveRooms().filter(room => (
+    !room.category && (!room.visibility || room.visibility === ROOM_VISIBILITY.PUBLIC)
+  ));
+}
 
-    console.log(`User ${userInfo?.username || socket.id} joined room: ${roomName}`);
-  });
+/**
+ * Room fields every client sees
+ * Category rooms also carry the breadcrumb from their environment down.
+ */
+function publicRoom(room) {
+  return {
+    slug: room.slug,
+    name: room.name,
+    description: room.description,
+    image: room.image,
+    environment: room.environment,
+    categories: room.categories,
+    visibility: room.visibility || ROOM_VISIBILITY.PUBLIC,
+    owner: room.owner || null,
+    category: room.category || null,
+    breadcrumb: room.category ? getCategoryBreadcrumb(room.category) : []
+  };
+}
 
-  /**
-   * Leave a general chat room
-   */
-  socket.on('leave-room', (roomName) => {
-    socket.leave(roomName);
-    
-    if (roomMembers.has(roomName)) {
-      roomMembers.get(roomName).delete(socket.id);
-    }
+/**
+ * Room fields for the admin catalog editor
+ */
+function adminRoom(room) {
+  return {
+    ...publicRoom(room),
+    sortOrder: room.sortOrder,
+    archivedAt: room.archivedAt || null,
+    createdAt: room.createdAt || null
+  };
+}
 
-    socket.emit('room-left', { room: roomName });
-    console.log(`User ${socket.id} left room: ${roomName}`);
-  });
+/**
+ * Add a room to the catalog
+ * @param {Object} fields - validateRoomFields() value
+ * @param {Object} createdBy - { userId, username } of the admin
+ * @returns {Object} - { room } or { error } if the slug is taken
+ */
+async function createRoom(fields, createdBy) {
+  if (roomCatalog.has(fields.slug)) {
+    return { error: 'A room with that slug already exists' };
+  }
 
-  /**
-   * Send message to general chat room
-   */
-  socket.on('room-message', (data) => {
-    const { room, message, photo } = data;
-    const userInfo = activeUsers.get(socket.id);
+  const sortOrders = [...roomCatalog.values()].map(room => room.sortOrder);
+  const room = {
+    sortOrder: sortOrders.length > 0 ? Math.max(...sortOrders) + 1 : 0,
+    ...fields,
+    archivedAt: null,
+    createdAt: new Date(),
+    createdBy
+  };
 
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
+  try {
+    await db.collection('rooms').insertOne(room);
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'A room with that slug already exists' };
     }
+    throw error;
+  }
 
-    // Validate room membership
-    if (!socket.rooms.has(room)) {
-      socket.emit('error', { message: 'Not a member of this room' });
-      return;
-    }
+  roomCatalog.set(room.slug, room);
+  return { room };
+}
 
-    // TODO: Implement profanity filter
-    // const filteredMessage = profanityFilter(message);
+/**
+ * Change a room's details or archive/restore it
+ * @param {string} slug - Room slug
+ * @param {Object} fields - validateRoomFields() value (partial)
+ * @param {boolean|undefined} archived - New archived state, or undefined to keep it
+ * @returns {Object|null} - Updated room, or null if there is no such room
+ */
+async function updateRoom(slug, fields, archived) {
+  const existing = roomCatalog.get(slug);
+  if (!existing) return null;
 
-    // TODO: Implement photo upload/storage
-    // if (photo) {
-    //   photo = await uploadPhoto(photo);
-    // }
+  const update = { ...fields, updatedAt: new Date() };
+  if (archived !== undefined) {
+    update.archivedAt = archived ? (existing.archivedAt || new Date()) : null;
+  }
 
-    const messageData = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      room: room,
-      userId: userInfo.userId,
-      username: userInfo.username,
-      message: message,
-      photo: photo || null,
-      timestamp: Date.now(),
-      reactions: {} // For emoji reactions: { '👍': [userId1, userId2], '❤️': [userId3] }
-    };
+  const room = await updateRoomDocument(slug, { $set: update });
+  if (!room) return null;
 
-    // TODO: Save to MongoDB
-    // await saveMessageToDB(messageData);
+  if (room.archivedAt && !existing.archivedAt) {
+    sendOutOfRoom(slug, 'archived');
+  } else if (room.visibility === ROOM_VISIBILITY.INVITE && existing.visibility !== ROOM_VISIBILITY.INVITE) {
+    sendOutOfRoom(slug, 'invite-only', userId => getRoomRole(room, userId) === null);
+  }
+  return room;
+}
 
-    // Broadcast to all users in the room
-    io.to(room).emit('room-message', messageData);
+/**
+ * Find the room for a node of the category taxonomy, creating it the first
+ * time anyone opens it
+ * @param {Object} resolved - resolveCategoryRoom() room
+ * @returns {Object} - Catalog room (may be archived)
+ */
+async function openCategoryRoom(resolved) {
+  const existing = roomCatalog.get(resolved.slug);
+  if (existing) return existing;
+
+  const { slug, ...fields } = resolved;
+  // Upsert so two users opening a new node at once get the same room
+  const room = await db.collection('rooms').findOneAndUpdate(
+    { slug },
+    {
+      $setOnInsert: {
+        ...fields,
+        sortOrder: 0,
+        archivedAt: null,
+        createdAt: new Date(),
+        createdBy: null
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
 
-    console.log(`Message sent to room ${room} by ${userInfo.username}`);
-  });
+  roomCatalog.set(slug, room);
+  return room;
+}
 
-  /**
-   * React to a message with emoji
-   */
-  socket.on('react-to-message', (data) => {
-    const { messageId, room, emoji } = data;
-    const userInfo = activeUsers.get(socket.id);
+/**
+ * A user's part in a room: ROOM_ROLES.OWNER, MODERATOR, MEMBER or null
+ * Only user-created rooms have owners and members.
+ */
+function getRoomRole(room, userId) {
+  if (!room || !userId) return null;
+  if (room.owner?.userId === userId) return ROOM_ROLES.OWNER;
+  if (room.moderators?.includes(userId)) return ROOM_ROLES.MODERATOR;
+  if (room.members?.includes(userId)) return ROOM_ROLES.MEMBER;
+  return null;
+}
 
-    if (!userInfo || !socket.rooms.has(room)) {
-      socket.emit('error', { message: 'Unauthorized' });
-      return;
-    }
+/**
+ * Whether a user may join and read a room
+ * Invite-only rooms are open to their members only.
+ */
+function canAccessRoom(slug, userId) {
+  if (!validateRoomName(slug)) return false;
+  const room = roomCatalog.get(slug);
+  return room.visibility !== ROOM_VISIBILITY.INVITE || getRoomRole(room, userId) !== null;
+}
 
-    // TODO: Update reaction in database
-    // For now, just broadcast the reaction event
-    io.to(room).emit('message-reacted', {
-      messageId: messageId,
-      room: room,
-      userId: userInfo.userId,
-      username: userInfo.username,
-      emoji: emoji,
-      timestamp: Date.now()
-    });
-  });
+/**
+ * Whether a user may pin, announce and remove messages in a room: site
+ * moderators everywhere, owners and co-moderators in their own room
+ * @param {string} slug - Room slug
+ * @param {string} userId - User ID
+ * @param {string} siteRole - The user's USER_ROLES role
+ */
+function canModerateRoom(slug, userId, siteRole) {
+  if (hasRole(siteRole, USER_ROLES.MODERATOR)) return true;
+  const roomRole = getRoomRole(roomCatalog.get(slug), userId);
+  return roomRole === ROOM_ROLES.OWNER || roomRole === ROOM_ROLES.MODERATOR;
+}
 
-  /**
-   * General Chat Rooms Explanation:
-   * Users can join/leave multiple topic-based rooms and send messages.
-   * Messages are broadcast to all members of the room. Photo sharing and
-   * emoji reactions are included with placeholders for file upload/storage.
-   */
+/**
+ * New invite link code for a room
+ */
+function generateInviteCode() {
+  return crypto.randomBytes(12).toString('base64url');
+}
 
-  // ========================================================================
-  // ADVICE CHAT (1-on-1 Matching)
-  // ========================================================================
+/**
+ * Create a room owned by a user
+ * User room slugs get a random suffix, so names can repeat and unlisted
+ * rooms can't be guessed from their name.
+ * @param {Object} fields - validateRoomFields() value without a slug
+ * @param {Object} owner - { userId, username }
+ * @returns {Object} - { room } or { error } if the user owns too many rooms
+ */
+async function createUserRoom(fields, owner) {
+  const owned = [...roomCatalog.values()]
+    .filter(room => room.owner?.userId === owner.userId && !room.archivedAt);
+  if (owned.length >= MAX_OWNED_ROOMS) {
+    return { error: `You can own at most ${MAX_OWNED_ROOMS} rooms` };
+  }
 
-  /**
-   * Join the advice chat queue
-   */
-  socket.on('join-advice-queue', (data) => {
-    const userInfo = activeUsers.get(socket.id);
+  const baseSlug = slugifyRoomName(fields.name) || 'room';
+  let slug;
+  do {
+    slug = `${baseSlug}-${crypto.randomBytes(3).toString('hex')}`;
+  } while (roomCatalog.has(slug));
+
+  return createRoom({
+    ...fields,
+    slug,
+    visibility: fields.visibility || ROOM_VISIBILITY.PUBLIC,
+    owner,
+    moderators: [],
+    members: [owner.userId],
+    inviteCode: generateInviteCode()
+  }, owner);
+}
 
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
-    }
+/**
+ * Apply an update to a room document and refresh the cache
+ * @returns {Object|null} - Updated room, or null if there is no such room
+ */
+async function updateRoomDocument(slug, update) {
+  const room = await db.collection('rooms').findOneAndUpdate(
+    { slug },
+    update,
+    { returnDocument: 'after' }
+  );
+  if (room) {
+    roomCatalog.set(slug, room);
+  }
+  return room;
+}
 
-    const { level, topic } = data;
+/**
+ * Add a member to a user-created room, optionally as a co-moderator
+ * @param {string} slug - Room slug
+ * @param {string} userId - User to add
+ * @param {string} role - ROOM_ROLES.MEMBER or ROOM_ROLES.MODERATOR
+ * @returns {Object} - { room } or { error } if the room is full
+ */
+async function setRoomMembership(slug, userId, role) {
+  const room = roomCatalog.get(slug);
+  if (!room.members.includes(userId) && room.members.length >= MAX_ROOM_MEMBERS) {
+    return { error: `Rooms can have at most ${MAX_ROOM_MEMBERS} members` };
+  }
 
-    // Validate level
-    if (!Object.values(EXPERIENCE_LEVELS).includes(level)) {
-      socket.emit('error', { message: 'Invalid experience level' });
-      return;
-    }
+  const update = role === ROOM_ROLES.MODERATOR
+    ? { $addToSet: { members: userId, moderators: userId } }
+    : { $addToSet: { members: userId }, $pull: { moderators: userId } };
+  return { room: await updateRoomDocument(slug, update) };
+}
 
-    // Check if already in queue
-    removeFromQueue(socket.id);
+/**
+ * Take a user out of a user-created room's members and out of the room
+ * if they are in it right now
+ */
+async function removeRoomMembership(slug, userId) {
+  const room = await updateRoomDocument(slug, { $pull: { members: userId, moderators: userId } });
+  sendOutOfRoom(slug, 'removed', memberId => memberId === userId);
+  return room;
+}
 
-    // Add to appropriate queue
-    const queueEntry = {
-      socketId: socket.id,
-      userId: userInfo.userId,
-      username: userInfo.username,
-      level: level,
-      topic: topic || null,
-      joinedAt: Date.now()
-    };
+/**
+ * Send sockets out of a room, e.g. everyone when it's archived
+ * @param {string} slug - Room slug
+ * @param {string} reason - Sent with 'room-left': 'archived', 'removed' or 'invite-only'
+ * @param {Function} shouldLeave - Called with each userId; everyone leaves by default
+ */
+function sendOutOfRoom(slug, reason, shouldLeave = () => true) {
+  const members = roomMembers.get(slug);
+  if (!members) return;
+
+  [...members].forEach(socketId => {
+    const memberSocket = io.sockets.sockets.get(socketId);
+    if (!memberSocket || !shouldLeave(activeUsers.get(socketId)?.userId)) return;
+    removeRoomMember(memberSocket, slug);
+    memberSocket.emit('room-left', { room: slug, reason });
+  });
+}
 
-    const queueKey = level.toLowerCase();
-    if (adviceQueue[queueKey]) {
-      adviceQueue[queueKey].push(queueEntry);
-    }
+/**
+ * Room Catalog Explanation:
+ * Community rooms live in the `rooms` collection (see server/rooms.js for
+ * the fields) and are cached in roomCatalog at startup, so joining, sending
+ * and filtering can check a room without a query. Rooms are keyed by their
+ * slug everywhere: messages, read markers, sanctions, reports and filter
+ * scopes all store it. The first start with the catalog moves data stored
+ * under the old room names ('Reef', 'Photos & Stories', ...) to the slugs.
+ * Admins add, edit and archive rooms through /api/admin/rooms; archiving
+ * hides a room and closes it but keeps its history. Category rooms (see
+ * server/categories.js) are added to the catalog on demand by
+ * POST /api/rooms/category and are left off the room list.
+ */
 
-    socket.emit('queued', { level, topic, position: adviceQueue[queueKey].length });
+// ============================================================================
+// MESSAGE PERSISTENCE
+// ============================================================================
 
-    console.log(`User ${userInfo.username} joined advice queue as ${level}`);
+// Page size limits for room history requests
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 100;
 
-    // Try to find a match immediately
-    attemptMatch(socket.id, level, topic);
-  });
+// Page size limits for thread requests
+const DEFAULT_THREAD_LIMIT = 50;
+const MAX_THREAD_LIMIT = 200;
 
-  /**
-   * Leave the advice chat queue
-   */
-  socket.on('leave-advice-queue', () => {
-    removeFromQueue(socket.id);
-    socket.emit('queue-left');
-    console.log(`User ${socket.id} left advice queue`);
-  });
+// Page size limits for message search
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
 
-  /**
-   * Attempt to match a user with another user
-   */
-  function attemptMatch(socketId, level, topic) {
-    const queueEntry = adviceQueue[level.toLowerCase()].find(u => u.socketId === socketId);
-    if (!queueEntry) return;
-
-    const match = findMatch(level, topic);
-
-    if (match && match.socketId !== socketId) {
-      // Create a new session
-      const sessionId = generateSessionId();
-      
-      removeFromQueue(socketId);
-      removeFromQueue(match.socketId);
-
-      const session = {
-        sessionId: sessionId,
-        user1: {
-          socketId: socketId,
-          userId: queueEntry.userId,
-          username: queueEntry.username,
-          level: queueEntry.level
-        },
-        user2: {
-          socketId: match.socketId,
-          userId: match.userId,
-          username: match.username,
-          level: match.level
-        },
-        topic: topic || match.topic || null,
-        createdAt: Date.now(),
-        messages: [],
-        ended: false,
-        feedback: {}
-      };
+// Most messages replayed to a client rejoining after a reconnect; a longer
+// gap is reported so the client reloads the history instead
+const MAX_REPLAY_MESSAGES = 100;
 
-      activeAdviceSessions.set(sessionId, session);
+/**
+ * Save a community room message to MongoDB
+ * @param {Object} messageData - Message as broadcast to the room
+ */
+async function saveMessageToDB(messageData) {
+  if (!db) return;
+  // insertOne adds an _id to the object it is given, so insert a copy
+  await db.collection('messages').insertOne({ ...messageData });
+}
 
-      // Notify both users
-      io.to(socketId).emit('matched', {
-        sessionId: sessionId,
-        partner: {
-          username: match.username,
-          level: match.level
-        },
-        topic: session.topic
-      });
+/**
+ * Find a room message a user already sent under a client-generated id
+ * A retried send returns the stored message instead of saving it twice.
+ * @param {string} userId - Sender
+ * @param {string} clientId - Id the client gave the message
+ * @returns {Object|null} - Stored message without revisions
+ */
+async function findSentRoomMessage(userId, clientId) {
+  if (!db) return null;
+  return db.collection('messages').findOne({ userId, clientId }, { projection: { _id: 0, revisions: 0 } });
+}
 
-      io.to(match.socketId).emit('matched', {
-        sessionId: sessionId,
-        partner: {
-          username: queueEntry.username,
-          level: queueEntry.level
-        },
-        topic: session.topic
-      });
+/**
+ * Fetch a page of room history, newest first
+ * Only top-level messages are returned; replies are loaded per thread.
+ * @param {string} room - Room name
+ * @param {Object} options - { limit, before, excludeUserIds } where before is a message id cursor
+ * @returns {Object} - { messages: Array, hasMore: boolean }
+ */
+async function getRoomMessages(room, { limit = DEFAULT_HISTORY_LIMIT, before = null, excludeUserIds = [] } = {}) {
+  const messagesCollection = db.collection('messages');
+  // parentId: null also matches messages saved before threads existed
+  const query = { room, parentId: null };
 
-      console.log(`Matched ${queueEntry.username} with ${match.username} (Session: ${sessionId})`);
-    }
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
   }
 
-  /**
-   * Send message in advice chat
-   */
-  socket.on('advice-message', (data) => {
-    const { sessionId, message, photo } = data;
-    const userInfo = activeUsers.get(socket.id);
-
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
+  if (before) {
+    const cursorMessage = await messagesCollection.findOne({ room, id: before });
+    if (!cursorMessage) {
+      return { messages: [], hasMore: false };
     }
+    // Messages sharing the cursor's timestamp are ordered by id
+    query.$or = [
+      { timestamp: { $lt: cursorMessage.timestamp } },
+      { timestamp: cursorMessage.timestamp, id: { $lt: cursorMessage.id } }
+    ];
+  }
 
-    const session = activeAdviceSessions.get(sessionId);
+  // Fetch one extra message to find out whether an older page exists
+  const messages = await messagesCollection
+    .find(query, { projection: { _id: 0, revisions: 0 } })
+    .sort({ timestamp: -1, id: -1 })
+    .limit(limit + 1)
+    .toArray();
 
-    if (!session) {
-      socket.emit('error', { message: 'Session not found' });
-      return;
-    }
+  const hasMore = messages.length > limit;
+  return { messages: messages.slice(0, limit), hasMore };
+}
 
-    // Check if user is part of this session
-    if (session.user1.socketId !== socket.id && session.user2.socketId !== socket.id) {
-      socket.emit('error', { message: 'Not authorized for this session' });
-      return;
-    }
+/**
+ * Fetch the room history surrounding one message, newest first
+ * Used to show a search result in context. A thread reply is shown around
+ * its top-level message.
+ * @param {string} room - Room name
+ * @param {string} messageId - Message to center on
+ * @param {Object} options - { limit, excludeUserIds }
+ * @returns {Object|null} - { messages, hasMore, hasNewer, anchorId } where
+ *   hasMore/hasNewer tell whether older/newer pages exist, or null if the
+ *   message wasn't found
+ */
+async function getRoomMessagesAround(room, messageId, { limit = DEFAULT_HISTORY_LIMIT, excludeUserIds = [] } = {}) {
+  const messagesCollection = db.collection('messages');
+  const projection = { _id: 0, revisions: 0 };
 
-    if (session.ended) {
-      socket.emit('error', { message: 'Session has ended' });
-      return;
-    }
+  let anchor = await messagesCollection.findOne({ room, id: messageId }, { projection });
+  if (anchor && anchor.parentId) {
+    anchor = await messagesCollection.findOne({ room, id: anchor.parentId }, { projection });
+  }
+  if (!anchor || excludeUserIds.includes(anchor.userId)) return null;
 
-    // TODO: Implement profanity filter
-    // const filteredMessage = profanityFilter(message);
+  const base = { room, parentId: null };
+  if (excludeUserIds.length > 0) {
+    base.userId = { $nin: excludeUserIds };
+  }
 
-    // TODO: Implement photo upload/storage
-    // if (photo) {
-    //   photo = await uploadPhoto(photo);
-    // }
+  // Half the page on each side; fetch one extra to detect further pages
+  const half = Math.max(Math.floor((limit - 1) / 2), 1);
+  const [older, newer] = await Promise.all([
+    messagesCollection
+      .find({
+        ...base,
+        $or: [
+          { timestamp: { $lt: anchor.timestamp } },
+          { timestamp: anchor.timestamp, id: { $lt: anchor.id } }
+        ]
+      }, { projection })
+      .sort({ timestamp: -1, id: -1 })
+      .limit(half + 1)
+      .toArray(),
+    messagesCollection
+      .find({
+        ...base,
+        $or: [
+          { timestamp: { $gt: anchor.timestamp } },
+          { timestamp: anchor.timestamp, id: { $gt: anchor.id } }
+        ]
+      }, { projection })
+      .sort({ timestamp: 1, id: 1 })
+      .limit(half + 1)
+      .toArray()
+  ]);
+
+  return {
+    messages: [...newer.slice(0, half).reverse(), anchor, ...older.slice(0, half)],
+    hasMore: older.length > half,
+    hasNewer: newer.length > half,
+    anchorId: anchor.id
+  };
+}
 
-    const messageData = {
-      id: `advice_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      sessionId: sessionId,
-      userId: userInfo.userId,
-      username: userInfo.username,
-      message: message,
-      photo: photo || null,
-      timestamp: Date.now()
-    };
+/**
+ * Search persisted room messages
+ * @param {Object} filters - { text, room, author, from, to, hasPhoto } where
+ *   from/to are timestamps in ms and author is a username (any case)
+ * @param {Object} options - { userId, limit, offset, excludeUserIds }; only
+ *   rooms userId can open are searched
+ * @returns {Object} - { results, hasMore } best matches first when searching
+ *   text, otherwise newest first
+ */
+async function searchRoomMessages(filters, { userId, limit = DEFAULT_SEARCH_LIMIT, offset = 0, excludeUserIds = [] } = {}) {
+  const rooms = getActiveRoomSlugs().filter(room => canAccessRoom(room, userId));
+  const query = { room: { $in: rooms }, deletedAt: null };
 
-    // Store message in session
-    session.messages.push(messageData);
+  if (filters.text) {
+    query.$text = { $search: filters.text };
+  }
+  if (filters.room) {
+    query.room = filters.room;
+  }
+  if (filters.author) {
+    query.username = { $regex: `^${escapeRegex(filters.author)}$`, $options: 'i' };
+  }
+  if (filters.from || filters.to) {
+    query.timestamp = {};
+    if (filters.from) query.timestamp.$gte = filters.from;
+    if (filters.to) query.timestamp.$lte = filters.to;
+  }
+  if (filters.hasPhoto) {
+    query.photo = { $nin: [null, ''] };
+  }
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
 
-    // TODO: Save to MongoDB
-    // await saveAdviceMessageToDB(messageData);
+  const projection = { _id: 0, revisions: 0, reactions: 0 };
+  let sort = { timestamp: -1, id: -1 };
+  if (filters.text) {
+    projection.score = { $meta: 'textScore' };
+    sort = { score: { $meta: 'textScore' }, timestamp: -1 };
+  }
 
-    // Send to partner
-    const partnerSocketId = session.user1.socketId === socket.id 
-      ? session.user2.socketId 
-      : session.user1.socketId;
+  const results = await db.collection('messages')
+    .find(query, { projection })
+    .sort(sort)
+    .skip(offset)
+    .limit(limit + 1)
+    .toArray();
+
+  return {
+    results: results.slice(0, limit).map(message => ({
+      ...withPhotoUrls(message),
+      roomName: roomCatalog.get(message.room)?.name || message.room
+    })),
+    hasMore: results.length > limit
+  };
+}
 
-    io.to(partnerSocketId).emit('advice-message', messageData);
-    socket.emit('advice-message-sent', { messageId: messageData.id });
+/**
+ * Find the thread a reply belongs to
+ * Threads are one level deep: replying to a reply joins the same thread.
+ * @param {string} room - Room name
+ * @param {string} messageId - Message being replied to
+ * @returns {Object|null} - Top-level message of the thread, or null if not found
+ */
+async function getThreadParent(room, messageId) {
+  const message = await db.collection('messages').findOne(
+    { room, id: messageId },
+    { projection: { _id: 0, revisions: 0 } }
+  );
+  if (!message || !message.parentId) return message;
+
+  return db.collection('messages').findOne(
+    { room, id: message.parentId },
+    { projection: { _id: 0, revisions: 0 } }
+  );
+}
 
-    console.log(`Advice message sent in session ${sessionId}`);
-  });
+/**
+ * Count a new reply on its thread's top-level message
+ * @param {string} room - Room name
+ * @param {string} parentId - Top-level message ID
+ * @param {number} timestamp - Time of the reply
+ * @returns {number} - Reply count after this reply
+ */
+async function recordThreadReply(room, parentId, timestamp) {
+  const parent = await db.collection('messages').findOneAndUpdate(
+    { room, id: parentId },
+    { $inc: { replyCount: 1 }, $set: { lastReplyAt: timestamp } },
+    { returnDocument: 'after', projection: { replyCount: 1 } }
+  );
+  return parent ? parent.replyCount : 0;
+}
 
-  /**
-   * End advice chat session
-   */
-  socket.on('end-advice-session', (data) => {
-    const { sessionId } = data;
-    const session = activeAdviceSessions.get(sessionId);
+/**
+ * Fetch a thread: its top-level message and a page of replies, oldest first
+ * @param {string} room - Room name
+ * @param {string} parentId - Top-level message ID
+ * @param {Object} options - { limit, after, excludeUserIds } where after is a reply id cursor
+ * @returns {Object|null} - { parent, replies, hasMore } or null if the parent wasn't found
+ */
+async function getThreadMessages(room, parentId, { limit = DEFAULT_THREAD_LIMIT, after = null, excludeUserIds = [] } = {}) {
+  const messagesCollection = db.collection('messages');
+  const parent = await messagesCollection.findOne(
+    { room, id: parentId, parentId: null },
+    { projection: { _id: 0, revisions: 0 } }
+  );
+  if (!parent) return null;
+
+  const query = { room, parentId };
+
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
 
-    if (!session) {
-      socket.emit('error', { message: 'Session not found' });
-      return;
+  if (after) {
+    const cursorMessage = await messagesCollection.findOne({ room, parentId, id: after });
+    if (!cursorMessage) {
+      return { parent, replies: [], hasMore: false };
     }
+    query.$or = [
+      { timestamp: { $gt: cursorMessage.timestamp } },
+      { timestamp: cursorMessage.timestamp, id: { $gt: cursorMessage.id } }
+    ];
+  }
 
-    if (session.user1.socketId !== socket.id && session.user2.socketId !== socket.id) {
-      socket.emit('error', { message: 'Not authorized' });
-      return;
-    }
+  const replies = await messagesCollection
+    .find(query, { projection: { _id: 0, revisions: 0 } })
+    .sort({ timestamp: 1, id: 1 })
+    .limit(limit + 1)
+    .toArray();
 
-    session.ended = true;
-    session.endedAt = Date.now();
-    session.endedBy = socket.id;
+  const hasMore = replies.length > limit;
+  return { parent, replies: replies.slice(0, limit), hasMore };
+}
 
-    // Notify both users
-    const partnerSocketId = session.user1.socketId === socket.id 
-      ? session.user2.socketId 
-      : session.user1.socketId;
+/**
+ * Fetch the room messages a client missed while disconnected, oldest first
+ * Thread replies are included, along with the current reply counts of the
+ * threads they belong to.
+ * @param {string} room - Room name
+ * @param {string} lastMessageId - Newest message the client has
+ * @param {Object} options - { limit, excludeUserIds }
+ * @returns {Object|null} - { messages, threads, hasMore } where threads are
+ *   { id, replyCount, lastReplyAt }, or null if the message wasn't found
+ */
+async function getRoomMessagesSince(room, lastMessageId, { limit = MAX_REPLAY_MESSAGES, excludeUserIds = [] } = {}) {
+  const messagesCollection = db.collection('messages');
+  const cursorMessage = await messagesCollection.findOne({ room, id: lastMessageId });
+  if (!cursorMessage) return null;
+
+  const query = {
+    room,
+    $or: [
+      { timestamp: { $gt: cursorMessage.timestamp } },
+      { timestamp: cursorMessage.timestamp, id: { $gt: cursorMessage.id } }
+    ]
+  };
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
 
-    io.to(partnerSocketId).emit('session-ended', { sessionId });
-    socket.emit('session-ended', { sessionId });
+  const messages = await messagesCollection
+    .find(query, { projection: { _id: 0, revisions: 0 } })
+    .sort({ timestamp: 1, id: 1 })
+    .limit(limit + 1)
+    .toArray();
 
-    // Request feedback
-    io.to(partnerSocketId).emit('request-feedback', { sessionId });
-    socket.emit('request-feedback', { sessionId });
+  const replayed = messages.slice(0, limit);
+  const parentIds = [...new Set(replayed.filter(message => message.parentId).map(message => message.parentId))];
+  const threads = parentIds.length === 0 ? [] : await messagesCollection
+    .find({ room, id: { $in: parentIds } }, { projection: { _id: 0, id: 1, replyCount: 1, lastReplyAt: 1 } })
+    .toArray();
 
-    console.log(`Advice session ${sessionId} ended`);
-  });
+  return { messages: replayed, threads, hasMore: messages.length > limit };
+}
 
-  /**
-   * Submit feedback for advice session
-   */
-  socket.on('submit-feedback', (data) => {
-    const { sessionId, rating, comment } = data;
-    const session = activeAdviceSessions.get(sessionId);
+/**
+ * Toggle a user's reaction on a room message
+ * Reactions are stored on the message as { emoji: [userId, ...] }. Removing
+ * is tried first so a double toggle can't add the same user twice.
+ * @param {string} room - Room the message belongs to
+ * @param {string} messageId - Message ID
+ * @param {string} emoji - One of REACTION_EMOJIS
+ * @param {string} userId - Reacting user
+ * @returns {Object|null} - { added, count } or null if the message wasn't found
+ */
+async function toggleReaction(room, messageId, emoji, userId) {
+  const messages = db.collection('messages');
+  const field = `reactions.${emoji}`;
+  const options = { returnDocument: 'after', projection: { [field]: 1 } };
+
+  let message = await messages.findOneAndUpdate(
+    { room, id: messageId, [field]: userId },
+    { $pull: { [field]: userId } },
+    options
+  );
+  let added = false;
+
+  if (!message) {
+    message = await messages.findOneAndUpdate(
+      { room, id: messageId },
+      { $addToSet: { [field]: userId } },
+      options
+    );
+    if (!message) return null;
+    added = true;
+  }
 
-    if (!session) {
-      socket.emit('error', { message: 'Session not found' });
-      return;
-    }
+  return { added, count: (message.reactions?.[emoji] || []).length };
+}
 
-    const userInfo = activeUsers.get(socket.id);
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
-    }
+/**
+ * Where a room or advice message is stored
+ * @param {Object} target - { room } or { sessionId }
+ * @returns {Object} - { collection, scope } for MongoDB queries
+ */
+function messageLocation({ room, sessionId }) {
+  return room
+    ? { collection: 'messages', scope: { room } }
+    : { collection: 'advice_messages', scope: { sessionId } };
+}
 
-    // Store feedback
-    session.feedback[userInfo.userId] = {
-      rating: rating, // 1-5 stars typically
-      comment: comment || null,
-      timestamp: Date.now()
-    };
+/**
+ * Load a stored message a user is about to edit
+ * Only the author can edit, and only within MESSAGE_EDIT_WINDOW_MS.
+ * @param {Object} target - { room } or { sessionId }
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User making the edit
+ * @returns {Object} - { message } (the stored message) or { error }
+ */
+async function findEditableMessage(target, messageId, userId) {
+  const { collection, scope } = messageLocation(target);
+  const existing = await db.collection(collection).findOne({ ...scope, id: messageId });
 
-    // TODO: Save feedback to database
-    // TODO: Update user reputation/badges based on feedback
-    // await saveFeedbackToDB(sessionId, userInfo.userId, rating, comment);
+  if (!existing || existing.deletedAt) {
+    return { error: 'Message not found' };
+  }
+  if (existing.userId !== userId) {
+    return { error: 'You can only edit your own messages' };
+  }
+  if (Date.now() - existing.timestamp > MESSAGE_EDIT_WINDOW_MS) {
+    return { error: 'This message can no longer be edited' };
+  }
 
-    socket.emit('feedback-submitted', { sessionId });
+  return { message: existing };
+}
 
-    console.log(`Feedback submitted for session ${sessionId} by ${userInfo.username}`);
-  });
+/**
+ * Edit a stored message, keeping the previous text as a revision
+ * @param {Object} target - { room } or { sessionId }
+ * @param {Object} existing - Stored message from findEditableMessage()
+ * @param {string} text - New, already validated and filtered text
+ * @returns {Object} - { message } (without revisions) or { error }
+ */
+async function editStoredMessage(target, existing, text) {
+  const { collection, scope } = messageLocation(target);
+  const editedAt = Date.now();
+  // Matching on the old text makes a concurrent edit or delete lose cleanly
+  const updated = await db.collection(collection).findOneAndUpdate(
+    { ...scope, id: existing.id, message: existing.message, deletedAt: null },
+    {
+      $set: { message: text, editedAt },
+      $push: { revisions: { message: existing.message, replacedAt: editedAt } }
+    },
+    { returnDocument: 'after', projection: { _id: 0, revisions: 0 } }
+  );
+
+  return updated ? { message: updated } : { error: 'Message was changed, please try again' };
+}
 
-  /**
-   * Advice Chat Explanation:
-   * Users join a queue by experience level. The matching algorithm finds
-   * appropriate partners based on level preferences. Once matched, users
-   * communicate in a private session. Sessions can be ended, and feedback
-   * is collected afterward. All messages are stored in memory for now.
-   */
+/**
+ * Tombstone a stored message
+ * The content is cleared but the message stays in place so replies and the
+ * surrounding conversation still make sense. The removed content is kept as
+ * a revision for moderators.
+ * @param {Object} target - { room } or { sessionId }
+ * @param {string} messageId - Message ID
+ * @param {Object} deletedBy - { userId, username } of the user deleting
+ * @param {boolean} asModerator - Allow deleting other users' messages
+ * @returns {Object} - { message } (without revisions) or { error }
+ */
+async function deleteStoredMessage(target, messageId, deletedBy, asModerator = false) {
+  const { collection, scope } = messageLocation(target);
+  const existing = await db.collection(collection).findOne({ ...scope, id: messageId });
 
-  // ========================================================================
-  // MODERATION FEATURES (Placeholders)
-  // ========================================================================
+  if (!existing || existing.deletedAt) {
+    return { error: 'Message not found' };
+  }
+  const ownMessage = existing.userId === deletedBy.userId;
+  if (!ownMessage && !asModerator) {
+    return { error: 'You can only delete your own messages' };
+  }
 
-  /**
-   * Block a user
-   * TODO: Implement blocking logic, store in database
-   */
-  socket.on('block-user', (data) => {
-    const { userId } = data;
-    const userInfo = activeUsers.get(socket.id);
+  const deletedAt = Date.now();
+  const updated = await db.collection(collection).findOneAndUpdate(
+    { ...scope, id: messageId, deletedAt: null },
+    {
+      $set: {
+        message: '',
+        photo: null,
+        deletedAt,
+        deletedBy: { ...deletedBy, moderator: !ownMessage }
+      },
+      $push: { revisions: { message: existing.message, photo: existing.photo || null, replacedAt: deletedAt } }
+    },
+    { returnDocument: 'after', projection: { _id: 0, revisions: 0 } }
+  );
+
+  // A deleted photo leaves the albums it was in
+  if (updated && target.room && existing.photo) {
+    await db.collection('photo_albums').updateMany({ room: target.room, messageIds: messageId }, { $pull: { messageIds: messageId } });
+  }
 
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
-    }
+  return updated ? { message: updated } : { error: 'Message not found' };
+}
+
+/**
+ * Replace a message's reaction user lists with counts for the client
+ * @param {Object} message - Stored message
+ * @param {string} viewerId - User the message is sent to
+ * @returns {Object} - Message with reactions { emoji: count } and myReactions [emoji]
+ */
+function summarizeReactions(message, viewerId) {
+  const reactions = {};
+  const myReactions = [];
+
+  Object.entries(message.reactions || {}).forEach(([emoji, userIds]) => {
+    if (!Array.isArray(userIds) || userIds.length === 0) return;
+    reactions[emoji] = userIds.length;
+    if (userIds.includes(viewerId)) myReactions.push(emoji);
+  });
 
-    // TODO: Add to blocked users list in database
-    // await blockUser(userInfo.userId, userId);
+  return { ...withPhotoUrls(message), reactions, myReactions };
+}
 
-    socket.emit('user-blocked', { userId });
-    console.log(`User ${userInfo.username} blocked user ${userId}`);
+/**
+ * Save a newly matched advice session to MongoDB
+ * @param {Object} session - In-memory session from createAdviceSession()
+ */
+async function saveAdviceSessionToDB(session) {
+  if (!db) return;
+
+  const participantInfo = ({ userId, username, level }) => ({ userId, username, level });
+  await db.collection('advice_sessions').insertOne({
+    sessionId: session.sessionId,
+    participants: [session.user1.userId, session.user2.userId],
+    user1: participantInfo(session.user1),
+    user2: participantInfo(session.user2),
+    topic: session.topic,
+    createdAt: new Date(session.createdAt),
+    endedAt: null,
+    endedBy: null,
+    endReason: null,
+    feedback: []
   });
+}
 
-  /**
-   * Report a user
-   * TODO: Implement reporting logic, send to moderators
-   */
-  socket.on('report-user', (data) => {
-    const { userId, reason, details } = data;
-    const userInfo = activeUsers.get(socket.id);
+/**
+ * Save an advice chat message to MongoDB
+ * @param {Object} messageData - Message as sent to the partner
+ */
+async function saveAdviceMessageToDB(messageData) {
+  if (!db) return;
+  await db.collection('advice_messages').insertOne({ ...messageData });
+}
 
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
-    }
+/**
+ * Record how and when an advice session ended
+ * @param {string} sessionId - Session ID
+ * @param {Object} details - { endedAt, endedBy, endReason }
+ */
+async function markAdviceSessionEnded(sessionId, { endedAt, endedBy, endReason }) {
+  if (!db) return;
+  await db.collection('advice_sessions').updateOne(
+    { sessionId, endedAt: null },
+    { $set: { endedAt: new Date(endedAt), endedBy, endReason } }
+  );
+}
 
-    // TODO: Save report to database, notify moderators
-    // await createReport({
-    //   reportedBy: userInfo.userId,
-    //   reportedUser: userId,
-    //   reason: reason,
-    //   details: details,
-    //   timestamp: Date.now()
-    // });
+/**
+ * Append one participant's feedback to a stored advice session
+ * @param {string} sessionId - Session ID
+ * @param {Object} feedback - { fromUserId, toUserId, rating, comment, timestamp }
+ */
+async function saveFeedbackToDB(sessionId, feedback) {
+  if (!db) return;
+  await db.collection('advice_sessions').updateOne(
+    { sessionId, 'feedback.fromUserId': { $ne: feedback.fromUserId } },
+    { $push: { feedback } }
+  );
+}
 
-    socket.emit('user-reported', { userId });
-    console.log(`User ${userInfo.username} reported user ${userId}`);
-  });
+/**
+ * Load everyone's received ratings so matching survives restarts
+ */
+async function loadAdviceRatings() {
+  if (!db) return;
 
-  /**
-   * Moderation Explanation:
-   * Placeholders for blocking and reporting users. In production, these
-   * would store data in MongoDB and trigger moderation workflows.
-   */
+  const totals = await db.collection('advice_sessions').aggregate([
+    { $unwind: '$feedback' },
+    { $group: { _id: '$feedback.toUserId', total: { $sum: '$feedback.rating' }, count: { $sum: 1 } } }
+  ]).toArray();
 
-  // ========================================================================
-  // USER PROFILES & GAMIFICATION (Placeholders)
-  // ========================================================================
+  adviceRatings.clear();
+  totals.forEach(({ _id, total, count }) => {
+    adviceRatings.set(_id, { total, count });
+  });
+}
 
-  /**
-   * Get user profile
-   * TODO: Fetch from database
-   */
-  socket.on('get-profile', (data) => {
-    const { userId } = data;
-    const userInfo = activeUsers.get(socket.id);
+/**
+ * Message Persistence Explanation:
+ * Room messages are written to the `messages` collection as they are sent.
+ * History is served newest first and paginated with a cursor: the client
+ * passes the id of the oldest message it has as `before` to get the next
+ * page. The `{ room, timestamp }` index created above backs these queries.
+ *
+ * Advice sessions are stored in `advice_sessions` when matched, with their
+ * end reason and both participants' feedback added later; their messages go
+ * to `advice_messages`. Ratings are aggregated back into memory on startup.
+ *
+ * Clients give each message they send a `clientId` and pass an
+ * acknowledgement callback with room-message and advice-message. The ack
+ * returns the saved message ({ ok: true, message }) or why it wasn't sent
+ * ({ ok: false, error }), and the clientId is kept on the message so the
+ * sender can swap its pending copy for the broadcast one. Resending the
+ * same clientId returns the saved message instead of posting it twice; the
+ * unique { userId, clientId } index settles two resends arriving at once.
+ */
 
-    if (!userInfo) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
-    }
+// ============================================================================
+// USER BLOCKING
+// ============================================================================
 
-    // TODO: Fetch full profile from database including:
-    // - Badges earned
-    // - Total messages sent
-    // - Feedback ratings received
-    // - Level progression
-    // - Leaderboard position
+/**
+ * Load a user's block list into the in-memory cache
+ * @param {string} userId - User whose blocks to load
+ */
+async function loadUserBlocks(userId) {
+  const blocks = await db.collection('user_blocks')
+    .find({ blockerId: userId }, { projection: { blockedId: 1 } })
+    .toArray();
+  userBlocks.set(userId, new Set(blocks.map(block => block.blockedId)));
+}
 
-    const profile = {
-      userId: userId,
-      username: userInfo.username,
-      level: userInfo.level,
+/**
+ * Whether either user has blocked the other (cached, connected users only)
+ */
+function isBlockedBetween(userIdA, userIdB) {
+  return !!(userBlocks.get(userIdA)?.has(userIdB) || userBlocks.get(userIdB)?.has(userIdA));
+}
+
+/**
+ * All users the given user should not see, in either direction
+ * @param {string} userId - User ID
+ * @returns {Array} - User IDs they blocked or were blocked by
+ */
+async function getBlockedUserIds(userId) {
+  if (!db) return [];
+
+  const blocks = await db.collection('user_blocks')
+    .find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .toArray();
+  return blocks.map(block => (block.blockerId === userId ? block.blockedId : block.blockerId));
+}
+
+/**
+ * Block a user and update the cache
+ * @param {string} blockerId - User doing the blocking
+ * @param {string} blockedId - User being blocked
+ */
+async function blockUser(blockerId, blockedId) {
+  await db.collection('user_blocks').updateOne(
+    { blockerId, blockedId },
+    { $setOnInsert: { blockerId, blockedId, createdAt: new Date() } },
+    { upsert: true }
+  );
+
+  if (userBlocks.has(blockerId)) {
+    userBlocks.get(blockerId).add(blockedId);
+  }
+}
+
+/**
+ * Unblock a user and update the cache
+ */
+async function unblockUser(blockerId, blockedId) {
+  await db.collection('user_blocks').deleteOne({ blockerId, blockedId });
+  userBlocks.get(blockerId)?.delete(blockedId);
+}
+
+/**
+ * Count a socket towards a user's cached data
+ * Called at the start of the handshake, before the caches load, so an older
+ * socket of the same user disconnecting (a page reload) can't drop them.
+ */
+function holdUserCaches(userId) {
+  userConnectionCounts.set(userId, (userConnectionCounts.get(userId) || 0) + 1);
+}
+
+/**
+ * Stop counting a socket; the user's blocks, sanctions and spam history are
+ * dropped once no socket holds them
+ */
+function releaseUserCaches(userId) {
+  const remaining = (userConnectionCounts.get(userId) || 1) - 1;
+  if (remaining > 0) {
+    userConnectionCounts.set(userId, remaining);
+    return;
+  }
+  userConnectionCounts.delete(userId);
+  userBlocks.delete(userId);
+  userSanctions.delete(userId);
+  recentUserMessages.delete(userId);
+}
+
+/**
+ * All live sockets of a user (one per open tab or device)
+ * @param {string} userId - User ID
+ * @returns {Array} - Socket.IO sockets
+ */
+function getUserSockets(userId) {
+  const sockets = [];
+  activeUsers.forEach((info, socketId) => {
+    const userSocket = info.userId === userId && io.sockets.sockets.get(socketId);
+    if (userSocket) sockets.push(userSocket);
+  });
+  return sockets;
+}
+
+/**
+ * Emit a room event from a user, skipping members on either side of a block
+ * @param {string} room - Room name
+ * @param {string} senderId - User the event originates from
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToRoomExceptBlocked(room, senderId, event, payload) {
+  const excluded = [];
+  roomMembers.get(room)?.forEach(socketId => {
+    const member = activeUsers.get(socketId);
+    if (member && isBlockedBetween(senderId, member.userId)) {
+      excluded.push(socketId);
+    }
+  });
+
+  io.to(room).except(excluded).emit(event, payload);
+}
+
+/**
+ * User Blocking Explanation:
+ * Blocks are stored in `user_blocks` as { blockerId, blockedId }. Each
+ * connected user's list is cached in userBlocks so room delivery and advice
+ * matching can check blocks synchronously. A block hides both users from
+ * each other: room messages, reactions, room history, profiles, and the
+ * advice queue never pairs them.
+ */
+
+// ============================================================================
+// ROOM PRESENCE (ROSTER & TYPING)
+// ============================================================================
+
+// Minimum gap between typing broadcasts from one socket in one room
+const TYPING_THROTTLE_MS = 2000;
+
+/**
+ * Public details of a room member shown in the roster
+ */
+function rosterEntry(userInfo) {
+  return {
+    userId: userInfo.userId,
+    username: userInfo.username,
+    level: userInfo.level,
+    tankType: userInfo.tankType,
+    profilePicture: userInfo.profilePicture,
+    role: userInfo.role
+  };
+}
+
+/**
+ * Users currently in a room, one entry per user however many tabs they have open
+ * @param {string} room - Room name
+ * @param {string} viewerId - User the roster is for; blocked users are left out
+ * @returns {Array} - Roster entries sorted by username
+ */
+function getRoomRoster(room, viewerId) {
+  const members = new Map();
+  roomMembers.get(room)?.forEach(socketId => {
+    const member = activeUsers.get(socketId);
+    if (!member || members.has(member.userId) || isBlockedBetween(viewerId, member.userId)) return;
+    members.set(member.userId, rosterEntry(member));
+  });
+  return [...members.values()].sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Whether a user has any socket in a room
+ */
+function isUserInRoom(room, userId) {
+  return [...(roomMembers.get(room) || [])].some(socketId => activeUsers.get(socketId)?.userId === userId);
+}
+
+/**
+ * Add a socket to a room and announce the user if they just arrived
+ * @param {Object} socket - Joining socket
+ * @param {string} room - Room name
+ */
+function addRoomMember(socket, room) {
+  const userInfo = activeUsers.get(socket.id);
+  const alreadyPresent = userInfo && isUserInRoom(room, userInfo.userId);
+
+  socket.join(room);
+  if (!roomMembers.has(room)) {
+    roomMembers.set(room, new Set());
+  }
+  roomMembers.get(room).add(socket.id);
+
+  if (userInfo && !alreadyPresent) {
+    emitToRoomExceptBlocked(room, userInfo.userId, 'user-joined-room', { room, member: rosterEntry(userInfo) });
+  }
+}
+
+/**
+ * Remove a socket from a room and announce the user if it was their last one
+ * @param {Object} socket - Leaving socket
+ * @param {string} room - Room name
+ */
+function removeRoomMember(socket, room) {
+  const members = roomMembers.get(room);
+  if (!members || !members.has(socket.id)) return;
+
+  members.delete(socket.id);
+  socket.leave(room);
+  if (socket.data.typingAt) {
+    delete socket.data.typingAt[room];
+  }
+
+  const userInfo = activeUsers.get(socket.id);
+  if (userInfo && !isUserInRoom(room, userInfo.userId)) {
+    emitToRoomExceptBlocked(room, userInfo.userId, 'user-left-room', {
+      room,
+      userId: userInfo.userId,
+      username: userInfo.username
+    });
+  }
+}
+
+/**
+ * Decide whether a typing update from a socket should be broadcast
+ * Starting to type is sent at most once per TYPING_THROTTLE_MS; clients
+ * repeat it while the user keeps typing. Stopping is always sent if the
+ * start was.
+ * @param {Object} socket - Typing socket
+ * @param {string} room - Room name
+ * @param {boolean} isTyping - Started (true) or stopped (false) typing
+ * @returns {boolean}
+ */
+function shouldBroadcastTyping(socket, room, isTyping) {
+  const typingAt = socket.data.typingAt || (socket.data.typingAt = {});
+  const now = Date.now();
+
+  if (!isTyping) {
+    const wasTyping = room in typingAt;
+    delete typingAt[room];
+    return wasTyping;
+  }
+
+  if (typingAt[room] && now - typingAt[room] < TYPING_THROTTLE_MS) {
+    return false;
+  }
+  typingAt[room] = now;
+  return true;
+}
+
+/**
+ * Room Presence Explanation:
+ * roomMembers holds socket ids, so a user with two tabs open is in it
+ * twice; the roster and join/leave events work per user instead. Joining
+ * sends the full roster ('room-roster'), after which 'user-joined-room' and
+ * 'user-left-room' keep it current. Typing updates are throttled per socket
+ * and clients drop a typing indicator that isn't refreshed. Blocked users
+ * don't see each other in the roster or in typing updates.
+ */
+
+// ============================================================================
+// READ MARKERS & UNREAD COUNTS
+// ============================================================================
+
+// Unread counts stop at this number; the client shows "99+"
+const MAX_UNREAD_COUNT = 99;
+
+/**
+ * Move a user's read marker forward to a message
+ * Markers only move forward, so a device that is behind can't mark newer
+ * messages unread again.
+ * @param {string} userId - Reader
+ * @param {Object} target - { room } or { sessionId }
+ * @param {string} messageId - Newest message the user has seen
+ * @returns {Object|null} - The new marker, or null if the message wasn't
+ *   found or the marker was already past it
+ */
+async function markMessageRead(userId, target, messageId) {
+  const { collection, scope } = messageLocation(target);
+  const message = await db.collection(collection).findOne(
+    { ...scope, id: messageId },
+    { projection: { timestamp: 1 } }
+  );
+  if (!message) return null;
+
+  const key = { userId, room: target.room || null, sessionId: target.sessionId || null };
+  const marker = { ...key, lastReadMessageId: messageId, lastReadAt: message.timestamp };
+
+  try {
+    const result = await db.collection('read_markers').updateOne(
+      { ...key, lastReadAt: { $lt: message.timestamp } },
+      { $set: { lastReadMessageId: messageId, lastReadAt: message.timestamp, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return result.modifiedCount > 0 || result.upsertedCount > 0 ? marker : null;
+  } catch (error) {
+    // The upsert hits the unique index when the stored marker is already newer
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * A user's read marker for one room or advice session
+ * @param {string} userId - User ID
+ * @param {Object} target - { room } or { sessionId }
+ * @returns {Object|null} - { lastReadMessageId, lastReadAt } or null if nothing was read yet
+ */
+async function getReadMarker(userId, { room, sessionId }) {
+  if (!db) return null;
+  return db.collection('read_markers').findOne(
+    { userId, room: room || null, sessionId: sessionId || null },
+    { projection: { _id: 0, lastReadMessageId: 1, lastReadAt: 1 } }
+  );
+}
+
+/**
+ * Read markers and unread counts for every room and the user's recent advice sessions
+ * Rooms count top-level messages from other users since the marker (or
+ * since the user signed up); advice sessions count the partner's messages.
+ * Deleted messages and blocked users are not counted.
+ * @param {string} userId - User ID
+ * @returns {Object} - { rooms: { room: { unread, lastReadMessageId, lastReadAt } },
+ *   advice: { sessionId: { ... } } }
+ */
+async function getUnreadSummary(userId) {
+  const [markers, user, sessions, blockedIds] = await Promise.all([
+    db.collection('read_markers').find({ userId }).toArray(),
+    db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { createdAt: 1 } }),
+    db.collection('advice_sessions')
+      .find({ participants: userId }, { projection: { sessionId: 1, createdAt: 1 } })
+      .sort({ createdAt: -1 })
+      .limit(ADVICE_SESSIONS_LIMIT)
+      .toArray(),
+    getBlockedUserIds(userId)
+  ]);
+
+  const roomMarkers = new Map(markers.filter(marker => marker.room).map(marker => [marker.room, marker]));
+  const adviceMarkers = new Map(markers.filter(marker => marker.sessionId).map(marker => [marker.sessionId, marker]));
+  const signedUpAt = (user?.createdAt || new ObjectId(userId).getTimestamp()).getTime();
+  const countOptions = { limit: MAX_UNREAD_COUNT };
+
+  const summarize = (marker, unread) => ({
+    unread,
+    lastReadMessageId: marker?.lastReadMessageId || null,
+    lastReadAt: marker?.lastReadAt || null
+  });
+
+  const rooms = {};
+  // Listed rooms, plus the other rooms the user has been in and can still open
+  const listedRooms = getListedRooms().map(room => room.slug);
+  const otherRooms = [...roomMarkers.keys()]
+    .filter(room => !listedRooms.includes(room) && canAccessRoom(room, userId));
+  await Promise.all([...listedRooms, ...otherRooms].map(async (room) => {
+    const marker = roomMarkers.get(room);
+    const unread = await db.collection('messages').countDocuments({
+      room,
+      parentId: null,
+      deletedAt: null,
+      timestamp: { $gt: marker ? marker.lastReadAt : signedUpAt },
+      userId: { $nin: [userId, ...blockedIds] }
+    }, countOptions);
+    rooms[room] = summarize(marker, unread);
+  }));
+
+  const advice = {};
+  await Promise.all(sessions.map(async (session) => {
+    const marker = adviceMarkers.get(session.sessionId);
+    const unread = await db.collection('advice_messages').countDocuments({
+      sessionId: session.sessionId,
+      deletedAt: null,
+      timestamp: { $gt: marker ? marker.lastReadAt : 0 },
+      userId: { $ne: userId }
+    }, countOptions);
+    advice[session.sessionId] = summarize(marker, unread);
+  }));
+
+  return { rooms, advice };
+}
+
+/**
+ * Tell all of a user's devices that their read marker moved
+ * @param {string} userId - User ID
+ * @param {Object} marker - Marker returned by markMessageRead()
+ */
+function broadcastReadMarker(userId, marker) {
+  const payload = {
+    room: marker.room,
+    sessionId: marker.sessionId,
+    lastReadMessageId: marker.lastReadMessageId,
+    lastReadAt: marker.lastReadAt
+  };
+  getUserSockets(userId).forEach(userSocket => userSocket.emit('read-marker-updated', payload));
+}
+
+/**
+ * Check that a user may mark messages read in a room or advice session
+ * @param {string} userId - User ID
+ * @param {Object} target - { room } or { sessionId }
+ * @returns {boolean}
+ */
+async function canReadTarget(userId, { room, sessionId }) {
+  if (room) return canAccessRoom(room, userId);
+  if (typeof sessionId !== 'string' || !sessionId) return false;
+
+  const active = activeAdviceSessions.get(sessionId);
+  if (active) {
+    return active.user1.userId === userId || active.user2.userId === userId;
+  }
+
+  const session = await db.collection('advice_sessions').findOne({ sessionId }, { projection: { participants: 1 } });
+  return !!session && session.participants.includes(userId);
+}
+
+/**
+ * Read Markers Explanation:
+ * `read_markers` holds one document per user and room or advice session
+ * with the newest message they have seen. Clients send 'mark-read' as
+ * messages come into view (or POST /api/chat/read); the marker only moves
+ * forward and every device of the user gets 'read-marker-updated', so a
+ * room read on the phone stops showing as unread on the laptop. Unread
+ * counts are computed from the markers on request (GET /api/chat/unread).
+ */
+
+// ============================================================================
+// MENTIONS
+// ============================================================================
+
+/**
+ * Look up the users mentioned in a message
+ * @param {string} text - Message text (after filtering)
+ * @returns {Array} - [{ userId, username }] for names that match a user
+ */
+async function resolveMentions(text) {
+  const names = extractMentionNames(text);
+  if (names.length === 0 || !db) return [];
+
+  const users = await db.collection('users')
+    .find(
+      { $or: names.map(name => ({ username: { $regex: `^${escapeRegex(name)}$`, $options: 'i' } })) },
+      { projection: { username: 1 } }
+    )
+    .limit(names.length)
+    .toArray();
+
+  return users.map(user => ({ userId: user._id.toString(), username: user.username }));
+}
+
+/**
+ * Notify mentioned users on every device they are connected with
+ * Whether or not they are in the room, they get 'mentioned', as long as
+ * they may read it: mentions in an invite-only room never reach non-members.
+ * The sender and users on either side of a block (including users who
+ * blocked the sender) are skipped.
+ * @param {Object} messageData - Saved room message with mentions
+ */
+function notifyMentions(messageData) {
+  (messageData.mentions || []).forEach(({ userId }) => {
+    if (userId === messageData.userId || isBlockedBetween(messageData.userId, userId)) return;
+    if (!canAccessRoom(messageData.room, userId)) return;
+
+    getUserSockets(userId).forEach(userSocket => userSocket.emit('mentioned', {
+      room: messageData.room,
+      roomName: roomCatalog.get(messageData.room)?.name || messageData.room,
+      messageId: messageData.id,
+      parentId: messageData.parentId,
+      from: { userId: messageData.userId, username: messageData.username },
+      message: messageData.message,
+      timestamp: messageData.timestamp
+    }));
+  });
+}
+
+/**
+ * Mentions Explanation:
+ * room-message resolves "@name" mentions (see server/mentions.js) to users
+ * and stores them on the message, so clients highlight only real users.
+ * Mentioned users who are online and can read the room get a 'mentioned'
+ * event on all of their sockets, which the chat pages turn into a browser
+ * notification. The mention autocomplete uses the room roster plus
+ * GET /api/users/search.
+ */
+
+// ============================================================================
+// PINNED MESSAGES & ANNOUNCEMENTS
+// ============================================================================
+
+// Most messages one room can have pinned at a time
+const MAX_PINNED_MESSAGES = 10;
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+/**
+ * Pinned messages of a room, most recently pinned first
+ * @param {string} room - Room name
+ * @param {Object} options - { excludeUserIds }
+ * @returns {Array} - Stored messages with pinnedAt/pinnedBy
+ */
+async function getRoomPins(room, { excludeUserIds = [] } = {}) {
+  if (!db) return [];
+  const query = { room, pinnedAt: { $ne: null }, deletedAt: null };
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
+
+  return db.collection('messages')
+    .find(query, { projection: { _id: 0, revisions: 0 } })
+    .sort({ pinnedAt: -1 })
+    .limit(MAX_PINNED_MESSAGES)
+    .toArray();
+}
+
+/**
+ * Pin or unpin a room message
+ * @param {string} room - Room name
+ * @param {string} messageId - Message to pin
+ * @param {Object|null} pinnedBy - { userId, username } to pin, null to unpin
+ * @returns {Object} - { message } after the change, or { error }
+ */
+async function setMessagePinned(room, messageId, pinnedBy) {
+  const messagesCollection = db.collection('messages');
+  const existing = await messagesCollection.findOne({ room, id: messageId, deletedAt: null });
+  if (!existing) {
+    return { error: 'Message not found' };
+  }
+
+  if (pinnedBy) {
+    if (existing.pinnedAt) {
+      return { error: 'Message is already pinned' };
+    }
+    const pinnedCount = await messagesCollection.countDocuments({ room, pinnedAt: { $ne: null }, deletedAt: null });
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      return { error: `A room can have at most ${MAX_PINNED_MESSAGES} pinned messages` };
+    }
+  } else if (!existing.pinnedAt) {
+    return { error: 'Message is not pinned' };
+  }
+
+  const message = await messagesCollection.findOneAndUpdate(
+    { room, id: messageId },
+    { $set: pinnedBy ? { pinnedAt: Date.now(), pinnedBy } : { pinnedAt: null, pinnedBy: null } },
+    { returnDocument: 'after', projection: { _id: 0, revisions: 0 } }
+  );
+  return message ? { message } : { error: 'Message not found' };
+}
+
+/**
+ * The announcement banner of a room
+ * @param {string} room - Room name
+ * @returns {Object|null} - { text, updatedAt, updatedBy } or null if none is set
+ */
+async function getRoomAnnouncement(room) {
+  if (!db) return null;
+  return db.collection('room_announcements').findOne({ room }, { projection: { _id: 0, room: 0 } });
+}
+
+/**
+ * Set or clear the announcement banner of a room
+ * @param {string} room - Room name
+ * @param {string} text - Announcement; empty clears it
+ * @param {Object} updatedBy - { userId, username }
+ * @returns {Object|null} - The new announcement, or null if cleared
+ */
+async function setRoomAnnouncement(room, text, updatedBy) {
+  if (!text) {
+    await db.collection('room_announcements').deleteOne({ room });
+    return null;
+  }
+
+  const announcement = { text, updatedAt: Date.now(), updatedBy };
+  await db.collection('room_announcements').updateOne(
+    { room },
+    { $set: announcement },
+    { upsert: true }
+  );
+  return announcement;
+}
+
+/**
+ * Pins & Announcements Explanation:
+ * Moderators keep important content at the top of a room: up to
+ * MAX_PINNED_MESSAGES pinned messages (any message, replies included) and
+ * one announcement banner. Both are sent with 'room-joined' and changes are
+ * broadcast to the room as 'message-pinned', 'message-unpinned' and
+ * 'room-announcement'. Deleted messages drop out of the pins.
+ */
+
+// ============================================================================
+// ROLES & PERMISSIONS
+// ============================================================================
+
+// Socket.IO room that receives live moderation events
+const MODERATORS_ROOM = 'moderators';
+
+/**
+ * Check whether a role meets a minimum role
+ * @param {string} role - The user's role (missing roles count as member)
+ * @param {string} minRole - Lowest role allowed
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+  return (ROLE_RANK[role || USER_ROLES.MEMBER] ?? 0) >= ROLE_RANK[minRole];
+}
+
+/**
+ * Guard for privileged socket events
+ * Emits an error to the socket when the check fails, so handlers can just
+ * `if (!requireSocketRole(socket, USER_ROLES.MODERATOR)) return;`
+ * @returns {Object|null} - The socket's userInfo if allowed, otherwise null
+ */
+function requireSocketRole(socket, minRole) {
+  const userInfo = activeUsers.get(socket.id);
+
+  if (!userInfo) {
+    socket.emit('error', { message: 'Not authenticated' });
+    return null;
+  }
+  if (!hasRole(userInfo.role, minRole)) {
+    socket.emit('error', { message: 'Insufficient permissions' });
+    return null;
+  }
+  return userInfo;
+}
+
+/**
+ * Change a user's role and apply it to their live sockets
+ * @param {string} userId - User to update
+ * @param {string} role - New role (see USER_ROLES)
+ * @returns {Object|null} - { userId, username, role } or null if not found
+ */
+async function setUserRole(userId, role) {
+  const user = await db.collection('users').findOneAndUpdate(
+    { _id: new ObjectId(userId) },
+    { $set: { role, updatedAt: new Date() } },
+    { returnDocument: 'after', projection: { username: 1, role: 1 } }
+  );
+  if (!user) return null;
+
+  // Open sockets keep their userInfo, so update it in place
+  getUserSockets(userId).forEach(userSocket => {
+    activeUsers.get(userSocket.id).role = role;
+    if (!hasRole(role, USER_ROLES.MODERATOR)) {
+      userSocket.leave(MODERATORS_ROOM);
+    }
+    userSocket.emit('role-updated', { role });
+  });
+
+  return { userId, username: user.username, role };
+}
+
+/**
+ * Give the admin role to every account listed in ADMIN_EMAILS
+ * This is how the first admin is created; later roles are granted through
+ * the admin endpoint.
+ */
+async function ensureAdminRoles() {
+  if (!db || ADMIN_EMAILS.length === 0) return;
+
+  const result = await db.collection('users').updateMany(
+    { email: { $in: ADMIN_EMAILS }, role: { $ne: USER_ROLES.ADMIN } },
+    { $set: { role: USER_ROLES.ADMIN, updatedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Granted admin role to ${result.modifiedCount} account(s) from ADMIN_EMAILS`);
+  }
+}
+
+/**
+ * Roles Explanation:
+ * Every user has a role: member, moderator or admin. Higher roles include
+ * the lower ones. REST routes are protected with requireRole(minRole) and
+ * privileged socket events with requireSocketRole(socket, minRole).
+ * Admins grant roles through PUT /api/admin/users/:userId/role, and the
+ * accounts listed in ADMIN_EMAILS are promoted to admin at startup.
+ */
+
+// ============================================================================
+// MODERATION REPORTS
+// ============================================================================
+
+// How many messages of context are stored with a report
+const REPORT_CONTEXT_RADIUS = 5; // before and after a reported room message
+const REPORT_CONTEXT_LIMIT = 20; // most recent messages otherwise
+
+/**
+ * Look up a user's public identity for storing on a report
+ * @returns {Object|null} - { userId, username } or null if not found
+ */
+async function getUserIdentity(userId) {
+  if (!ObjectId.isValid(userId)) return null;
+  const user = await db.collection('users').findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { username: 1 } }
+  );
+  return user ? { userId: user._id.toString(), username: user.username } : null;
+}
+
+/**
+ * Collect the room messages around a reported message (or the latest ones)
+ */
+async function getRoomReportContext(room, messageId) {
+  const messages = db.collection('messages');
+  const projection = { _id: 0, id: 1, userId: 1, username: 1, message: 1, timestamp: 1 };
+
+  if (messageId) {
+    const reported = await messages.findOne({ room, id: messageId });
+    if (reported) {
+      const [before, after] = await Promise.all([
+        messages.find({ room, timestamp: { $lt: reported.timestamp } }, { projection })
+          .sort({ timestamp: -1 }).limit(REPORT_CONTEXT_RADIUS).toArray(),
+        messages.find({ room, timestamp: { $gt: reported.timestamp } }, { projection })
+          .sort({ timestamp: 1 }).limit(REPORT_CONTEXT_RADIUS).toArray()
+      ]);
+      const { _id, ...reportedMessage } = reported;
+      return [...before.reverse(), reportedMessage, ...after];
+    }
+  }
+
+  const latest = await messages.find({ room }, { projection })
+    .sort({ timestamp: -1 }).limit(REPORT_CONTEXT_LIMIT).toArray();
+  return latest.reverse();
+}
+
+/**
+ * Collect the most recent messages of an advice session
+ */
+async function getAdviceReportContext(sessionId) {
+  const latest = await db.collection('advice_messages')
+    .find({ sessionId }, { projection: { _id: 0, id: 1, userId: 1, username: 1, message: 1, timestamp: 1 } })
+    .sort({ timestamp: -1 })
+    .limit(REPORT_CONTEXT_LIMIT)
+    .toArray();
+  return latest.reverse();
+}
+
+/**
+ * Create a moderation report with message context
+ * A report comes either from a room (reportedUserId required, messageId
+ * optional) or from an advice session (the partner is the reported user).
+ * @param {Object} data - { reporterId, reportedUserId, reason, details, room, messageId, sessionId }
+ * @returns {Object} - { report } or { error, status }
+ */
+async function createReport({ reporterId, reportedUserId, reason, details, room, messageId, sessionId }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: 'Invalid report reason', status: 400 };
+  }
+  if (details && (typeof details !== 'string' || details.length > 1000)) {
+    return { error: 'Details cannot exceed 1000 characters', status: 400 };
+  }
+
+  let context = null;
+
+  if (sessionId) {
+    const session = await db.collection('advice_sessions').findOne({ sessionId });
+    if (!session || !session.participants.includes(reporterId)) {
+      return { error: 'Session not found', status: 404 };
+    }
+    reportedUserId = session.participants.find(id => id !== reporterId);
+    context = { type: 'advice', sessionId, messages: await getAdviceReportContext(sessionId) };
+  } else if (room) {
+    if (!canAccessRoom(room, reporterId)) {
+      return { error: 'Room not found', status: 404 };
+    }
+    context = { type: 'room', room, messageId: messageId || null, messages: await getRoomReportContext(room, messageId) };
+  }
+
+  if (reportedUserId === reporterId) {
+    return { error: 'You cannot report yourself', status: 400 };
+  }
+
+  const [reportedBy, reportedUser] = await Promise.all([
+    getUserIdentity(reporterId),
+    getUserIdentity(reportedUserId)
+  ]);
+  if (!reportedBy || !reportedUser) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  const report = await insertReport({
+    reportedBy,
+    reportedUser,
+    reason,
+    details: details ? details.trim() : null,
+    context
+  });
+  return { report };
+}
+
+/**
+ * Store a new open report and notify moderators who are watching the queue
+ * @param {Object} fields - { reportedBy, reportedUser, reason, details, context, ... }
+ * @returns {Object} - The stored report with its id
+ */
+async function insertReport(fields) {
+  const report = {
+    ...fields,
+    status: REPORT_STATUSES.OPEN,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    resolvedAt: null,
+    resolvedBy: null,
+    resolutionNote: null
+  };
+
+  // insertOne adds an _id to the object it is given, so insert a copy
+  const result = await db.collection('reports').insertOne({ ...report });
+  const created = { ...report, id: result.insertedId.toString() };
+
+  io.to(MODERATORS_ROOM).emit('report-created', created);
+  return created;
+}
+
+/**
+ * Moderation Reports Explanation:
+ * Reports are stored in `reports` with the reporter, the reported user, the
+ * reason and details, plus a snapshot of surrounding messages so moderators
+ * see what happened even if messages change later. Reports move from open
+ * to in_review and end as resolved or dismissed; moderators work the queue
+ * through the /api/moderation/reports routes and the /moderation page.
+ */
+
+// ============================================================================
+// SANCTIONS (MUTES, KICKS, BANS)
+// ============================================================================
+
+const SANCTION_SWEEP_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Whether a sanction is still in force
+ */
+function isSanctionActive(sanction, now = Date.now()) {
+  return !sanction.revokedAt && (!sanction.expiresAt || sanction.expiresAt.getTime() > now);
+}
+
+/**
+ * Load a user's active sanctions into the cache
+ * @param {string} userId - User ID
+ */
+async function loadUserSanctions(userId) {
+  const sanctions = await db.collection('sanctions')
+    .find({ userId, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+    .toArray();
+  userSanctions.set(userId, sanctions.map(({ _id, ...sanction }) => ({ ...sanction, id: _id.toString() })));
+}
+
+/**
+ * Find the sanction that stops a user from acting in a room
+ * Global sanctions (room: null) apply everywhere. When several match, the
+ * one that lasts longest wins so the user is told the real end time.
+ * @param {string} userId - User ID
+ * @param {Array} types - Sanction types that block the action
+ * @param {string|null} room - Room of the action, or null for non-room actions
+ * @returns {Object|null} - The sanction, or null if the user is free to act
+ */
+function getActiveSanction(userId, types, room = null) {
+  const matching = (userSanctions.get(userId) || []).filter(sanction =>
+    isSanctionActive(sanction) &&
+    types.includes(sanction.type) &&
+    (sanction.room === null || sanction.room === room)
+  );
+  if (matching.length === 0) return null;
+
+  return matching.reduce((longest, sanction) => {
+    if (!longest.expiresAt) return longest;
+    if (!sanction.expiresAt) return sanction;
+    return sanction.expiresAt > longest.expiresAt ? sanction : longest;
+  });
+}
+
+/**
+ * Socket payload explaining a sanction to the affected user
+ */
+function sanctionPayload(sanction) {
+  const action = {
+    [SANCTION_TYPES.MUTE]: 'muted',
+    [SANCTION_TYPES.KICK]: 'kicked from',
+    [SANCTION_TYPES.BAN]: 'banned from'
+  }[sanction.type];
+  const roomName = sanction.room && (roomCatalog.get(sanction.room)?.name || sanction.room);
+  const where = roomName || (sanction.type === SANCTION_TYPES.MUTE ? 'everywhere' : 'all rooms');
+  const target = sanction.type === SANCTION_TYPES.MUTE && sanction.room ? `in ${where}` : where;
+
+  return {
+    sanctionId: sanction.id,
+    type: sanction.type,
+    room: sanction.room,
+    reason: sanction.reason,
+    expiresAt: sanction.expiresAt ? sanction.expiresAt.getTime() : null,
+    message: `You are ${action} ${target}${sanction.expiresAt ? '' : ' permanently'}.`
+  };
+}
+
+/**
+ * Stop a socket action if the user is sanctioned, telling them why
+ * @returns {boolean} - True if the action is blocked
+ */
+function enforceSanction(socket, userId, types, room = null) {
+  // No cached entry means the sanctions aren't loaded, not that there are none
+  if (!userSanctions.has(userId)) {
+    socket.emit('error', { message: 'Your account is still loading, please try again' });
+    return true;
+  }
+
+  const sanction = getActiveSanction(userId, types, room);
+  if (!sanction) return false;
+
+  socket.emit('sanctioned', sanctionPayload(sanction));
+  return true;
+}
+
+/**
+ * Remove a user's live sockets from the rooms a kick or ban covers
+ * Global kicks and bans also take the user out of the advice queue.
+ */
+function removeFromSanctionedRooms(userId, room) {
+  getUserSockets(userId).forEach(userSocket => {
+    const rooms = room ? [room] : getActiveRoomSlugs();
+    rooms.forEach(roomName => {
+      if (!userSocket.rooms.has(roomName)) return;
+      removeRoomMember(userSocket, roomName);
+      userSocket.emit('room-left', { room: roomName });
+    });
+
+    if (!room) {
+      removeFromQueue(userSocket.id);
+    }
+  });
+}
+
+/**
+ * Mute, kick or ban a user
+ * @param {Object} data - { userId, type, room, durationMs, reason, issuedBy, reportId }
+ *   room null means global; durationMs null means permanent (kicks default
+ *   to DEFAULT_KICK_DURATION_MS)
+ * @returns {Object} - The stored sanction
+ */
+async function issueSanction({ userId, username, type, room = null, durationMs = null, reason = null, issuedBy, reportId = null }) {
+  if (type === SANCTION_TYPES.KICK && !durationMs) {
+    durationMs = DEFAULT_KICK_DURATION_MS;
+  }
+
+  const sanction = {
+    userId,
+    username,
+    type,
+    room,
+    reason,
+    issuedBy,
+    reportId,
+    createdAt: new Date(),
+    expiresAt: durationMs ? new Date(Date.now() + durationMs) : null,
+    revokedAt: null,
+    revokedBy: null
+  };
+
+  // insertOne adds an _id to the object it is given, so insert a copy
+  const result = await db.collection('sanctions').insertOne({ ...sanction });
+  const stored = { ...sanction, id: result.insertedId.toString() };
+
+  // Apply immediately to a connected user
+  if (userSanctions.has(userId)) {
+    userSanctions.get(userId).push(stored);
+  }
+  if (type !== SANCTION_TYPES.MUTE) {
+    removeFromSanctionedRooms(userId, room);
+  }
+  getUserSockets(userId).forEach(userSocket => userSocket.emit('sanctioned', sanctionPayload(stored)));
+
+  return stored;
+}
+
+/**
+ * Lift a sanction before it expires
+ * @param {string} sanctionId - Sanction ID
+ * @param {Object} revokedBy - { userId, username } of the moderator
+ * @returns {Object|null} - The updated sanction, or null if not found or already inactive
+ */
+async function revokeSanction(sanctionId, revokedBy) {
+  const updated = await db.collection('sanctions').findOneAndUpdate(
+    { _id: new ObjectId(sanctionId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } },
+    { returnDocument: 'after' }
+  );
+  if (!updated) return null;
+
+  const { _id, ...sanction } = updated;
+  const revoked = { ...sanction, id: _id.toString() };
+
+  const cached = userSanctions.get(revoked.userId);
+  if (cached) {
+    userSanctions.set(revoked.userId, cached.filter(entry => entry.id !== revoked.id));
+  }
+  getUserSockets(revoked.userId).forEach(userSocket => {
+    userSocket.emit('sanction-lifted', { sanctionId: revoked.id, type: revoked.type, room: revoked.room });
+  });
+
+  return revoked;
+}
+
+/**
+ * Drop expired sanctions from the cache and tell the affected users
+ */
+function sweepExpiredSanctions() {
+  const now = Date.now();
+  userSanctions.forEach((sanctions, userId) => {
+    const expired = sanctions.filter(sanction => !isSanctionActive(sanction, now));
+    if (expired.length === 0) return;
+
+    userSanctions.set(userId, sanctions.filter(sanction => isSanctionActive(sanction, now)));
+    getUserSockets(userId).forEach(userSocket => {
+      expired.forEach(sanction => {
+        userSocket.emit('sanction-lifted', { sanctionId: sanction.id, type: sanction.type, room: sanction.room });
+      });
+    });
+  });
+}
+
+setInterval(sweepExpiredSanctions, SANCTION_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Sanctions Explanation:
+ * Moderators can mute, kick or ban a user in one room or globally, for a
+ * set time or permanently. Sanctions are stored in `sanctions` and cached
+ * for connected users in userSanctions; join-room, room-message,
+ * react-to-message and join-advice-queue call enforceSanction() before
+ * acting (edits and advice messages check mutes). Expiry needs no
+ * database write: a sanction simply stops matching once expiresAt passes,
+ * and the sweep lets the user know with a 'sanction-lifted' event.
+ */
+
+// ============================================================================
+// MESSAGE FILTERING
+// ============================================================================
+
+// Filter scopes besides the room slugs
+const DEFAULT_FILTER_SCOPE = 'default';
+const ADVICE_FILTER_SCOPE = 'advice';
+
+// Shown as the reporter of reports filed by the filter
+const AUTO_FILTER_REPORTER = { userId: null, username: 'Auto-filter' };
+
+/**
+ * Load all stored filter settings into the cache
+ */
+async function loadFilterSettings() {
+  if (!db) return;
+
+  const stored = await db.collection('filter_settings').find({}).toArray();
+  filterSettings.clear();
+  stored.forEach(({ _id, scope, ...settings }) => filterSettings.set(scope, settings));
+}
+
+/**
+ * Store settings for one scope and update the cache
+ * @param {string} scope - DEFAULT_FILTER_SCOPE, ADVICE_FILTER_SCOPE or a room slug
+ * @param {Object} settings - { enabled, words, wordAction, spamAction }
+ * @param {Object} updatedBy - { userId, username } of the admin
+ */
+async function saveFilterSettings(scope, settings, updatedBy) {
+  const stored = { ...settings, updatedAt: new Date(), updatedBy };
+  await db.collection('filter_settings').updateOne(
+    { scope },
+    { $set: stored },
+    { upsert: true }
+  );
+  filterSettings.set(scope, stored);
+  return stored;
+}
+
+/**
+ * Filter a message for the given scope and remember it for spam checks
+ * @param {string} userId - Sender
+ * @param {string} text - Validated message text
+ * @param {string} scope - Room name or ADVICE_FILTER_SCOPE
+ * @returns {Object} - filterMessage() result: { action, text, words, spam }
+ */
+function runMessageFilter(userId, text, scope) {
+  const now = Date.now();
+  const history = (recentUserMessages.get(userId) || [])
+    .filter(entry => now - entry.timestamp <= SPAM_RULES.historyWindowMs);
+
+  const settings = resolveFilterSettings(filterSettings.get(DEFAULT_FILTER_SCOPE), filterSettings.get(scope));
+  const result = filterMessage(text, { settings, history, now });
+
+  // Rejected attempts count too, so retrying the same spam keeps failing
+  history.push({ text, timestamp: now });
+  recentUserMessages.set(userId, history);
+
+  return result;
+}
+
+/**
+ * Describe why the filter stopped a message
+ */
+function describeFilterResult(result) {
+  const parts = [];
+  if (result.words.length > 0) parts.push(`banned words (${result.words.join(', ')})`);
+  if (result.spam.length > 0) parts.push(`spam (${result.spam.join(', ')})`);
+  return parts.join(' and ');
+}
+
+/**
+ * Hold a flagged message and file it in the moderation queue
+ * @param {Object} messageData - The message as it would have been sent (original text)
+ * @param {Object} result - filterMessage() result
+ * @param {Object} context - { room } or { sessionId }
+ */
+async function flagFilteredMessage(messageData, result, { room = null, sessionId = null }) {
+  const surrounding = room
+    ? await getRoomReportContext(room)
+    : await getAdviceReportContext(sessionId);
+
+  // The held message was never saved, so append it to the context itself
+  const messages = [...surrounding.slice(-REPORT_CONTEXT_RADIUS), {
+    id: messageData.id,
+    userId: messageData.userId,
+    username: messageData.username,
+    message: messageData.message,
+    timestamp: messageData.timestamp
+  }];
+
+  await insertReport({
+    reportedBy: AUTO_FILTER_REPORTER,
+    reportedUser: { userId: messageData.userId, username: messageData.username },
+    reason: result.spam.length > 0 ? 'spam' : 'inappropriate_content',
+    details: `Held by the message filter: ${describeFilterResult(result)}`,
+    context: room
+      ? { type: 'room', room, messageId: messageData.id, messages }
+      : { type: 'advice', sessionId, messageId: messageData.id, messages },
+    heldMessage: messageData
+  });
+}
+
+/**
+ * Apply a filter result to an outgoing message
+ * Masked messages continue with the masked text. Blocked and flagged
+ * messages stop here and the sender is told why with 'message-filtered'.
+ * @returns {boolean} - True if the message may be delivered
+ */
+async function applyMessageFilter(socket, messageData, result, context) {
+  if (result.action === FILTER_ACTIONS.ALLOW || result.action === FILTER_ACTIONS.MASK) {
+    messageData.message = result.text;
+    return true;
+  }
+
+  if (result.action === FILTER_ACTIONS.FLAG) {
+    try {
+      await flagFilteredMessage(messageData, result, context);
+    } catch (error) {
+      console.error('Error flagging message:', error);
+    }
+  }
+
+  socket.emit('message-filtered', {
+    ...context,
+    action: result.action,
+    messageId: messageData.id,
+    message: result.action === FILTER_ACTIONS.FLAG
+      ? 'Your message was held for review by a moderator.'
+      : `Your message was not sent because it looks like ${result.spam.length > 0 ? 'spam' : 'it contains banned words'}.`
+  });
+  return false;
+}
+
+/**
+ * Message Filtering Explanation:
+ * room-message and advice-message run every message through
+ * runMessageFilter() (see server/messageFilter.js for the checks). Settings
+ * live in `filter_settings`, one document per scope: 'default' applies
+ * everywhere, and each room or 'advice' can add words and override the
+ * actions. Admins edit them through /api/admin/filters.
+ */
+
+// ============================================================================
+// PHOTO UPLOADS
+// ============================================================================
+
+// Where uploaded photos are stored; swap the backend here to move them off the local disk
+const photoStorage = createLocalDiskStorage({
+  directory: UPLOADS_DIR,
+  baseUrl: `${PUBLIC_URL}/uploads`
+});
+
+// Stored files never change (a new upload gets a new key), so they can be cached for good
+app.use('/uploads', express.static(photoStorage.directory, { maxAge: '365d', immutable: true }));
+
+/**
+ * Process an upload and store it with its thumbnail
+ * @param {string} userId - Uploader
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} purpose - 'chat' or 'profile' (see PHOTO_PURPOSES)
+ * @returns {Promise<Object>} - { photo } (the `photos` document) or { error }
+ */
+async function storePhoto(userId, buffer, purpose) {
+  const processed = await processPhoto(buffer, purpose);
+  if (processed.error) {
+    return { error: processed.error };
+  }
+
+  const id = `ph_${crypto.randomBytes(12).toString('hex')}`;
+  const keys = {
+    full: `photos/${id}.${processed.extension}`,
+    thumbnail: `photos/${id}_thumb.${processed.extension}`
+  };
+
+  try {
+    await Promise.all([
+      photoStorage.save(keys.full, processed.full.buffer, processed.contentType),
+      photoStorage.save(keys.thumbnail, processed.thumbnail.buffer, processed.contentType)
+    ]);
+  } catch (error) {
+    await removePhotoFiles(keys);
+    throw error;
+  }
+
+  const photo = {
+    id,
+    userId,
+    purpose,
+    keys,
+    contentType: processed.contentType,
+    width: processed.full.width,
+    height: processed.full.height,
+    size: processed.full.size,
+    createdAt: new Date()
+  };
+  try {
+    await db.collection('photos').insertOne(photo);
+  } catch (error) {
+    await removePhotoFiles(keys);
+    throw error;
+  }
+  return { photo };
+}
+
+/**
+ * Delete a photo's files; failures are logged, not thrown
+ */
+async function removePhotoFiles(keys) {
+  await Promise.all(Object.values(keys).map(key => photoStorage.remove(key).catch(error => {
+    console.error(`Error removing photo file ${key}:`, error);
+  })));
+}
+
+/**
+ * Delete a photo and its files
+ */
+async function deletePhoto(photo) {
+  await db.collection('photos').deleteOne({ id: photo.id });
+  await removePhotoFiles(photo.keys);
+}
+
+/**
+ * The attachment stored on a message
+ * Only storage keys are stored; URLs are made when the message is sent out
+ * (publicPhoto), so moving the storage or the server's address never breaks
+ * stored photos.
+ * @returns {Object} - { id, keys: { full, thumbnail }, width, height }
+ */
+function photoAttachment(photo) {
+  return {
+    id: photo.id,
+    keys: photo.keys,
+    width: photo.width,
+    height: photo.height
+  };
+}
+
+/**
+ * A stored attachment as clients see it
+ * @param {Object|null} attachment - photoAttachment() as stored on a message
+ * @returns {Object|null} - { id, url, thumbnailUrl, width, height }
+ */
+function publicPhoto(attachment) {
+  if (!attachment?.keys) return attachment || null;
+  return {
+    id: attachment.id,
+    url: photoStorage.url(attachment.keys.full),
+    thumbnailUrl: photoStorage.url(attachment.keys.thumbnail),
+    width: attachment.width,
+    height: attachment.height
+  };
+}
+
+/**
+ * A message with its photo (if any) resolved to URLs for clients
+ */
+function withPhotoUrls(message) {
+  return message.photo ? { ...message, photo: publicPhoto(message.photo) } : message;
+}
+
+/**
+ * Public URL of a user's profile picture, or null
+ * @param {Object} user - User document (needs profilePhotoKey)
+ */
+function profilePictureUrl(user) {
+  return user.profilePhotoKey ? photoStorage.url(user.profilePhotoKey) : null;
+}
+
+/**
+ * A chat photo the user uploaded, for attaching to their message
+ * @returns {Promise<Object|null>} - The `photos` document, or null if it
+ *   doesn't exist or belongs to someone else
+ */
+async function findChatPhoto(userId, photoId) {
+  if (!db || typeof photoId !== 'string') return null;
+  return db.collection('photos').findOne({ id: photoId, userId, purpose: 'chat' });
+}
+
+/**
+ * Photo Uploads Explanation:
+ * Photos are uploaded over REST first (POST /api/media/upload) and then
+ * attached to a chat message by id: room-message and advice-message take a
+ * `photoId` and store a structured `photo` ({ id, keys, width, height }) on
+ * the message. Only the uploader can attach their photo. Storage keys, not
+ * URLs, are what's kept in MongoDB (messages' photo.keys, users'
+ * profilePhotoKey); photoStorage.url() turns them into { url, thumbnailUrl }
+ * or profilePicture whenever they are sent to a client. Profile pictures go
+ * through the same pipeline with square sizes and replace the user's
+ * previous picture. server/photos.js does the image work and
+ * server/storage.js holds the files.
+ */
+
+// ============================================================================
+// ROOM GALLERY & ALBUMS
+// ============================================================================
+
+const DEFAULT_GALLERY_LIMIT = 30;
+const MAX_GALLERY_LIMIT = 60;
+
+// Album limits
+const MAX_ALBUM_TITLE_LENGTH = 60;
+const MAX_ALBUM_DESCRIPTION_LENGTH = 300;
+const MAX_ALBUM_PHOTOS = 200;
+const MAX_ALBUMS_PER_ROOM = 20; // per user
+
+/**
+ * A room's photos, newest first
+ * Only top-level messages are included: a photo's comments are its thread.
+ * @param {string} room - Room slug
+ * @param {Object} options - { limit, before, excludeUserIds, messageIds }
+ *   where before is a message ID to page from and messageIds limits the
+ *   gallery to one album's photos
+ * @returns {Object} - { messages, hasMore }
+ */
+async function getRoomGallery(room, { limit = DEFAULT_GALLERY_LIMIT, before = null, excludeUserIds = [], messageIds = null } = {}) {
+  const messagesCollection = db.collection('messages');
+  const query = { room, parentId: null, 'photo.id': { $exists: true } };
+
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
+  if (messageIds) {
+    query.id = { $in: messageIds };
+  }
+
+  if (before) {
+    const cursorMessage = await messagesCollection.findOne({ room, id: before });
+    if (!cursorMessage) {
+      return { messages: [], hasMore: false };
+    }
+    query.$or = [
+      { timestamp: { $lt: cursorMessage.timestamp } },
+      { timestamp: cursorMessage.timestamp, id: { $lt: cursorMessage.id } }
+    ];
+  }
+
+  const messages = await messagesCollection
+    .find(query, { projection: { _id: 0, revisions: 0 } })
+    .sort({ timestamp: -1, id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = messages.length > limit;
+  return { messages: messages.slice(0, limit), hasMore };
+}
+
+/**
+ * Check and normalize album fields
+ * @param {Object} input - { title, description }
+ * @param {Object} options - { partial } to allow leaving fields out (updates)
+ * @returns {Object} - { value } or { error }
+ */
+function validateAlbumFields(input, { partial = false } = {}) {
+  const value = {};
+
+  if (input.title !== undefined || !partial) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title || title.length > MAX_ALBUM_TITLE_LENGTH) {
+      return { error: `Title must be 1-${MAX_ALBUM_TITLE_LENGTH} characters` };
+    }
+    value.title = title;
+  }
+
+  if (input.description !== undefined || !partial) {
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > MAX_ALBUM_DESCRIPTION_LENGTH) {
+      return { error: `Description cannot exceed ${MAX_ALBUM_DESCRIPTION_LENGTH} characters` };
+    }
+    value.description = description;
+  }
+
+  return { value };
+}
+
+/**
+ * Album fields for clients
+ * @param {Object} album - Stored album
+ * @param {Object|null} cover - Photo attachment shown for the album
+ */
+function publicAlbum(album, cover = null) {
+  return {
+    id: album.id,
+    room: album.room,
+    title: album.title,
+    description: album.description,
+    owner: { userId: album.userId, username: album.username },
+    messageIds: album.messageIds,
+    photoCount: album.messageIds.length,
+    cover: publicPhoto(cover),
+    createdAt: album.createdAt,
+    updatedAt: album.updatedAt
+  };
+}
+
+/**
+ * A room's albums with their covers (the newest photo in each), most
+ * recently updated first
+ * @param {string} room - Room slug
+ * @param {Object} options - { excludeUserIds }
+ * @returns {Array} - publicAlbum() entries
+ */
+async function getRoomAlbums(room, { excludeUserIds = [] } = {}) {
+  const query = { room };
+  if (excludeUserIds.length > 0) {
+    query.userId = { $nin: excludeUserIds };
+  }
+
+  const albums = await db.collection('photo_albums')
+    .find(query, { projection: { _id: 0 } })
+    .sort({ updatedAt: -1 })
+    .toArray();
+
+  const coverIds = albums.map(album => album.messageIds[album.messageIds.length - 1]).filter(Boolean);
+  const covers = coverIds.length > 0
+    ? await db.collection('messages')
+      .find({ room, id: { $in: coverIds } }, { projection: { _id: 0, id: 1, photo: 1 } })
+      .toArray()
+    : [];
+  const coverById = new Map(covers.map(message => [message.id, message.photo]));
+
+  return albums.map(album => publicAlbum(album, coverById.get(album.messageIds[album.messageIds.length - 1]) || null));
+}
+
+/**
+ * An album the user owns, or an error for the response
+ * @returns {Object} - { album } or { status, error }
+ */
+async function findOwnAlbum(albumId, userId) {
+  const album = typeof albumId === 'string'
+    ? await db.collection('photo_albums').findOne({ id: albumId }, { projection: { _id: 0 } })
+    : null;
+  if (!album || !canAccessRoom(album.room, userId)) {
+    return { status: 404, error: 'Album not found' };
+  }
+  if (album.userId !== userId) {
+    return { status: 403, error: 'You can only change your own albums' };
+  }
+  return { album };
+}
+
+/**
+ * Room Gallery Explanation:
+ * Every photo posted in a room (see PHOTO UPLOADS) shows up in its gallery;
+ * the gallery is a query over `messages`, so deleting a message removes its
+ * photo everywhere. Users can group their own photos from a room into
+ * albums (`photo_albums`, holding message IDs). The lightbox shows the
+ * message text as the caption, and comments are the message's thread
+ * replies, so they also appear in the chat.
+ */
+
+// ============================================================================
+// SOCKET.IO CONNECTION HANDLING
+// ============================================================================
+
+/**
+ * Answer a sent room or advice message through its acknowledgement callback
+ * @param {Function} [ack] - Callback the client passed with the event, if any
+ * @param {Object} response - { ok: true, message } or { ok: false, error, ... }
+ */
+function acknowledgeSend(ack, response) {
+  if (typeof ack === 'function') ack(response);
+}
+
+/**
+ * Refuse a sent message: through the acknowledgement when the client asked
+ * for one, otherwise as an 'error' event
+ */
+function rejectSend(socket, ack, error) {
+  if (typeof ack === 'function') {
+    ack({ ok: false, error });
+  } else {
+    socket.emit('error', { message: error });
+  }
+}
+
+/**
+ * Socket.IO authentication middleware
+ * Verifies the JWT sent in the handshake (`auth.token`) and loads the user
+ * document. Connections without a valid token are rejected before the
+ * 'connection' event fires.
+ */
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  const decoded = verifyToken(token);
+  if (!decoded || !ObjectId.isValid(decoded.userId)) {
+    return next(new Error('Invalid or expired token'));
+  }
+
+  if (!db) {
+    return next(new Error('Service unavailable'));
+  }
+
+  try {
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(decoded.userId) },
+      { projection: { password: 0 } }
+    );
+
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    const userId = user._id.toString();
+    socket.data.user = user;
+    holdUserCaches(userId);
+    try {
+      await Promise.all([loadUserBlocks(userId), loadUserSanctions(userId)]);
+    } catch (error) {
+      releaseUserCaches(userId);
+      throw error;
+    }
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Authentication failed'));
+  }
+});
+
+io.on('connection', (socket) => {
+  console.log(`User connected: ${socket.id}`);
+
+  // ========================================================================
+  // USER AUTHENTICATION & PROFILE
+  // ========================================================================
+
+  const user = socket.data.user;
+  const userInfo = {
+    userId: user._id.toString(),
+    username: user.username,
+    level: user.level || EXPERIENCE_LEVELS.BEGINNER,
+    tankType: user.tankType || null,
+    tankSize: user.tankSize || null,
+    favoriteFish: user.favoriteFish || [],
+    favoritePlants: user.favoritePlants || [],
+    profilePicture: profilePictureUrl(user),
+    role: user.role || USER_ROLES.MEMBER,
+    socketId: socket.id,
+    connectedAt: Date.now()
+  };
+
+  activeUsers.set(socket.id, userInfo);
+  userSockets.set(userInfo.userId, socket.id);
+
+  socket.emit('authenticated', {
+    userId: userInfo.userId,
+    username: userInfo.username,
+    level: userInfo.level,
+    role: userInfo.role
+  });
+
+  console.log(`User authenticated: ${userInfo.username} (${userInfo.level})`);
+
+  /**
+   * Authentication Explanation:
+   * The handshake token has already been verified by the io.use() middleware
+   * above, which also loaded the user document from MongoDB. Identity comes
+   * only from that document, so clients cannot choose their own userId or
+   * username, and the userId stays the same across reconnects.
+   */
+
+  // ========================================================================
+  // GENERAL CHAT ROOMS
+  // ========================================================================
+
+  /**
+   * Join a general chat room
+   */
+  socket.on('join-room', async (data) => {
+    // Either the room name, or { room, lastMessageId } when rejoining after a reconnect
+    const { room: roomName, lastMessageId = null } = typeof data === 'string' ? { room: data } : (data || {});
+
+    // Validate room name
+    if (!validateRoomName(roomName)) {
+      socket.emit('error', { message: 'Invalid room name' });
+      return;
+    }
+
+    const userInfo = activeUsers.get(socket.id);
+    if (!canAccessRoom(roomName, userInfo?.userId)) {
+      socket.emit('room-access-denied', {
+        room: roomName,
+        message: 'This room is invite-only. Ask a member for an invite link.'
+      });
+      return;
+    }
+    if (userInfo && enforceSanction(socket, userInfo.userId, [SANCTION_TYPES.KICK, SANCTION_TYPES.BAN], roomName)) {
+      return;
+    }
+
+    // Track room membership and announce the user to the room
+    addRoomMember(socket, roomName);
+
+    // The client places its "new messages" divider after the read marker
+    let marker = null;
+    try {
+      marker = userInfo ? await getReadMarker(userInfo.userId, { room: roomName }) : null;
+    } catch (error) {
+      console.error('Error loading read marker:', error);
+    }
+
+    let pins = [];
+    let announcement = null;
+    let missed = null;
+    try {
+      const excludeUserIds = userInfo ? await getBlockedUserIds(userInfo.userId) : [];
+      [pins, announcement, missed] = await Promise.all([
+        getRoomPins(roomName, { excludeUserIds }),
+        getRoomAnnouncement(roomName),
+        lastMessageId && typeof lastMessageId === 'string' && db
+          ? getRoomMessagesSince(roomName, lastMessageId, { excludeUserIds })
+          : null
+      ]);
+    } catch (error) {
+      console.error('Error loading pins, announcement and missed messages:', error);
+    }
+
+    // The room's role for this user lets owners and co-moderators see their tools
+    const catalogRoom = roomCatalog.get(roomName);
+    socket.emit('room-joined', {
+      room: roomName,
+      editWindowMs: MESSAGE_EDIT_WINDOW_MS,
+      lastReadMessageId: marker?.lastReadMessageId || null,
+      lastReadAt: marker?.lastReadAt || null,
+      details: { ...publicRoom(catalogRoom), role: getRoomRole(catalogRoom, userInfo?.userId) },
+      pins: pins.map(message => summarizeReactions(message, userInfo?.userId)),
+      announcement,
+      // Only when rejoining; null means the client should reload the history
+      missed: missed && {
+        ...missed,
+        messages: missed.messages.map(message => summarizeReactions(message, userInfo?.userId))
+      }
+    });
+    socket.emit('room-roster', { room: roomName, members: userInfo ? getRoomRoster(roomName, userInfo.userId) : [] });
+
+    console.log(`User ${userInfo?.username || socket.id} joined room: ${roomName}`);
+  });
+
+  /**
+   * Leave a general chat room
+   */
+  socket.on('leave-room', (roomName) => {
+    removeRoomMember(socket, roomName);
+
+    socket.emit('room-left', { room: roomName });
+    console.log(`User ${socket.id} left room: ${roomName}`);
+  });
+
+  /**
+   * Send message to general chat room
+   */
+  socket.on('room-message', async (data, ack) => {
+    const { room, message, photoId = null, parentId, clientId = null } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      rejectSend(socket, ack, 'Not authenticated');
+      return;
+    }
+
+    // Validate room membership
+    if (!socket.rooms.has(room)) {
+      rejectSend(socket, ack, 'Not a member of this room');
+      return;
+    }
+
+    if (clientId !== null && !validateClientId(clientId)) {
+      rejectSend(socket, ack, 'Invalid message id');
+      return;
+    }
+
+    // A retry of a message that was already saved gets the stored copy back
+    if (clientId) {
+      try {
+        const sent = await findSentRoomMessage(userInfo.userId, clientId);
+        if (sent) {
+          acknowledgeSend(ack, { ok: true, message: summarizeReactions(sent, userInfo.userId) });
+          return;
+        }
+      } catch (error) {
+        console.error('Error checking for a resent message:', error);
+      }
+    }
+
+    if (enforceSanction(socket, userInfo.userId, Object.values(SANCTION_TYPES), room)) {
+      acknowledgeSend(ack, { ok: false, error: 'You are not allowed to send messages here right now', sanctioned: true });
+      return;
+    }
+
+    // Photos are uploaded first and attached by id
+    let photo = null;
+    if (photoId !== null) {
+      try {
+        photo = await findChatPhoto(userInfo.userId, photoId);
+      } catch (error) {
+        console.error('Error loading photo:', error);
+      }
+      if (!photo) {
+        rejectSend(socket, ack, 'Photo not found. Please upload it again.');
+        return;
+      }
+    }
+
+    const messageValidation = validateMessage(message, { allowEmpty: !!photo });
+    if (!messageValidation.valid) {
+      rejectSend(socket, ack, messageValidation.error);
+      return;
+    }
+
+    // Replies attach to the top-level message of their thread
+    let threadParent = null;
+    if (parentId !== undefined && parentId !== null) {
+      if (typeof parentId !== 'string' || !db) {
+        rejectSend(socket, ack, 'Replies are unavailable');
+        return;
+      }
+      try {
+        threadParent = await getThreadParent(room, parentId);
+      } catch (error) {
+        console.error('Error loading thread:', error);
+      }
+      if (!threadParent || threadParent.deletedAt) {
+        rejectSend(socket, ack, 'The message you replied to no longer exists');
+        return;
+      }
+    }
+
+    const messageData = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      room: room,
+      userId: userInfo.userId,
+      username: userInfo.username,
+      message: messageValidation.message,
+      photo: photo ? photoAttachment(photo) : null,
+      parentId: threadParent ? threadParent.id : null,
+      mentions: [],
+      // Lets the sender match the broadcast to the copy it shows while sending
+      clientId,
+      timestamp: Date.now(),
+      reactions: {} // For emoji reactions: { '👍': [userId1, userId2], '❤️': [userId3] }
+    };
+
+    const filterResult = runMessageFilter(userInfo.userId, messageData.message, room);
+    if (!(await applyMessageFilter(socket, messageData, filterResult, { room, parentId: messageData.parentId }))) {
+      acknowledgeSend(ack, { ok: false, error: 'Message was not sent', filtered: true });
+      return;
+    }
+
+    try {
+      messageData.mentions = await resolveMentions(messageData.message);
+      await saveMessageToDB(messageData);
+      if (threadParent) {
+        messageData.parentReplyCount = await recordThreadReply(room, threadParent.id, messageData.timestamp);
+      }
+    } catch (error) {
+      // A retry racing the original (e.g. a resend during a reconnect) lost
+      // to it on the { userId, clientId } index: ack with the stored copy
+      if (error.code === 11000 && clientId) {
+        const sent = await findSentRoomMessage(userInfo.userId, clientId).catch(() => null);
+        if (sent) {
+          acknowledgeSend(ack, { ok: true, message: summarizeReactions(sent, userInfo.userId) });
+          return;
+        }
+      }
+      console.error('Error saving room message:', error);
+      rejectSend(socket, ack, 'Message could not be saved');
+      return;
+    }
+
+    // Broadcast to all users in the room, except across a block
+    const outgoing = withPhotoUrls(messageData);
+    emitToRoomExceptBlocked(room, userInfo.userId, 'room-message', outgoing);
+    // Clients clear the sender's typing indicator when the message arrives
+    shouldBroadcastTyping(socket, room, false);
+    notifyMentions(messageData);
+    acknowledgeSend(ack, { ok: true, message: outgoing });
+
+    console.log(`Message sent to room ${room} by ${userInfo.username}`);
+  });
+
+  /**
+   * Move the user's read marker in a room or advice session
+   */
+  socket.on('mark-read', async (data) => {
+    const { room, sessionId, messageId } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo || !db || typeof messageId !== 'string') return;
+
+    const target = room ? { room } : { sessionId };
+    try {
+      if (!(await canReadTarget(userInfo.userId, target))) {
+        socket.emit('error', { message: 'Unauthorized' });
+        return;
+      }
+      const marker = await markMessageRead(userInfo.userId, target, messageId);
+      if (marker) {
+        broadcastReadMarker(userInfo.userId, marker);
+      }
+    } catch (error) {
+      console.error('Error saving read marker:', error);
+    }
+  });
+
+  /**
+   * Typing indicator for a room
+   */
+  socket.on('typing', (data) => {
+    const { room, isTyping } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo || !socket.rooms.has(room)) return;
+    // Muted users can't send, so they don't appear to be typing either
+    if (isTyping && getActiveSanction(userInfo.userId, Object.values(SANCTION_TYPES), room)) return;
+    if (!shouldBroadcastTyping(socket, room, !!isTyping)) return;
+
+    emitToRoomExceptBlocked(room, userInfo.userId, 'user-typing', {
+      room,
+      userId: userInfo.userId,
+      username: userInfo.username,
+      isTyping: !!isTyping
+    });
+  });
+
+  /**
+   * Toggle an emoji reaction on a room message
+   */
+  socket.on('react-to-message', async (data) => {
+    const { messageId, room, emoji } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo || !socket.rooms.has(room)) {
+      socket.emit('error', { message: 'Unauthorized' });
+      return;
+    }
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      socket.emit('error', { message: 'Unsupported reaction' });
+      return;
+    }
+
+    // Reactions are broadcast to the room, so any sanction there stops them
+    if (enforceSanction(socket, userInfo.userId, Object.values(SANCTION_TYPES), room)) {
+      return;
+    }
+
+    if (!db) {
+      socket.emit('error', { message: 'Reactions are unavailable' });
+      return;
+    }
+
+    let result;
+    try {
+      result = await toggleReaction(room, messageId, emoji, userInfo.userId);
+    } catch (error) {
+      console.error('Error saving reaction:', error);
+      socket.emit('error', { message: 'Reaction could not be saved' });
+      return;
+    }
+
+    if (!result) {
+      socket.emit('error', { message: 'Message not found' });
+      return;
+    }
+
+    // Counts go to the room so they stay accurate; only the sender's own
+    // view of "reacted by me" depends on userId. Members on either side of a
+    // block with the reactor don't get it.
+    emitToRoomExceptBlocked(room, userInfo.userId, 'message-reacted', {
+      messageId,
+      room,
+      emoji,
+      count: result.count,
+      added: result.added,
+      userId: userInfo.userId
+    });
+  });
+
+  /**
+   * General Chat Rooms Explanation:
+   * Users can join/leave multiple topic-based rooms and send messages.
+   * Messages are saved to MongoDB and then broadcast to all members of the
+   * room, so history survives restarts. Reactions toggle per user and are
+   * stored on the message; clients receive them as counts plus the emoji
+   * they reacted with. A message sent with a parentId is a thread reply: it
+   * goes out through the same room-message broadcast with the parent's new
+   * parentReplyCount, and is left out of the main room history. A photo
+   * is uploaded first (POST /api/media/upload) and attached by sending its
+   * `photoId`; the message carries it as `photo` (see PHOTO UPLOADS).
+   *
+   * A client rejoining after a reconnect sends { room, lastMessageId } and
+   * gets what it missed in room-joined's `missed` (up to MAX_REPLAY_MESSAGES,
+   * replies included). Edits, deletions and reactions to messages it already
+   * had are not replayed; they show up the next time history is loaded.
+   */
+
+  // ========================================================================
+  // ADVICE CHAT (1-on-1 Matching)
+  // ========================================================================
+
+  /**
+   * Join the advice chat queue
+   */
+  socket.on('join-advice-queue', (data) => {
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    // Muted or globally kicked/banned users can't start private chats
+    if (enforceSanction(socket, userInfo.userId, Object.values(SANCTION_TYPES))) {
+      return;
+    }
+
+    // Level comes from the user's profile, not from the client
+    const { level } = userInfo;
+    const { topic } = data || {};
+
+    // Validate level
+    if (!Object.values(EXPERIENCE_LEVELS).includes(level)) {
+      socket.emit('error', { message: 'Invalid experience level' });
+      return;
+    }
+
+    // Check if already in queue
+    removeFromQueue(socket.id);
+
+    // Add to appropriate queue
+    const queueEntry = {
+      socketId: socket.id,
+      userId: userInfo.userId,
+      username: userInfo.username,
+      level: level,
+      topic: topic || null,
+      joinedAt: Date.now()
+    };
+
+    adviceQueue.push(queueEntry);
+
+    socket.emit('queued', { level, topic, position: adviceQueue.length });
+
+    console.log(`User ${userInfo.username} joined advice queue as ${level}`);
+
+    // Try to find a match immediately
+    runMatching();
+  });
+
+  /**
+   * Leave the advice chat queue
+   */
+  socket.on('leave-advice-queue', () => {
+    removeFromQueue(socket.id);
+    socket.emit('queue-left');
+    console.log(`User ${socket.id} left advice queue`);
+  });
+
+  /**
+   * Send message in advice chat
+   */
+  socket.on('advice-message', async (data, ack) => {
+    const { sessionId, message, photoId = null, clientId = null } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      rejectSend(socket, ack, 'Not authenticated');
+      return;
+    }
+
+    const session = activeAdviceSessions.get(sessionId);
+
+    if (!session) {
+      rejectSend(socket, ack, 'Session not found');
+      return;
+    }
+
+    // Check if user is part of this session
+    if (session.user1.socketId !== socket.id && session.user2.socketId !== socket.id) {
+      rejectSend(socket, ack, 'Not authorized for this session');
+      return;
+    }
+
+    if (clientId !== null && !validateClientId(clientId)) {
+      rejectSend(socket, ack, 'Invalid message id');
+      return;
+    }
+
+    // A retry of a message that was already delivered gets the stored copy back
+    const sent = clientId && session.messages.find(m => m.userId === userInfo.userId && m.clientId === clientId);
+    if (sent) {
+      acknowledgeSend(ack, { ok: true, message: withPhotoUrls(sent) });
+      return;
+    }
+
+    if (session.ended) {
+      rejectSend(socket, ack, 'Session has ended');
+      return;
+    }
+
+    if (enforceSanction(socket, userInfo.userId, [SANCTION_TYPES.MUTE])) {
+      acknowledgeSend(ack, { ok: false, error: 'You are not allowed to send messages right now', sanctioned: true });
+      return;
+    }
+
+    let photo = null;
+    if (photoId !== null) {
+      try {
+        photo = await findChatPhoto(userInfo.userId, photoId);
+      } catch (error) {
+        console.error('Error loading photo:', error);
+      }
+      if (!photo) {
+        rejectSend(socket, ack, 'Photo not found. Please upload it again.');
+        return;
+      }
+    }
+
+    const messageValidation = validateMessage(message, { allowEmpty: !!photo });
+    if (!messageValidation.valid) {
+      rejectSend(socket, ack, messageValidation.error);
+      return;
+    }
+
+    const messageData = {
+      id: `advice_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sessionId: sessionId,
+      userId: userInfo.userId,
+      username: userInfo.username,
+      message: messageValidation.message,
+      photo: photo ? photoAttachment(photo) : null,
+      clientId,
+      timestamp: Date.now()
+    };
+
+    const filterResult = runMessageFilter(userInfo.userId, messageData.message, ADVICE_FILTER_SCOPE);
+    if (!(await applyMessageFilter(socket, messageData, filterResult, { sessionId }))) {
+      acknowledgeSend(ack, { ok: false, error: 'Message was not sent', filtered: true });
+      return;
+    }
+
+    try {
+      await saveAdviceMessageToDB(messageData);
+    } catch (error) {
+      console.error('Error saving advice message:', error);
+      rejectSend(socket, ack, 'Message could not be saved');
+      return;
+    }
+
+    // Store message in session
+    session.messages.push(messageData);
+
+    // Send to partner
+    const partnerSocketId = session.user1.socketId === socket.id 
+      ? session.user2.socketId 
+      : session.user1.socketId;
+
+    const outgoing = withPhotoUrls(messageData);
+    io.to(partnerSocketId).emit('advice-message', outgoing);
+    socket.emit('advice-message-sent', { messageId: messageData.id, clientId });
+    acknowledgeSend(ack, { ok: true, message: outgoing });
+
+    console.log(`Advice message sent in session ${sessionId}`);
+  });
+
+  /**
+   * End advice chat session
+   */
+  socket.on('end-advice-session', (data) => {
+    const { sessionId } = data;
+    const session = activeAdviceSessions.get(sessionId);
+
+    if (!session) {
+      socket.emit('error', { message: 'Session not found' });
+      return;
+    }
+
+    if (session.user1.socketId !== socket.id && session.user2.socketId !== socket.id) {
+      socket.emit('error', { message: 'Not authorized' });
+      return;
+    }
+
+    if (session.ended) {
+      return;
+    }
+
+    const endingUser = session.user1.socketId === socket.id ? session.user1 : session.user2;
+
+    session.ended = true;
+    session.endedAt = Date.now();
+    session.endedBy = endingUser.userId;
+    session.endReason = 'ended_by_user';
+
+    markAdviceSessionEnded(sessionId, session).catch(error => {
+      console.error('Error saving advice session end:', error);
+    });
+
+    // Notify both users
+    const partnerSocketId = session.user1.socketId === socket.id 
+      ? session.user2.socketId 
+      : session.user1.socketId;
+
+    io.to(partnerSocketId).emit('session-ended', { sessionId });
+    socket.emit('session-ended', { sessionId });
+
+    // Request feedback
+    io.to(partnerSocketId).emit('request-feedback', { sessionId });
+    socket.emit('request-feedback', { sessionId });
+
+    console.log(`Advice session ${sessionId} ended`);
+  });
+
+  /**
+   * Submit feedback for advice session
+   */
+  socket.on('submit-feedback', (data) => {
+    const { sessionId, rating, comment } = data;
+    const session = activeAdviceSessions.get(sessionId);
+
+    if (!session) {
+      socket.emit('error', { message: 'Session not found' });
+      return;
+    }
+
+    const userInfo = activeUsers.get(socket.id);
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    if (session.user1.userId !== userInfo.userId && session.user2.userId !== userInfo.userId) {
+      socket.emit('error', { message: 'Not authorized for this session' });
+      return;
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      socket.emit('error', { message: 'Rating must be between 1 and 5' });
+      return;
+    }
+
+    if (session.feedback[userInfo.userId]) {
+      socket.emit('error', { message: 'Feedback already submitted' });
+      return;
+    }
+
+    // Store feedback
+    session.feedback[userInfo.userId] = {
+      rating: rating, // 1-5 stars
+      comment: comment || null,
+      timestamp: Date.now()
+    };
+
+    // The rating is about the partner, and feeds into their future matches
+    const partnerUserId = session.user1.userId === userInfo.userId
+      ? session.user2.userId
+      : session.user1.userId;
+    recordAdviceRating(partnerUserId, rating);
+
+    // TODO: Update user reputation/badges based on feedback
+    saveFeedbackToDB(sessionId, {
+      fromUserId: userInfo.userId,
+      toUserId: partnerUserId,
+      rating: rating,
+      comment: comment || null,
+      timestamp: new Date()
+    }).catch(error => {
+      console.error('Error saving feedback:', error);
+    });
+
+    socket.emit('feedback-submitted', { sessionId });
+
+    console.log(`Feedback submitted for session ${sessionId} by ${userInfo.username}`);
+  });
+
+  /**
+   * Advice Chat Explanation:
+   * Users join a single queue. The matching engine scores every waiting pair
+   * and starts sessions for the best ones. Once matched, users
+   * communicate in a private session. Sessions can be ended, and feedback
+   * is collected afterward. Sessions, messages, end reasons and feedback are
+   * persisted so users can reread past sessions.
+   */
+
+  // ========================================================================
+  // MESSAGE EDITING & DELETION
+  // ========================================================================
+
+  /**
+   * Work out where an edit or delete applies and who should hear about it
+   * In rooms, members on either side of a block with the message's author
+   * are skipped, as for the message itself.
+   * @returns {Object|null} - { target, notify(event, payload, authorId) } or
+   *   null after emitting an error
+   */
+  const resolveMessageTarget = (data) => {
+    const { room, sessionId } = data || {};
+
+    if (room) {
+      if (!socket.rooms.has(room)) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return null;
+      }
+      return {
+        target: { room },
+        notify: (event, payload, authorId) => emitToRoomExceptBlocked(room, authorId, event, { ...payload, room })
+      };
+    }
+
+    const session = activeAdviceSessions.get(sessionId);
+    if (!session || (session.user1.socketId !== socket.id && session.user2.socketId !== socket.id)) {
+      socket.emit('error', { message: 'Session not found' });
+      return null;
+    }
+    if (session.ended) {
+      socket.emit('error', { message: 'Session has ended' });
+      return null;
+    }
+    return {
+      target: { sessionId },
+      session,
+      notify: (event, payload) => {
+        io.to(session.user1.socketId).to(session.user2.socketId).emit(event, { ...payload, sessionId });
+      }
+    };
+  };
+
+  /**
+   * Edit one of your own messages
+   */
+  socket.on('edit-message', async (data) => {
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    if (!db) {
+      socket.emit('error', { message: 'Editing is unavailable' });
+      return;
+    }
+
+    const resolved = resolveMessageTarget(data);
+    if (!resolved) return;
+    const { target, session, notify } = resolved;
+
+    // A mute covers edits too, otherwise it could be sidestepped
+    if (enforceSanction(socket, userInfo.userId, [SANCTION_TYPES.MUTE], target.room || null)) {
+      return;
+    }
+
+    const messageValidation = validateMessage(data.message);
+    if (!messageValidation.valid) {
+      socket.emit('error', { message: messageValidation.error });
+      return;
+    }
+
+    try {
+      // Only filter edits that could be saved, so failed attempts don't
+      // reach the moderation queue or the spam counters
+      const editable = await findEditableMessage(target, data.messageId, userInfo.userId);
+      if (editable.error) {
+        socket.emit('error', { message: editable.error });
+        return;
+      }
+
+      const edited = {
+        id: data.messageId,
+        ...target,
+        userId: userInfo.userId,
+        username: userInfo.username,
+        message: messageValidation.message,
+        timestamp: Date.now()
+      };
+      const filterResult = runMessageFilter(userInfo.userId, edited.message, target.room || ADVICE_FILTER_SCOPE);
+      if (!(await applyMessageFilter(socket, edited, filterResult, target))) {
+        return;
+      }
+
+      const result = await editStoredMessage(target, editable.message, edited.message);
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      const inMemory = session?.messages.find(message => message.id === data.messageId);
+      if (inMemory) {
+        inMemory.message = result.message.message;
+        inMemory.editedAt = result.message.editedAt;
+      }
+
+      notify('message-edited', {
+        messageId: data.messageId,
+        message: result.message.message,
+        editedAt: result.message.editedAt
+      }, result.message.userId);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      socket.emit('error', { message: 'Message could not be edited' });
+    }
+  });
+
+  /**
+   * Delete one of your own messages, or any room message as a moderator
+   */
+  socket.on('delete-message', async (data) => {
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    if (!db) {
+      socket.emit('error', { message: 'Deleting is unavailable' });
+      return;
+    }
+
+    const resolved = resolveMessageTarget(data);
+    if (!resolved) return;
+    const { target, session, notify } = resolved;
+
+    // Moderators never take part in advice sessions, so this only matters in rooms
+    const asModerator = !!target.room && canModerateRoom(target.room, userInfo.userId, userInfo.role);
+
+    try {
+      const result = await deleteStoredMessage(
+        target,
+        data.messageId,
+        { userId: userInfo.userId, username: userInfo.username },
+        asModerator
+      );
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      const inMemory = session?.messages.find(message => message.id === data.messageId);
+      if (inMemory) {
+        Object.assign(inMemory, { message: '', photo: null, deletedAt: result.message.deletedAt });
+      }
+
+      notify('message-deleted', {
+        messageId: data.messageId,
+        deletedAt: result.message.deletedAt,
+        byModerator: result.message.deletedBy.moderator
+      }, result.message.userId);
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      socket.emit('error', { message: 'Message could not be deleted' });
+    }
+  });
+
+  /**
+   * Message Editing Explanation:
+   * Authors can edit a room or advice message within MESSAGE_EDIT_WINDOW_MS
+   * (MESSAGE_EDIT_WINDOW_MINUTES in the environment) and delete it at any
+   * time; moderators can delete any room message. Edits go through the
+   * message filter again. Every earlier version is kept in the message's
+   * `revisions`, which are never sent to clients. Deleted messages become
+   * tombstones: empty, marked with deletedAt, but still in the history.
+   */
+
+  // ========================================================================
+  // MODERATION FEATURES (Placeholders)
+  // ========================================================================
+
+  /**
+   * Block a user
+   */
+  socket.on('block-user', async (data) => {
+    const { userId } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    if (!ObjectId.isValid(userId) || userId === userInfo.userId) {
+      socket.emit('error', { message: 'Invalid user' });
+      return;
+    }
+
+    try {
+      await blockUser(userInfo.userId, userId);
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      socket.emit('error', { message: 'Could not block user' });
+      return;
+    }
+
+    socket.emit('user-blocked', { userId });
+    console.log(`User ${userInfo.username} blocked user ${userId}`);
+  });
+
+  /**
+   * Report a user
+   */
+  socket.on('report-user', async (data) => {
+    const { userId, reason, details, room, messageId, sessionId } = data || {};
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const result = await createReport({
+        reporterId: userInfo.userId,
+        reportedUserId: userId,
+        reason,
+        details,
+        room,
+        messageId,
+        sessionId
+      });
+
+      if (result.error) {
+        socket.emit('error', { message: result.error });
+        return;
+      }
+
+      socket.emit('user-reported', { userId: result.report.reportedUser.userId, reportId: result.report.id });
+      console.log(`User ${userInfo.username} reported user ${result.report.reportedUser.username}`);
+    } catch (error) {
+      console.error('Error creating report:', error);
+      socket.emit('error', { message: 'Could not submit report' });
+    }
+  });
+
+  /**
+   * Subscribe to live moderation events (moderators only)
+   */
+  socket.on('join-moderation', () => {
+    if (!requireSocketRole(socket, USER_ROLES.MODERATOR)) return;
+    socket.join(MODERATORS_ROOM);
+  });
+
+  /**
+   * Moderation Explanation:
+   * Blocking and reporting are persisted (see USER BLOCKING and MODERATION
+   * REPORTS above; REST routes live under /api/moderation). Reports capture
+   * message context and wait in the moderator queue.
+   */
+
+  // ========================================================================
+  // USER PROFILES & GAMIFICATION (Placeholders)
+  // ========================================================================
+
+  /**
+   * Get user profile
+   * TODO: Fetch from database
+   */
+  socket.on('get-profile', (data) => {
+    const { userId } = data;
+    const userInfo = activeUsers.get(socket.id);
+
+    if (!userInfo) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    if (isBlockedBetween(userInfo.userId, userId)) {
+      socket.emit('error', { message: 'Profile not available' });
+      return;
+    }
+
+    // TODO: Fetch full profile from database including:
+    // - Badges earned
+    // - Total messages sent
+    // - Feedback ratings received
+    // - Level progression
+    // - Leaderboard position
+
+    const profile = {
+      userId: userId,
+      username: userInfo.username,
+      level: userInfo.level,
       tankType: userInfo.tankType,
       tankSize: userInfo.tankSize,
       favoriteFish: userInfo.favoriteFish,
@@ -808,310 +3942,2238 @@ io.on('connection', (socket) => {
       }
     };
 
-    socket.emit('profile', profile);
-  });
+    socket.emit('profile', profile);
+  });
+
+  /**
+   * Get leaderboard
+   * TODO: Fetch from database, calculate rankings
+   */
+  socket.on('get-leaderboard', (data) => {
+    const { type } = data; // 'messages', 'sessions', 'rating', etc.
+
+    // TODO: Fetch leaderboard from database
+    // const leaderboard = await getLeaderboard(type);
+
+    const leaderboard = []; // Placeholder
+
+    socket.emit('leaderboard', {
+      type: type,
+      rankings: leaderboard
+    });
+  });
+
+  /**
+   * User Profiles & Gamification Explanation:
+   * Placeholders for user profiles, badges, and leaderboards. These would
+   * query MongoDB to get user statistics, earned badges, and rankings.
+   * Badges could be awarded for milestones like "100 messages sent" or
+   * "Helped 10 beginners".
+   */
+
+  // ========================================================================
+  // DISCONNECTION HANDLING
+  // ========================================================================
+
+  socket.on('disconnect', () => {
+    const userInfo = activeUsers.get(socket.id);
+
+    // Remove from advice queue
+    removeFromQueue(socket.id);
+
+    // Leave all rooms
+    roomMembers.forEach((members, roomName) => {
+      removeRoomMember(socket, roomName);
+    });
+
+    // Handle active advice sessions
+    activeAdviceSessions.forEach((session, sessionId) => {
+      if (session.user1.socketId === socket.id || session.user2.socketId === socket.id) {
+        // Notify partner
+        const partnerSocketId = session.user1.socketId === socket.id 
+          ? session.user2.socketId 
+          : session.user1.socketId;
+
+        if (!session.ended) {
+          session.ended = true;
+          session.endedAt = Date.now();
+          session.endedBy = userInfo?.userId || null;
+          session.endReason = 'disconnected';
+          markAdviceSessionEnded(sessionId, session).catch(error => {
+            console.error('Error saving advice session end:', error);
+          });
+          io.to(partnerSocketId).emit('partner-disconnected', { sessionId });
+        }
+      }
+    });
+
+    // Clean up user data
+    if (userInfo) {
+      // A newer connection for the same user may already own the mapping
+      if (userSockets.get(userInfo.userId) === socket.id) {
+        userSockets.delete(userInfo.userId);
+      }
+      activeUsers.delete(socket.id);
+      releaseUserCaches(userInfo.userId);
+      console.log(`User disconnected: ${userInfo.username}`);
+    } else {
+      console.log(`User disconnected: ${socket.id}`);
+    }
+  });
+
+  /**
+   * Disconnection Explanation:
+   * When a user disconnects, we clean up their data:
+   * - Remove from advice queue
+   * - Remove from all chat rooms
+   * - End active advice sessions and notify partners
+   * - Clean up user tracking data; cached blocks and sanctions go once the
+   *   user's last socket (counting ones still in the handshake) is gone
+   */
+});
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+const authRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 requests per minute
+  message: 'Too many authentication attempts, please try again later.'
+});
+
+const refreshRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 requests per minute
+  message: 'Too many token refresh attempts, please try again later.'
+});
+
+const aiRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 5, // 5 requests per minute
+  message: 'Too many AI requests, please try again later.'
+});
+
+const uploadRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 uploads per minute
+  message: 'Too many uploads, please try again later.'
+});
+
+// ============================================================================
+// INPUT VALIDATION UTILITIES
+// ============================================================================
+
+function sanitizeUsername(username) {
+  if (!username || typeof username !== 'string') return null;
+  return username.trim().substring(0, 30);
+}
+
+/**
+ * Check message text
+ * @param {string} message - Text as sent
+ * @param {Object} options - { allowEmpty } for messages that carry a photo
+ * @returns {Object} - { valid: true, message } with the trimmed text, or { valid: false, error }
+ */
+function validateMessage(message, { allowEmpty = false } = {}) {
+  if (allowEmpty && (message === undefined || message === null)) {
+    return { valid: true, message: '' };
+  }
+  if ((!message && !allowEmpty) || typeof message !== 'string') {
+    return { valid: false, error: 'Message must be a string' };
+  }
+  const trimmed = message.trim();
+  if (trimmed.length === 0 && !allowEmpty) {
+    return { valid: false, error: 'Message cannot be empty' };
+  }
+  if (trimmed.length > 2000) {
+    return { valid: false, error: 'Message cannot exceed 2000 characters' };
+  }
+  return { valid: true, message: trimmed };
+}
+
+/**
+ * Escape user input for use inside a MongoDB $regex
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Client-generated message ids: letters, digits, "_" and "-", up to 64 characters
+ */
+function validateClientId(clientId) {
+  return typeof clientId === 'string' && /^[\w-]{1,64}$/.test(clientId);
+}
+
+/**
+ * Room slugs that are in the catalog and not archived
+ */
+function validateRoomName(roomName) {
+  const room = roomCatalog.get(roomName);
+  return !!room && !room.archivedAt;
+}
+
+function validateExperienceLevel(level) {
+  return Object.values(EXPERIENCE_LEVELS).includes(level);
+}
+
+function validateEnvironment(env) {
+  return !env || ['saltwater', 'freshwater'].includes(env);
+}
+
+// ============================================================================
+// JWT AUTHENTICATION UTILITIES
+// ============================================================================
+
+// Access tokens are short-lived; refresh tokens are rotated on every use
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function generateToken(userId) {
+  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+}
+
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+// JWT middleware for Express routes
+function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    // Expired tokens get a distinct code so the client knows to refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  req.userId = decoded.userId;
+  next();
+}
+
+/**
+ * Role check middleware for Express routes (use after authenticateToken)
+ * The role is read from the database on every request so a revoked role
+ * takes effect immediately rather than when the access token expires.
+ * @param {string} minRole - Lowest role allowed (see USER_ROLES)
+ * @returns {Function} - Express middleware that sets req.userRole
+ */
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const user = ObjectId.isValid(req.userId)
+        ? await db.collection('users').findOne({ _id: new ObjectId(req.userId) }, { projection: { role: 1 } })
+        : null;
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const role = user.role || USER_ROLES.MEMBER;
+      if (!hasRole(role, minRole)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      req.userRole = role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Room moderation middleware (use after authenticateToken)
+ * Lets a room's owner and co-moderators through for their own room (the
+ * :roomName param or ?room=), and otherwise requires the site moderator role.
+ */
+function requireRoomModerator(req, res, next) {
+  const room = req.params.roomName || (typeof req.query.room === 'string' ? req.query.room : null);
+  const roomRole = room ? getRoomRole(roomCatalog.get(room), req.userId) : null;
+  if (roomRole === ROOM_ROLES.OWNER || roomRole === ROOM_ROLES.MODERATOR) {
+    return next();
+  }
+  return requireRole(USER_ROLES.MODERATOR)(req, res, next);
+}
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new refresh token and store its hash
+ * @param {string} userId - Owner of the token
+ * @param {string} familyId - Rotation chain the token belongs to (one per login)
+ * @returns {string} - The raw refresh token (only ever sent to the client)
+ */
+async function issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  await db.collection('refresh_tokens').insertOne({
+    tokenHash: hashRefreshToken(refreshToken),
+    userId,
+    familyId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null
+  });
+
+  return refreshToken;
+}
+
+/**
+ * Issue an access token and a refresh token for a fresh login
+ * @param {string} userId - Authenticated user ID
+ * @returns {Object} - { token, refreshToken, expiresIn }
+ */
+async function issueAuthTokens(userId) {
+  return {
+    token: generateToken(userId),
+    refreshToken: await issueRefreshToken(userId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is revoked. Presenting an already-revoked token means
+ * it was stolen or replayed, so the whole family is revoked.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Object|null} - { userId, token, refreshToken, expiresIn } or null if rejected
+ */
+async function rotateRefreshToken(refreshToken) {
+  const refreshTokens = db.collection('refresh_tokens');
+  const stored = await refreshTokens.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (stored.revokedAt) {
+    await refreshTokens.updateMany(
+      { familyId: stored.familyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    console.warn(`Refresh token reuse detected for user ${stored.userId}, session revoked`);
+    return null;
+  }
+
+  // Revoke atomically so two concurrent refreshes can't both succeed
+  const revoked = await refreshTokens.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (revoked.modifiedCount === 0) {
+    return null;
+  }
+
+  return {
+    userId: stored.userId,
+    token: generateToken(stored.userId),
+    refreshToken: await issueRefreshToken(stored.userId, stored.familyId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Revoke every token in the family of the given refresh token
+ * @param {string} refreshToken - Raw refresh token from the client
+ */
+async function revokeRefreshToken(refreshToken) {
+  const refreshTokens = db.collection('refresh_tokens');
+  const stored = await refreshTokens.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+  if (!stored) return;
+
+  await refreshTokens.updateMany(
+    { familyId: stored.familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * Refresh Tokens Explanation:
+ * Access tokens (JWT) expire after 15 minutes. Each login also gets an opaque
+ * refresh token, stored only as a SHA-256 hash in `refresh_tokens`. Every
+ * refresh revokes the presented token and issues a new one in the same family,
+ * so a leaked token is only useful until its next use. Logout revokes the
+ * family, and a TTL index removes expired rows.
+ */
+
+// ============================================================================
+// EXPRESS ROUTES
+// ============================================================================
+
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Lets Talk Aquariums API',
+    version: '1.0.0',
+    endpoints: {
+      rooms: '/api/rooms',
+      categories: '/api/categories',
+      stats: '/api/stats',
+      auth: '/api/auth/register, /api/auth/login, /api/auth/refresh, /api/auth/logout, /api/auth/me'
+    }
+  });
+});
+
+/**
+ * Active community rooms in display order, and the advice chat topics
+ * GET /api/rooms
+ *
+ * Returns { rooms: [{ slug, name, description, image, environment, categories }], adviceTopics }
+ */
+app.get('/api/rooms', (req, res) => {
+  res.json({
+    rooms: getListedRooms().map(publicRoom),
+    adviceTopics: ADVICE_TOPICS
+  });
+});
+
+/**
+ * The category taxonomy the category selector is built from
+ * GET /api/categories
+ *
+ * Returns { categories: { [main]: { name, image, subcategories: { [sub]: { name, image, items: [{ name, image }] } } } } }
+ */
+app.get('/api/categories', (req, res) => {
+  res.json({ categories: CATEGORIES });
+});
+
+/**
+ * Open the room for a node of the category taxonomy, creating it if needed
+ * POST /api/rooms/category { main, sub?, item? }
+ *
+ * main is 'saltwater' or 'freshwater', sub a subcategory key and item an
+ * item name, as served by GET /api/categories. Returns { room } with its breadcrumb.
+ */
+app.post('/api/rooms/category', authenticateToken, async (req, res) => {
+  try {
+    const { main, sub = null, item = null } = req.body || {};
+    const { room: resolved, error } = resolveCategoryRoom({ main, sub, item });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const room = await openCategoryRoom(resolved);
+    if (room.archivedAt) {
+      return res.status(403).json({ error: 'This room has been archived' });
+    }
+
+    res.json({ room: publicRoom(room) });
+  } catch (error) {
+    console.error('Open category room error:', error);
+    res.status(500).json({ error: 'Failed to open room' });
+  }
+});
+
+app.get('/api/stats', (req, res) => {
+  res.json({
+    activeUsers: activeUsers.size,
+    activeSessions: activeAdviceSessions.size,
+    queueSizes: {
+      beginner: adviceQueue.filter(entry => entry.level === EXPERIENCE_LEVELS.BEGINNER).length,
+      intermediate: adviceQueue.filter(entry => entry.level === EXPERIENCE_LEVELS.INTERMEDIATE).length,
+      advanced: adviceQueue.filter(entry => entry.level === EXPERIENCE_LEVELS.ADVANCED).length
+    }
+  });
+});
+
+// ============================================================================
+// AUTHENTICATION ENDPOINTS
+// ============================================================================
+
+app.post('/api/auth/register', authRateLimit, async (req, res) => {
+  try {
+    const { email, password, username, level, tankType } = req.body;
+
+    // Validation
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'Valid email is required' });
+    }
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    const sanitizedUsername = sanitizeUsername(username);
+    if (!sanitizedUsername || sanitizedUsername.length < 3) {
+      return res.status(400).json({ error: 'Username must be 3-30 characters' });
+    }
+    if (level && !validateExperienceLevel(level)) {
+      return res.status(400).json({ error: 'Invalid experience level' });
+    }
+
+    const usersCollection = db.collection('users');
+
+    // Check if user exists
+    const existingUser = await usersCollection.findOne({
+      $or: [{ email: email.toLowerCase() }, { username: sanitizedUsername }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email or username already exists' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create user
+    const userDoc = {
+      email: email.toLowerCase(),
+      password: hashedPassword,
+      username: sanitizedUsername,
+      level: level || EXPERIENCE_LEVELS.BEGINNER,
+      tankType: tankType || null,
+      role: ADMIN_EMAILS.includes(email.toLowerCase()) ? USER_ROLES.ADMIN : USER_ROLES.MEMBER,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await usersCollection.insertOne(userDoc);
+    const userId = result.insertedId.toString();
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(userId);
+
+    // Return user (without password)
+    const { password: _, ...userWithoutPassword } = userDoc;
+    res.json({
+      user: { ...userWithoutPassword, id: userId, _id: userId },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', authRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const usersCollection = db.collection('users');
+    const user = await usersCollection.findOne({ email: email.toLowerCase() });
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    if (!passwordMatch) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user._id.toString());
+
+    // Return user (without password)
+    const { password: _, ...userWithoutPassword } = user;
+    res.json({
+      user: { ...userWithoutPassword, profilePicture: profilePictureUrl(user), id: user._id.toString(), _id: user._id.toString() },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.userId)) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(req.userId) },
+      { projection: { password: 0 } }
+    );
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user: { ...user, profilePicture: profilePictureUrl(user), id: user._id.toString(), _id: user._id.toString() }
+    });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+});
+
+app.post('/api/auth/refresh', refreshRateLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { userId, ...tokens } = rotated;
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// ============================================================================
+// CHAT HISTORY ENDPOINTS
+// ============================================================================
+
+/**
+ * Room history endpoint
+ * GET /api/chat/rooms/:roomName/messages?limit=50&before=<messageId>
+ * GET /api/chat/rooms/:roomName/messages?limit=50&around=<messageId>
+ *
+ * Returns { messages, hasMore } with messages ordered newest first. With
+ * around, the page is centered on that message (or its thread's top-level
+ * message) and also has hasNewer and anchorId.
+ */
+app.get('/api/chat/rooms/:roomName/messages', authenticateToken, async (req, res) => {
+  try {
+    const { roomName } = req.params;
+
+    if (!canAccessRoom(roomName, req.userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requestedLimit)
+      ? DEFAULT_HISTORY_LIMIT
+      : Math.min(Math.max(requestedLimit, 1), MAX_HISTORY_LIMIT);
+    const before = typeof req.query.before === 'string' && req.query.before ? req.query.before : null;
+    const around = typeof req.query.around === 'string' && req.query.around ? req.query.around : null;
+
+    const excludeUserIds = await getBlockedUserIds(req.userId);
+    const history = around
+      ? await getRoomMessagesAround(roomName, around, { limit, excludeUserIds })
+      : await getRoomMessages(roomName, { limit, before, excludeUserIds });
+    if (!history) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({
+      ...history,
+      messages: history.messages.map(message => summarizeReactions(message, req.userId))
+    });
+  } catch (error) {
+    console.error('Room history error:', error);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+/**
+ * Parse a search date filter
+ * Plain dates (YYYY-MM-DD) cover the whole day: from starts at midnight UTC
+ * and to runs until the end of that day.
+ * @returns {number|null|undefined} - Timestamp in ms, null if not given,
+ *   undefined if invalid
+ */
+function parseSearchDate(value, endOfDay = false) {
+  if (value === undefined || value === '') return null;
+  if (typeof value !== 'string') return undefined;
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return undefined;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Message search endpoint
+ * GET /api/chat/search?q=&room=&author=&from=&to=&hasPhoto=true&limit=20&offset=0
+ *
+ * Searches persisted room messages (thread replies included). Every filter
+ * is optional. Returns { results, hasMore }
+ */
+app.get('/api/chat/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, room, author, hasPhoto } = req.query;
+
+    if (room !== undefined && room !== '' && !canAccessRoom(room, req.userId)) {
+      return res.status(400).json({ error: 'Invalid room' });
+    }
+
+    const from = parseSearchDate(req.query.from);
+    const to = parseSearchDate(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'Dates must look like YYYY-MM-DD' });
+    }
+    if (from !== null && to !== null && from > to) {
+      return res.status(400).json({ error: 'The start date must be before the end date' });
+    }
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requestedLimit)
+      ? DEFAULT_SEARCH_LIMIT
+      : Math.min(Math.max(requestedLimit, 1), MAX_SEARCH_LIMIT);
+    const requestedOffset = parseInt(req.query.offset, 10);
+    const offset = Number.isNaN(requestedOffset) ? 0 : Math.max(requestedOffset, 0);
+
+    const filters = {
+      text: typeof q === 'string' ? q.trim().substring(0, 200) : '',
+      room: room || null,
+      author: typeof author === 'string' ? author.trim().replace(/^@/, '').substring(0, 30) : '',
+      from,
+      to,
+      hasPhoto: hasPhoto === 'true'
+    };
+
+    const excludeUserIds = await getBlockedUserIds(req.userId);
+    res.json(await searchRoomMessages(filters, { userId: req.userId, limit, offset, excludeUserIds }));
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+/**
+ * Thread endpoint
+ * GET /api/chat/rooms/:roomName/messages/:messageId/thread?limit=50&after=<replyId>
+ *
+ * Returns { parent, replies, hasMore } with replies ordered oldest first
+ */
+app.get('/api/chat/rooms/:roomName/messages/:messageId/thread', authenticateToken, async (req, res) => {
+  try {
+    const { roomName, messageId } = req.params;
+
+    if (!canAccessRoom(roomName, req.userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requestedLimit)
+      ? DEFAULT_THREAD_LIMIT
+      : Math.min(Math.max(requestedLimit, 1), MAX_THREAD_LIMIT);
+    const after = typeof req.query.after === 'string' && req.query.after ? req.query.after : null;
+
+    const excludeUserIds = await getBlockedUserIds(req.userId);
+    const thread = await getThreadMessages(roomName, messageId, { limit, after, excludeUserIds });
+    if (!thread) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({
+      parent: summarizeReactions(thread.parent, req.userId),
+      replies: thread.replies.map(message => summarizeReactions(message, req.userId)),
+      hasMore: thread.hasMore
+    });
+  } catch (error) {
+    console.error('Thread history error:', error);
+    res.status(500).json({ error: 'Failed to load thread' });
+  }
+});
+
+/**
+ * Unread counts endpoint
+ * GET /api/chat/unread
+ *
+ * Returns { rooms, advice } keyed by room slug and sessionId, each with
+ * { unread, lastReadMessageId, lastReadAt }
+ */
+app.get('/api/chat/unread', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getUnreadSummary(req.userId));
+  } catch (error) {
+    console.error('Unread counts error:', error);
+    res.status(500).json({ error: 'Failed to load unread counts' });
+  }
+});
+
+/**
+ * Mark read endpoint
+ * POST /api/chat/read { room | sessionId, messageId }
+ *
+ * Moves the read marker forward and syncs it to the user's other devices.
+ * Returns { marker } (null if the marker was already further along)
+ */
+app.post('/api/chat/read', authenticateToken, async (req, res) => {
+  try {
+    const { room, sessionId, messageId } = req.body;
+    const target = typeof room === 'string' && room ? { room } : { sessionId };
+
+    if (typeof messageId !== 'string' || !messageId) {
+      return res.status(400).json({ error: 'messageId is required' });
+    }
+    if (!(await canReadTarget(req.userId, target))) {
+      return res.status(404).json({ error: 'Room or session not found' });
+    }
+
+    const marker = await markMessageRead(req.userId, target, messageId);
+    if (marker) {
+      broadcastReadMarker(req.userId, marker);
+    }
+    res.json({ marker });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to save read marker' });
+  }
+});
+
+// Maximum number of past advice sessions returned
+const ADVICE_SESSIONS_LIMIT = 50;
+
+/**
+ * Advice session list endpoint
+ * GET /api/chat/advice/sessions
+ *
+ * Returns { sessions } for the current user, newest first
+ */
+app.get('/api/chat/advice/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await db.collection('advice_sessions')
+      .find({ participants: req.userId }, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(ADVICE_SESSIONS_LIMIT)
+      .toArray();
+
+    res.json({
+      sessions: sessions.map(session => {
+        const partner = session.user1.userId === req.userId ? session.user2 : session.user1;
+        const myFeedback = session.feedback.find(entry => entry.fromUserId === req.userId) || null;
+        return {
+          sessionId: session.sessionId,
+          topic: session.topic,
+          partner: { username: partner.username, level: partner.level },
+          createdAt: session.createdAt,
+          endedAt: session.endedAt,
+          endReason: session.endReason,
+          myFeedback: myFeedback && { rating: myFeedback.rating, comment: myFeedback.comment }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Advice sessions error:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+/**
+ * Advice session transcript endpoint
+ * GET /api/chat/advice/:sessionId/messages
+ *
+ * Returns { messages } in the order they were sent; participants only
+ */
+app.get('/api/chat/advice/:sessionId/messages', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await db.collection('advice_sessions').findOne({ sessionId });
+
+    if (!session || !session.participants.includes(req.userId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const messages = await db.collection('advice_messages')
+      .find({ sessionId }, { projection: { _id: 0, revisions: 0 } })
+      .sort({ timestamp: 1 })
+      .toArray();
+
+    res.json({ messages: messages.map(withPhotoUrls) });
+  } catch (error) {
+    console.error('Advice history error:', error);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+// ============================================================================
+// USER DIRECTORY ENDPOINTS
+// ============================================================================
+
+// Most users returned by a directory search
+const USER_SEARCH_LIMIT = 8;
+
+/**
+ * User search endpoint, used for @mention autocomplete
+ * GET /api/users/search?q=<prefix>
+ *
+ * Returns { users: [{ userId, username, level, profilePicture }] } whose
+ * username starts with q, leaving out blocked users
+ */
+app.get('/api/users/search', authenticateToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().replace(/^@/, '') : '';
+    if (!q) {
+      return res.json({ users: [] });
+    }
+
+    const excludeIds = [req.userId, ...(await getBlockedUserIds(req.userId))]
+      .filter(id => ObjectId.isValid(id))
+      .map(id => new ObjectId(id));
+
+    const users = await db.collection('users')
+      .find(
+        { username: { $regex: `^${escapeRegex(q.substring(0, 30))}`, $options: 'i' }, _id: { $nin: excludeIds } },
+        { projection: { username: 1, level: 1, profilePhotoKey: 1 } }
+      )
+      .sort({ username: 1 })
+      .limit(USER_SEARCH_LIMIT)
+      .toArray();
+
+    res.json({
+      users: users.map(user => ({
+        userId: user._id.toString(),
+        username: user.username,
+        level: user.level || EXPERIENCE_LEVELS.BEGINNER,
+        profilePicture: profilePictureUrl(user)
+      }))
+    });
+  } catch (error) {
+    console.error('User search error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// ============================================================================
+// PHOTO UPLOAD ENDPOINTS
+// ============================================================================
+
+// Uploads are kept in memory until processed; nothing unprocessed is written to disk
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    callback(null, PHOTO_CONTENT_TYPES.includes(file.mimetype));
+  }
+});
+
+/**
+ * Middleware that reads one photo from a multipart field into req.file
+ * Upload problems are answered here with a JSON error.
+ */
+function receivePhoto(field) {
+  const upload = photoUpload.single(field);
+  return (req, res, next) => {
+    if (!db) {
+      return res.status(503).json({ error: 'Photo uploads are unavailable right now' });
+    }
+    upload(req, res, (error) => {
+      if (error) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `Photos must be ${MAX_PHOTO_BYTES / (1024 * 1024)} MB or smaller` });
+        }
+        return res.status(400).json({ error: 'Could not read the upload' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'Choose a JPEG, PNG, WebP or GIF photo to upload' });
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * Upload a photo for a chat message
+ * POST /api/media/upload (multipart, field "image")
+ *
+ * Returns { photo: { id, url, thumbnailUrl, width, height } }; send the id
+ * as `photoId` with room-message or advice-message to attach it
+ */
+app.post('/api/media/upload', authenticateToken, uploadRateLimit, receivePhoto('image'), async (req, res) => {
+  try {
+    const result = await storePhoto(req.userId, req.file.buffer, 'chat');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ photo: publicPhoto(photoAttachment(result.photo)) });
+  } catch (error) {
+    console.error('Photo upload error:', error);
+    res.status(500).json({ error: 'Failed to upload photo' });
+  }
+});
+
+/**
+ * Replace the current user's profile picture
+ * POST /api/users/profile/picture (multipart, field "profilePicture")
+ *
+ * The picture is cropped square. Returns { url, photo }.
+ */
+app.post('/api/users/profile/picture', authenticateToken, uploadRateLimit, receivePhoto('profilePicture'), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await storePhoto(req.userId, req.file.buffer, 'profile');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const attachment = publicPhoto(photoAttachment(result.photo));
+    const previous = await db.collection('users').findOneAndUpdate(
+      { _id: new ObjectId(req.userId) },
+      { $set: { profilePhotoId: result.photo.id, profilePhotoKey: result.photo.keys.full } },
+      { projection: { profilePhotoId: 1 } }
+    );
+    if (!previous) {
+      await deletePhoto(result.photo);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Connected sockets show the new picture in rosters from now on
+    activeUsers.forEach(userInfo => {
+      if (userInfo.userId === req.userId) {
+        userInfo.profilePicture = attachment.url;
+      }
+    });
+
+    if (previous.profilePhotoId) {
+      const old = await db.collection('photos').findOne({ id: previous.profilePhotoId });
+      if (old) {
+        await deletePhoto(old);
+      }
+    }
+
+    res.json({ url: attachment.url, photo: attachment });
+  } catch (error) {
+    console.error('Profile picture upload error:', error);
+    res.status(500).json({ error: 'Failed to upload profile picture' });
+  }
+});
+
+// ============================================================================
+// GALLERY & ALBUM ENDPOINTS
+// ============================================================================
+
+/**
+ * A room's photo gallery, newest first
+ * GET /api/chat/rooms/:roomName/gallery?limit=30&before=<messageId>&album=<albumId>
+ *
+ * Returns { photos: [message], hasMore }; each message has its `photo`,
+ * its text (the caption) and replyCount (comments)
+ */
+app.get('/api/chat/rooms/:roomName/gallery', authenticateToken, async (req, res) => {
+  try {
+    const { roomName } = req.params;
+    if (!canAccessRoom(roomName, req.userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requestedLimit)
+      ? DEFAULT_GALLERY_LIMIT
+      : Math.min(Math.max(requestedLimit, 1), MAX_GALLERY_LIMIT);
+    const before = typeof req.query.before === 'string' && req.query.before ? req.query.before : null;
+
+    let messageIds = null;
+    if (typeof req.query.album === 'string' && req.query.album) {
+      const album = await db.collection('photo_albums').findOne({ id: req.query.album, room: roomName });
+      if (!album) {
+        return res.status(404).json({ error: 'Album not found' });
+      }
+      messageIds = album.messageIds;
+    }
+
+    const excludeUserIds = await getBlockedUserIds(req.userId);
+    const gallery = await getRoomGallery(roomName, { limit, before, excludeUserIds, messageIds });
+
+    res.json({
+      photos: gallery.messages.map(message => summarizeReactions(message, req.userId)),
+      hasMore: gallery.hasMore
+    });
+  } catch (error) {
+    console.error('Room gallery error:', error);
+    res.status(500).json({ error: 'Failed to load photos' });
+  }
+});
+
+/**
+ * A room's photo albums
+ * GET /api/chat/rooms/:roomName/albums
+ *
+ * Returns { albums: [{ id, title, description, owner, messageIds, photoCount, cover }] }
+ */
+app.get('/api/chat/rooms/:roomName/albums', authenticateToken, async (req, res) => {
+  try {
+    const { roomName } = req.params;
+    if (!canAccessRoom(roomName, req.userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const excludeUserIds = await getBlockedUserIds(req.userId);
+    res.json({ albums: await getRoomAlbums(roomName, { excludeUserIds }) });
+  } catch (error) {
+    console.error('Room albums error:', error);
+    res.status(500).json({ error: 'Failed to load albums' });
+  }
+});
+
+/**
+ * Start an album in a room
+ * POST /api/chat/rooms/:roomName/albums { title, description }
+ *
+ * Returns { album }
+ */
+app.post('/api/chat/rooms/:roomName/albums', authenticateToken, async (req, res) => {
+  try {
+    const { roomName } = req.params;
+    if (!canAccessRoom(roomName, req.userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const { value, error } = validateAlbumFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const owned = await db.collection('photo_albums').countDocuments({ room: roomName, userId: req.userId });
+    if (owned >= MAX_ALBUMS_PER_ROOM) {
+      return res.status(409).json({ error: `You can have at most ${MAX_ALBUMS_PER_ROOM} albums in a room` });
+    }
+
+    const owner = await getUserIdentity(req.userId);
+    if (!owner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const now = new Date();
+    const album = {
+      id: `alb_${crypto.randomBytes(9).toString('hex')}`,
+      room: roomName,
+      userId: owner.userId,
+      username: owner.username,
+      ...value,
+      messageIds: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    await db.collection('photo_albums').insertOne(album);
+
+    res.status(201).json({ album: publicAlbum(album) });
+  } catch (error) {
+    console.error('Create album error:', error);
+    res.status(500).json({ error: 'Failed to create album' });
+  }
+});
+
+/**
+ * Rename an album or change its description
+ * PATCH /api/chat/albums/:albumId { title?, description? }
+ */
+app.patch('/api/chat/albums/:albumId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findOwnAlbum(req.params.albumId, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
 
-  /**
-   * Get leaderboard
-   * TODO: Fetch from database, calculate rankings
-   */
-  socket.on('get-leaderboard', (data) => {
-    const { type } = data; // 'messages', 'sessions', 'rating', etc.
+    const { value, error } = validateAlbumFields(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // TODO: Fetch leaderboard from database
-    // const leaderboard = await getLeaderboard(type);
+    const album = await db.collection('photo_albums').findOneAndUpdate(
+      { id: found.album.id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+    res.json({ album: publicAlbum(album) });
+  } catch (error) {
+    console.error('Update album error:', error);
+    res.status(500).json({ error: 'Failed to update album' });
+  }
+});
 
-    const leaderboard = []; // Placeholder
+/**
+ * Delete an album; its photos stay in the gallery and the chat
+ * DELETE /api/chat/albums/:albumId
+ */
+app.delete('/api/chat/albums/:albumId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findOwnAlbum(req.params.albumId, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
 
-    socket.emit('leaderboard', {
-      type: type,
-      rankings: leaderboard
+    await db.collection('photo_albums').deleteOne({ id: found.album.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete album error:', error);
+    res.status(500).json({ error: 'Failed to delete album' });
+  }
+});
+
+/**
+ * Add one of your photos from the album's room to the album
+ * PUT /api/chat/albums/:albumId/photos/:messageId
+ *
+ * Returns { album }
+ */
+app.put('/api/chat/albums/:albumId/photos/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const found = await findOwnAlbum(req.params.albumId, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const message = await db.collection('messages').findOne({
+      room: found.album.room,
+      id: messageId,
+      parentId: null,
+      'photo.id': { $exists: true }
     });
-  });
+    if (!message) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (message.userId !== req.userId) {
+      return res.status(403).json({ error: 'You can only add your own photos' });
+    }
+    if (!found.album.messageIds.includes(messageId) && found.album.messageIds.length >= MAX_ALBUM_PHOTOS) {
+      return res.status(409).json({ error: `Albums can hold at most ${MAX_ALBUM_PHOTOS} photos` });
+    }
 
-  /**
-   * User Profiles & Gamification Explanation:
-   * Placeholders for user profiles, badges, and leaderboards. These would
-   * query MongoDB to get user statistics, earned badges, and rankings.
-   * Badges could be awarded for milestones like "100 messages sent" or
-   * "Helped 10 beginners".
-   */
+    const album = await db.collection('photo_albums').findOneAndUpdate(
+      { id: found.album.id },
+      { $addToSet: { messageIds: messageId }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+    res.json({ album: publicAlbum(album, message.photo) });
+  } catch (error) {
+    console.error('Add album photo error:', error);
+    res.status(500).json({ error: 'Failed to add photo' });
+  }
+});
 
-  // ========================================================================
-  // DISCONNECTION HANDLING
-  // ========================================================================
+/**
+ * Take a photo out of an album
+ * DELETE /api/chat/albums/:albumId/photos/:messageId
+ *
+ * Returns { album }
+ */
+app.delete('/api/chat/albums/:albumId/photos/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findOwnAlbum(req.params.albumId, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
 
-  socket.on('disconnect', () => {
-    const userInfo = activeUsers.get(socket.id);
+    const album = await db.collection('photo_albums').findOneAndUpdate(
+      { id: found.album.id },
+      { $pull: { messageIds: req.params.messageId }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+    res.json({ album: publicAlbum(album) });
+  } catch (error) {
+    console.error('Remove album photo error:', error);
+    res.status(500).json({ error: 'Failed to remove photo' });
+  }
+});
 
-    // Remove from advice queue
-    removeFromQueue(socket.id);
+// ============================================================================
+// MODERATION ENDPOINTS
+// ============================================================================
 
-    // Leave all rooms
-    roomMembers.forEach((members, roomName) => {
-      if (members.has(socket.id)) {
-        members.delete(socket.id);
-        socket.to(roomName).emit('user-left-room', {
-          username: userInfo?.username || 'Anonymous',
-          room: roomName
-        });
+app.post('/api/moderation/block', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!ObjectId.isValid(userId) || userId === req.userId) {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+
+    const target = await db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { _id: 1 } });
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await blockUser(req.userId, userId);
+    res.json({ success: true, userId });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+app.post('/api/moderation/unblock', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || typeof userId !== 'string') {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+
+    await unblockUser(req.userId, userId);
+    res.json({ success: true, userId });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+/**
+ * Blocked users endpoint
+ * GET /api/moderation/blocked
+ *
+ * Returns { blockedUsers: [{ userId, username, blockedAt }] }
+ */
+app.get('/api/moderation/blocked', authenticateToken, async (req, res) => {
+  try {
+    const blocks = await db.collection('user_blocks')
+      .find({ blockerId: req.userId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    const users = await db.collection('users')
+      .find(
+        { _id: { $in: blocks.filter(block => ObjectId.isValid(block.blockedId)).map(block => new ObjectId(block.blockedId)) } },
+        { projection: { username: 1 } }
+      )
+      .toArray();
+    const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+    res.json({
+      blockedUsers: blocks.map(block => ({
+        userId: block.blockedId,
+        username: usernames.get(block.blockedId) || null,
+        blockedAt: block.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Blocked users error:', error);
+    res.status(500).json({ error: 'Failed to load blocked users' });
+  }
+});
+
+app.post('/api/moderation/report', authenticateToken, async (req, res) => {
+  try {
+    const { userId, reason, details, room, messageId, sessionId } = req.body;
+
+    const result = await createReport({
+      reporterId: req.userId,
+      reportedUserId: userId,
+      reason,
+      details,
+      room,
+      messageId,
+      sessionId
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ success: true, reportId: result.report.id });
+  } catch (error) {
+    console.error('Report user error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+/**
+ * Moderation queue endpoint
+ * GET /api/moderation/reports?status=open
+ *
+ * Returns { reports } newest first; moderators only
+ */
+app.get('/api/moderation/reports', authenticateToken, requireRole(USER_ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!Object.values(REPORT_STATUSES).includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
       }
+      query.status = status;
+    }
+
+    const reports = await db.collection('reports')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .toArray();
+
+    res.json({
+      reports: reports.map(({ _id, ...report }) => ({ ...report, id: _id.toString() }))
     });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to load reports' });
+  }
+});
 
-    // Handle active advice sessions
-    activeAdviceSessions.forEach((session, sessionId) => {
-      if (session.user1.socketId === socket.id || session.user2.socketId === socket.id) {
-        // Notify partner
-        const partnerSocketId = session.user1.socketId === socket.id 
-          ? session.user2.socketId 
-          : session.user1.socketId;
+/**
+ * Update a report's status
+ * PATCH /api/moderation/reports/:reportId { status, note }
+ */
+app.patch('/api/moderation/reports/:reportId', authenticateToken, requireRole(USER_ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { status, note } = req.body;
 
-        if (!session.ended) {
-          session.ended = true;
-          session.endedAt = Date.now();
-          io.to(partnerSocketId).emit('partner-disconnected', { sessionId });
+    if (!ObjectId.isValid(reportId)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (!Object.values(REPORT_STATUSES).includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const closing = status === REPORT_STATUSES.RESOLVED || status === REPORT_STATUSES.DISMISSED;
+    const moderator = await getUserIdentity(req.userId);
+
+    const updated = await db.collection('reports').findOneAndUpdate(
+      { _id: new ObjectId(reportId) },
+      {
+        $set: {
+          status,
+          updatedAt: new Date(),
+          resolvedAt: closing ? new Date() : null,
+          resolvedBy: closing ? moderator : null,
+          resolutionNote: closing && typeof note === 'string' ? note.trim().substring(0, 1000) || null : null
         }
-      }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const { _id, ...report } = updated;
+    res.json({ report: { ...report, id: _id.toString() } });
+  } catch (error) {
+    console.error('Update report error:', error);
+    res.status(500).json({ error: 'Failed to update report' });
+  }
+});
+
+/**
+ * Reported user history
+ * GET /api/moderation/users/:userId/history
+ *
+ * Returns { user, role, reports, counts, sanctions } for every report and
+ * sanction against the user
+ */
+app.get('/api/moderation/users/:userId/history', authenticateToken, requireRole(USER_ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!ObjectId.isValid(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { username: 1, level: 1, role: 1, createdAt: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [reports, sanctions] = await Promise.all([
+      db.collection('reports')
+        .find({ 'reportedUser.userId': userId }, { projection: { context: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray(),
+      db.collection('sanctions')
+        .find({ userId })
+        .sort({ createdAt: -1 })
+        .toArray()
+    ]);
+
+    const counts = {};
+    Object.values(REPORT_STATUSES).forEach(status => {
+      counts[status] = reports.filter(report => report.status === status).length;
     });
 
-    // Clean up user data
-    if (userInfo) {
-      userSockets.delete(userInfo.userId);
-      activeUsers.delete(socket.id);
-      console.log(`User disconnected: ${userInfo.username}`);
+    res.json({
+      user: { userId, username: user.username, level: user.level, role: user.role || USER_ROLES.MEMBER, createdAt: user.createdAt },
+      reports: reports.map(({ _id, ...report }) => ({ ...report, id: _id.toString() })),
+      counts,
+      sanctions: sanctions.map(({ _id, ...sanction }) => ({
+        ...sanction,
+        id: _id.toString(),
+        active: isSanctionActive(sanction)
+      }))
+    });
+  } catch (error) {
+    console.error('User moderation history error:', error);
+    res.status(500).json({ error: 'Failed to load user history' });
+  }
+});
+
+/**
+ * Remove any room or advice message (moderators; room owners and co-moderators
+ * can remove messages in their own room)
+ * DELETE /api/moderation/messages/:messageId?room=reef or ?sessionId=...
+ *
+ * The message is tombstoned the same way as a delete-message socket event
+ */
+app.delete('/api/moderation/messages/:messageId', authenticateToken, requireRoomModerator, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const room = typeof req.query.room === 'string' ? req.query.room : null;
+    const sessionId = typeof req.query.sessionId === 'string' ? req.query.sessionId : null;
+
+    if (room ? !validateRoomName(room) : !sessionId) {
+      return res.status(400).json({ error: 'A room or sessionId is required' });
+    }
+
+    const target = room ? { room } : { sessionId };
+    const result = await deleteStoredMessage(target, messageId, await getUserIdentity(req.userId), true);
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    const payload = { messageId, deletedAt: result.message.deletedAt, byModerator: true };
+    if (room) {
+      io.to(room).emit('message-deleted', { ...payload, room });
     } else {
-      console.log(`User disconnected: ${socket.id}`);
+      const session = activeAdviceSessions.get(sessionId);
+      const inMemory = session?.messages.find(message => message.id === messageId);
+      if (inMemory) {
+        Object.assign(inMemory, { message: '', photo: null, deletedAt: result.message.deletedAt });
+      }
+      if (session) {
+        io.to(session.user1.socketId).to(session.user2.socketId).emit('message-deleted', { ...payload, sessionId });
+      }
     }
-  });
 
-  /**
-   * Disconnection Explanation:
-   * When a user disconnects, we clean up their data:
-   * - Remove from advice queue
-   * - Remove from all chat rooms
-   * - End active advice sessions and notify partners
-   * - Clean up user tracking data
-   */
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove message error:', error);
+    res.status(500).json({ error: 'Failed to remove message' });
+  }
 });
 
-// ============================================================================
-// RATE LIMITING
-// ============================================================================
+/**
+ * Pin a room message (moderators, or the room's owner and co-moderators)
+ * PUT /api/moderation/rooms/:roomName/pins/:messageId
+ */
+app.put('/api/moderation/rooms/:roomName/pins/:messageId', authenticateToken, requireRoomModerator, async (req, res) => {
+  try {
+    const { roomName, messageId } = req.params;
+    if (!validateRoomName(roomName)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
 
-const authRateLimit = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 requests per minute
-  message: 'Too many authentication attempts, please try again later.'
+    const result = await setMessagePinned(roomName, messageId, await getUserIdentity(req.userId));
+    if (result.error) {
+      return res.status(result.error === 'Message not found' ? 404 : 409).json({ error: result.error });
+    }
+
+    // Members on either side of a block with the author don't see the pin,
+    // just as their history hides the message
+    const pin = summarizeReactions(result.message, null);
+    emitToRoomExceptBlocked(roomName, pin.userId, 'message-pinned', { room: roomName, pin });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ error: 'Failed to pin message' });
+  }
 });
 
-const aiRateLimit = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 5, // 5 requests per minute
-  message: 'Too many AI requests, please try again later.'
+/**
+ * Unpin a room message (moderators, or the room's owner and co-moderators)
+ * DELETE /api/moderation/rooms/:roomName/pins/:messageId
+ */
+app.delete('/api/moderation/rooms/:roomName/pins/:messageId', authenticateToken, requireRoomModerator, async (req, res) => {
+  try {
+    const { roomName, messageId } = req.params;
+    if (!validateRoomName(roomName)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const result = await setMessagePinned(roomName, messageId, null);
+    if (result.error) {
+      return res.status(result.error === 'Message not found' ? 404 : 409).json({ error: result.error });
+    }
+
+    io.to(roomName).emit('message-unpinned', { room: roomName, messageId });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ error: 'Failed to unpin message' });
+  }
+});
+
+/**
+ * Set or clear a room's announcement banner (moderators, or the room's owner and co-moderators)
+ * PUT /api/moderation/rooms/:roomName/announcement { text }
+ *
+ * Empty text clears the announcement
+ */
+app.put('/api/moderation/rooms/:roomName/announcement', authenticateToken, requireRoomModerator, async (req, res) => {
+  try {
+    const { roomName } = req.params;
+    if (!validateRoomName(roomName)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const { text = '' } = req.body;
+    if (typeof text !== 'string') {
+      return res.status(400).json({ error: 'Announcement must be a string' });
+    }
+    const trimmed = text.trim();
+    if (trimmed.length > MAX_ANNOUNCEMENT_LENGTH) {
+      return res.status(400).json({ error: `Announcement cannot exceed ${MAX_ANNOUNCEMENT_LENGTH} characters` });
+    }
+
+    const announcement = await setRoomAnnouncement(roomName, trimmed, await getUserIdentity(req.userId));
+    io.to(roomName).emit('room-announcement', { room: roomName, announcement });
+    res.json({ success: true, announcement });
+  } catch (error) {
+    console.error('Room announcement error:', error);
+    res.status(500).json({ error: 'Failed to update announcement' });
+  }
+});
+
+// Longest timed sanction; anything longer should be permanent
+const MAX_SANCTION_MINUTES = 365 * 24 * 60;
+
+/**
+ * Mute, kick or ban a user (moderators only)
+ * POST /api/moderation/sanctions { userId, type, room, durationMinutes, reason, reportId }
+ *
+ * room omitted/null applies everywhere; durationMinutes omitted/null is
+ * permanent (kicks default to a short timeout)
+ */
+app.post('/api/moderation/sanctions', authenticateToken, requireRole(USER_ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { userId, type, room = null, durationMinutes = null, reason, reportId = null } = req.body;
+
+    if (!Object.values(SANCTION_TYPES).includes(type)) {
+      return res.status(400).json({ error: 'Invalid sanction type' });
+    }
+    if (room !== null && !validateRoomName(room)) {
+      return res.status(400).json({ error: 'Invalid room name' });
+    }
+    if (durationMinutes !== null &&
+        (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_SANCTION_MINUTES)) {
+      return res.status(400).json({ error: 'Invalid duration' });
+    }
+    if (reason && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'Reason cannot exceed 500 characters' });
+    }
+    if (!ObjectId.isValid(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'You cannot sanction yourself' });
+    }
+
+    const target = await db.collection('users').findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { username: 1, role: 1 } }
+    );
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Moderators can't act against other moderators or admins
+    if (hasRole(target.role, req.userRole)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    // The report is linked from the user's moderation history, so it must exist
+    let linkedReportId = null;
+    if (reportId !== null) {
+      const report = ObjectId.isValid(reportId)
+        ? await db.collection('reports').findOne({ _id: new ObjectId(reportId) }, { projection: { _id: 1 } })
+        : null;
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      linkedReportId = report._id.toString();
+    }
+
+    const sanction = await issueSanction({
+      userId,
+      username: target.username,
+      type,
+      room,
+      durationMs: durationMinutes ? durationMinutes * 60 * 1000 : null,
+      reason: reason ? reason.trim() : null,
+      issuedBy: await getUserIdentity(req.userId),
+      reportId: linkedReportId
+    });
+
+    console.log(`${type} issued to ${target.username}${room ? ` in ${room}` : ''} by ${req.userId}`);
+    res.status(201).json({ sanction });
+  } catch (error) {
+    console.error('Issue sanction error:', error);
+    res.status(500).json({ error: 'Failed to apply sanction' });
+  }
+});
+
+/**
+ * Lift a sanction early (moderators only)
+ * DELETE /api/moderation/sanctions/:sanctionId
+ */
+app.delete('/api/moderation/sanctions/:sanctionId', authenticateToken, requireRole(USER_ROLES.MODERATOR), async (req, res) => {
+  try {
+    const { sanctionId } = req.params;
+
+    if (!ObjectId.isValid(sanctionId)) {
+      return res.status(404).json({ error: 'Sanction not found' });
+    }
+
+    const sanction = await revokeSanction(sanctionId, await getUserIdentity(req.userId));
+    if (!sanction) {
+      return res.status(404).json({ error: 'Sanction not found' });
+    }
+
+    res.json({ sanction });
+  } catch (error) {
+    console.error('Revoke sanction error:', error);
+    res.status(500).json({ error: 'Failed to lift sanction' });
+  }
 });
 
 // ============================================================================
-// INPUT VALIDATION UTILITIES
+// USER ROOM ENDPOINTS
 // ============================================================================
 
-function sanitizeUsername(username) {
-  if (!username || typeof username !== 'string') return null;
-  return username.trim().substring(0, 30);
+/**
+ * A user-created room that is still open, or null
+ */
+function getOpenUserRoom(slug) {
+  const room = roomCatalog.get(slug);
+  return room && room.owner && !room.archivedAt ? room : null;
 }
 
-function validateMessage(message) {
-  if (!message || typeof message !== 'string') {
-    return { valid: false, error: 'Message must be a string' };
-  }
-  const trimmed = message.trim();
-  if (trimmed.length === 0) {
-    return { valid: false, error: 'Message cannot be empty' };
-  }
-  if (trimmed.length > 2000) {
-    return { valid: false, error: 'Message cannot exceed 2000 characters' };
-  }
-  return { valid: true, message: trimmed };
-}
+/**
+ * Rooms the current user owns, moderates or is a member of
+ * GET /api/rooms/mine
+ *
+ * Returns { rooms: [{ ...room, role }] }
+ */
+app.get('/api/rooms/mine', authenticateToken, (req, res) => {
+  const rooms = getActiveRooms()
+    .filter(room => getRoomRole(room, req.userId) !== null)
+    .map(room => ({ ...publicRoom(room), role: getRoomRole(room, req.userId) }));
+  res.json({ rooms });
+});
 
-function validateRoomName(roomName) {
-  return GENERAL_ROOMS.includes(roomName);
-}
+/**
+ * Create a room owned by the current user
+ * POST /api/rooms { name, description, environment, visibility }
+ *
+ * visibility is 'public' (listed), 'unlisted' (anyone with the link) or
+ * 'invite' (members only). Returns { room }.
+ */
+app.post('/api/rooms', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, environment, visibility = ROOM_VISIBILITY.PUBLIC } = req.body || {};
+    // The slug is generated; it's only here because new rooms need one
+    const { value, error } = validateRoomFields({ name, description, environment, visibility, slug: 'room' });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    delete value.slug;
 
-function validateExperienceLevel(level) {
-  return Object.values(EXPERIENCE_LEVELS).includes(level);
-}
+    const owner = await getUserIdentity(req.userId);
+    if (!owner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const result = await createUserRoom(value, owner);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
 
-function validateEnvironment(env) {
-  return !env || ['saltwater', 'freshwater'].includes(env);
-}
+    console.log(`Room ${result.room.slug} created by ${owner.username}`);
+    res.status(201).json({ room: { ...publicRoom(result.room), role: ROOM_ROLES.OWNER } });
+  } catch (error) {
+    console.error('Create user room error:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
 
-// ============================================================================
-// JWT AUTHENTICATION UTILITIES
-// ============================================================================
+/**
+ * Edit a room you own
+ * PATCH /api/rooms/:slug { name?, description?, environment?, visibility? }
+ *
+ * Making a room invite-only sends non-members out of it
+ */
+app.patch('/api/rooms/:slug', authenticateToken, async (req, res) => {
+  try {
+    const room = getOpenUserRoom(req.params.slug);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (getRoomRole(room, req.userId) !== ROOM_ROLES.OWNER) {
+      return res.status(403).json({ error: 'Only the owner can edit this room' });
+    }
 
-function generateToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
-}
+    const { name, description, environment, visibility } = req.body || {};
+    const { value, error } = validateRoomFields({ name, description, environment, visibility }, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-function verifyToken(token) {
-  try {
-    return jwt.verify(token, JWT_SECRET);
+    const updated = await updateRoom(room.slug, value);
+    res.json({ room: { ...publicRoom(updated), role: ROOM_ROLES.OWNER } });
   } catch (error) {
-    return null;
+    console.error('Update user room error:', error);
+    res.status(500).json({ error: 'Failed to update room' });
   }
-}
+});
 
-// JWT middleware for Express routes
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+/**
+ * Members of a room you own or co-moderate, and its invite code
+ * GET /api/rooms/:slug/members
+ *
+ * Returns { members: [{ userId, username, role }], inviteCode }
+ */
+app.get('/api/rooms/:slug/members', authenticateToken, async (req, res) => {
+  try {
+    const room = getOpenUserRoom(req.params.slug);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!canModerateRoom(room.slug, req.userId, null)) {
+      return res.status(403).json({ error: 'Only the owner and co-moderators can see the members' });
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
+    const users = await db.collection('users')
+      .find({ _id: { $in: room.members.filter(ObjectId.isValid).map(id => new ObjectId(id)) } }, { projection: { username: 1 } })
+      .toArray();
+    const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    const roleOrder = [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR, ROOM_ROLES.MEMBER];
+    const members = room.members
+      .filter(userId => usernames.has(userId))
+      .map(userId => ({ userId, username: usernames.get(userId), role: getRoomRole(room, userId) }))
+      .sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) || a.username.localeCompare(b.username));
+
+    res.json({ members, inviteCode: room.inviteCode });
+  } catch (error) {
+    console.error('Room members error:', error);
+    res.status(500).json({ error: 'Failed to load members' });
   }
+});
 
-  req.userId = decoded.userId;
-  next();
-}
+/**
+ * Add a member or change their role
+ * PUT /api/rooms/:slug/members/:userId { role: 'member' | 'moderator' }
+ *
+ * Owners and co-moderators can add members; only the owner can make or
+ * unmake co-moderators.
+ */
+app.put('/api/rooms/:slug/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role = ROOM_ROLES.MEMBER } = req.body || {};
+    const room = getOpenUserRoom(req.params.slug);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (role !== ROOM_ROLES.MEMBER && role !== ROOM_ROLES.MODERATOR) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
 
-// ============================================================================
-// EXPRESS ROUTES
-// ============================================================================
+    const actorRole = getRoomRole(room, req.userId);
+    const targetRole = getRoomRole(room, userId);
+    if (actorRole !== ROOM_ROLES.OWNER && actorRole !== ROOM_ROLES.MODERATOR) {
+      return res.status(403).json({ error: 'Only the owner and co-moderators can add members' });
+    }
+    if (targetRole === ROOM_ROLES.OWNER) {
+      return res.status(400).json({ error: 'The owner\'s role cannot be changed' });
+    }
+    if (actorRole !== ROOM_ROLES.OWNER && (role === ROOM_ROLES.MODERATOR || targetRole === ROOM_ROLES.MODERATOR)) {
+      return res.status(403).json({ error: 'Only the owner can change co-moderators' });
+    }
 
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Lets Talk Aquariums API',
-    version: '1.0.0',
-    endpoints: {
-      rooms: '/api/rooms',
-      stats: '/api/stats',
-      auth: '/api/auth/register, /api/auth/login'
+    const user = ObjectId.isValid(userId)
+      ? await db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { username: 1 } })
+      : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-  });
+
+    const result = await setRoomMembership(room.slug, userId, role);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json({ member: { userId, username: user.username, role: getRoomRole(result.room, userId) } });
+  } catch (error) {
+    console.error('Set room member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
 });
 
-app.get('/api/rooms', (req, res) => {
-  res.json({
-    rooms: GENERAL_ROOMS,
-    adviceTopics: ADVICE_TOPICS
-  });
+/**
+ * Remove a member, or leave a room
+ * DELETE /api/rooms/:slug/members/:userId
+ *
+ * Anyone but the owner can remove themselves. The owner can remove anyone;
+ * co-moderators can remove members but not other co-moderators.
+ */
+app.delete('/api/rooms/:slug/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const room = getOpenUserRoom(req.params.slug);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const actorRole = getRoomRole(room, req.userId);
+    const targetRole = getRoomRole(room, userId);
+    if (targetRole === null) {
+      return res.status(404).json({ error: 'Not a member of this room' });
+    }
+    if (targetRole === ROOM_ROLES.OWNER) {
+      return res.status(400).json({ error: 'The owner cannot leave or be removed' });
+    }
+    const allowed = userId === req.userId
+      || actorRole === ROOM_ROLES.OWNER
+      || (actorRole === ROOM_ROLES.MODERATOR && targetRole === ROOM_ROLES.MEMBER);
+    if (!allowed) {
+      return res.status(403).json({ error: 'You cannot remove this member' });
+    }
+
+    await removeRoomMembership(room.slug, userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove room member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
 });
 
-app.get('/api/stats', (req, res) => {
-  res.json({
-    activeUsers: activeUsers.size,
-    activeSessions: activeAdviceSessions.size,
-    queueSizes: {
-      beginner: adviceQueue.beginner.length,
-      intermediate: adviceQueue.intermediate.length,
-      advanced: adviceQueue.advanced.length
+/**
+ * Replace a room's invite link; the old link stops working
+ * POST /api/rooms/:slug/invite
+ *
+ * Returns { inviteCode }
+ */
+app.post('/api/rooms/:slug/invite', authenticateToken, async (req, res) => {
+  try {
+    const room = getOpenUserRoom(req.params.slug);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
     }
-  });
+    if (!canModerateRoom(room.slug, req.userId, null)) {
+      return res.status(403).json({ error: 'Only the owner and co-moderators can manage invites' });
+    }
+
+    const updated = await updateRoomDocument(room.slug, { $set: { inviteCode: generateInviteCode() } });
+    res.json({ inviteCode: updated.inviteCode });
+  } catch (error) {
+    console.error('Room invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite link' });
+  }
 });
 
+/**
+ * Join a room through its invite link
+ * POST /api/rooms/invites/:code
+ *
+ * Returns { room } with the user's role
+ */
+app.post('/api/rooms/invites/:code', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.params;
+    const room = [...roomCatalog.values()].find(entry => entry.owner && entry.inviteCode === code);
+    if (!room || room.archivedAt) {
+      return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+    }
+
+    let joined = room;
+    if (getRoomRole(room, req.userId) === null) {
+      const result = await setRoomMembership(room.slug, req.userId, ROOM_ROLES.MEMBER);
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+      joined = result.room;
+    }
+
+    res.json({ room: { ...publicRoom(joined), role: getRoomRole(joined, req.userId) } });
+  } catch (error) {
+    console.error('Accept room invite error:', error);
+    res.status(500).json({ error: 'Failed to join room' });
+  }
+});
+
+/**
+ * User Rooms Explanation:
+ * Any user can create a few rooms of their own for a club or build thread.
+ * The creator is the owner; they can edit the room and appoint
+ * co-moderators, and both can add and remove members, hand out the invite
+ * link and moderate messages in the room (see requireRoomModerator). Public
+ * rooms are listed with the others, unlisted rooms are reached by their
+ * link, and invite-only rooms can only be joined, read and searched by
+ * their members: join-room, history, search and read markers all go
+ * through canAccessRoom().
+ */
+
 // ============================================================================
-// AUTHENTICATION ENDPOINTS
+// ADMIN ENDPOINTS
 // ============================================================================
 
-app.post('/api/auth/register', authRateLimit, async (req, res) => {
+const ADMIN_USERS_LIMIT = 50;
+
+/**
+ * List users with their roles (admins only)
+ * GET /api/admin/users?search=name&role=moderator
+ *
+ * Returns { users: [{ userId, username, email, role, createdAt }] }
+ */
+app.get('/api/admin/users', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req, res) => {
   try {
-    const { email, password, username, level, tankType } = req.body;
+    const { search, role } = req.query;
+    const query = {};
 
-    // Validation
-    if (!email || typeof email !== 'string' || !email.includes('@')) {
-      return res.status(400).json({ error: 'Valid email is required' });
-    }
-    if (!password || typeof password !== 'string' || password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
-    const sanitizedUsername = sanitizeUsername(username);
-    if (!sanitizedUsername || sanitizedUsername.length < 3) {
-      return res.status(400).json({ error: 'Username must be 3-30 characters' });
+    if (role) {
+      if (!Object.values(USER_ROLES).includes(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+      }
+      // Accounts created before roles existed have no role field
+      query.role = role === USER_ROLES.MEMBER ? { $in: [USER_ROLES.MEMBER, null] } : role;
     }
-    if (level && !validateExperienceLevel(level)) {
-      return res.status(400).json({ error: 'Invalid experience level' });
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
     }
 
-    const usersCollection = db.collection('users');
+    const users = await db.collection('users')
+      .find(query, { projection: { username: 1, email: 1, role: 1, createdAt: 1 } })
+      .sort({ username: 1 })
+      .limit(ADMIN_USERS_LIMIT)
+      .toArray();
 
-    // Check if user exists
-    const existingUser = await usersCollection.findOne({
-      $or: [{ email: email.toLowerCase() }, { username: sanitizedUsername }]
+    res.json({
+      users: users.map(user => ({
+        userId: user._id.toString(),
+        username: user.username,
+        email: user.email,
+        role: user.role || USER_ROLES.MEMBER,
+        createdAt: user.createdAt
+      }))
     });
+  } catch (error) {
+    console.error('Admin users error:', error);
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+});
 
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email or username already exists' });
+/**
+ * Grant or revoke a role (admins only)
+ * PUT /api/admin/users/:userId/role { role }
+ */
+app.put('/api/admin/users/:userId/role', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!Object.values(USER_ROLES).includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (!ObjectId.isValid(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Keeps at least one admin able to manage roles
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const updated = await setUserRole(userId, role);
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    // Create user
-    const userDoc = {
-      email: email.toLowerCase(),
-      password: hashedPassword,
-      username: sanitizedUsername,
-      level: level || EXPERIENCE_LEVELS.BEGINNER,
-      tankType: tankType || null,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    console.log(`Role of ${updated.username} set to ${role} by ${req.userId}`);
+    res.json({ user: updated });
+  } catch (error) {
+    console.error('Set role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
 
-    const result = await usersCollection.insertOne(userDoc);
-    const userId = result.insertedId.toString();
+/**
+ * Room catalog, archived rooms included (admins only)
+ * GET /api/admin/rooms
+ *
+ * Returns { rooms: [{ slug, name, description, image, environment,
+ * categories, category, breadcrumb, sortOrder, archivedAt, createdAt }] }
+ * in display order, category rooms last
+ */
+app.get('/api/admin/rooms', authenticateToken, requireRole(USER_ROLES.ADMIN), (req, res) => {
+  // Category rooms last, grouped by their place in the taxonomy
+  const rooms = [...roomCatalog.values()].sort((a, b) => (
+    Number(!!a.category) - Number(!!b.category) || a.sortOrder - b.sortOrder || a.slug.localeCompare(b.slug)
+  ));
+  res.json({ rooms: rooms.map(adminRoom) });
+});
 
-    // Generate token
-    const token = generateToken(userId);
+/**
+ * Add a room (admins only)
+ * POST /api/admin/rooms { name, slug?, description, image, environment, categories, sortOrder? }
+ *
+ * The slug defaults to one made from the name and can't be changed later
+ */
+app.post('/api/admin/rooms', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req, res) => {
+  try {
+    const { value, error } = validateRoomFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Return user (without password)
-    const { password: _, ...userWithoutPassword } = userDoc;
-    res.json({
-      user: { ...userWithoutPassword, id: userId, _id: userId },
-      token
-    });
+    const result = await createRoom(value, await getUserIdentity(req.userId));
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    console.log(`Room ${result.room.slug} created by ${req.userId}`);
+    res.status(201).json({ room: adminRoom(result.room) });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('Create room error:', error);
+    res.status(500).json({ error: 'Failed to create room' });
   }
 });
 
-app.post('/api/auth/login', authRateLimit, async (req, res) => {
+/**
+ * Edit, archive or restore a room (admins only)
+ * PATCH /api/admin/rooms/:slug { name?, description?, image?, environment?, categories?, sortOrder?, archived? }
+ *
+ * Archiving takes the room off the room list and sends everyone in it out
+ */
+app.patch('/api/admin/rooms/:slug', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { slug } = req.params;
+    const { archived, ...fields } = req.body || {};
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    if (archived !== undefined && typeof archived !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid archived value' });
+    }
+    const { value, error } = validateRoomFields(fields, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const usersCollection = db.collection('users');
-    const user = await usersCollection.findOne({ email: email.toLowerCase() });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const room = await updateRoom(slug, value, archived);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
     }
 
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    console.log(`Room ${slug} updated by ${req.userId}`);
+    res.json({ room: adminRoom(room) });
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({ error: 'Failed to update room' });
+  }
+});
+
+// Limits for admin-edited word lists
+const MAX_FILTER_WORDS = 500;
+const MAX_FILTER_WORD_LENGTH = 50;
+
+/**
+ * Message filter settings (admins only)
+ * GET /api/admin/filters
+ *
+ * Returns { scopes, settings, spamRules } where settings maps each scope to
+ * its stored settings (null when it only inherits the defaults)
+ */
+app.get('/api/admin/filters', authenticateToken, requireRole(USER_ROLES.ADMIN), (req, res) => {
+  const scopes = [DEFAULT_FILTER_SCOPE, ADVICE_FILTER_SCOPE, ...getListedRooms().map(room => room.slug)];
+  const settings = {};
+  scopes.forEach(scope => {
+    settings[scope] = filterSettings.get(scope) || null;
+  });
+
+  res.json({
+    scopes,
+    settings,
+    defaults: resolveFilterSettings(filterSettings.get(DEFAULT_FILTER_SCOPE), null),
+    spamRules: SPAM_RULES
+  });
+});
+
+/**
+ * Update filter settings for one scope (admins only)
+ * PUT /api/admin/filters/:scope { enabled, words, wordAction, spamAction }
+ *
+ * For a room or 'advice', words are added to the default list and null
+ * settings inherit the default.
+ */
+app.put('/api/admin/filters/:scope', authenticateToken, requireRole(USER_ROLES.ADMIN), async (req, res) => {
+  try {
+    const { scope } = req.params;
+    const { enabled = null, words = [], wordAction = null, spamAction = null } = req.body;
+    const isDefault = scope === DEFAULT_FILTER_SCOPE;
+
+    if (!isDefault && scope !== ADVICE_FILTER_SCOPE && !validateRoomName(scope)) {
+      return res.status(404).json({ error: 'Unknown filter scope' });
+    }
+    if (enabled !== null && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid enabled value' });
+    }
+    if (!Array.isArray(words) || words.length > MAX_FILTER_WORDS ||
+        words.some(word => typeof word !== 'string' || word.length > MAX_FILTER_WORD_LENGTH)) {
+      return res.status(400).json({
+        error: `Words must be a list of up to ${MAX_FILTER_WORDS} entries of at most ${MAX_FILTER_WORD_LENGTH} characters`
+      });
+    }
+    const wordActions = [FILTER_ACTIONS.MASK, FILTER_ACTIONS.BLOCK, FILTER_ACTIONS.FLAG];
+    if (wordAction !== null && !wordActions.includes(wordAction)) {
+      return res.status(400).json({ error: 'Invalid word action' });
+    }
+    const spamActions = [FILTER_ACTIONS.BLOCK, FILTER_ACTIONS.FLAG];
+    if (spamAction !== null && !spamActions.includes(spamAction)) {
+      return res.status(400).json({ error: 'Invalid spam action' });
+    }
+    // The defaults have nothing to inherit from
+    if (isDefault && (enabled === null || wordAction === null || spamAction === null)) {
+      return res.status(400).json({ error: 'Default settings need enabled, wordAction and spamAction' });
     }
 
-    // Generate token
-    const token = generateToken(user._id.toString());
+    const settings = await saveFilterSettings(scope, {
+      enabled,
+      words: normalizeWordList(words),
+      wordAction,
+      spamAction
+    }, await getUserIdentity(req.userId));
 
-    // Return user (without password)
-    const { password: _, ...userWithoutPassword } = user;
-    res.json({
-      user: { ...userWithoutPassword, id: user._id.toString(), _id: user._id.toString() },
-      token
-    });
+    res.json({ scope, settings });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Update filter settings error:', error);
+    res.status(500).json({ error: 'Failed to update filter settings' });
   }
 });
 
@@ -1268,16 +6330,20 @@ async function startServer() {
     // Connect to MongoDB first
     if (MONGODB_URI) {
       await connectMongoDB();
+      await loadAdviceRatings();
+      await ensureAdminRoles();
+      await loadFilterSettings();
     } else {
       console.warn('⚠️  MONGODB_URI not set - MongoDB features will not work');
     }
+    await loadRoomCatalog();
     
     // Then start the server
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📡 Socket.IO server ready for connections`);
       console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
-      console.log(`💬 Available rooms: ${GENERAL_ROOMS.join(', ')}`);
+      console.log(`💬 Available rooms: ${getListedRooms().map(room => room.slug).join(', ')}`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
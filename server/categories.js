@@ -1,13 +1,19 @@
 /**
- * Hierarchical Categories System
- * 
- * Refined category structure starting with Saltwater/Freshwater selection:
- * - Step 1: User selects Saltwater or Freshwater
- * - Step 2: Display relevant options for that environment
- * - Step 3: Further subcategories appear dynamically
+ * Category Rooms
+ *
+ * The category taxonomy and the chat rooms that hang off it. Every node of
+ * the tree (environment → subcategory → item) can have a room, created the
+ * first time someone opens it; nothing in here touches the database:
+ * - CATEGORIES: the taxonomy, served to the client by GET /api/categories
+ * - resolveCategoryRoom(): the room for a category path
+ * - getCategoryBreadcrumb(): the rooms above it, for navigation
  */
 
-export const CATEGORIES = {
+const { slugifyRoomName } = require('./rooms');
+
+// Names and images only. This is the only copy: the category selector loads
+// it from the server, so keys and item names always match the rooms.
+const CATEGORIES = {
   saltwater: {
     name: 'Saltwater',
     image: '/images/categories/saltwater/saltwater.jpeg',
@@ -19,7 +25,7 @@ export const CATEGORIES = {
           { name: 'SPS Coral', image: '/images/categories/coral/sps.png' },
           { name: 'LPS Coral', image: '/images/categories/coral/lps.png' },
           { name: 'Soft Coral', image: '/images/categories/coral/soft.png' },
-          { name: 'Anemone', image: '/images/categories/coral/anemone.png' },
+          { name: 'Anemone', image: '/images/categories/coral/anemone.png' }
         ]
       },
       macroalgae: {
@@ -28,7 +34,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Chaetomorpha', image: '/images/categories/plants/chaeto.png' },
           { name: 'Caulerpa', image: '/images/categories/plants/caulerpa.png' },
-          { name: 'Halimeda', image: '/images/categories/plants/halimeda.png' },
+          { name: 'Halimeda', image: '/images/categories/plants/halimeda.png' }
         ]
       },
       reefTanks: {
@@ -37,7 +43,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Nano Reef', image: '/images/categories/coral/nano.png' },
           { name: 'Large Reef', image: '/images/categories/coral/large.png' },
-          { name: 'Mixed Reef', image: '/images/categories/coral/mixed.png' },
+          { name: 'Mixed Reef', image: '/images/categories/coral/mixed.png' }
         ]
       },
       fish: {
@@ -47,7 +53,7 @@ export const CATEGORIES = {
           { name: 'Clownfish', image: '/images/categories/fish/saltwater/clownfish.png' },
           { name: 'Tang', image: '/images/categories/fish/saltwater/tang.png' },
           { name: 'Angelfish', image: '/images/categories/fish/saltwater/angelfish.png' },
-          { name: 'Wrasse', image: '/images/categories/fish/saltwater/wrasse.png' },
+          { name: 'Wrasse', image: '/images/categories/fish/saltwater/wrasse.png' }
         ]
       },
       stocking: {
@@ -56,7 +62,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Compatibility', image: '/images/categories/fish/compatibility.png' },
           { name: 'Biomass', image: '/images/categories/fish/biomass.png' },
-          { name: 'Quarantine', image: '/images/categories/fish/quarantine.png' },
+          { name: 'Quarantine', image: '/images/categories/fish/quarantine.png' }
         ]
       },
       waterChemistry: {
@@ -65,7 +71,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Salinity', image: '/images/categories/salinity.png' },
           { name: 'Calcium/Alkalinity', image: '/images/categories/calcium.png' },
-          { name: 'Nitrates/Phosphates', image: '/images/categories/nutrients.png' },
+          { name: 'Nitrates/Phosphates', image: '/images/categories/nutrients.png' }
         ]
       },
       shareStories: {
@@ -73,7 +79,7 @@ export const CATEGORIES = {
         image: '/images/categories/photos.png',
         items: [
           { name: 'Tank Photos', image: '/images/categories/tank-photos.png' },
-          { name: 'Success Stories', image: '/images/categories/success.png' },
+          { name: 'Success Stories', image: '/images/categories/success.png' }
         ]
       }
     }
@@ -89,7 +95,7 @@ export const CATEGORIES = {
           { name: 'Java Fern', image: '/images/categories/plants/java-fern.png' },
           { name: 'Anubias', image: '/images/categories/plants/anubias.png' },
           { name: 'Carpet Plants', image: '/images/categories/plants/carpet.png' },
-          { name: 'Stem Plants', image: '/images/categories/plants/stem.png' },
+          { name: 'Stem Plants', image: '/images/categories/plants/stem.png' }
         ]
       },
       fish: {
@@ -99,7 +105,7 @@ export const CATEGORIES = {
           { name: 'Betta', image: '/images/categories/fish/freshwater/betta.png' },
           { name: 'Tetra', image: '/images/categories/fish/freshwater/tetra.png' },
           { name: 'Cichlid', image: '/images/categories/fish/freshwater/cichlid.png' },
-          { name: 'Guppy', image: '/images/categories/fish/freshwater/guppy.png' },
+          { name: 'Guppy', image: '/images/categories/fish/freshwater/guppy.png' }
         ]
       },
       aquascapes: {
@@ -108,7 +114,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Nature Style', image: '/images/categories/nature-style.png' },
           { name: 'Dutch Style', image: '/images/categories/dutch-style.png' },
-          { name: 'Iwagumi', image: '/images/categories/iwagumi.png' },
+          { name: 'Iwagumi', image: '/images/categories/iwagumi.png' }
         ]
       },
       stocking: {
@@ -117,7 +123,7 @@ export const CATEGORIES = {
         items: [
           { name: 'Compatibility', image: '/images/categories/fish/compatibility.png' },
           { name: 'Biomass', image: '/images/categories/fish/biomass.png' },
-          { name: 'Quarantine', image: '/images/categories/fish/quarantine.png' },
+          { name: 'Quarantine', image: '/images/categories/fish/quarantine.png' }
         ]
       },
       waterChemistry: {
@@ -126,7 +132,7 @@ export const CATEGORIES = {
         items: [
           { name: 'pH Levels', image: '/images/categories/ph.png' },
           { name: 'Ammonia/Nitrite', image: '/images/categories/ammonia.png' },
-          { name: 'Nitrates', image: '/images/categories/nitrates.png' },
+          { name: 'Nitrates', image: '/images/categories/nitrates.png' }
         ]
       },
       shareStories: {
@@ -134,7 +140,7 @@ export const CATEGORIES = {
         image: '/images/categories/photos.png',
         items: [
           { name: 'Tank Photos', image: '/images/categories/tank-photos.png' },
-          { name: 'Success Stories', image: '/images/categories/success.png' },
+          { name: 'Success Stories', image: '/images/categories/success.png' }
         ]
       }
     }
@@ -142,22 +148,88 @@ export const CATEGORIES = {
 };
 
 /**
- * Get category by key
+ * Own property of a taxonomy object, or null (keys come from clients)
  */
-export const getCategory = (key) => {
-  return CATEGORIES[key];
-};
+function ownEntry(object, key) {
+  return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+}
 
 /**
- * Get all main category keys (Saltwater/Freshwater)
+ * Room slug for a category path, e.g. saltwater/waterChemistry/Salinity ->
+ * "saltwater-water-chemistry-salinity". An environment on its own is just
+ * its key, so it lands in the existing Saltwater/Freshwater room.
  */
-export const getMainCategories = () => {
-  return Object.keys(CATEGORIES);
-};
+function categoryRoomSlug(main, sub = null, item = null) {
+  const parts = [main];
+  if (sub) parts.push(sub.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase());
+  if (item) parts.push(slugifyRoomName(item));
+  return parts.join('-');
+}
 
 /**
- * Get subcategories for a main category
+ * The room for a node of the taxonomy
+ * @param {Object} path - { main, sub, item }: an environment key, optionally a
+ *   subcategory key, optionally an item name within that subcategory
+ * @returns {Object} - { room } with the fields of a catalog room plus
+ *   `category` (the path), or { error } if the path isn't in the taxonomy
  */
-export const getSubcategories = (categoryKey) => {
-  return CATEGORIES[categoryKey]?.subcategories || {};
+function resolveCategoryRoom({ main, sub = null, item = null } = {}) {
+  const environment = ownEntry(CATEGORIES, main);
+  const subcategory = environment && sub !== null ? ownEntry(environment.subcategories, sub) : null;
+  const itemNode = subcategory && item !== null ? subcategory.items.find(entry => entry.name === item) : null;
+
+  if (!environment || (sub !== null && !subcategory) || (item !== null && !itemNode)) {
+    return { error: 'Unknown category' };
+  }
+
+  const node = itemNode || subcategory || environment;
+  const trail = [environment.name, subcategory?.name, itemNode?.name].filter(Boolean);
+
+  return {
+    room: {
+      slug: categoryRoomSlug(main, sub, item),
+      name: node.name,
+      description: `Focused chat about ${trail.join(' → ')}`,
+      image: node.image,
+      environment: main,
+      categories: sub ? [sub] : [],
+      category: { main, sub, item }
+    }
+  };
+}
+
+/**
+ * Breadcrumb for a category path, from the environment down to the node
+ * @param {Object} category - { main, sub, item } as stored on the room
+ * @returns {Array} - [{ name, slug, category }], or [] if the path is no
+ *   longer in the taxonomy
+ */
+function getCategoryBreadcrumb({ main, sub, item }) {
+  const paths = [{ main, sub: null, item: null }];
+  if (sub) paths.push({ main, sub, item: null });
+  if (sub && item) paths.push({ main, sub, item });
+
+  const crumbs = [];
+  for (const path of paths) {
+    const { room } = resolveCategoryRoom(path);
+    if (!room) return [];
+    crumbs.push({ name: room.name, slug: room.slug, category: room.category });
+  }
+  return crumbs;
+}
+
+module.exports = {
+  CATEGORIES,
+  resolveCategoryRoom,
+  getCategoryBreadcrumb
 };
+
+/**
+ * Category Rooms Explanation:
+ * Picking a node in the category selector opens its room through
+ * POST /api/rooms/category. The server resolves the path here, creates the
+ * room in the catalog if it doesn't exist yet and returns it. Category rooms
+ * are ordinary rooms (messages, pins, sanctions, filters all work the same),
+ * but they are not listed on the Community Chat page; users reach them from
+ * the selector and move between them with the breadcrumb.
+ */
@@ -0,0 +1,187 @@
+/**
+ * Advice Chat Matching Engine
+ *
+ * Pure scoring and pairing logic for the 1-on-1 advice queue. Nothing in
+ * here touches sockets or the database, so it can be exercised on its own:
+ * - scorePair(): how good a match two waiting users are (0-1)
+ * - matchThreshold(): minimum score a pair needs, relaxed as users wait
+ * - findMatches(): best set of non-overlapping pairs for a whole queue
+ *
+ * Queue entries look like { socketId, userId, level, topic, joinedAt }.
+ */
+
+// How much each signal contributes to a pair's score (sums to 1)
+const MATCH_WEIGHTS = {
+  level: 0.45,
+  topic: 0.3,
+  rating: 0.1,
+  wait: 0.15
+};
+
+// Score a fresh pair must reach; it decays to 0 over AGING_WINDOW_MS
+const BASE_MATCH_THRESHOLD = 0.55;
+const AGING_WINDOW_MS = 2 * 60 * 1000; // 2 minutes
+
+// Neutral value used when a signal is unknown (no topic, no ratings yet)
+const NEUTRAL_SCORE = 0.5;
+
+/**
+ * How well two experience levels complement each other.
+ * Pairs with someone more experienced are preferred; peers are acceptable,
+ * and two Beginners only get matched once the aging threshold has relaxed.
+ */
+const LEVEL_COMPATIBILITY = {
+  Beginner: { Beginner: 0.2, Intermediate: 1, Advanced: 0.8 },
+  Intermediate: { Beginner: 1, Intermediate: 0.9, Advanced: 0.8 },
+  Advanced: { Beginner: 0.8, Intermediate: 0.8, Advanced: 0.7 }
+};
+
+/**
+ * Level compatibility for two users
+ * @param {string} levelA - Experience level of the first user
+ * @param {string} levelB - Experience level of the second user
+ * @returns {number} - 0 to 1
+ */
+function levelCompatibility(levelA, levelB) {
+  return LEVEL_COMPATIBILITY[levelA]?.[levelB] ?? 0;
+}
+
+/**
+ * Split a topic or category label into lowercase words
+ * e.g. "Saltwater - SPS Coral" -> ['saltwater', 'sps', 'coral']
+ */
+function topicTokens(topic) {
+  if (!topic || typeof topic !== 'string') return [];
+  return topic.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Topic or category overlap for two users
+ * Uses the overlap coefficient so "Coral" fully matches "SPS Coral", while
+ * "Fish (Saltwater)" and "Saltwater - Coral" get partial credit.
+ * @param {string|null} topicA - First user's topic
+ * @param {string|null} topicB - Second user's topic
+ * @returns {number} - 0 to 1, NEUTRAL_SCORE when either has no topic
+ */
+function topicOverlap(topicA, topicB) {
+  const tokensA = new Set(topicTokens(topicA));
+  const tokensB = new Set(topicTokens(topicB));
+
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return NEUTRAL_SCORE;
+  }
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+
+  return shared / Math.min(tokensA.size, tokensB.size);
+}
+
+/**
+ * Reputation signal from past session feedback
+ * @param {number|undefined} ratingA - First user's average rating (1-5)
+ * @param {number|undefined} ratingB - Second user's average rating (1-5)
+ * @returns {number} - 0 to 1, unrated users count as NEUTRAL_SCORE
+ */
+function ratingScore(ratingA, ratingB) {
+  const normalize = (rating) => (typeof rating === 'number' ? (rating - 1) / 4 : NEUTRAL_SCORE);
+  return (normalize(ratingA) + normalize(ratingB)) / 2;
+}
+
+/**
+ * How far along the aging window the longer-waiting user of a pair is
+ * @returns {number} - 0 (just joined) to 1 (waited the full window)
+ */
+function agingFactor(a, b, now) {
+  const waited = now - Math.min(a.joinedAt, b.joinedAt);
+  return Math.min(Math.max(waited / AGING_WINDOW_MS, 0), 1);
+}
+
+/**
+ * Score a potential pair
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @param {Object} options - { now, ratings } where ratings maps userId -> average rating
+ * @returns {number} - 0 to 1
+ */
+function scorePair(a, b, { now = Date.now(), ratings = new Map() } = {}) {
+  return (
+    MATCH_WEIGHTS.level * levelCompatibility(a.level, b.level) +
+    MATCH_WEIGHTS.topic * topicOverlap(a.topic, b.topic) +
+    MATCH_WEIGHTS.rating * ratingScore(ratings.get(a.userId), ratings.get(b.userId)) +
+    MATCH_WEIGHTS.wait * agingFactor(a, b, now)
+  );
+}
+
+/**
+ * Minimum score a pair needs, relaxed as the longer waiter ages
+ * @returns {number} - BASE_MATCH_THRESHOLD down to 0
+ */
+function matchThreshold(a, b, now = Date.now()) {
+  return BASE_MATCH_THRESHOLD * (1 - agingFactor(a, b, now));
+}
+
+/**
+ * Pair up as many waiting users as possible, best pairs first
+ * @param {Array} queue - Queue entries
+ * @param {Object} options - { now, ratings, canPair } where canPair(a, b)
+ *   can veto a pair outright (e.g. users who blocked each other)
+ * @returns {Array} - [{ a, b, score }] with no user in more than one pair
+ */
+function findMatches(queue, { now = Date.now(), ratings = new Map(), canPair = () => true } = {}) {
+  const candidates = [];
+
+  for (let i = 0; i < queue.length; i++) {
+    for (let j = i + 1; j < queue.length; j++) {
+      const a = queue[i];
+      const b = queue[j];
+
+      // Never match a user with themselves (e.g. two open tabs)
+      if (a.userId === b.userId || !canPair(a, b)) continue;
+
+      const score = scorePair(a, b, { now, ratings });
+      if (score >= matchThreshold(a, b, now)) {
+        // Longer waiter first so they are user1 of the session
+        candidates.push(a.joinedAt <= b.joinedAt ? { a, b, score } : { a: b, b: a, score });
+      }
+    }
+  }
+
+  // Best score first; on ties, whoever has waited longest
+  candidates.sort((x, y) => (y.score - x.score) || (x.a.joinedAt - y.a.joinedAt));
+
+  const paired = new Set();
+  const matches = [];
+  candidates.forEach(pair => {
+    if (paired.has(pair.a.socketId) || paired.has(pair.b.socketId)) return;
+    paired.add(pair.a.socketId);
+    paired.add(pair.b.socketId);
+    matches.push(pair);
+  });
+
+  return matches;
+}
+
+module.exports = {
+  MATCH_WEIGHTS,
+  BASE_MATCH_THRESHOLD,
+  AGING_WINDOW_MS,
+  levelCompatibility,
+  topicOverlap,
+  ratingScore,
+  scorePair,
+  matchThreshold,
+  findMatches
+};
+
+/**
+ * Matching Engine Explanation:
+ * Every waiting pair is scored on level compatibility, topic/category
+ * overlap, past ratings and time waited. A pair is only matched when its
+ * score clears a threshold that starts at BASE_MATCH_THRESHOLD and falls to
+ * zero over AGING_WINDOW_MS, so good matches happen immediately and long
+ * waiters eventually accept a looser one. Pairs are then chosen greedily by
+ * score so one user can't drain a whole level of the queue.
+ */
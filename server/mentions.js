@@ -0,0 +1,52 @@
+/**
+ * Mentions
+ *
+ * Pure parsing of @username mentions in message text. Looking the names up
+ * and notifying users happens in server.js:
+ * - extractMentionNames(): distinct names mentioned in a message
+ */
+
+// Most users one message can mention; extra names are ignored
+const MAX_MENTIONS_PER_MESSAGE = 10;
+
+// "@" at the start or after whitespace/punctuation, then the name up to the
+// next space. Usernames containing spaces can't be mentioned.
+const MENTION_PATTERN = /(^|[^\w@])@([^\s@]{1,30})/g;
+
+// Punctuation that usually follows a mention rather than being part of it
+const TRAILING_PUNCTUATION = /[.,!?:;)\]}'"]+$/;
+
+/**
+ * Names mentioned in a message
+ * @param {string} text - Message text
+ * @returns {Array} - Distinct names as typed (without "@"), in order of
+ *   appearance, at most MAX_MENTIONS_PER_MESSAGE
+ */
+function extractMentionNames(text) {
+  if (typeof text !== 'string') return [];
+
+  const names = [];
+  const seen = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(TRAILING_PUNCTUATION, '');
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) continue;
+    seen.add(key);
+    names.push(name);
+    if (names.length === MAX_MENTIONS_PER_MESSAGE) break;
+  }
+  return names;
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_MESSAGE,
+  extractMentionNames
+};
+
+/**
+ * Mentions Explanation:
+ * A mention is "@" followed by a username. Names are matched against users
+ * case-insensitively by the server, which stores the resolved users on the
+ * message as mentions: [{ userId, username }] so clients only highlight
+ * names that belong to real users.
+ */
@@ -0,0 +1,225 @@
+/**
+ * Message Filter
+ *
+ * Pure profanity and spam checks for room and advice messages. Like the
+ * matching engine, nothing in here touches sockets or the database:
+ * - resolveFilterSettings(): effective settings for a room from the defaults
+ *   plus that room's overrides
+ * - findBannedWords() / maskBannedWords(): word list matching
+ * - detectSpam(): repeated messages, link floods and all-caps bursts
+ * - filterMessage(): runs both and decides what happens to the message
+ */
+
+// What happens to a message that trips the filter
+const FILTER_ACTIONS = {
+  ALLOW: 'allow', // deliver unchanged
+  MASK: 'mask', // deliver with banned words replaced by asterisks
+  BLOCK: 'block', // reject and tell the sender
+  FLAG: 'flag' // hold back and send to the moderation queue
+};
+
+// Spam heuristic names, also used in flag reports
+const SPAM_REASONS = {
+  DUPLICATE: 'duplicate',
+  LINK_FLOOD: 'link_flood',
+  ALL_CAPS: 'all_caps'
+};
+
+// Settings used when nothing has been configured
+const DEFAULT_FILTER_SETTINGS = {
+  enabled: true,
+  words: [],
+  wordAction: FILTER_ACTIONS.MASK,
+  spamAction: FILTER_ACTIONS.BLOCK
+};
+
+// Spam heuristic thresholds
+const SPAM_RULES = {
+  historyWindowMs: 60 * 1000, // how far back recent messages are compared
+  maxDuplicates: 2, // identical messages allowed in the window before this one
+  maxLinks: 3, // links allowed in one message
+  maxRecentLinks: 6, // links allowed across the window, this message included
+  capsMinLetters: 8, // shorter messages never count as shouting
+  capsRatio: 0.8, // share of uppercase letters that counts as shouting
+  maxCapsMessages: 2 // shouted messages allowed in the window before this one
+};
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+// Stricter actions win when the word list and spam checks disagree
+const ACTION_SEVERITY = {
+  [FILTER_ACTIONS.ALLOW]: 0,
+  [FILTER_ACTIONS.MASK]: 1,
+  [FILTER_ACTIONS.FLAG]: 2,
+  [FILTER_ACTIONS.BLOCK]: 3
+};
+
+/**
+ * Clean up an admin-entered word list
+ * @param {Array} words - Raw words or phrases
+ * @returns {Array} - Trimmed, lowercase, de-duplicated entries
+ */
+function normalizeWordList(words) {
+  if (!Array.isArray(words)) return [];
+  const cleaned = words
+    .filter(word => typeof word === 'string')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+/**
+ * Effective settings for one scope
+ * Word lists add up (defaults plus the scope's own words); every other
+ * setting in the scope overrides the default when present.
+ * @param {Object|null} defaults - Stored default settings
+ * @param {Object|null} overrides - Stored settings for the room or advice chat
+ * @returns {Object} - { enabled, words, wordAction, spamAction }
+ */
+function resolveFilterSettings(defaults, overrides) {
+  const base = { ...DEFAULT_FILTER_SETTINGS, ...(defaults || {}) };
+  const scoped = overrides || {};
+
+  return {
+    enabled: scoped.enabled ?? base.enabled,
+    words: normalizeWordList([...(base.words || []), ...(scoped.words || [])]),
+    wordAction: scoped.wordAction || base.wordAction,
+    spamAction: scoped.spamAction || base.spamAction
+  };
+}
+
+/**
+ * Build one case-insensitive pattern for a word list
+ * Words only match on word boundaries, so "ass" doesn't catch "class".
+ */
+function buildWordPattern(words) {
+  if (words.length === 0) return null;
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi');
+}
+
+/**
+ * Banned words or phrases found in a message
+ * @param {string} text - Message text
+ * @param {Array} words - Normalized word list
+ * @returns {Array} - Distinct matches, lowercase
+ */
+function findBannedWords(text, words) {
+  const pattern = buildWordPattern(words);
+  if (!pattern) return [];
+  const matches = text.match(pattern) || [];
+  return [...new Set(matches.map(match => match.toLowerCase()))];
+}
+
+/**
+ * Replace banned words with asterisks, keeping the first letter
+ * e.g. "darn it" -> "d*** it"
+ */
+function maskBannedWords(text, words) {
+  const pattern = buildWordPattern(words);
+  if (!pattern) return text;
+  return text.replace(pattern, match => match[0] + '*'.repeat(match.length - 1));
+}
+
+/**
+ * Whether a message is mostly uppercase letters
+ */
+function isShouting(text) {
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  if (letters.length < SPAM_RULES.capsMinLetters) return false;
+  const upper = letters.replace(/[^A-Z]/g, '').length;
+  return upper / letters.length >= SPAM_RULES.capsRatio;
+}
+
+function countLinks(text) {
+  return (text.match(LINK_PATTERN) || []).length;
+}
+
+/**
+ * Spam heuristics against the sender's recent messages
+ * @param {string} text - Message text
+ * @param {Array} history - Sender's recent messages [{ text, timestamp }]
+ * @param {number} now - Current time in ms
+ * @returns {Array} - SPAM_REASONS that apply (empty if none)
+ */
+function detectSpam(text, history = [], now = Date.now()) {
+  const recent = history.filter(entry => now - entry.timestamp <= SPAM_RULES.historyWindowMs);
+  const reasons = [];
+
+  const normalized = text.trim().toLowerCase();
+  const duplicates = recent.filter(entry => entry.text.trim().toLowerCase() === normalized).length;
+  if (duplicates >= SPAM_RULES.maxDuplicates) {
+    reasons.push(SPAM_REASONS.DUPLICATE);
+  }
+
+  const links = countLinks(text);
+  const recentLinks = recent.reduce((total, entry) => total + countLinks(entry.text), 0);
+  if (links > SPAM_RULES.maxLinks || (links > 0 && links + recentLinks > SPAM_RULES.maxRecentLinks)) {
+    reasons.push(SPAM_REASONS.LINK_FLOOD);
+  }
+
+  if (isShouting(text)) {
+    const shouted = recent.filter(entry => isShouting(entry.text)).length;
+    if (shouted >= SPAM_RULES.maxCapsMessages) {
+      reasons.push(SPAM_REASONS.ALL_CAPS);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Run a message through the word list and spam checks
+ * @param {string} text - Validated message text
+ * @param {Object} options - { settings, history, now } where settings comes
+ *   from resolveFilterSettings() and history from the sender's recent messages
+ * @returns {Object} - { action, text, words, spam } where text is what should
+ *   be delivered (masked if needed), words the banned words found and spam
+ *   the SPAM_REASONS that applied
+ */
+function filterMessage(text, { settings = DEFAULT_FILTER_SETTINGS, history = [], now = Date.now() } = {}) {
+  if (!settings.enabled) {
+    return { action: FILTER_ACTIONS.ALLOW, text, words: [], spam: [] };
+  }
+
+  const words = findBannedWords(text, settings.words);
+  const spam = detectSpam(text, history, now);
+
+  const candidates = [FILTER_ACTIONS.ALLOW];
+  if (words.length > 0) candidates.push(settings.wordAction);
+  if (spam.length > 0) candidates.push(settings.spamAction);
+  const action = candidates.reduce((strictest, candidate) =>
+    ACTION_SEVERITY[candidate] > ACTION_SEVERITY[strictest] ? candidate : strictest
+  );
+
+  return {
+    action,
+    text: words.length > 0 ? maskBannedWords(text, settings.words) : text,
+    words,
+    spam
+  };
+}
+
+module.exports = {
+  FILTER_ACTIONS,
+  SPAM_REASONS,
+  SPAM_RULES,
+  DEFAULT_FILTER_SETTINGS,
+  normalizeWordList,
+  resolveFilterSettings,
+  findBannedWords,
+  maskBannedWords,
+  detectSpam,
+  filterMessage
+};
+
+/**
+ * Message Filter Explanation:
+ * Admins keep a default word list and can add words or change actions per
+ * room (and for advice chat). Banned words are masked, blocked or flagged
+ * according to wordAction; spam heuristics compare a message with the
+ * sender's last minute of messages and apply spamAction. When both trip,
+ * the stricter action wins. Flagged messages are not delivered; the server
+ * files them as reports so a moderator reviews them instead of the message
+ * silently disappearing.
+ */
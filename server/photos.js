@@ -0,0 +1,107 @@
+/**
+ * Photo Processing
+ *
+ * Turns an uploaded image into the files we store. Nothing in here touches
+ * storage or the database:
+ * - PHOTO_CONTENT_TYPES / MAX_PHOTO_BYTES: what uploads are accepted
+ * - PHOTO_PURPOSES: chat photos and profile pictures, each with its own sizes
+ * - processPhoto(): validate, strip metadata, resize and make a thumbnail
+ */
+
+const sharp = require('sharp');
+
+// Upload types we accept, as sent by the browser; the decoded format is checked too
+const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024; // 5 MB
+// Refuse images that would take too much memory to decode (about 8000 x 5000)
+const MAX_PHOTO_PIXELS = 40 * 1000 * 1000;
+
+// Output sizes per kind of photo. Chat photos keep their shape; profile
+// pictures are cropped square.
+const PHOTO_PURPOSES = {
+  chat: {
+    full: { width: 2048, height: 2048, fit: 'inside' },
+    thumbnail: { width: 480, height: 480, fit: 'inside' }
+  },
+  profile: {
+    full: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 96, height: 96, fit: 'cover' }
+  }
+};
+
+// Everything is stored as WebP: small, keeps transparency, shown by every current browser
+const OUTPUT_CONTENT_TYPE = 'image/webp';
+const OUTPUT_EXTENSION = 'webp';
+const OUTPUT_QUALITY = 82;
+
+/**
+ * Resize an image and encode it for storage
+ */
+async function renderVariant(buffer, size) {
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PHOTO_PIXELS })
+    // Apply the EXIF orientation to the pixels; the EXIF block itself is
+    // dropped because sharp only writes metadata when asked to
+    .rotate()
+    .resize({ ...size, withoutEnlargement: true })
+    .webp({ quality: OUTPUT_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height, size: info.size };
+}
+
+/**
+ * Validate an upload and produce the full-size image and its thumbnail
+ * Both outputs are re-encoded, so EXIF data (camera, GPS location) and any
+ * other metadata in the upload never reach storage.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} purpose - Key of PHOTO_PURPOSES
+ * @returns {Promise<Object>} - { full, thumbnail, contentType, extension }
+ *   where full/thumbnail are { buffer, width, height, size }, or { error }
+ */
+async function processPhoto(buffer, purpose) {
+  const sizes = PHOTO_PURPOSES[purpose];
+  if (!sizes) {
+    throw new Error(`Unknown photo purpose: ${purpose}`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_PHOTO_PIXELS }).metadata();
+  } catch (error) {
+    return { error: 'That file is not an image we can read' };
+  }
+  if (!PHOTO_FORMATS.includes(metadata.format)) {
+    return { error: 'Photos must be JPEG, PNG, WebP or GIF' };
+  }
+  if (!metadata.width || !metadata.height || metadata.width * metadata.height > MAX_PHOTO_PIXELS) {
+    return { error: 'That photo is too large to process' };
+  }
+
+  try {
+    const [full, thumbnail] = await Promise.all([
+      renderVariant(buffer, sizes.full),
+      renderVariant(buffer, sizes.thumbnail)
+    ]);
+    return { full, thumbnail, contentType: OUTPUT_CONTENT_TYPE, extension: OUTPUT_EXTENSION };
+  } catch (error) {
+    return { error: 'That file is not an image we can read' };
+  }
+}
+
+module.exports = {
+  PHOTO_CONTENT_TYPES,
+  MAX_PHOTO_BYTES,
+  PHOTO_PURPOSES,
+  processPhoto
+};
+
+/**
+ * Photo Processing Explanation:
+ * Uploads arrive in memory (multer) and are checked twice: the browser's
+ * content type when the upload starts, and the decoded format here, so a
+ * renamed file can't get through. Every stored file is one we encoded
+ * ourselves, which is what strips EXIF and GPS data. Storing the result is
+ * server.js's job (see PHOTO UPLOADS), through server/storage.js.
+ */
@@ -0,0 +1,200 @@
+/**
+ * Room Catalog
+ *
+ * Definitions and validation for community rooms. The catalog itself lives
+ * in the `rooms` collection and is cached by server.js; nothing in here
+ * touches the database:
+ * - DEFAULT_ROOMS: rooms seeded into an empty catalog
+ * - ROOM_VISIBILITY / ROOM_ROLES: who can find and join a room, and who runs it
+ * - slugifyRoomName(): URL-safe slug for a display name
+ * - validateRoomFields(): check and normalize admin input
+ */
+
+// Tank environments a room can be about; 'any' fits every tank
+const ROOM_ENVIRONMENTS = ['freshwater', 'saltwater', 'any'];
+
+// Who can find and join a room. Rooms without a visibility are public.
+const ROOM_VISIBILITY = {
+  PUBLIC: 'public', // listed on the Community Chat page
+  UNLISTED: 'unlisted', // anyone with the link can join
+  INVITE: 'invite' // members only; people join through an invite link
+};
+
+// A user's part in a user-created room
+const ROOM_ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member'
+};
+
+const MAX_ROOM_NAME_LENGTH = 40;
+const MAX_ROOM_DESCRIPTION_LENGTH = 200;
+const MAX_ROOM_CATEGORIES = 10;
+
+const ROOM_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Category tags are the subcategory keys of the client's category tree (e.g. 'coral', 'waterChemistry')
+const CATEGORY_TAG_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{0,39}$/;
+// Images are served by the client (/images/...) or come from an https URL
+const IMAGE_PATTERN = /^(\/|https:\/\/)\S{1,300}$/;
+
+// The rooms the app started with. legacyName is the name their messages,
+// read markers and settings were stored under before the catalog existed.
+const DEFAULT_ROOMS = [
+  {
+    slug: 'freshwater',
+    name: 'Freshwater',
+    description: 'Discussions about freshwater tanks, fish, and aquascaping',
+    image: '/images/community-chat-rooms/freshwater/plants.jpeg',
+    environment: 'freshwater',
+    categories: ['plants', 'fish', 'aquascapes'],
+    legacyName: 'Freshwater'
+  },
+  {
+    slug: 'saltwater',
+    name: 'Saltwater',
+    description: 'Saltwater aquarium topics and marine life',
+    image: '/images/community-chat-rooms/saltwater/saltwatertank.jpeg',
+    environment: 'saltwater',
+    categories: ['fish', 'macroalgae', 'stocking'],
+    legacyName: 'Saltwater'
+  },
+  {
+    slug: 'reef',
+    name: 'Reef Systems',
+    description: 'Advanced reef keeping and coral care',
+    image: '/images/community-chat-rooms/reef/reeftank.jpeg',
+    environment: 'saltwater',
+    categories: ['coral', 'reefTanks'],
+    legacyName: 'Reef'
+  },
+  {
+    slug: 'community-tank',
+    name: 'Community Tank',
+    description: 'General community tank discussions',
+    image: '/images/community-chat-rooms/community/communitytank.jpeg',
+    environment: 'any',
+    categories: ['stocking', 'waterChemistry'],
+    legacyName: 'Community Tank'
+  },
+  {
+    slug: 'photos-and-stories',
+    name: 'Photos & Stories',
+    description: 'Share your tank photos and experiences',
+    image: '/images/community-chat/communitychat.jpeg',
+    environment: 'any',
+    categories: ['shareStories'],
+    legacyName: 'Photos & Stories'
+  }
+];
+
+/**
+ * URL-safe slug for a room name, e.g. "Photos & Stories" -> "photos-and-stories"
+ * @param {string} name - Display name
+ * @returns {string} - Slug, possibly empty if the name has no letters or digits
+ */
+function slugifyRoomName(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_ROOM_NAME_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Check and normalize room fields sent by an admin
+ * @param {Object} input - { name, slug, description, image, environment, categories, visibility, sortOrder }
+ * @param {Object} options - { partial } to allow leaving fields out (updates)
+ * @returns {Object} - { value } with the normalized fields that were given, or { error }
+ */
+function validateRoomFields(input, { partial = false } = {}) {
+  const value = {};
+  const given = (field) => input[field] !== undefined;
+
+  if (given('name') || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_ROOM_NAME_LENGTH) {
+      return { error: `Name must be 1-${MAX_ROOM_NAME_LENGTH} characters` };
+    }
+    value.name = name;
+  }
+
+  // The slug is the room's permanent id, so it can only be chosen on creation
+  if (!partial) {
+    const slug = given('slug') && input.slug !== '' ? input.slug : slugifyRoomName(value.name);
+    if (typeof slug !== 'string' || !ROOM_SLUG_PATTERN.test(slug) || slug.length > MAX_ROOM_NAME_LENGTH) {
+      return { error: 'Slug must be lowercase letters, digits and single dashes' };
+    }
+    value.slug = slug;
+  }
+
+  if (given('description') || !partial) {
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > MAX_ROOM_DESCRIPTION_LENGTH) {
+      return { error: `Description cannot exceed ${MAX_ROOM_DESCRIPTION_LENGTH} characters` };
+    }
+    value.description = description;
+  }
+
+  if (given('image') || !partial) {
+    const image = input.image === undefined || input.image === null ? '' : input.image;
+    if (typeof image !== 'string' || (image !== '' && !IMAGE_PATTERN.test(image))) {
+      return { error: 'Image must be a path starting with / or an https URL' };
+    }
+    value.image = image || null;
+  }
+
+  if (given('environment') || !partial) {
+    const environment = input.environment === undefined ? 'any' : input.environment;
+    if (!ROOM_ENVIRONMENTS.includes(environment)) {
+      return { error: `Environment must be one of: ${ROOM_ENVIRONMENTS.join(', ')}` };
+    }
+    value.environment = environment;
+  }
+
+  if (given('categories') || !partial) {
+    const categories = input.categories === undefined ? [] : input.categories;
+    if (!Array.isArray(categories) || categories.length > MAX_ROOM_CATEGORIES
+      || !categories.every(tag => typeof tag === 'string' && CATEGORY_TAG_PATTERN.test(tag))) {
+      return { error: `Categories must be a list of up to ${MAX_ROOM_CATEGORIES} category keys` };
+    }
+    value.categories = [...new Set(categories)];
+  }
+
+  if (given('visibility')) {
+    if (!Object.values(ROOM_VISIBILITY).includes(input.visibility)) {
+      return { error: `Visibility must be one of: ${Object.values(ROOM_VISIBILITY).join(', ')}` };
+    }
+    value.visibility = input.visibility;
+  }
+
+  if (given('sortOrder')) {
+    if (!Number.isInteger(input.sortOrder)) {
+      return { error: 'sortOrder must be a whole number' };
+    }
+    value.sortOrder = input.sortOrder;
+  }
+
+  return { value };
+}
+
+module.exports = {
+  ROOM_ENVIRONMENTS,
+  ROOM_VISIBILITY,
+  ROOM_ROLES,
+  DEFAULT_ROOMS,
+  slugifyRoomName,
+  validateRoomFields
+};
+
+/**
+ * Room Catalog Explanation:
+ * Every room has a permanent slug, which is what messages, read markers,
+ * sanctions and filter settings store and what clients send. Everything
+ * else (name, description, image, environment, category tags, order) can be
+ * changed by admins. Rooms are archived rather than deleted so their history
+ * and references stay intact. Rooms created by users also have an owner,
+ * co-moderators and a member list; only invite-only rooms require
+ * membership to join.
+ */
@@ -0,0 +1,68 @@
+/**
+ * Photo Storage
+ *
+ * Where uploaded photo files live. server.js only talks to the interface
+ * below, so a cloud bucket can replace the local disk without touching the
+ * upload routes. Every backend provides:
+ * - save(key, buffer, contentType): store a file under a key
+ * - remove(key): delete a file; keys that don't exist are ignored
+ * - url(key): public URL of a stored file
+ *
+ * Keys are made by the server (e.g. "photos/ph_abc123.webp"), never taken
+ * from clients.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Letters, digits, "_", "-" and "." in "/"-separated segments
+const STORAGE_KEY_PATTERN = /^[\w-]+(?:\.[\w-]+)*(?:\/[\w-]+(?:\.[\w-]+)*)*$/;
+
+/**
+ * Throw for a key that could escape the storage root
+ */
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !STORAGE_KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+/**
+ * Storage backend that keeps files in a local directory
+ * server.js serves the directory at `baseUrl` with express.static.
+ * @param {Object} options - { directory, baseUrl }
+ * @returns {Object} - { save, remove, url, directory }
+ */
+function createLocalDiskStorage({ directory, baseUrl }) {
+  const root = path.resolve(directory);
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    directory: root,
+
+    async save(key, buffer) {
+      assertValidKey(key);
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      assertValidKey(key);
+      try {
+        await fs.unlink(path.join(root, key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url(key) {
+      assertValidKey(key);
+      return `${base}/${key}`;
+    }
+  };
+}
+
+module.exports = {
+  createLocalDiskStorage
+};
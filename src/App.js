@@ -5,28 +5,40 @@
  * - HomePage (landing/welcome page)
  * - RegisterPage / LoginPage (authentication)
  * - GeneralChatPage (general chat room selection)
+ * - RoomInvitePage (joins a room from an invite link)
  * - TopicChatsPage (topic-based advice chat)
  * - ProfilePage (user profile)
  * - GeneralRoomPage / AdviceChatPage (chat interfaces)
+ * - SearchPage (search community room messages)
+ * - ModerationPage (report queue for moderators)
+ * - AdminPage (role management for admins)
  * 
- * Wrapped with UserProvider for authentication state management
+ * Wrapped with UserProvider for authentication state management,
+ * UnreadProvider for unread message badges and RoomsProvider for the
+ * community room catalog
  */
 
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { UserProvider, useUser } from './contexts/UserContext';
+import { UnreadProvider } from './contexts/UnreadContext';
+import { RoomsProvider } from './contexts/RoomsContext';
 import Navbar from './components/Navbar';
 import Sidebar from './components/Sidebar';
 import HomePage from './components/HomePage';
 import RegisterPage from './components/RegisterPage';
 import LoginPage from './components/LoginPage';
 import GeneralChatPage from './components/GeneralChatPage';
+import RoomInvitePage from './components/RoomInvitePage';
 import TopicChatsPage from './components/TopicChatsPage';
 import ProfilePage from './components/ProfilePage';
 import LeaderboardPage from './components/LeaderboardPage';
 import GeneralRoomPage from './components/GeneralRoomPage';
 import AdviceChatPage from './components/AdviceChatPage';
 import AiAdvisorPage from './components/AiAdvisorPage';
+import SearchPage from './components/SearchPage';
+import ModerationPage from './components/ModerationPage';
+import AdminPage from './components/AdminPage';
 
 // Layout wrapper for authenticated pages (with sidebar on desktop, navbar for mobile)
 const AuthenticatedLayout = ({ children }) => {
@@ -63,62 +75,98 @@ const HomePageWrapper = () => {
 function App() {
   return (
     <UserProvider>
-      <Router>
-        <Routes>
-          {/* Home page - conditionally wrapped */}
-          <Route path="/" element={<HomePageWrapper />} />
+      <UnreadProvider>
+        <RoomsProvider>
+          <Router>
+            <Routes>
+              {/* Home page - conditionally wrapped */}
+              <Route path="/" element={<HomePageWrapper />} />
           
-          {/* Public routes */}
-          <Route path="/register" element={<RegisterPage />} />
-          <Route path="/login" element={<LoginPage />} />
+              {/* Public routes */}
+              <Route path="/register" element={<RegisterPage />} />
+              <Route path="/login" element={<LoginPage />} />
           
-          {/* Authenticated routes with sidebar */}
-          <Route 
-            path="/general-chat" 
-            element={
-              <AuthenticatedLayout>
-                <GeneralChatPage />
-              </AuthenticatedLayout>
-            } 
-          />
-          <Route 
-            path="/topic-chats" 
-            element={
-              <AuthenticatedLayout>
-                <TopicChatsPage />
-              </AuthenticatedLayout>
-            } 
-          />
-          <Route 
-            path="/profile" 
-            element={
-              <AuthenticatedLayout>
-                <ProfilePage />
-              </AuthenticatedLayout>
-            } 
-          />
-          <Route 
-            path="/leaderboard" 
-            element={
-              <AuthenticatedLayout>
-                <LeaderboardPage />
-              </AuthenticatedLayout>
-            } 
-          />
-          <Route 
-            path="/ai-advisor" 
-            element={
-              <AuthenticatedLayout>
-                <AiAdvisorPage />
-              </AuthenticatedLayout>
-            } 
-          />
+              {/* Authenticated routes with sidebar */}
+              <Route 
+                path="/general-chat" 
+                element={
+                  <AuthenticatedLayout>
+                    <GeneralChatPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/rooms/invite/:code" 
+                element={
+                  <AuthenticatedLayout>
+                    <RoomInvitePage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/topic-chats" 
+                element={
+                  <AuthenticatedLayout>
+                    <TopicChatsPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/profile" 
+                element={
+                  <AuthenticatedLayout>
+                    <ProfilePage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/leaderboard" 
+                element={
+                  <AuthenticatedLayout>
+                    <LeaderboardPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/ai-advisor" 
+                element={
+                  <AuthenticatedLayout>
+                    <AiAdvisorPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/search" 
+                element={
+                  <AuthenticatedLayout>
+                    <SearchPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/moderation" 
+                element={
+                  <AuthenticatedLayout>
+                    <ModerationPage />
+                  </AuthenticatedLayout>
+                } 
+              />
+              <Route 
+                path="/admin" 
+                element={
+                  <AuthenticatedLayout>
+                    <AdminPage />
+                  </AuthenticatedLayout>
+                } 
+              />
           
-          {/* Chat room pages (full screen) */}
-          <Route path="/general-room" element={<GeneralRoomPage />} />
-          <Route path="/advice-chat" element={<AdviceChatPage />} />
-        </Routes>
-      </Router>
+              {/* Chat room pages (full screen) */}
+              <Route path="/general-room" element={<GeneralRoomPage />} />
+              <Route path="/advice-chat" element={<AdviceChatPage />} />
+            </Routes>
+          </Router>
+        </RoomsProvider>
+      </UnreadProvider>
     </UserProvider>
   );
 }
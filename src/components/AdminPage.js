@@ -0,0 +1,185 @@
+/**
+ * AdminPage Component
+ *
+ * Admin tools:
+ * - Search users by name or email, filter by role
+ * - Grant or revoke the moderator and admin roles
+ * - Community room catalog
+ * - Message filter settings
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useUser } from '../contexts/UserContext';
+import { adminAPI } from '../services/api';
+import { USER_ROLES, hasRole } from '../utils/roles';
+import RoomCatalogPanel from './RoomCatalogPanel';
+import FilterSettingsPanel from './FilterSettingsPanel';
+
+const ROLE_OPTIONS = [
+  { id: USER_ROLES.MEMBER, label: 'Member' },
+  { id: USER_ROLES.MODERATOR, label: 'Moderator' },
+  { id: USER_ROLES.ADMIN, label: 'Admin' },
+];
+
+const AdminPage = () => {
+  const navigate = useNavigate();
+  const { user, isAuthenticated, loading: userLoading } = useUser();
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [savingUserId, setSavingUserId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const isAdmin = hasRole(user, USER_ROLES.ADMIN);
+
+  // Only admins can see this page
+  useEffect(() => {
+    if (userLoading) return;
+    if (!isAuthenticated) {
+      navigate('/');
+    } else if (!isAdmin) {
+      navigate('/general-chat');
+    }
+  }, [userLoading, isAuthenticated, isAdmin, navigate]);
+
+  // Reload when the role filter changes; searches run on submit
+  useEffect(() => {
+    if (isAdmin) {
+      loadUsers();
+    }
+  }, [roleFilter, isAdmin]);
+
+  const loadUsers = async () => {
+    setLoading(true);
+    try {
+      const response = await adminAPI.getUsers({ search: search.trim(), role: roleFilter });
+      setUsers(response.users || []);
+    } catch (error) {
+      console.error('Error loading users:', error);
+      setMessage({ type: 'error', text: 'Could not load users.' });
+      setUsers([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadUsers();
+  };
+
+  /**
+   * Change a user's role
+   */
+  const handleRoleChange = async (target, role) => {
+    if (role === target.role) return;
+
+    setSavingUserId(target.userId);
+    setMessage({ type: '', text: '' });
+    try {
+      await adminAPI.setUserRole(target.userId, role);
+      setUsers(prev => prev.map(u => (u.userId === target.userId ? { ...u, role } : u)));
+      setMessage({ type: 'success', text: `${target.username} is now ${role === USER_ROLES.ADMIN ? 'an' : 'a'} ${role}.` });
+    } catch (error) {
+      console.error('Error updating role:', error);
+      setMessage({ type: 'error', text: error.message || 'Could not update role.' });
+    } finally {
+      setSavingUserId(null);
+    }
+  };
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-gray-100">Admin</h1>
+        <p className="mt-1 text-sm text-gray-400">Manage user roles, rooms and message filtering</p>
+      </div>
+
+      {message.text && (
+        <div
+          className={`mb-6 p-4 rounded-lg border ${
+            message.type === 'success'
+              ? 'bg-green-900/30 border-green-700/50 text-green-300'
+              : 'bg-red-900/30 border-red-700/50 text-red-300'
+          }`}
+        >
+          <p className="font-medium text-sm">{message.text}</p>
+        </div>
+      )}
+
+      <div className="card">
+        <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-3 mb-6">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by username or email"
+            className="input-field flex-1"
+          />
+          <select
+            value={roleFilter}
+            onChange={(e) => setRoleFilter(e.target.value)}
+            className="input-field sm:w-48"
+          >
+            <option value="">All roles</option>
+            {ROLE_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn-primary">Search</button>
+        </form>
+
+        {loading ? (
+          <div className="text-center py-8">
+            <div className="inline-block w-6 h-6 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <p className="text-sm text-gray-400">No users found.</p>
+        ) : (
+          <div className="divide-y divide-dark-600">
+            {users.map((entry) => {
+              const self = entry.userId === user.id;
+              return (
+                <div key={entry.userId} className="flex items-center justify-between py-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-100 truncate">
+                      {entry.username}{self && <span className="text-gray-500"> (you)</span>}
+                    </p>
+                    <p className="text-xs text-gray-400 truncate">{entry.email}</p>
+                  </div>
+                  <select
+                    value={entry.role}
+                    onChange={(e) => handleRoleChange(entry, e.target.value)}
+                    disabled={self || savingUserId === entry.userId}
+                    className="input-field w-40 ml-4 disabled:opacity-50"
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="mt-8">
+        <RoomCatalogPanel />
+      </div>
+
+      <div className="mt-8">
+        <FilterSettingsPanel />
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
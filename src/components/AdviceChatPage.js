@@ -11,12 +11,27 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { createSocket } from '../utils/socket';
+import { useUnread } from '../contexts/UnreadContext';
+import { showMessageNotification } from '../utils/notifications';
+import ReportUserModal from './ReportUserModal';
+import MessagePhoto from './MessagePhoto';
+import { describeSanction } from '../utils/sanctions';
+import {
+  MESSAGE_STATUS,
+  createClientId,
+  sendWithAck,
+  mergeSentMessage,
+  updatePendingMessage,
+  removePendingMessage,
+} from '../utils/outgoingMessages';
 
 const AdviceChatPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const socketRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const unreadMessageRef = useRef(null);
+  const { applyReadMarker } = useUnread();
 
   // Get user data and optional topic from navigation state
   const { userData, topic } = location.state || {};
@@ -29,6 +44,7 @@ const AdviceChatPage = () => {
   const [matched, setMatched] = useState(false);
   const [sessionId, setSessionId] = useState(null);
   const [partner, setPartner] = useState(null);
+  const [showReport, setShowReport] = useState(false);
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
   const [sessionEnded, setSessionEnded] = useState(false);
@@ -48,6 +64,29 @@ const AdviceChatPage = () => {
     scrollToBottom();
   }, [messages]);
 
+  /**
+   * Mark a partner's message read, or remember it until the tab is visible
+   */
+  const markRead = (message) => {
+    if (document.hidden) {
+      unreadMessageRef.current = message;
+      return;
+    }
+    unreadMessageRef.current = null;
+    socketRef.current?.emit('mark-read', { sessionId: message.sessionId, messageId: message.id });
+  };
+
+  // Messages that arrived in a background tab are read once it's visible again
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden && unreadMessageRef.current) {
+        markRead(unreadMessageRef.current);
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
   /**
    * Initialize Socket.IO connection and join queue
    */
@@ -64,14 +103,7 @@ const AdviceChatPage = () => {
     socketRef.current = newSocket;
     setSocket(newSocket);
 
-    // Authenticate user
-    newSocket.emit('authenticate', {
-      username: userData.username,
-      level: userData.level,
-      userId: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    });
-
-    // Handle authentication success
+    // Handle authentication success (the server verifies the handshake token)
     newSocket.on('authenticated', (data) => {
       console.log('Authenticated:', data);
       setConnected(true);
@@ -105,11 +137,32 @@ const AdviceChatPage = () => {
     newSocket.on('advice-message', (messageData) => {
       console.log('Message received:', messageData);
       setMessages(prev => [...prev, messageData]);
+      markRead(messageData);
     });
 
-    // Handle message sent confirmation
-    newSocket.on('advice-message-sent', (data) => {
-      console.log('Message sent:', data);
+    // Mentioned in a community room while in this session
+    newSocket.on('mentioned', (data) => {
+      showMessageNotification(data.from.username, data.message, data.roomName, { mention: true });
+    });
+
+    // Read marker moved, here or on another device
+    newSocket.on('read-marker-updated', (data) => {
+      applyReadMarker(data);
+    });
+
+    // Messages edited or deleted in this session
+    newSocket.on('message-edited', (data) => {
+      setMessages(prev => prev.map(m => (
+        m.id === data.messageId ? { ...m, text: data.message, message: data.message, editedAt: data.editedAt } : m
+      )));
+    });
+
+    newSocket.on('message-deleted', (data) => {
+      setMessages(prev => prev.map(m => (
+        m.id === data.messageId
+          ? { ...m, text: '', message: '', deletedAt: data.deletedAt, deletedBy: { moderator: data.byModerator } }
+          : m
+      )));
     });
 
     // Handle session ended
@@ -125,10 +178,26 @@ const AdviceChatPage = () => {
       setError('Your partner has disconnected.');
     });
 
+    // Blocked or held back by the message filter; the send's ack drops the pending copy
+    newSocket.on('message-filtered', (data) => {
+      setError(data.message);
+    });
+
+    // Muted or globally kicked/banned users can't queue or send messages
+    newSocket.on('sanctioned', (data) => {
+      if (data.room !== null) return;
+      setQueued(false);
+      setError(describeSanction(data));
+    });
+
     // Handle connection errors
     newSocket.on('connect_error', (error) => {
       console.error('Connection error:', error);
-      setError('Connection error. Please refresh the page.');
+      if (error.message === 'Authentication required' || error.message === 'Invalid or expired token') {
+        setError('Your session has expired. Please sign in again.');
+      } else {
+        setError('Connection error. Please refresh the page.');
+      }
     });
 
     // Cleanup on unmount
@@ -147,22 +216,69 @@ const AdviceChatPage = () => {
     if (!messageInput.trim() || !socket || !connected || !matched) return;
 
     const messageData = {
+      clientId: createClientId(),
       text: messageInput.trim(),
       sessionId: sessionId,
       userId: userId,
       username: userData.username,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING
     };
 
-    // Optimistically add message to UI
+    // Show the message right away; it's marked as sending until the server confirms it
     setMessages(prev => [...prev, messageData]);
     setMessageInput('');
 
-    // Send to server
-    socket.emit('advice-message', {
-      sessionId: sessionId,
-      message: messageInput.trim()
+    deliverMessage(messageData);
+  };
+
+  /**
+   * Send a message to the server and settle its pending copy
+   * Retries reuse the clientId, so a delivered message is not sent twice.
+   */
+  const deliverMessage = async (messageData) => {
+    const response = await sendWithAck(socket, 'advice-message', {
+      sessionId: messageData.sessionId,
+      message: messageData.text,
+      clientId: messageData.clientId
     });
+
+    if (response.ok) {
+      setMessages(prev => mergeSentMessage(prev, response.message));
+    } else if (response.filtered) {
+      // 'message-filtered' already said why; there's nothing to retry
+      setMessages(prev => removePendingMessage(prev, messageData.clientId));
+    } else {
+      setMessages(prev => updatePendingMessage(prev, messageData.clientId, {
+        status: MESSAGE_STATUS.FAILED,
+        error: response.error
+      }));
+    }
+  };
+
+  /**
+   * Send a failed message again
+   */
+  const handleRetryMessage = (message) => {
+    if (!socket || !connected || !matched) return;
+    setMessages(prev => updatePendingMessage(prev, message.clientId, { status: MESSAGE_STATUS.PENDING, error: null }));
+    deliverMessage(message);
+  };
+
+  /**
+   * Drop a failed message without sending it
+   */
+  const handleDiscardMessage = (message) => {
+    setMessages(prev => removePendingMessage(prev, message.clientId));
+  };
+
+  /**
+   * Delete one of the user's own messages
+   */
+  const handleDeleteMessage = (messageId) => {
+    if (socket && sessionId && window.confirm('Delete this message?')) {
+      socket.emit('delete-message', { messageId, sessionId });
+    }
   };
 
   /**
@@ -181,8 +297,14 @@ const AdviceChatPage = () => {
    * Handle feedback submission
    */
   const handleSubmitFeedback = async () => {
-    // In production, this would send feedback to backend
-    console.log('Feedback submitted:', { rating: feedbackRating, comment: feedbackComment, sessionId });
+    // Ratings feed into the partner's future matches
+    if (socket && sessionId && feedbackRating > 0) {
+      socket.emit('submit-feedback', {
+        sessionId,
+        rating: feedbackRating,
+        comment: feedbackComment.trim() || null
+      });
+    }
     
     // Show confirmation and redirect
     navigate('/topic-chats');
@@ -271,6 +393,12 @@ const AdviceChatPage = () => {
             >
               End Session
             </button>
+            <button
+              onClick={() => setShowReport(true)}
+              className="w-full mt-2 px-4 py-2 text-sm font-medium text-gray-400 hover:text-red-400 rounded-lg transition-colors"
+            >
+              Report Partner
+            </button>
           </div>
         )}
       </div>
@@ -326,6 +454,7 @@ const AdviceChatPage = () => {
               <div className="space-y-4">
                 {messages.map((message, index) => {
                   const own = isOwnMessage(message.userId);
+                  const deleted = !!message.deletedAt;
                   return (
                     <div
                       key={index}
@@ -335,20 +464,66 @@ const AdviceChatPage = () => {
                         {!own && (
                           <span className="text-xs text-gray-500 mb-1 px-1">{message.username}</span>
                         )}
-                        <div
-                          className={`
-                            px-4 py-2.5 rounded-lg
-                            ${own
-                              ? 'bg-accent-600 text-white'
-                              : 'bg-gray-800/60 backdrop-blur-sm text-gray-100 border border-gray-700'
-                            }
-                          `}
-                        >
-                          <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{message.text || message.message || ''}</p>
+                        {deleted ? (
+                          <div className="px-4 py-2.5 rounded-lg border border-dashed border-gray-700">
+                            <p className="text-sm italic text-gray-500">
+                              {message.deletedBy?.moderator ? 'Removed by a moderator' : 'This message was deleted'}
+                            </p>
+                          </div>
+                        ) : (
+                          <div
+                            className={`
+                              px-4 py-2.5 rounded-lg transition-opacity
+                              ${own
+                                ? 'bg-accent-600 text-white'
+                                : 'bg-gray-800/60 backdrop-blur-sm text-gray-100 border border-gray-700'
+                              }
+                              ${message.status === MESSAGE_STATUS.PENDING ? 'opacity-60' : ''}
+                              ${message.status === MESSAGE_STATUS.FAILED ? 'opacity-60 ring-1 ring-red-500/70' : ''}
+                            `}
+                          >
+                            <MessagePhoto photo={message.photo} />
+                            {(message.text || message.message) && (
+                              <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{message.text || message.message}</p>
+                            )}
+                          </div>
+                        )}
+                        <div className={`group flex items-center mt-1 px-1 text-xs text-gray-500 ${own ? 'justify-end' : 'justify-start'}`}>
+                          <span>{formatTime(message.timestamp)}</span>
+                          {message.status === MESSAGE_STATUS.PENDING && <span className="ml-1">· Sending...</span>}
+                          {message.status === MESSAGE_STATUS.FAILED && (
+                            <>
+                              <span className="ml-1 text-red-400" title={message.error}>· Not sent</span>
+                              {matched && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleRetryMessage(message)}
+                                  disabled={!connected}
+                                  className="ml-2 text-gray-400 hover:text-gray-200 disabled:opacity-50"
+                                >
+                                  Retry
+                                </button>
+                              )}
+                              <button
+                                type="button"
+                                onClick={() => handleDiscardMessage(message)}
+                                className="ml-2 text-gray-400 hover:text-red-400"
+                              >
+                                Discard
+                              </button>
+                            </>
+                          )}
+                          {message.editedAt && !deleted && <span className="ml-1">(edited)</span>}
+                          {own && message.id && !deleted && matched && (
+                            <button
+                              type="button"
+                              onClick={() => handleDeleteMessage(message.id)}
+                              className="ml-2 text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              Delete
+                            </button>
+                          )}
                         </div>
-                        <span className={`text-xs text-gray-500 mt-1 px-1 ${own ? 'text-right' : 'text-left'}`}>
-                          {formatTime(message.timestamp)}
-                        </span>
                       </div>
                     </div>
                   );
@@ -421,6 +596,15 @@ const AdviceChatPage = () => {
                     />
                   </div>
                   <div className="flex justify-end space-x-3">
+                    {partner && (
+                      <button
+                        type="button"
+                        onClick={() => setShowReport(true)}
+                        className="px-6 py-2 text-sm font-medium text-gray-400 hover:text-red-400 rounded-lg transition-colors"
+                      >
+                        Report Partner
+                      </button>
+                    )}
                     <button
                       type="button"
                       onClick={handleSubmitFeedback}
@@ -442,6 +626,15 @@ const AdviceChatPage = () => {
           )}
         </div>
       </div>
+
+      {/* The server infers the reported user from the session */}
+      {showReport && partner && (
+        <ReportUserModal
+          target={{ username: partner.username || 'your partner' }}
+          context={{ sessionId }}
+          onClose={() => setShowReport(false)}
+        />
+      )}
     </div>
   );
 };
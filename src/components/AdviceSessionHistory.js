@@ -0,0 +1,174 @@
+/**
+ * AdviceSessionHistory Component
+ *
+ * Past private advice sessions for the current user:
+ * - List of sessions with partner, topic and date
+ * - Read-only transcript of the selected session
+ * - Unread badges; opening a transcript marks it read
+ */
+
+import React, { useState, useEffect } from 'react';
+import { chatAPI } from '../services/api';
+import { useUnread, formatUnreadCount } from '../contexts/UnreadContext';
+
+const END_REASON_LABELS = {
+  ended_by_user: 'Ended',
+  disconnected: 'Disconnected'
+};
+
+const AdviceSessionHistory = ({ currentUserId }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [transcript, setTranscript] = useState([]);
+  const [loadingTranscript, setLoadingTranscript] = useState(false);
+  const [error, setError] = useState(null);
+  const { advice: unreadSessions, applyReadMarker } = useUnread();
+
+  // Load the user's past sessions
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const response = await chatAPI.getAdviceSessions();
+        setSessions(response.sessions || []);
+      } catch (error) {
+        console.error('Error loading advice sessions:', error);
+        setError('Could not load past sessions.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSessions();
+  }, []);
+
+  /**
+   * Open a session transcript
+   */
+  const handleSelectSession = async (session) => {
+    if (selectedSession?.sessionId === session.sessionId) {
+      setSelectedSession(null);
+      return;
+    }
+
+    setSelectedSession(session);
+    setTranscript([]);
+    setLoadingTranscript(true);
+    try {
+      const response = await chatAPI.getAdviceChatHistory(session.sessionId);
+      const messages = response.messages || [];
+      setTranscript(messages);
+
+      if (messages.length > 0 && unreadSessions[session.sessionId]?.unread > 0) {
+        const { marker } = await chatAPI.markRead({ sessionId: session.sessionId, messageId: messages[messages.length - 1].id });
+        if (marker) applyReadMarker(marker);
+      }
+    } catch (error) {
+      console.error('Error loading session transcript:', error);
+      setError('Could not load that session.');
+    } finally {
+      setLoadingTranscript(false);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  return (
+    <div className="card">
+      <h3 className="text-sm font-semibold text-gray-100 mb-3">Past Sessions</h3>
+
+      {loading && (
+        <div className="text-center py-4">
+          <div className="inline-block w-5 h-5 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+        </div>
+      )}
+
+      {!loading && sessions.length === 0 && !error && (
+        <p className="text-sm text-gray-400">Your advice sessions will appear here.</p>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-400 mb-2">{error}</p>
+      )}
+
+      <div className="space-y-2">
+        {sessions.map((session) => {
+          const selected = selectedSession?.sessionId === session.sessionId;
+          return (
+            <div key={session.sessionId}>
+              <button
+                onClick={() => handleSelectSession(session)}
+                className={`
+                  w-full px-3 py-2 text-left rounded-lg border transition-all
+                  ${selected
+                    ? 'border-ocean-500 bg-ocean-600/20'
+                    : 'border-dark-600 bg-dark-700/50 hover:bg-dark-700 hover:border-dark-500'
+                  }
+                `}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-100 truncate">
+                    {session.partner.username}
+                  </span>
+                  <span className="flex items-center ml-2 flex-shrink-0">
+                    {unreadSessions[session.sessionId]?.unread > 0 && (
+                      <span className="mr-2 px-1.5 text-xs font-semibold rounded-full bg-ocean-600 text-white">
+                        {formatUnreadCount(unreadSessions[session.sessionId].unread)}
+                      </span>
+                    )}
+                    <span className="text-xs text-gray-500">{formatDate(session.createdAt)}</span>
+                  </span>
+                </div>
+                <div className="text-xs text-gray-400 truncate">
+                  {session.topic || 'Any topic'}
+                  {session.endReason && ` · ${END_REASON_LABELS[session.endReason] || session.endReason}`}
+                </div>
+              </button>
+
+              {selected && (
+                <div className="mt-2 mb-3 max-h-80 overflow-y-auto space-y-3 px-1">
+                  {loadingTranscript && (
+                    <div className="text-center py-4">
+                      <div className="inline-block w-5 h-5 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+                    </div>
+                  )}
+                  {!loadingTranscript && transcript.length === 0 && (
+                    <p className="text-xs text-gray-500">No messages in this session.</p>
+                  )}
+                  {transcript.map((message) => {
+                    const own = message.userId === currentUserId;
+                    return (
+                      <div key={message.id} className={`flex flex-col ${own ? 'items-end' : 'items-start'}`}>
+                        <div
+                          className={`
+                            px-3 py-2 rounded-lg max-w-full
+                            ${own
+                              ? 'bg-accent-600 text-white'
+                              : 'bg-gray-800/60 text-gray-100 border border-gray-700'
+                            }
+                          `}
+                        >
+                          <p className="text-xs leading-relaxed whitespace-pre-wrap break-words">{message.message}</p>
+                        </div>
+                        <span className="text-xs text-gray-500 mt-0.5 px-1">
+                          {own ? 'You' : message.username} · {formatTime(message.timestamp)}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AdviceSessionHistory;
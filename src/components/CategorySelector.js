@@ -5,15 +5,33 @@
  * - Step 1: User selects Saltwater or Freshwater
  * - Step 2: Display relevant options for that environment
  * - Step 3: Further subcategories appear dynamically
+ *
+ * The taxonomy comes from the server (GET /api/categories), which also
+ * creates the room for each node.
  */
 
-import React, { useState } from 'react';
-import { CATEGORIES } from '../utils/categories';
+import React, { useState, useEffect } from 'react';
+import { chatAPI } from '../services/api';
 
 const CategorySelector = ({ onCategorySelect, selectedCategory = null }) => {
+  const [categories, setCategories] = useState({});
+  const [loadError, setLoadError] = useState(null);
   const [selectedMainCategory, setSelectedMainCategory] = useState(selectedCategory?.main || null);
   const [selectedSubcategory, setSelectedSubcategory] = useState(selectedCategory?.sub || null);
 
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await chatAPI.getCategories();
+        setCategories(response.categories || {});
+      } catch (error) {
+        console.error('Error loading categories:', error);
+        setLoadError('Could not load the categories.');
+      }
+    };
+    loadCategories();
+  }, []);
+
   const handleMainCategorySelect = (categoryKey) => {
     setSelectedMainCategory(categoryKey);
     setSelectedSubcategory(null);
@@ -21,7 +39,7 @@ const CategorySelector = ({ onCategorySelect, selectedCategory = null }) => {
 
   const handleSubcategorySelect = (subcategoryKey) => {
     setSelectedSubcategory(subcategoryKey);
-    const category = CATEGORIES[selectedMainCategory];
+    const category = categories[selectedMainCategory];
     const subcategory = category.subcategories[subcategoryKey];
     if (onCategorySelect) {
       onCategorySelect({
@@ -47,11 +65,13 @@ const CategorySelector = ({ onCategorySelect, selectedCategory = null }) => {
 
   return (
     <div className="space-y-6">
+      {loadError && <p className="text-sm text-red-400">{loadError}</p>}
+
       {/* Step 1: Main Categories (Saltwater/Freshwater) */}
       <div>
         <h3 className="text-sm font-semibold text-gray-100 mb-4">Select Environment</h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {Object.entries(CATEGORIES).map(([key, category]) => (
+          {Object.entries(categories).map(([key, category]) => (
             <button
               key={key}
               onClick={() => handleMainCategorySelect(key)}
@@ -82,13 +102,13 @@ const CategorySelector = ({ onCategorySelect, selectedCategory = null }) => {
       </div>
 
       {/* Step 2: Subcategories based on selected environment */}
-      {selectedMainCategory && CATEGORIES[selectedMainCategory]?.subcategories && (
+      {selectedMainCategory && categories[selectedMainCategory]?.subcategories && (
         <div>
           <h3 className="text-sm font-semibold text-gray-100 mb-4">
-            Select {CATEGORIES[selectedMainCategory].name} Topic
+            Select {categories[selectedMainCategory].name} Topic
           </h3>
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-            {Object.entries(CATEGORIES[selectedMainCategory].subcategories).map(([key, subcategory]) => (
+            {Object.entries(categories[selectedMainCategory].subcategories).map(([key, subcategory]) => (
               <button
                 key={key}
                 onClick={() => handleSubcategorySelect(key)}
@@ -121,13 +141,13 @@ const CategorySelector = ({ onCategorySelect, selectedCategory = null }) => {
 
       {/* Step 3: Items within Subcategory */}
       {selectedMainCategory && selectedSubcategory && 
-       CATEGORIES[selectedMainCategory]?.subcategories[selectedSubcategory]?.items && (
+       categories[selectedMainCategory]?.subcategories[selectedSubcategory]?.items && (
         <div>
           <h3 className="text-sm font-semibold text-gray-100 mb-4">
-            Select Specific {CATEGORIES[selectedMainCategory].subcategories[selectedSubcategory].name}
+            Select Specific {categories[selectedMainCategory].subcategories[selectedSubcategory].name}
           </h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            {CATEGORIES[selectedMainCategory].subcategories[selectedSubcategory].items.map((item, index) => (
+            {categories[selectedMainCategory].subcategories[selectedSubcategory].items.map((item, index) => (
               <button
                 key={index}
                 onClick={() => handleItemSelect(item)}
@@ -0,0 +1,131 @@
+/**
+ * CreateRoomModal Component
+ *
+ * Dialog for starting a room of your own:
+ * - Name, description and tank environment
+ * - Visibility: public, unlisted or invite-only
+ */
+
+import React, { useState } from 'react';
+import { chatAPI } from '../services/api';
+import { VISIBILITY_OPTIONS, ENVIRONMENT_OPTIONS } from './RoomManageModal';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onCreated - Called with the new room
+ * @param {Function} props.onClose - Called when the dialog closes
+ */
+const CreateRoomModal = ({ onCreated, onClose }) => {
+  const [form, setForm] = useState({ name: '', description: '', environment: 'any', visibility: 'public' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || submitting) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await chatAPI.createRoom({
+        name: form.name.trim(),
+        description: form.description.trim(),
+        environment: form.environment,
+        visibility: form.visibility,
+      });
+      onCreated(response.room);
+    } catch (error) {
+      console.error('Error creating room:', error);
+      setError(error.message || 'Could not create the room. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md bg-gray-800 border border-gray-700 rounded-lg p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <h3 className="text-lg font-semibold text-white">Create a room</h3>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              maxLength={40}
+              placeholder="e.g. Nano Reef Club"
+              className="input-field"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Description (optional)</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              maxLength={200}
+              placeholder="What is this room about?"
+              className="input-field"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Environment</label>
+            <select
+              value={form.environment}
+              onChange={(e) => setForm(prev => ({ ...prev, environment: e.target.value }))}
+              className="input-field"
+            >
+              {ENVIRONMENT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <fieldset className="space-y-2">
+            <legend className="block text-sm font-medium text-gray-300 mb-2">Who can join</legend>
+            {VISIBILITY_OPTIONS.map((option) => (
+              <label key={option.id} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="radio"
+                  name="visibility"
+                  value={option.id}
+                  checked={form.visibility === option.id}
+                  onChange={() => setForm(prev => ({ ...prev, visibility: option.id }))}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm text-gray-100">{option.label}</span>
+                  <span className="block text-xs text-gray-400">{option.description}</span>
+                </span>
+              </label>
+            ))}
+          </fieldset>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-700/50 hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button type="submit" disabled={!form.name.trim() || submitting} className="btn-primary">
+              {submitting ? 'Creating...' : 'Create room'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreateRoomModal;
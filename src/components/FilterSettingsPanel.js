@@ -0,0 +1,196 @@
+/**
+ * FilterSettingsPanel Component
+ *
+ * Admin editor for the message filter:
+ * - Default word list and actions that apply everywhere
+ * - Extra words and action overrides per room and for advice chat
+ */
+
+import React, { useState, useEffect } from 'react';
+import { adminAPI } from '../services/api';
+import { useRooms } from '../contexts/RoomsContext';
+
+const WORD_ACTIONS = [
+  { id: 'mask', label: 'Mask the words' },
+  { id: 'block', label: 'Block the message' },
+  { id: 'flag', label: 'Hold for moderator review' },
+];
+
+const SPAM_ACTIONS = [
+  { id: 'block', label: 'Block the message' },
+  { id: 'flag', label: 'Hold for moderator review' },
+];
+
+// Room scopes are room slugs, shown by the room's name
+const scopeLabel = (scope, getRoomName) => {
+  if (scope === 'default') return 'All chats (default)';
+  if (scope === 'advice') return 'Private advice';
+  return getRoomName(scope);
+};
+
+// Form state for a scope; '' means "inherit" outside the default scope
+const toForm = (stored, isDefault, defaults) => ({
+  enabled: stored?.enabled ?? (isDefault ? defaults.enabled : ''),
+  words: (stored?.words || []).join('\n'),
+  wordAction: stored?.wordAction || (isDefault ? defaults.wordAction : ''),
+  spamAction: stored?.spamAction || (isDefault ? defaults.spamAction : ''),
+});
+
+const FilterSettingsPanel = () => {
+  const { getRoomName } = useRooms();
+  const [config, setConfig] = useState(null);
+  const [scope, setScope] = useState('default');
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await adminAPI.getFilterSettings();
+        setConfig(response);
+        setForm(toForm(response.settings.default, true, response.defaults));
+      } catch (error) {
+        console.error('Error loading filter settings:', error);
+        setMessage({ type: 'error', text: 'Could not load filter settings.' });
+      }
+    };
+    loadSettings();
+  }, []);
+
+  const isDefault = scope === 'default';
+
+  const handleScopeChange = (nextScope) => {
+    setScope(nextScope);
+    setForm(toForm(config.settings[nextScope], nextScope === 'default', config.defaults));
+    setMessage({ type: '', text: '' });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const { settings } = await adminAPI.updateFilterSettings(scope, {
+        enabled: form.enabled === '' ? null : form.enabled === true || form.enabled === 'true',
+        words: form.words.split(/[\n,]/).map(word => word.trim()).filter(Boolean),
+        wordAction: form.wordAction || null,
+        spamAction: form.spamAction || null,
+      });
+      setConfig(prev => ({
+        ...prev,
+        settings: { ...prev.settings, [scope]: settings },
+        defaults: isDefault
+          ? { enabled: settings.enabled, words: settings.words, wordAction: settings.wordAction, spamAction: settings.spamAction }
+          : prev.defaults,
+      }));
+      setForm(toForm(settings, isDefault, config.defaults));
+      setMessage({ type: 'success', text: `Filter settings for ${scopeLabel(scope, getRoomName)} saved.` });
+    } catch (error) {
+      console.error('Error saving filter settings:', error);
+      setMessage({ type: 'error', text: error.message || 'Could not save filter settings.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config || !form) {
+    return (
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-100 mb-2">Message Filter</h2>
+        {message.text
+          ? <p className="text-sm text-red-400">{message.text}</p>
+          : <p className="text-sm text-gray-400">Loading...</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-100">Message Filter</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Banned words and spam checks for room and advice messages. Rooms add their own words to the default list.
+      </p>
+
+      {message.text && (
+        <p className={`mb-4 text-sm ${message.type === 'success' ? 'text-green-300' : 'text-red-400'}`}>{message.text}</p>
+      )}
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Applies to</label>
+          <select value={scope} onChange={(e) => handleScopeChange(e.target.value)} className="input-field">
+            {config.scopes.map((option) => (
+              <option key={option} value={option}>{scopeLabel(option, getRoomName)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Filter</label>
+          <select
+            value={String(form.enabled)}
+            onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.value === '' ? '' : e.target.value === 'true' }))}
+            className="input-field"
+          >
+            {!isDefault && <option value="">Same as default ({config.defaults.enabled ? 'on' : 'off'})</option>}
+            <option value="true">On</option>
+            <option value="false">Off</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            {isDefault ? 'Banned words' : 'Extra banned words'} (one per line)
+          </label>
+          <textarea
+            value={form.words}
+            onChange={(e) => setForm(prev => ({ ...prev, words: e.target.value }))}
+            rows={6}
+            className="input-field font-mono"
+          />
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">When a banned word is used</label>
+            <select
+              value={form.wordAction}
+              onChange={(e) => setForm(prev => ({ ...prev, wordAction: e.target.value }))}
+              className="input-field"
+            >
+              {!isDefault && <option value="">Same as default</option>}
+              {WORD_ACTIONS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">When a message looks like spam</label>
+            <select
+              value={form.spamAction}
+              onChange={(e) => setForm(prev => ({ ...prev, spamAction: e.target.value }))}
+              className="input-field"
+            >
+              {!isDefault && <option value="">Same as default</option>}
+              {SPAM_ACTIONS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Spam means the same message {config.spamRules.maxDuplicates + 1} times within a minute,
+          more than {config.spamRules.maxLinks} links at once, or repeated all-caps messages.
+        </p>
+
+        <button type="submit" disabled={saving} className="btn-primary">
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default FilterSettingsPanel;
@@ -2,54 +2,34 @@
  * GeneralChatPage Component
  * 
  * Community chat room selection with dark theme:
- * - Room cards with images
- * - Hierarchical category selection
+ * - Room cards with images, from the server's room catalog
+ * - Hierarchical category selection that opens a focused room per topic
+ * - Rooms started by members, the user's own rooms, and creating a new one
  * - Professional dark layout
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
+import { useUnread, formatUnreadCount } from '../contexts/UnreadContext';
+import { useRooms } from '../contexts/RoomsContext';
+import { chatAPI } from '../services/api';
 import CategorySelector from './CategorySelector';
+import CreateRoomModal from './CreateRoomModal';
 
-const COMMUNITY_ROOMS = [
-  { 
-    id: 'freshwater', 
-    name: 'Freshwater', 
-    description: 'Discussions about freshwater tanks, fish, and aquascaping',
-    image: '/images/community-chat-rooms/freshwater/plants.jpeg'
-  },
-  { 
-    id: 'saltwater', 
-    name: 'Saltwater', 
-    description: 'Saltwater aquarium topics and marine life',
-    image: '/images/community-chat-rooms/saltwater/saltwatertank.jpeg'
-  },
-  { 
-    id: 'reef', 
-    name: 'Reef Systems', 
-    description: 'Advanced reef keeping and coral care',
-    image: '/images/community-chat-rooms/reef/reeftank.jpeg'
-  },
-  { 
-    id: 'community', 
-    name: 'Community Tank', 
-    description: 'General community tank discussions',
-    image: '/images/community-chat-rooms/community/communitytank.jpeg'
-  },
-  { 
-    id: 'photos', 
-    name: 'Photos & Stories', 
-    description: 'Share your tank photos and experiences',
-    image: '/images/community-chat/communitychat.jpeg'
-  },
-];
+const ROLE_LABELS = { owner: 'Owner', moderator: 'Co-moderator', member: 'Member' };
 
 const GeneralChatPage = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated } = useUser();
+  const { rooms: unreadRooms, refreshUnread } = useUnread();
+  const { rooms, loading: loadingRooms, refreshRooms } = useRooms();
   const [showCategories, setShowCategories] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [openingCategory, setOpeningCategory] = useState(false);
+  const [categoryError, setCategoryError] = useState(null);
+  const [myRooms, setMyRooms] = useState([]);
+  const [showCreateRoom, setShowCreateRoom] = useState(false);
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -58,6 +38,28 @@ const GeneralChatPage = () => {
     }
   }, [isAuthenticated, navigate]);
 
+  // Counts may have changed while we were in a room, and admins may have changed the rooms
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshUnread();
+      refreshRooms();
+    }
+  }, [isAuthenticated, refreshUnread, refreshRooms]);
+
+  // Rooms the user owns or belongs to, including unlisted and invite-only ones
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    const loadMyRooms = async () => {
+      try {
+        const response = await chatAPI.getMyRooms();
+        setMyRooms(response.rooms || []);
+      } catch (error) {
+        console.error('Error loading your rooms:', error);
+      }
+    };
+    loadMyRooms();
+  }, [isAuthenticated]);
+
   if (!isAuthenticated || !user) {
     return null;
   }
@@ -65,7 +67,7 @@ const GeneralChatPage = () => {
   /**
    * Handle room selection and navigation
    */
-  const handleJoinRoom = (roomName) => {
+  const handleJoinRoom = (roomSlug) => {
     navigate('/general-room', {
       state: {
         userData: {
@@ -73,19 +75,41 @@ const GeneralChatPage = () => {
           username: user.username,
           level: user.level
         },
-        room: roomName
+        room: roomSlug
       }
     });
   };
 
   /**
-   * Handle category selection
+   * Handle category selection; the selector stays open so a topic can be
+   * narrowed down to a specific item
    */
   const handleCategorySelect = (category) => {
     setSelectedCategory(category);
-    setShowCategories(false);
+    setCategoryError(null);
   };
 
+  /**
+   * Open the selected topic's room (the server creates it the first time)
+   */
+  const handleOpenCategoryRoom = async () => {
+    setOpeningCategory(true);
+    setCategoryError(null);
+    try {
+      const { main, sub, item } = selectedCategory;
+      const response = await chatAPI.openCategoryRoom({ main, sub, item });
+      handleJoinRoom(response.room.slug);
+    } catch (error) {
+      console.error('Error opening category room:', error);
+      setCategoryError(error.message || 'Could not open that room.');
+    } finally {
+      setOpeningCategory(false);
+    }
+  };
+
+  const officialRooms = rooms.filter(room => !room.owner);
+  const memberRooms = rooms.filter(room => room.owner);
+
   return (
     <div className="max-w-6xl mx-auto">
       {/* Page Header */}
@@ -97,15 +121,57 @@ const GeneralChatPage = () => {
       </div>
 
       {/* Category Selection Toggle */}
-      <div className="mb-8">
+      <div className="mb-8 flex items-center space-x-3">
         <button
           onClick={() => setShowCategories(!showCategories)}
           className="px-4 py-2 text-sm font-medium text-ocean-400 bg-ocean-600/20 border border-ocean-500/50 rounded-lg hover:bg-ocean-600/30 transition-all"
         >
           {showCategories ? 'Hide Categories' : 'Browse by Category'}
         </button>
+        <button
+          onClick={() => setShowCreateRoom(true)}
+          className="px-4 py-2 text-sm font-medium text-gray-300 bg-dark-700 border border-dark-600 rounded-lg hover:bg-dark-600 transition-all"
+        >
+          Create a Room
+        </button>
       </div>
 
+      {/* The user's own rooms */}
+      {myRooms.length > 0 && (
+        <div className="card mb-8">
+          <h2 className="text-sm font-semibold text-gray-200 mb-3">Your Rooms</h2>
+          <div className="divide-y divide-dark-600">
+            {myRooms.map((room) => {
+              const unread = unreadRooms[room.slug]?.unread || 0;
+              return (
+                <button
+                  key={room.slug}
+                  type="button"
+                  onClick={() => handleJoinRoom(room.slug)}
+                  className="w-full flex items-center justify-between py-2 text-left group"
+                >
+                  <span className="min-w-0">
+                    <span className="block text-sm font-medium text-gray-100 truncate group-hover:text-ocean-400 transition-colors">
+                      {room.name}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {ROLE_LABELS[room.role]}
+                      {room.visibility === 'unlisted' && ' · Unlisted'}
+                      {room.visibility === 'invite' && ' · Invite only'}
+                    </span>
+                  </span>
+                  {unread > 0 && (
+                    <span className="ml-4 px-2 py-0.5 text-xs font-semibold rounded-full bg-ocean-600 text-white">
+                      {formatUnreadCount(unread)} new
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Category Selector */}
       {showCategories && (
         <div className="card mb-8">
@@ -113,37 +179,113 @@ const GeneralChatPage = () => {
             onCategorySelect={handleCategorySelect}
             selectedCategory={selectedCategory}
           />
+
+          {selectedCategory && (
+            <div className="mt-6 pt-6 border-t border-dark-600 flex items-center justify-between">
+              <div>
+                <p className="text-xs text-gray-500">Selected topic</p>
+                <p className="text-sm font-medium text-gray-100">{selectedCategory.name}</p>
+              </div>
+              <button
+                type="button"
+                onClick={handleOpenCategoryRoom}
+                disabled={openingCategory}
+                className="btn-primary"
+              >
+                {openingCategory ? 'Opening...' : 'Join Topic Chat'}
+              </button>
+            </div>
+          )}
+          {categoryError && (
+            <p className="mt-3 text-sm text-red-400">{categoryError}</p>
+          )}
         </div>
       )}
 
       {/* Rooms Grid */}
       <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {COMMUNITY_ROOMS.map((room) => (
-          <button
-            key={room.id}
-            onClick={() => handleJoinRoom(room.name)}
-            className="group text-left glass-card p-6 hover:border-ocean-500/50 transition-all duration-300"
-          >
-            <div className="mb-4 h-48 rounded-lg overflow-hidden bg-dark-900 border border-dark-600">
-              <img
-                src={room.image}
-                alt={room.name}
-                className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300 opacity-80"
-                onError={(e) => {
-                  e.target.style.display = 'none';
-                  e.target.parentElement.className = 'mb-4 h-48 rounded-lg overflow-hidden bg-gradient-to-br from-ocean-900/50 to-dark-800 border border-dark-600';
-                }}
-              />
-            </div>
-            <h3 className="text-base font-semibold text-gray-100 mb-2 group-hover:text-ocean-400 transition-colors">
-              {room.name}
-            </h3>
-            <p className="text-sm text-gray-400 leading-relaxed">
-              {room.description}
-            </p>
-          </button>
-        ))}
+        {officialRooms.map((room) => {
+          const unread = unreadRooms[room.slug]?.unread || 0;
+          return (
+            <button
+              key={room.slug}
+              onClick={() => handleJoinRoom(room.slug)}
+              className="relative group text-left glass-card p-6 hover:border-ocean-500/50 transition-all duration-300"
+            >
+              {unread > 0 && (
+                <span className="absolute top-4 right-4 z-10 px-2 py-0.5 text-xs font-semibold rounded-full bg-ocean-600 text-white shadow-lg">
+                  {formatUnreadCount(unread)} new
+                </span>
+              )}
+              {room.image ? (
+                <div className="mb-4 h-48 rounded-lg overflow-hidden bg-dark-900 border border-dark-600">
+                  <img
+                    src={room.image}
+                    alt={room.name}
+                    className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300 opacity-80"
+                    onError={(e) => {
+                      e.target.style.display = 'none';
+                      e.target.parentElement.className = 'mb-4 h-48 rounded-lg overflow-hidden bg-gradient-to-br from-ocean-900/50 to-dark-800 border border-dark-600';
+                    }}
+                  />
+                </div>
+              ) : (
+                <div className="mb-4 h-48 rounded-lg overflow-hidden bg-gradient-to-br from-ocean-900/50 to-dark-800 border border-dark-600" />
+              )}
+              <h3 className="text-base font-semibold text-gray-100 mb-2 group-hover:text-ocean-400 transition-colors">
+                {room.name}
+              </h3>
+              <p className="text-sm text-gray-400 leading-relaxed">
+                {room.description}
+              </p>
+            </button>
+          );
+        })}
       </div>
+
+      {!loadingRooms && rooms.length === 0 && (
+        <p className="text-sm text-gray-400">No rooms are open right now.</p>
+      )}
+
+      {/* Public rooms started by members */}
+      {memberRooms.length > 0 && (
+        <div className="mt-10">
+          <h2 className="text-lg font-semibold text-gray-100 mb-4">Member Rooms</h2>
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {memberRooms.map((room) => {
+              const unread = unreadRooms[room.slug]?.unread || 0;
+              return (
+                <button
+                  key={room.slug}
+                  onClick={() => handleJoinRoom(room.slug)}
+                  className="relative group text-left glass-card p-4 hover:border-ocean-500/50 transition-all duration-300"
+                >
+                  {unread > 0 && (
+                    <span className="absolute top-3 right-3 px-2 py-0.5 text-xs font-semibold rounded-full bg-ocean-600 text-white">
+                      {formatUnreadCount(unread)} new
+                    </span>
+                  )}
+                  <h3 className="text-sm font-semibold text-gray-100 mb-1 group-hover:text-ocean-400 transition-colors">
+                    {room.name}
+                  </h3>
+                  <p className="text-xs text-gray-500 mb-2">Started by {room.owner.username}</p>
+                  <p className="text-sm text-gray-400 leading-relaxed">{room.description}</p>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {showCreateRoom && (
+        <CreateRoomModal
+          onCreated={(room) => {
+            setShowCreateRoom(false);
+            handleJoinRoom(room.slug);
+          }}
+          onClose={() => setShowCreateRoom(false)}
+        />
+      )}
     </div>
   );
 };
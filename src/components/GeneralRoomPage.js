@@ -5,23 +5,61 @@
  * - Split layout with sidebar and main chat area
  * - Subtle environmental visuals
  * - Refined message containers
+ * - Photos view: the room's gallery and albums
  * - Professional, immersive experience
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { createSocket } from '../utils/socket';
-import { chatAPI, mediaAPI, moderationAPI } from '../services/api';
+import { chatAPI, mediaAPI, moderationAPI, userAPI } from '../services/api';
 import { showMessageNotification, requestNotificationPermission } from '../utils/notifications';
 import { useUser } from '../contexts/UserContext';
+import { useUnread } from '../contexts/UnreadContext';
+import { useRooms } from '../contexts/RoomsContext';
+import ReportUserModal from './ReportUserModal';
+import MessageReactions from './MessageReactions';
+import ThreadPanel from './ThreadPanel';
+import RoomRoster from './RoomRoster';
+import RoomPinsPanel from './RoomPinsPanel';
+import RoomBreadcrumb from './RoomBreadcrumb';
+import RoomManageModal from './RoomManageModal';
+import MessageText from './MessageText';
+import MessagePhoto from './MessagePhoto';
+import RoomGallery from './RoomGallery';
+import MentionSuggestions from './MentionSuggestions';
+import { getActiveMention, insertMention } from '../utils/mentions';
+import {
+  MESSAGE_STATUS,
+  createClientId,
+  sendWithAck,
+  mergeSentMessage,
+  updatePendingMessage,
+  removePendingMessage,
+} from '../utils/outgoingMessages';
+import { describeSanction, sanctionBlocksRoom } from '../utils/sanctions';
+import { USER_ROLES, hasRole } from '../utils/roles';
 
-const COMMUNITY_ROOMS = [
-  { id: 'Freshwater', name: 'Freshwater', description: 'Freshwater tanks, fish, and aquascaping', color: 'blue' },
-  { id: 'Saltwater', name: 'Saltwater', description: 'Saltwater aquarium topics and marine life', color: 'teal' },
-  { id: 'Reef', name: 'Reef Systems', description: 'Advanced reef keeping and coral care', color: 'purple' },
-  { id: 'Community Tank', name: 'Community Tank', description: 'General community tank discussions', color: 'green' },
-  { id: 'Photos & Stories', name: 'Photos & Stories', description: 'Share your tank photos and experiences', color: 'orange' },
-];
+// Resend "typing" this often while the user keeps typing (the server throttles to the same rate)
+const TYPING_REFRESH_MS = 2000;
+// Drop someone's typing indicator if it isn't refreshed within this time
+const TYPING_TIMEOUT_MS = 5000;
+// Wait this long after the last new message before saving the read marker
+const MARK_READ_DELAY_MS = 1000;
+// Pause in typing before searching all users for a mention
+const MENTION_SEARCH_DELAY_MS = 250;
+const MAX_MENTION_SUGGESTIONS = 8;
+// How long a message opened from search stays highlighted
+const FOCUS_HIGHLIGHT_MS = 4000;
+
+/**
+ * Describe who is typing, e.g. "Ana and Ben are typing..."
+ */
+const describeTyping = (typists) => {
+  if (typists.length === 1) return `${typists[0].username} is typing...`;
+  if (typists.length === 2) return `${typists[0].username} and ${typists[1].username} are typing...`;
+  return 'Several people are typing...';
+};
 
 const GeneralRoomPage = () => {
   const location = useLocation();
@@ -29,23 +67,70 @@ const GeneralRoomPage = () => {
   const socketRef = useRef(null);
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const inputRef = useRef(null);
+  const userIdRef = useRef(null);
+  const blockedUsersRef = useRef(new Set());
+  const threadParentIdRef = useRef(null);
+  const typingTimeoutsRef = useRef(new Map());
+  const lastTypingSentRef = useRef(0);
+  const messagesRef = useRef([]);
+  const markReadTimeoutRef = useRef(null);
+  const focusedMessageRef = useRef(null);
+  const pendingFocusIdRef = useRef(null);
+  const hasNewerHistoryRef = useRef(false);
+  const joinedRef = useRef(false);
   const { user: currentUser } = useUser();
+  const { applyReadMarker } = useUnread();
+  const { rooms, getRoom, refreshRooms } = useRooms();
 
   // Get user data and room from navigation state
-  const { userData, room } = location.state || {};
+  const { userData, room, focusMessageId } = location.state || {};
 
   // Component state
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [reconnecting, setReconnecting] = useState(false);
   const [userId, setUserId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [messageInput, setMessageInput] = useState('');
   const [error, setError] = useState(null);
   const [loadingHistory, setLoadingHistory] = useState(false);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
   const [uploadingMedia, setUploadingMedia] = useState(false);
+  const [attachedPhoto, setAttachedPhoto] = useState(null);
   const [blockedUsers, setBlockedUsers] = useState(new Set());
+  const [reportTarget, setReportTarget] = useState(null);
+  const [sanction, setSanction] = useState(null);
+  const [editWindowMs, setEditWindowMs] = useState(0);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [threadParent, setThreadParent] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const [hasMoreReplies, setHasMoreReplies] = useState(false);
+  const [roster, setRoster] = useState([]);
+  const [typists, setTypists] = useState([]);
+  const [unreadSince, setUnreadSince] = useState(null);
+  const [activeMention, setActiveMention] = useState(null);
+  const [mentionResults, setMentionResults] = useState([]);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const [focusedReplyId, setFocusedReplyId] = useState(null);
+  const [hasNewerHistory, setHasNewerHistory] = useState(false);
+  const [pins, setPins] = useState([]);
+  const [announcement, setAnnouncement] = useState(null);
+  const [roomDetails, setRoomDetails] = useState(null);
+  const [showManage, setShowManage] = useState(false);
+  // 'chat' or 'gallery'; the chat stays mounted behind the gallery to keep its place
+  const [view, setView] = useState('chat');
+
+  // Owners and co-moderators of a user-created room moderate it too
+  const roomRole = roomDetails?.role || null;
+  const runsRoom = roomRole === 'owner' || roomRole === 'moderator';
+  const canModerate = hasRole(currentUser, USER_ROLES.MODERATOR) || runsRoom;
 
-  const currentRoom = COMMUNITY_ROOMS.find(r => r.name === room) || { name: room, description: '', color: 'gray' };
+  // Category rooms aren't in the room list, so the server's details come first
+  const currentRoom = roomDetails || getRoom(room) || { slug: room, name: room, description: '', breadcrumb: [] };
 
   /**
    * Scroll to bottom of messages when new messages arrive
@@ -54,9 +139,26 @@ const GeneralRoomPage = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Only follow the newest message; prepending older history keeps the scroll position.
+  // A message opened from search is scrolled to instead.
+  const lastMessage = messages[messages.length - 1];
   useEffect(() => {
+    if (focusedMessageId || hasNewerHistoryRef.current) return;
     scrollToBottom();
-  }, [messages]);
+  }, [lastMessage]);
+
+  // Bring the message opened from search into view and highlight it briefly
+  useEffect(() => {
+    if (!focusedMessageId) return undefined;
+    focusedMessageRef.current?.scrollIntoView({ block: 'center' });
+    const timeout = setTimeout(() => setFocusedMessageId(null), FOCUS_HIGHLIGHT_MS);
+    return () => clearTimeout(timeout);
+  }, [focusedMessageId]);
+
+  // Threads belong to one room
+  useEffect(() => {
+    handleCloseThread();
+  }, [room]);
 
   // Request notification permission on mount
   useEffect(() => {
@@ -68,7 +170,9 @@ const GeneralRoomPage = () => {
     const loadBlockedUsers = async () => {
       try {
         const blocked = await moderationAPI.getBlockedUsers();
-        setBlockedUsers(new Set(blocked));
+        const blockedIds = new Set((blocked.blockedUsers || []).map(entry => entry.userId));
+        blockedUsersRef.current = blockedIds;
+        setBlockedUsers(blockedIds);
       } catch (error) {
         console.error('Error loading blocked users:', error);
       }
@@ -76,6 +180,213 @@ const GeneralRoomPage = () => {
     loadBlockedUsers();
   }, []);
 
+  /**
+   * Apply a change to a message wherever it is shown: the room, the open
+   * thread's replies or the open thread's parent
+   */
+  const updateMessage = (messageId, update) => {
+    const apply = prev => prev.map(message => (message.id === messageId ? update(message) : message));
+    setMessages(apply);
+    setThreadReplies(apply);
+    setThreadParent(prev => (prev && prev.id === messageId ? update(prev) : prev));
+  };
+
+  /**
+   * Stop showing a member as typing
+   */
+  const clearTypist = (typistId) => {
+    clearTimeout(typingTimeoutsRef.current.get(typistId));
+    typingTimeoutsRef.current.delete(typistId);
+    setTypists(prev => prev.filter(typist => typist.userId !== typistId));
+  };
+
+  messagesRef.current = messages;
+
+  // Search all users for the mention being typed; room members are matched locally
+  const mentionQuery = activeMention?.query ?? null;
+  useEffect(() => {
+    setMentionResults([]);
+    if (!mentionQuery) return undefined;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await userAPI.searchUsers(mentionQuery);
+        setMentionResults(response.users || []);
+      } catch (error) {
+        console.error('Error searching users:', error);
+      }
+    }, MENTION_SEARCH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [mentionQuery]);
+
+  /**
+   * Save the read marker at the newest loaded message once things settle
+   * Skipped while the tab is hidden; becoming visible marks it instead.
+   */
+  const scheduleMarkRead = () => {
+    if (document.hidden) return;
+    clearTimeout(markReadTimeoutRef.current);
+    markReadTimeoutRef.current = setTimeout(() => {
+      const latest = [...messagesRef.current].reverse().find(message => message.id);
+      if (latest && socketRef.current) {
+        socketRef.current.emit('mark-read', { room, messageId: latest.id });
+      }
+    }, MARK_READ_DELAY_MS);
+  };
+
+  // Catch up on the read marker when the user comes back to the tab
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) scheduleMarkRead();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      clearTimeout(markReadTimeoutRef.current);
+    };
+  }, [room]);
+
+  /**
+   * Replace the loaded messages with the newest page of history
+   */
+  const loadLatestHistory = async () => {
+    setLoadingHistory(true);
+    try {
+      const history = await chatAPI.getRoomHistory(room, 50);
+      const loaded = (history.messages || []).reverse();
+      hasNewerHistoryRef.current = false;
+      setHasNewerHistory(false);
+      setMessages(loaded);
+      setHasMoreHistory(!!history.hasMore);
+      if (loaded.length > 0) scheduleMarkRead();
+    } catch (error) {
+      console.error('Error loading chat history:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  /**
+   * Replace the loaded messages with the history around one message
+   * A thread reply is shown in its thread, next to its parent in the room.
+   * While newer messages exist past the loaded page, live messages aren't
+   * appended and the read marker stays where it is.
+   * @returns {boolean} - false if the message couldn't be loaded
+   */
+  const loadHistoryAround = async (messageId) => {
+    setLoadingHistory(true);
+    try {
+      const history = await chatAPI.getRoomHistoryAround(room, messageId, 50);
+      const loaded = (history.messages || []).reverse();
+      hasNewerHistoryRef.current = !!history.hasNewer;
+      setHasNewerHistory(!!history.hasNewer);
+      setMessages(loaded);
+      setHasMoreHistory(!!history.hasMore);
+      setFocusedMessageId(history.anchorId);
+      if (!history.hasNewer) scheduleMarkRead();
+
+      const anchor = loaded.find(message => message.id === history.anchorId);
+      if (anchor && anchor.id !== messageId) {
+        setFocusedReplyId(messageId);
+        handleOpenThread(anchor);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error loading message in context:', error);
+      setError('That message is no longer available.');
+      return false;
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  /**
+   * Add the messages missed while disconnected (from room-joined's `missed`)
+   * Live messages may have arrived before the replay, so known ids are
+   * skipped, and our own messages replace their pending copies.
+   * @param {Object} missed - { messages (oldest first), threads }
+   */
+  const applyMissedMessages = ({ messages: missedMessages, threads }) => {
+    const visible = missedMessages.filter(message => !blockedUsersRef.current.has(message.userId));
+    const topLevel = visible.filter(message => !message.parentId);
+    const replies = visible.filter(message => message.parentId === threadParentIdRef.current);
+
+    if (topLevel.length > 0) {
+      setMessages(prev => topLevel.reduce(mergeSentMessage, prev));
+    }
+    if (replies.length > 0) {
+      setThreadReplies(prev => replies.reduce(mergeSentMessage, prev));
+    }
+    threads.forEach(thread => updateMessage(thread.id, message => ({
+      ...message,
+      replyCount: thread.replyCount,
+      lastReplyAt: thread.lastReplyAt,
+    })));
+    scheduleMarkRead();
+  };
+
+  /**
+   * Leave the history opened from search for the newest messages
+   */
+  /**
+   * Open another level of a category room's breadcrumb
+   */
+  const handleOpenCrumb = async (crumb) => {
+    try {
+      const response = await chatAPI.openCategoryRoom(crumb.category);
+      navigate('/general-room', { state: { userData, room: response.room.slug } });
+    } catch (error) {
+      console.error('Error opening room:', error);
+      setError(error.message || 'Could not open that room.');
+    }
+  };
+
+  /**
+   * Leave a user-created room's member list (owners can't leave their own room)
+   */
+  const handleLeaveRoom = async () => {
+    if (!window.confirm(`Leave ${currentRoom.name}?`)) return;
+    try {
+      await chatAPI.removeRoomMember(room, userIdRef.current);
+      navigate('/general-chat');
+    } catch (error) {
+      console.error('Error leaving room:', error);
+      setError(error.message || 'Could not leave the room.');
+    }
+  };
+
+  /**
+   * Comment on a gallery photo: a reply in its message's thread
+   */
+  const handleCommentOnPhoto = async (message, text) => {
+    if (!socket || !connected || sanction) {
+      return { ok: false, error: 'Not connected' };
+    }
+    const response = await sendWithAck(socket, 'room-message', {
+      room,
+      message: text,
+      parentId: message.id,
+      clientId: createClientId()
+    });
+    if (response.ok && threadParentIdRef.current === message.id) {
+      setThreadReplies(prev => mergeSentMessage(prev, response.message));
+    }
+    return response;
+  };
+
+  /**
+   * Leave the gallery for a photo's message in the chat
+   */
+  const handleViewPhotoInChat = (message) => {
+    setView('chat');
+    handleJumpToMessage(message);
+  };
+
+  const handleJumpToLatest = () => {
+    setFocusedMessageId(null);
+    loadLatestHistory();
+  };
+
   /**
    * Initialize Socket.IO connection and set up event handlers
    */
@@ -86,107 +397,643 @@ const GeneralRoomPage = () => {
       return;
     }
 
+    // Opened from search: the first history load centres on this message
+    pendingFocusIdRef.current = focusMessageId || null;
+    joinedRef.current = false;
+
     // Create socket connection
     const newSocket = createSocket();
     newSocket.connect();
     socketRef.current = newSocket;
     setSocket(newSocket);
 
-    // Authenticate user
-    newSocket.emit('authenticate', {
-      username: userData.username,
-      level: userData.level,
-      userId: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    });
+    /**
+     * Join the selected room; on a rejoin the server replays what we missed
+     * after the newest loaded message
+     */
+    const joinRoom = () => {
+      const newest = joinedRef.current && !hasNewerHistoryRef.current
+        ? [...messagesRef.current].reverse().find(message => message.id)
+        : null;
+      newSocket.emit('join-room', { room, lastMessageId: newest?.id || null });
+    };
 
-    // Handle authentication success
+    // Handle authentication success (the server verifies the handshake token);
+    // this also follows every reconnect
     newSocket.on('authenticated', (data) => {
       console.log('Authenticated:', data);
       setConnected(true);
+      setReconnecting(false);
       setUserId(data.userId);
+      userIdRef.current = data.userId;
 
-      // Join the selected room
-      newSocket.emit('join-room', room);
+      joinRoom();
     });
 
     // Handle room joined confirmation
     newSocket.on('room-joined', async (data) => {
       console.log('Joined room:', data.room);
       setError(null);
-      
-      // Load chat history from backend
-      try {
-        setLoadingHistory(true);
-        const history = await chatAPI.getRoomHistory(room, 50);
-        if (history.messages && history.messages.length > 0) {
-          setMessages(history.messages.reverse());
+      setConnected(true);
+      setEditWindowMs(data.editWindowMs || 0);
+      setPins(data.pins || []);
+      setAnnouncement(data.announcement || null);
+      setRoomDetails(data.details || null);
+
+      if (joinedRef.current) {
+        // Rejoined: fill the gap, or start over if it was too long to replay.
+        // Older history opened from search stays as it is.
+        if (data.missed && !data.missed.hasMore) {
+          applyMissedMessages(data.missed);
+        } else if (!hasNewerHistoryRef.current) {
+          await loadLatestHistory();
         }
-      } catch (error) {
-        console.error('Error loading chat history:', error);
-      } finally {
-        setLoadingHistory(false);
+        return;
+      }
+      joinedRef.current = true;
+
+      // Messages after the marker get a "new messages" divider; it stays put while we're here
+      setUnreadSince(data.lastReadAt);
+
+      // Load chat history from backend
+      const focusId = pendingFocusIdRef.current;
+      pendingFocusIdRef.current = null;
+      const focused = focusId && await loadHistoryAround(focusId);
+      if (!focused) {
+        await loadLatestHistory();
       }
     });
 
+    // Everyone in the room when we joined
+    newSocket.on('room-roster', (data) => {
+      if (data.room !== room) return;
+      setRoster(data.members || []);
+    });
+
+    newSocket.on('user-joined-room', (data) => {
+      if (data.room !== room || blockedUsersRef.current.has(data.member.userId)) return;
+      setRoster(prev => (
+        [...prev.filter(member => member.userId !== data.member.userId), data.member]
+          .sort((a, b) => a.username.localeCompare(b.username))
+      ));
+    });
+
+    newSocket.on('user-left-room', (data) => {
+      if (data.room !== room) return;
+      setRoster(prev => prev.filter(member => member.userId !== data.userId));
+      clearTypist(data.userId);
+    });
+
+    // Other members started or stopped typing
+    newSocket.on('user-typing', (data) => {
+      if (data.room !== room || data.userId === userIdRef.current || blockedUsersRef.current.has(data.userId)) return;
+
+      if (!data.isTyping) {
+        clearTypist(data.userId);
+        return;
+      }
+
+      clearTimeout(typingTimeoutsRef.current.get(data.userId));
+      typingTimeoutsRef.current.set(data.userId, setTimeout(() => clearTypist(data.userId), TYPING_TIMEOUT_MS));
+      setTypists(prev => (
+        prev.some(typist => typist.userId === data.userId)
+          ? prev
+          : [...prev, { userId: data.userId, username: data.username }]
+      ));
+    });
+
     // Handle incoming messages
     newSocket.on('room-message', (messageData) => {
       console.log('Message received:', messageData);
-      // Filter out blocked users
-      if (!blockedUsers.has(messageData.userId) && !blockedUsers.has(messageData.username)) {
-        setMessages(prev => [...prev, messageData]);
-        // Show notification if not from current user
-        if (messageData.userId !== userId) {
-          showMessageNotification(messageData.username, messageData.text);
+      // Filter out blocked users (the server already does; this covers the
+      // window before a new block reaches it)
+      if (blockedUsersRef.current.has(messageData.userId)) return;
+
+      // A message ends its sender's typing
+      clearTypist(messageData.userId);
+
+      if (messageData.parentId) {
+        // Thread reply: bump the parent's count and show it if the thread is open
+        updateMessage(messageData.parentId, message => ({
+          ...message,
+          replyCount: messageData.parentReplyCount || (message.replyCount || 0) + 1,
+          lastReplyAt: messageData.timestamp,
+        }));
+        if (threadParentIdRef.current === messageData.parentId) {
+          setThreadReplies(prev => mergeSentMessage(prev, messageData));
         }
+      } else if (!hasNewerHistoryRef.current) {
+        // Our own message replaces the copy shown while it was sending
+        setMessages(prev => mergeSentMessage(prev, messageData));
+        scheduleMarkRead();
+      }
+
+      // Show notification if not from current user; mentions get their own below
+      const mentionsMe = (messageData.mentions || []).some(mention => mention.userId === userIdRef.current);
+      if (messageData.userId !== userIdRef.current && !mentionsMe) {
+        showMessageNotification(messageData.username, messageData.message || 'Shared a photo');
+      }
+    });
+
+    // Someone mentioned us, in this room or any other
+    newSocket.on('mentioned', (data) => {
+      if (blockedUsersRef.current.has(data.from.userId)) return;
+      showMessageNotification(data.from.username, data.message, data.roomName, { mention: true });
+    });
+
+    // Read marker moved, here or on another device
+    newSocket.on('read-marker-updated', (data) => {
+      applyReadMarker(data);
+    });
+
+    // A message was edited by its author
+    newSocket.on('message-edited', (data) => {
+      const edit = message => ({ ...message, message: data.message, editedAt: data.editedAt });
+      updateMessage(data.messageId, edit);
+      setPins(prev => prev.map(pin => (pin.id === data.messageId ? edit(pin) : pin)));
+    });
+
+    // A message was deleted by its author or removed by a moderator
+    newSocket.on('message-deleted', (data) => {
+      updateMessage(data.messageId, message => ({
+        ...message,
+        message: '',
+        photo: null,
+        deletedAt: data.deletedAt,
+        deletedBy: { moderator: data.byModerator },
+      }));
+      setPins(prev => prev.filter(pin => pin.id !== data.messageId));
+    });
+
+    // A moderator pinned or unpinned a message
+    newSocket.on('message-pinned', (data) => {
+      if (data.room !== room) return;
+      setPins(prev => [data.pin, ...prev.filter(pin => pin.id !== data.pin.id)]);
+      updateMessage(data.pin.id, message => ({ ...message, pinnedAt: data.pin.pinnedAt, pinnedBy: data.pin.pinnedBy }));
+    });
+
+    newSocket.on('message-unpinned', (data) => {
+      if (data.room !== room) return;
+      setPins(prev => prev.filter(pin => pin.id !== data.messageId));
+      updateMessage(data.messageId, message => ({ ...message, pinnedAt: null, pinnedBy: null }));
+    });
+
+    // A moderator set or cleared the announcement banner
+    newSocket.on('room-announcement', (data) => {
+      if (data.room !== room) return;
+      setAnnouncement(data.announcement);
+    });
+
+    // Reaction counts changed on a message
+    newSocket.on('message-reacted', (data) => {
+      updateMessage(data.messageId, message => {
+        const reactions = { ...(message.reactions || {}), [data.emoji]: data.count };
+        if (data.count === 0) delete reactions[data.emoji];
+
+        let myReactions = message.myReactions || [];
+        if (data.userId === userIdRef.current) {
+          myReactions = data.added
+            ? [...myReactions.filter(emoji => emoji !== data.emoji), data.emoji]
+            : myReactions.filter(emoji => emoji !== data.emoji);
+        }
+
+        return { ...message, reactions, myReactions };
+      });
+    });
+
+    // Blocked or held back by the message filter; the send's ack drops the pending copy
+    newSocket.on('message-filtered', (data) => {
+      setError(data.message);
+    });
+
+    // Muted, kicked or banned by a moderator (also sent when a blocked action is attempted)
+    newSocket.on('sanctioned', (data) => {
+      if (data.room !== null && data.room !== room) return;
+      setSanction(data);
+      if (sanctionBlocksRoom(data, room)) {
+        setConnected(false);
       }
     });
 
-    // Handle connection errors
+    // Sanction expired or was lifted; rejoin if it had kept us out
+    newSocket.on('sanction-lifted', (data) => {
+      if (data.room !== null && data.room !== room) return;
+      setSanction(null);
+      if (sanctionBlocksRoom(data, room)) {
+        joinRoom();
+      }
+    });
+
+    // Sent out of the room while we were in it
+    newSocket.on('room-left', (data) => {
+      const reasons = {
+        archived: 'This room has been archived and is closed to new messages.',
+        removed: 'You were removed from this room.',
+        'invite-only': 'This room is now invite-only. Ask a member for an invite link.',
+      };
+      if (data.room !== room || !reasons[data.reason]) return;
+      setConnected(false);
+      setRoster([]);
+      setTypists([]);
+      setShowManage(false);
+      setError(reasons[data.reason]);
+    });
+
+    // Invite-only room we're not a member of
+    newSocket.on('room-access-denied', (data) => {
+      if (data.room !== room) return;
+      setConnected(false);
+      setError(data.message);
+    });
+
+    // Lost the connection; Socket.IO keeps retrying unless we or the server closed it
+    newSocket.on('disconnect', (reason) => {
+      setConnected(false);
+      setTypists([]);
+      if (reason === 'io client disconnect') return;
+      if (reason === 'io server disconnect') {
+        setError('Disconnected by the server. Please refresh the page.');
+        return;
+      }
+      setReconnecting(true);
+    });
+
+    // Handle connection errors; anything but a rejected token is retried
     newSocket.on('connect_error', (error) => {
       console.error('Connection error:', error);
-      setError('Connection error. Please refresh the page.');
+      if (error.message === 'Authentication required' || error.message === 'Invalid or expired token') {
+        setReconnecting(false);
+        setError('Your session has expired. Please sign in again.');
+      } else {
+        setReconnecting(true);
+      }
     });
 
     // Cleanup on unmount
     return () => {
+      typingTimeoutsRef.current.forEach(timeout => clearTimeout(timeout));
+      typingTimeoutsRef.current.clear();
+      setRoster([]);
+      setTypists([]);
+      setUnreadSince(null);
+      setReconnecting(false);
+      setFocusedMessageId(null);
+      setPins([]);
+      setAnnouncement(null);
+      setRoomDetails(null);
+      hasNewerHistoryRef.current = false;
+      setHasNewerHistory(false);
       if (socketRef.current) {
         socketRef.current.disconnect();
       }
     };
-  }, [userData, room, navigate, blockedUsers, userId]);
+  }, [userData, room, navigate]);
 
   /**
    * Handle sending a message
    */
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!messageInput.trim() || !socket || !connected) return;
+    if ((!messageInput.trim() && !attachedPhoto) || !socket || !connected || sanction) return;
 
     const messageData = {
-      text: messageInput.trim(),
+      clientId: createClientId(),
+      message: messageInput.trim(),
+      photo: attachedPhoto,
       room: room,
       userId: userId,
       username: userData.username,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING
     };
 
-    // Optimistically add message to UI
-    setMessages(prev => [...prev, messageData]);
+    if (hasNewerHistoryRef.current) {
+      // Back to the newest messages; the sent one arrives with them
+      handleJumpToLatest();
+    } else {
+      // Show the message right away; it's marked as sending until the server confirms it
+      setMessages(prev => [...prev, messageData]);
+    }
     setMessageInput('');
+    setAttachedPhoto(null);
+    setActiveMention(null);
+    lastTypingSentRef.current = 0;
+
+    deliverMessage(messageData);
+  };
+
+  /**
+   * Send a message to the server (which persists it) and settle its pending copy
+   * Retries reuse the clientId, so a message that did reach the server is
+   * not posted twice.
+   */
+  const deliverMessage = async (messageData) => {
+    const response = await sendWithAck(socket, 'room-message', {
+      room,
+      message: messageData.message,
+      photoId: messageData.photo?.id || null,
+      clientId: messageData.clientId
+    });
+
+    if (response.ok) {
+      setMessages(prev => (hasNewerHistoryRef.current ? prev : mergeSentMessage(prev, response.message)));
+    } else if (response.filtered) {
+      // 'message-filtered' already said why; there's nothing to retry
+      setMessages(prev => removePendingMessage(prev, messageData.clientId));
+    } else {
+      setMessages(prev => updatePendingMessage(prev, messageData.clientId, {
+        status: MESSAGE_STATUS.FAILED,
+        error: response.error
+      }));
+    }
+  };
+
+  /**
+   * Send a failed message again
+   */
+  const handleRetryMessage = (message) => {
+    if (!socket || !connected || sanction) return;
+    setMessages(prev => updatePendingMessage(prev, message.clientId, { status: MESSAGE_STATUS.PENDING, error: null }));
+    deliverMessage(message);
+  };
+
+  /**
+   * Drop a failed message without sending it
+   */
+  const handleDiscardMessage = (message) => {
+    setMessages(prev => removePendingMessage(prev, message.clientId));
+  };
+
+  /**
+   * Update the input and tell the room we're typing
+   * "Typing" is resent every TYPING_REFRESH_MS while the input has text;
+   * clearing the input stops it right away.
+   */
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setMessageInput(value);
+    updateActiveMention(value, e.target.selectionStart);
+    if (!socket || !connected || sanction) return;
+
+    const now = Date.now();
+    if (value.trim() && now - lastTypingSentRef.current >= TYPING_REFRESH_MS) {
+      lastTypingSentRef.current = now;
+      socket.emit('typing', { room, isTyping: true });
+    } else if (!value.trim() && lastTypingSentRef.current) {
+      lastTypingSentRef.current = 0;
+      socket.emit('typing', { room, isTyping: false });
+    }
+  };
+
+  /**
+   * Track the @mention under the cursor for autocomplete
+   */
+  const updateActiveMention = (value, cursor) => {
+    const mention = getActiveMention(value, cursor);
+    setActiveMention(mention);
+    if (mention?.query !== activeMention?.query) {
+      setMentionIndex(0);
+    }
+  };
+
+  /**
+   * Replace the @mention being typed with the chosen user
+   */
+  const handleSelectMention = (user) => {
+    const input = inputRef.current;
+    const cursor = input ? input.selectionStart : messageInput.length;
+    const { text, cursor: nextCursor } = insertMention(messageInput, activeMention, cursor, user.username);
+    setMessageInput(text);
+    setActiveMention(null);
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(nextCursor, nextCursor);
+    });
+  };
+
+  /**
+   * Arrow keys, Enter/Tab and Escape drive the mention suggestions
+   */
+  const handleInputKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      handleSelectMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setActiveMention(null);
+    }
+  };
+
+  /**
+   * Add or remove the user's reaction on a message
+   */
+  const handleToggleReaction = (messageId, emoji) => {
+    if (!socket || !connected) return;
+    socket.emit('react-to-message', { messageId, room, emoji });
+  };
+
+  /**
+   * Start editing one of the user's own messages
+   */
+  const handleStartEdit = (message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.message || '');
+  };
+
+  /**
+   * Save an edit; the server checks ownership and the edit window
+   */
+  const handleSaveEdit = (e) => {
+    e.preventDefault();
+    if (socket && editText.trim()) {
+      socket.emit('edit-message', { messageId: editingMessageId, room, message: editText.trim() });
+    }
+    setEditingMessageId(null);
+  };
+
+  /**
+   * Delete a message (own messages, or any message for moderators)
+   */
+  const handleDeleteMessage = (message, asModerator) => {
+    const prompt = asModerator ? `Remove this message from ${message.username}?` : 'Delete this message?';
+    if (!socket || !window.confirm(prompt)) return;
+    socket.emit('delete-message', { messageId: message.id, room });
+  };
+
+  /**
+   * Pin or unpin a message (moderators); the change arrives back as
+   * 'message-pinned' or 'message-unpinned'
+   */
+  const handleTogglePin = async (message) => {
+    try {
+      await moderationAPI.setMessagePinned(room, message.id, !message.pinnedAt);
+    } catch (error) {
+      console.error('Error updating pin:', error);
+      setError(error.message || 'Could not update the pin.');
+    }
+  };
+
+  /**
+   * Set or clear the announcement banner (moderators)
+   * @returns {boolean} - Whether it was saved
+   */
+  const handleSaveAnnouncement = async (text) => {
+    try {
+      await moderationAPI.setRoomAnnouncement(room, text);
+      return true;
+    } catch (error) {
+      console.error('Error updating announcement:', error);
+      setError(error.message || 'Could not update the announcement.');
+      return false;
+    }
+  };
+
+  /**
+   * Show a message in the room: highlight it if it's loaded, otherwise load
+   * the history around it. Replies open in their thread.
+   */
+  const handleJumpToMessage = (message) => {
+    const anchor = messages.find(m => m.id === (message.parentId || message.id));
+    if (!anchor) {
+      loadHistoryAround(message.id);
+      return;
+    }
+
+    setFocusedMessageId(anchor.id);
+    if (message.parentId) {
+      setFocusedReplyId(message.id);
+      handleOpenThread(anchor);
+    }
+  };
+
+  /**
+   * Open the thread panel for a top-level message and load its replies
+   */
+  const handleOpenThread = async (message) => {
+    threadParentIdRef.current = message.id;
+    setThreadParent(message);
+    setThreadReplies([]);
+    setHasMoreReplies(false);
+    setLoadingThread(true);
+    try {
+      const thread = await chatAPI.getThread(room, message.id);
+      // Ignore the response if another thread was opened meanwhile
+      if (threadParentIdRef.current !== message.id) return;
+      setThreadParent(thread.parent);
+      setThreadReplies(thread.replies || []);
+      setHasMoreReplies(!!thread.hasMore);
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      setError('Could not load the thread.');
+    } finally {
+      setLoadingThread(false);
+    }
+  };
 
-    // Send to server
-    socket.emit('room-message', messageData);
+  /**
+   * Load the page of replies after the newest loaded reply
+   */
+  const handleLoadMoreReplies = async () => {
+    const parentId = threadParentIdRef.current;
+    const newest = threadReplies[threadReplies.length - 1];
+    if (!parentId || !newest || loadingThread) return;
 
-    // Also save to backend
+    setLoadingThread(true);
     try {
-      await chatAPI.saveRoomMessage(room, messageData);
+      const thread = await chatAPI.getThread(room, parentId, 50, newest.id);
+      if (threadParentIdRef.current !== parentId) return;
+      // Replies that arrived live while paging are already in the list
+      setThreadReplies(prev => {
+        const loaded = new Set(prev.map(reply => reply.id));
+        return [...prev, ...(thread.replies || []).filter(reply => !loaded.has(reply.id))];
+      });
+      setHasMoreReplies(!!thread.hasMore);
     } catch (error) {
-      console.error('Error saving message:', error);
+      console.error('Error loading replies:', error);
+    } finally {
+      setLoadingThread(false);
     }
   };
 
+  const handleCloseThread = () => {
+    threadParentIdRef.current = null;
+    setThreadParent(null);
+    setThreadReplies([]);
+    setFocusedReplyId(null);
+  };
+
   /**
-   * Handle file upload
+   * Reply in the open thread; it shows up once the server confirms it
+   */
+  const handleSendReply = async (text) => {
+    if (!socket || !connected || sanction || !threadParent) return;
+    const parentId = threadParent.id;
+    const response = await sendWithAck(socket, 'room-message', {
+      room,
+      message: text,
+      parentId,
+      clientId: createClientId()
+    });
+
+    if (response.ok) {
+      if (threadParentIdRef.current === parentId) {
+        setThreadReplies(prev => mergeSentMessage(prev, response.message));
+      }
+    } else if (!response.filtered) {
+      setError(`Your reply was not sent: ${response.error}`);
+    }
+  };
+
+  /**
+   * Block the author of a message and hide their messages
+   */
+  const handleBlockUser = async (blockUserId, blockUsername) => {
+    if (!window.confirm(`Block ${blockUsername}? You won't see each other's messages.`)) return;
+
+    try {
+      await moderationAPI.blockUser(blockUserId);
+      const updated = new Set(blockedUsersRef.current);
+      updated.add(blockUserId);
+      blockedUsersRef.current = updated;
+      setBlockedUsers(updated);
+      setMessages(prev => prev.filter(m => m.userId !== blockUserId));
+      setThreadReplies(prev => prev.filter(m => m.userId !== blockUserId));
+      setRoster(prev => prev.filter(member => member.userId !== blockUserId));
+      clearTypist(blockUserId);
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      setError('Could not block user. Please try again.');
+    }
+  };
+
+  /**
+   * Load the page of history before the oldest loaded message
+   */
+  const handleLoadOlderMessages = async () => {
+    const oldest = messages.find(m => m.id);
+    if (!oldest || loadingHistory) return;
+
+    setLoadingHistory(true);
+    try {
+      const history = await chatAPI.getRoomHistory(room, 50, oldest.id);
+      if (history.messages && history.messages.length > 0) {
+        setMessages(prev => [...history.messages.reverse(), ...prev]);
+      }
+      setHasMoreHistory(!!history.hasMore);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  /**
+   * Upload a photo; it's attached to the next message sent
    */
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
@@ -194,13 +1041,12 @@ const GeneralRoomPage = () => {
 
     setUploadingMedia(true);
     try {
-      const result = await mediaAPI.uploadMedia(file);
-      if (result.success) {
-        // Add media URL to message input or send as media message
-        setMessageInput(prev => prev + (prev ? ' ' : '') + result.url);
-      }
+      const result = await mediaAPI.uploadImage(file);
+      setAttachedPhoto(result.photo);
+      inputRef.current?.focus();
     } catch (error) {
       console.error('Error uploading media:', error);
+      setError(error.message || 'Could not upload the photo.');
     } finally {
       setUploadingMedia(false);
       if (fileInputRef.current) {
@@ -220,6 +1066,24 @@ const GeneralRoomPage = () => {
   // Check if message is from current user for styling
   const isOwnMessage = (messageUserId) => messageUserId === userId;
 
+  const visibleMessages = messages.filter(message => !blockedUsers.has(message.userId));
+
+  // Room members first, then anyone else the search found
+  const mentionSuggestions = (() => {
+    if (!activeMention) return [];
+    const prefix = activeMention.query.toLowerCase();
+    const members = roster
+      .filter(member => member.userId !== userId && member.username.toLowerCase().startsWith(prefix))
+      .map(member => ({ ...member, inRoom: true }));
+    const memberIds = new Set(members.map(member => member.userId));
+    const others = mentionResults.filter(result => !memberIds.has(result.userId) && !blockedUsers.has(result.userId));
+    return [...members, ...others].slice(0, MAX_MENTION_SUGGESTIONS);
+  })();
+  // First message from someone else since the read marker we joined with
+  const firstUnreadIndex = unreadSince === null
+    ? -1
+    : visibleMessages.findIndex(message => message.id && message.userId !== userId && message.timestamp > unreadSince);
+
   return (
     <div className="flex h-screen bg-gray-900">
       {/* Left Sidebar */}
@@ -241,16 +1105,24 @@ const GeneralRoomPage = () => {
 
         {/* Room List */}
         <div className="flex-1 overflow-y-auto p-4">
+          <div className="mb-6">
+            <RoomRoster
+              members={roster}
+              currentUserId={userId}
+              typingUserIds={typists.map(typist => typist.userId)}
+            />
+          </div>
+
           <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3 px-2">Other Rooms</div>
           <div className="space-y-1">
-            {COMMUNITY_ROOMS.filter(r => r.name !== room).map((roomItem) => (
+            {rooms.filter(r => r.slug !== room).map((roomItem) => (
               <button
-                key={roomItem.id}
+                key={roomItem.slug}
                 onClick={() => {
                   navigate('/general-room', {
                     state: {
                       userData,
-                      room: roomItem.name
+                      room: roomItem.slug
                     }
                   });
                 }}
@@ -290,78 +1162,344 @@ const GeneralRoomPage = () => {
           <div className="bg-gray-800/80 backdrop-blur-sm border-b border-gray-700 px-6 py-4">
             <div className="max-w-4xl mx-auto flex items-center justify-between">
               <div>
+                <RoomBreadcrumb breadcrumb={currentRoom.breadcrumb} onOpen={handleOpenCrumb} />
                 <h1 className="text-lg font-semibold text-white">{currentRoom.name}</h1>
                 <p className="text-sm text-gray-400 mt-0.5">{currentRoom.description}</p>
               </div>
-              {connected && (
-                <div className="flex items-center space-x-2">
-                  <div className="w-2 h-2 bg-green-400 rounded-full"></div>
-                  <span className="text-sm text-gray-400">Connected</span>
+              <div className="flex items-center space-x-4">
+                <div className="flex rounded-lg border border-gray-700 overflow-hidden text-sm">
+                  {[['chat', 'Chat'], ['gallery', 'Photos']].map(([id, label]) => (
+                    <button
+                      key={id}
+                      type="button"
+                      onClick={() => setView(id)}
+                      className={`px-3 py-1 transition-colors ${view === id ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-gray-200'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
-              )}
+                {runsRoom && (
+                  <button
+                    type="button"
+                    onClick={() => setShowManage(true)}
+                    className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+                  >
+                    Manage room
+                  </button>
+                )}
+                {roomRole && roomRole !== 'owner' && (
+                  <button
+                    type="button"
+                    onClick={handleLeaveRoom}
+                    className="text-sm text-gray-400 hover:text-red-300 transition-colors"
+                  >
+                    Leave room
+                  </button>
+                )}
+                {connected ? (
+                  <div className="flex items-center space-x-2">
+                    <div className="w-2 h-2 bg-green-400 rounded-full"></div>
+                    <span className="text-sm text-gray-400">Connected</span>
+                  </div>
+                ) : reconnecting && (
+                  <div className="flex items-center space-x-2">
+                    <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse"></div>
+                    <span className="text-sm text-gray-400">Reconnecting...</span>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
 
+          {view === 'gallery' && (
+            <RoomGallery
+              room={room}
+              currentUserId={userId}
+              blockedUsers={blockedUsers}
+              canComment={connected && !sanction}
+              onComment={handleCommentOnPhoto}
+              onViewInChat={handleViewPhotoInChat}
+            />
+          )}
+
+          {view === 'chat' && (
+            <RoomPinsPanel
+              announcement={announcement}
+              pins={pins.filter(pin => !blockedUsers.has(pin.userId))}
+              currentUserId={userId}
+              canModerate={canModerate}
+              onJump={handleJumpToMessage}
+              onUnpin={handleTogglePin}
+              onSaveAnnouncement={handleSaveAnnouncement}
+            />
+          )}
+
           {/* Messages Container */}
-          <div className="flex-1 overflow-y-auto px-6 py-6">
+          <div className={`flex-1 overflow-y-auto px-6 py-6 ${view === 'chat' ? '' : 'hidden'}`}>
             <div className="max-w-4xl mx-auto space-y-4">
+              {hasMoreHistory && !loadingHistory && (
+                <div className="text-center">
+                  <button
+                    type="button"
+                    onClick={handleLoadOlderMessages}
+                    className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+                  >
+                    Load earlier messages
+                  </button>
+                </div>
+              )}
+
               {loadingHistory && (
                 <div className="text-center py-8">
                   <div className="inline-block w-6 h-6 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
                 </div>
               )}
 
-              {messages.map((message, index) => {
+              {visibleMessages.map((message, index) => {
                 const own = isOwnMessage(message.userId);
+                const deleted = !!message.deletedAt;
+                const editing = editingMessageId === message.id;
+                const canEdit = own && !deleted && message.id && Date.now() - message.timestamp < editWindowMs;
+                const canDelete = !deleted && message.id && (own || canModerate);
                 return (
-                  <div
-                    key={index}
-                    className={`flex ${own ? 'justify-end' : 'justify-start'}`}
-                  >
-                    <div className={`max-w-2xl ${own ? 'flex flex-col items-end' : 'flex flex-col items-start'}`}>
-                      {!own && (
-                        <span className="text-xs text-gray-500 mb-1 px-1">{message.username}</span>
-                      )}
-                      <div
-                        className={`
-                          px-4 py-2.5 rounded-lg
-                          ${own
-                            ? 'bg-accent-600 text-white'
-                            : 'bg-gray-800/60 backdrop-blur-sm text-gray-100 border border-gray-700'
-                          }
-                        `}
-                      >
-                        <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{message.text}</p>
+                  <React.Fragment key={index}>
+                    {index === firstUnreadIndex && (
+                      <div className="flex items-center space-x-3 py-1">
+                        <div className="flex-1 border-t border-red-500/50"></div>
+                        <span className="text-xs font-medium text-red-400 uppercase tracking-wider">New messages</span>
+                        <div className="flex-1 border-t border-red-500/50"></div>
+                      </div>
+                    )}
+                    <div
+                      ref={message.id && message.id === focusedMessageId ? focusedMessageRef : null}
+                      className={`flex ${own ? 'justify-end' : 'justify-start'} rounded-lg transition-colors duration-1000 ${
+                        message.id && message.id === focusedMessageId ? 'bg-ocean-600/15 ring-1 ring-ocean-500/40' : ''
+                      }`}
+                    >
+                      <div className={`max-w-2xl ${own ? 'flex flex-col items-end' : 'flex flex-col items-start'}`}>
+                        {!own && (
+                          <div className="group flex items-center mb-1 px-1">
+                            <span className="text-xs text-gray-500">{message.username}</span>
+                            {message.userId && (
+                              <button
+                                type="button"
+                                onClick={() => handleBlockUser(message.userId, message.username)}
+                                className="ml-2 text-xs text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                                title={`Block ${message.username}`}
+                              >
+                                Block
+                              </button>
+                            )}
+                            {message.userId && (
+                              <button
+                                type="button"
+                                onClick={() => setReportTarget(message)}
+                                className="ml-2 text-xs text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                                title={`Report ${message.username}`}
+                              >
+                                Report
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        {deleted ? (
+                          <div className="px-4 py-2.5 rounded-lg border border-dashed border-gray-700">
+                            <p className="text-sm italic text-gray-500">
+                              {message.deletedBy?.moderator ? 'Removed by a moderator' : 'This message was deleted'}
+                            </p>
+                          </div>
+                        ) : editing ? (
+                          <form onSubmit={handleSaveEdit} className="flex items-center space-x-2">
+                            <input
+                              type="text"
+                              value={editText}
+                              onChange={(e) => setEditText(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Escape' && setEditingMessageId(null)}
+                              autoFocus
+                              className="px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-accent-500"
+                            />
+                            <button type="submit" className="text-xs text-accent-400 hover:text-accent-300">Save</button>
+                            <button type="button" onClick={() => setEditingMessageId(null)} className="text-xs text-gray-400 hover:text-gray-200">Cancel</button>
+                          </form>
+                        ) : (
+                          <div
+                            className={`
+                              px-4 py-2.5 rounded-lg transition-opacity
+                              ${own
+                                ? 'bg-accent-600 text-white'
+                                : 'bg-gray-800/60 backdrop-blur-sm text-gray-100 border border-gray-700'
+                              }
+                              ${message.status === MESSAGE_STATUS.PENDING ? 'opacity-60' : ''}
+                              ${message.status === MESSAGE_STATUS.FAILED ? 'opacity-60 ring-1 ring-red-500/70' : ''}
+                            `}
+                          >
+                            <MessagePhoto photo={message.photo} />
+                            {(message.message || message.text) && (
+                              <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">
+                                <MessageText text={message.message || message.text} mentions={message.mentions} currentUserId={userId} />
+                              </p>
+                            )}
+                          </div>
+                        )}
+                        {/* Optimistic messages have no id until the server echoes them */}
+                        {message.id && !deleted && (
+                          <MessageReactions
+                            reactions={message.reactions}
+                            myReactions={message.myReactions}
+                            onToggle={(emoji) => handleToggleReaction(message.id, emoji)}
+                            alignRight={own}
+                          />
+                        )}
+                        <div className={`group flex items-center mt-1 px-1 text-xs text-gray-500 ${own ? 'justify-end' : 'justify-start'}`}>
+                          <span>{formatTime(message.timestamp)}</span>
+                          {message.status === MESSAGE_STATUS.PENDING && <span className="ml-1">· Sending...</span>}
+                          {message.status === MESSAGE_STATUS.FAILED && (
+                            <>
+                              <span className="ml-1 text-red-400" title={message.error}>· Not sent</span>
+                              <button
+                                type="button"
+                                onClick={() => handleRetryMessage(message)}
+                                disabled={!connected || !!sanction}
+                                className="ml-2 text-gray-400 hover:text-gray-200 disabled:opacity-50"
+                              >
+                                Retry
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => handleDiscardMessage(message)}
+                                className="ml-2 text-gray-400 hover:text-red-400"
+                              >
+                                Discard
+                              </button>
+                            </>
+                          )}
+                          {message.editedAt && !deleted && <span className="ml-1">(edited)</span>}
+                          {message.pinnedAt && !deleted && <span className="ml-1 text-ocean-400">· Pinned</span>}
+                          {canEdit && !editing && (
+                            <button
+                              type="button"
+                              onClick={() => handleStartEdit(message)}
+                              className="ml-2 text-gray-600 hover:text-gray-300 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          {canDelete && !editing && (
+                            <button
+                              type="button"
+                              onClick={() => handleDeleteMessage(message, !own)}
+                              className="ml-2 text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              {own ? 'Delete' : 'Remove'}
+                            </button>
+                          )}
+                          {canModerate && message.id && !deleted && !editing && (
+                            <button
+                              type="button"
+                              onClick={() => handleTogglePin(message)}
+                              className="ml-2 text-gray-600 hover:text-gray-300 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              {message.pinnedAt ? 'Unpin' : 'Pin'}
+                            </button>
+                          )}
+                          {message.id && !deleted && !message.replyCount && (
+                            <button
+                              type="button"
+                              onClick={() => handleOpenThread(message)}
+                              className="ml-2 text-gray-600 hover:text-gray-300 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              Reply
+                            </button>
+                          )}
+                        </div>
+                        {message.replyCount > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => handleOpenThread(message)}
+                            className={`mt-1 px-1 text-xs font-medium transition-colors ${
+                              threadParent?.id === message.id ? 'text-accent-300' : 'text-accent-400 hover:text-accent-300'
+                            }`}
+                          >
+                            {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+                          </button>
+                        )}
                       </div>
-                      <span className={`text-xs text-gray-500 mt-1 px-1 ${own ? 'text-right' : 'text-left'}`}>
-                        {formatTime(message.timestamp)}
-                      </span>
                     </div>
-                  </div>
+                  </React.Fragment>
                 );
               })}
+              {hasNewerHistory && !loadingHistory && (
+                <div className="text-center">
+                  <button
+                    type="button"
+                    onClick={handleJumpToLatest}
+                    className="px-4 py-2 text-sm text-ocean-300 bg-ocean-600/20 border border-ocean-500/40 rounded-lg hover:bg-ocean-600/30 transition-colors"
+                  >
+                    Jump to latest messages
+                  </button>
+                </div>
+              )}
               <div ref={messagesEndRef} />
             </div>
           </div>
 
           {/* Message Input Area */}
-          <div className="bg-gray-800/80 backdrop-blur-sm border-t border-gray-700 px-6 py-4">
+          <div className={`bg-gray-800/80 backdrop-blur-sm border-t border-gray-700 px-6 py-4 ${view === 'chat' ? '' : 'hidden'}`}>
             <div className="max-w-4xl mx-auto">
+              <p className="h-4 mb-1 text-xs text-gray-400">
+                {typists.length > 0 && describeTyping(typists)}
+              </p>
+              {sanction && (
+                <div className="mb-3 px-4 py-2 rounded-lg bg-amber-900/30 border border-amber-700/50 text-amber-200 text-sm">
+                  {describeSanction(sanction)}
+                </div>
+              )}
+              {reconnecting && (
+                <div className="mb-3 px-4 py-2 rounded-lg bg-gray-700/50 border border-gray-600 text-gray-300 text-sm">
+                  Connection lost. Reconnecting... Anything you miss will show up once you're back.
+                </div>
+              )}
+              {attachedPhoto && (
+                <div className="mb-3 flex items-center space-x-3">
+                  <img
+                    src={attachedPhoto.thumbnailUrl}
+                    alt="Photo to send"
+                    className="h-16 rounded-md border border-gray-600 object-cover"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setAttachedPhoto(null)}
+                    className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+                  >
+                    Remove photo
+                  </button>
+                </div>
+              )}
               <form onSubmit={handleSendMessage} className="flex items-end space-x-3">
                 <div className="flex-1 relative">
+                  <MentionSuggestions
+                    users={mentionSuggestions}
+                    activeIndex={mentionIndex}
+                    onSelect={handleSelectMention}
+                  />
                   <input
+                    ref={inputRef}
                     type="text"
                     value={messageInput}
-                    onChange={(e) => setMessageInput(e.target.value)}
+                    onChange={handleInputChange}
+                    onKeyDown={handleInputKeyDown}
+                    onClick={(e) => updateActiveMention(e.target.value, e.target.selectionStart)}
+                    onBlur={() => setActiveMention(null)}
                     placeholder="Type a message..."
                     className="w-full px-4 py-3 bg-gray-700/50 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:border-transparent transition-all"
-                    disabled={!connected}
+                    disabled={!connected || !!sanction}
                   />
                 </div>
                 <button
                   type="button"
                   onClick={() => fileInputRef.current?.click()}
-                  disabled={!connected || uploadingMedia}
+                  disabled={!connected || !!sanction || uploadingMedia || !!attachedPhoto}
                   className="p-3 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   title="Upload photo"
                 >
@@ -372,13 +1510,13 @@ const GeneralRoomPage = () => {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept="image/*"
+                  accept="image/jpeg,image/png,image/webp,image/gif"
                   onChange={handleFileUpload}
                   className="hidden"
                 />
                 <button
                   type="submit"
-                  disabled={!connected || !messageInput.trim()}
+                  disabled={!connected || !!sanction || (!messageInput.trim() && !attachedPhoto)}
                   className="px-6 py-3 bg-accent-600 text-white font-medium rounded-lg hover:bg-accent-700 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:ring-offset-2 focus:ring-offset-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Send
@@ -395,6 +1533,45 @@ const GeneralRoomPage = () => {
           )}
         </div>
       </div>
+
+      {threadParent && (
+        <ThreadPanel
+          parent={threadParent}
+          replies={threadReplies.filter(reply => !blockedUsers.has(reply.userId))}
+          loading={loadingThread}
+          hasMore={hasMoreReplies}
+          onLoadMore={handleLoadMoreReplies}
+          currentUserId={userId}
+          canModerate={canModerate}
+          disabled={!connected || !!sanction}
+          onSend={handleSendReply}
+          onToggleReaction={handleToggleReaction}
+          onDelete={handleDeleteMessage}
+          onClose={handleCloseThread}
+          formatTime={formatTime}
+          focusedReplyId={focusedReplyId}
+        />
+      )}
+
+      {reportTarget && (
+        <ReportUserModal
+          target={{ userId: reportTarget.userId, username: reportTarget.username }}
+          context={{ room, messageId: reportTarget.id }}
+          onClose={() => setReportTarget(null)}
+        />
+      )}
+
+      {showManage && roomDetails && (
+        <RoomManageModal
+          room={roomDetails}
+          currentUserId={userId}
+          onUpdated={(updated) => {
+            setRoomDetails(prev => ({ ...prev, ...updated }));
+            refreshRooms();
+          }}
+          onClose={() => setShowManage(false)}
+        />
+      )}
     </div>
   );
 };
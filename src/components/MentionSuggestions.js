@@ -0,0 +1,42 @@
+/**
+ * MentionSuggestions Component
+ *
+ * Dropdown of users matching the @mention being typed. Keyboard handling
+ * stays with the input; this only renders the list.
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.users - [{ userId, username, level, inRoom }]
+ * @param {number} props.activeIndex - Highlighted suggestion
+ * @param {Function} props.onSelect - Called with the chosen user
+ */
+const MentionSuggestions = ({ users, activeIndex, onSelect }) => {
+  if (users.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-full left-0 mb-2 w-72 z-20 py-1 rounded-lg bg-gray-800 border border-gray-700 shadow-lg">
+      {users.map((user, index) => (
+        <button
+          key={user.userId}
+          type="button"
+          // Keep focus in the input so the cursor position survives the click
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onSelect(user)}
+          className={`w-full flex items-center justify-between px-3 py-2 text-left text-sm transition-colors ${
+            index === activeIndex ? 'bg-gray-700 text-white' : 'text-gray-300 hover:bg-gray-700/60'
+          }`}
+        >
+          <span className="truncate">@{user.username}</span>
+          <span className="ml-2 flex-shrink-0 text-xs text-gray-500">
+            {user.inRoom ? 'In this room' : user.level}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MentionSuggestions;
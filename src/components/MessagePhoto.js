@@ -0,0 +1,45 @@
+/**
+ * MessagePhoto Component
+ *
+ * Photo attached to a chat message: the thumbnail, sized from the stored
+ * dimensions so the list doesn't jump while it loads, opening the full
+ * image in a new tab.
+ */
+
+import React from 'react';
+
+// Largest box the thumbnail is shown in
+const MAX_WIDTH = 320;
+const MAX_HEIGHT = 240;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.photo - { id, url, thumbnailUrl, width, height }
+ */
+const MessagePhoto = ({ photo }) => {
+  if (!photo) return null;
+
+  const scale = photo.width && photo.height
+    ? Math.min(1, MAX_WIDTH / photo.width, MAX_HEIGHT / photo.height)
+    : null;
+  const size = scale ? { width: Math.round(photo.width * scale), height: Math.round(photo.height * scale) } : {};
+
+  return (
+    <a
+      href={photo.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="block mb-1 rounded-md overflow-hidden bg-gray-900/40"
+      style={size}
+    >
+      <img
+        src={photo.thumbnailUrl || photo.url}
+        alt="Shared photo"
+        loading="lazy"
+        className="w-full h-full object-cover"
+      />
+    </a>
+  );
+};
+
+export default MessagePhoto;
@@ -0,0 +1,82 @@
+/**
+ * MessageReactions Component
+ *
+ * Emoji reactions under a room message:
+ * - One chip per emoji with its count, highlighted if the user reacted
+ * - Clicking a chip toggles the user's reaction
+ * - Picker for adding a new reaction
+ */
+
+import React, { useState } from 'react';
+
+// Must match REACTION_EMOJIS on the server
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '🐠', '🌿'];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.reactions - { emoji: count }
+ * @param {Array} props.myReactions - Emoji the current user reacted with
+ * @param {Function} props.onToggle - Called with an emoji to add or remove it
+ * @param {boolean} props.alignRight - Align with the user's own messages
+ */
+const MessageReactions = ({ reactions = {}, myReactions = [], onToggle, alignRight = false }) => {
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  const entries = REACTION_EMOJIS.filter(emoji => reactions[emoji] > 0);
+
+  const handlePick = (emoji) => {
+    setPickerOpen(false);
+    onToggle(emoji);
+  };
+
+  return (
+    <div className={`relative flex flex-wrap items-center gap-1 mt-1 ${alignRight ? 'justify-end' : ''}`}>
+      {entries.map((emoji) => {
+        const mine = myReactions.includes(emoji);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => onToggle(emoji)}
+            className={`
+              px-2 py-0.5 text-xs rounded-full border transition-colors
+              ${mine
+                ? 'border-accent-500 bg-accent-600/20 text-gray-100'
+                : 'border-gray-700 bg-gray-800/60 text-gray-300 hover:border-gray-600'
+              }
+            `}
+            title={mine ? 'Remove your reaction' : 'React'}
+          >
+            {emoji} {reactions[emoji]}
+          </button>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => setPickerOpen(open => !open)}
+        className="px-1.5 py-0.5 text-xs rounded-full text-gray-500 hover:text-gray-300 hover:bg-gray-800/60 transition-colors"
+        title="Add reaction"
+      >
+        +
+      </button>
+
+      {pickerOpen && (
+        <div className={`absolute bottom-full mb-1 z-10 flex gap-1 p-1 rounded-lg bg-gray-800 border border-gray-700 shadow-lg ${alignRight ? 'right-0' : 'left-0'}`}>
+          {REACTION_EMOJIS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handlePick(emoji)}
+              className={`w-8 h-8 rounded-md hover:bg-gray-700 transition-colors ${myReactions.includes(emoji) ? 'bg-gray-700' : ''}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageReactions;
@@ -0,0 +1,34 @@
+/**
+ * MessageText Component
+ *
+ * Message body with @mentions highlighted; mentions of the current user
+ * stand out more than mentions of others.
+ */
+
+import React from 'react';
+import { splitMentions } from '../utils/mentions';
+
+/**
+ * @param {Object} props
+ * @param {string} props.text - Message text
+ * @param {Array} props.mentions - [{ userId, username }] from the server
+ * @param {string} props.currentUserId - Signed-in user
+ */
+const MessageText = ({ text, mentions, currentUserId }) => {
+  return splitMentions(text, mentions).map((segment, index) => {
+    if (!segment.mention) {
+      return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+    }
+    const self = segment.mention.userId === currentUserId;
+    return (
+      <span
+        key={index}
+        className={`font-medium rounded px-0.5 ${self ? 'bg-amber-400/30 text-amber-100' : 'text-ocean-300'}`}
+      >
+        {segment.text}
+      </span>
+    );
+  });
+};
+
+export default MessageText;
@@ -0,0 +1,567 @@
+/**
+ * ModerationPage Component
+ *
+ * Report queue for moderators:
+ * - Reports filtered by status
+ * - Report detail with the surrounding message context
+ * - Triage actions (in review, resolve, dismiss) with a note
+ * - Mute, kick or ban the reported user, in one room or everywhere
+ * - History of reports and sanctions against the reported user
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useUser } from '../contexts/UserContext';
+import { useRooms } from '../contexts/RoomsContext';
+import { moderationAPI } from '../services/api';
+import { createSocket } from '../utils/socket';
+import { USER_ROLES, hasRole } from '../utils/roles';
+import { REPORT_REASONS } from './ReportUserModal';
+
+const STATUS_FILTERS = [
+  { id: 'open', label: 'Open' },
+  { id: 'in_review', label: 'In Review' },
+  { id: 'resolved', label: 'Resolved' },
+  { id: 'dismissed', label: 'Dismissed' },
+  { id: '', label: 'All' },
+];
+
+const STATUS_STYLES = {
+  open: 'bg-red-900/30 border-red-700/50 text-red-300',
+  in_review: 'bg-amber-900/30 border-amber-700/50 text-amber-300',
+  resolved: 'bg-green-900/30 border-green-700/50 text-green-300',
+  dismissed: 'bg-dark-700 border-dark-600 text-gray-400',
+};
+
+const SANCTION_OPTIONS = [
+  { id: 'mute', label: 'Mute' },
+  { id: 'kick', label: 'Kick' },
+  { id: 'ban', label: 'Ban' },
+];
+
+// Minutes; empty means permanent (kicks fall back to a short timeout)
+const DURATION_OPTIONS = [
+  { id: '15', label: '15 minutes' },
+  { id: '60', label: '1 hour' },
+  { id: '1440', label: '24 hours' },
+  { id: '10080', label: '7 days' },
+  { id: '43200', label: '30 days' },
+  { id: '', label: 'Permanent' },
+];
+
+const EMPTY_SANCTION_FORM = { type: 'mute', room: '', duration: '60', reason: '' };
+
+const reasonLabel = (reason) => REPORT_REASONS.find(r => r.id === reason)?.label || reason;
+const statusLabel = (status) => STATUS_FILTERS.find(s => s.id === status)?.label || status;
+
+const ModerationPage = () => {
+  const navigate = useNavigate();
+  const { user, isAuthenticated, loading: userLoading } = useUser();
+  const { getRoomName } = useRooms();
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [userHistory, setUserHistory] = useState(null);
+  const [note, setNote] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState(null);
+  const [sanctionForm, setSanctionForm] = useState(EMPTY_SANCTION_FORM);
+  const [sanctioning, setSanctioning] = useState(false);
+  const [removedMessageIds, setRemovedMessageIds] = useState(() => new Set());
+  const statusFilterRef = useRef(statusFilter);
+  statusFilterRef.current = statusFilter;
+
+  const isModerator = hasRole(user, USER_ROLES.MODERATOR);
+
+  // Only moderators can see this page
+  useEffect(() => {
+    if (userLoading) return;
+    if (!isAuthenticated) {
+      navigate('/');
+    } else if (!isModerator) {
+      navigate('/general-chat');
+    }
+  }, [userLoading, isAuthenticated, isModerator, navigate]);
+
+  // Load the queue for the selected status
+  useEffect(() => {
+    if (!isModerator) return;
+
+    const loadReports = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await moderationAPI.getReports(statusFilter);
+        setReports(response.reports || []);
+      } catch (error) {
+        console.error('Error loading reports:', error);
+        setError('Could not load reports.');
+        setReports([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadReports();
+  }, [statusFilter, isModerator]);
+
+  // New reports arrive live while the open queue is showing
+  useEffect(() => {
+    if (!isModerator) return;
+
+    const socket = createSocket();
+    socket.on('connect', () => socket.emit('join-moderation'));
+    socket.on('report-created', (report) => {
+      const filter = statusFilterRef.current;
+      setReports(prev => (
+        (filter === 'open' || filter === '') && !prev.some(r => r.id === report.id)
+          ? [report, ...prev]
+          : prev
+      ));
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [isModerator]);
+
+  /**
+   * Open a report and load the reported user's history
+   */
+  const handleSelectReport = async (report) => {
+    setSelectedReport(report);
+    setNote(report.resolutionNote || '');
+    setSanctionForm({
+      ...EMPTY_SANCTION_FORM,
+      room: report.context?.type === 'room' ? report.context.room : '',
+    });
+    setUserHistory(null);
+    try {
+      const history = await moderationAPI.getUserModerationHistory(report.reportedUser.userId);
+      setUserHistory(history);
+    } catch (error) {
+      console.error('Error loading user history:', error);
+    }
+  };
+
+  /**
+   * Move the selected report to a new status
+   */
+  const handleUpdateStatus = async (status) => {
+    if (!selectedReport || updating) return;
+
+    setUpdating(true);
+    setError(null);
+    try {
+      const { report } = await moderationAPI.updateReport(selectedReport.id, { status, note });
+      // Keep the full context from the list; the update returns the same report
+      const updated = { ...selectedReport, ...report };
+      setSelectedReport(updated);
+      setReports(prev => (
+        statusFilter && statusFilter !== status
+          ? prev.filter(r => r.id !== updated.id)
+          : prev.map(r => (r.id === updated.id ? updated : r))
+      ));
+      setUserHistory(prev => prev && {
+        ...prev,
+        reports: prev.reports.map(r => (r.id === updated.id ? { ...r, ...report } : r)),
+      });
+    } catch (error) {
+      console.error('Error updating report:', error);
+      setError('Could not update the report.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  /**
+   * Mute, kick or ban the reported user
+   */
+  const handleIssueSanction = async (e) => {
+    e.preventDefault();
+    if (!selectedReport || sanctioning) return;
+
+    setSanctioning(true);
+    setError(null);
+    try {
+      const { sanction } = await moderationAPI.issueSanction({
+        userId: selectedReport.reportedUser.userId,
+        type: sanctionForm.type,
+        room: sanctionForm.room || null,
+        durationMinutes: sanctionForm.duration ? Number(sanctionForm.duration) : null,
+        reason: sanctionForm.reason.trim() || reasonLabel(selectedReport.reason),
+        reportId: selectedReport.id,
+      });
+      setUserHistory(prev => prev && {
+        ...prev,
+        sanctions: [{ ...sanction, active: true }, ...prev.sanctions],
+      });
+      setSanctionForm(prev => ({ ...prev, reason: '' }));
+    } catch (error) {
+      console.error('Error issuing sanction:', error);
+      setError(error.message || 'Could not apply the sanction.');
+    } finally {
+      setSanctioning(false);
+    }
+  };
+
+  /**
+   * Lift an active sanction early
+   */
+  const handleRevokeSanction = async (sanctionId) => {
+    try {
+      await moderationAPI.revokeSanction(sanctionId);
+      setUserHistory(prev => prev && {
+        ...prev,
+        sanctions: prev.sanctions.map(s => (s.id === sanctionId ? { ...s, active: false, revokedAt: new Date().toISOString() } : s)),
+      });
+    } catch (error) {
+      console.error('Error lifting sanction:', error);
+      setError('Could not lift the sanction.');
+    }
+  };
+
+  /**
+   * Remove a message shown in the report context
+   * The report keeps its snapshot; only the live message is tombstoned.
+   */
+  const handleRemoveMessage = async (messageId) => {
+    const { context } = selectedReport;
+    if (!window.confirm('Remove this message for everyone?')) return;
+
+    try {
+      await moderationAPI.removeMessage(messageId, context.type === 'room'
+        ? { room: context.room }
+        : { sessionId: context.sessionId });
+      setRemovedMessageIds(prev => new Set(prev).add(messageId));
+    } catch (error) {
+      console.error('Error removing message:', error);
+      setError(error.message || 'Could not remove the message.');
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  if (!isModerator) {
+    return null;
+  }
+
+  const context = selectedReport?.context;
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-gray-100">Moderation</h1>
+        <p className="mt-1 text-sm text-gray-400">Review reports from the community</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-lg border bg-red-900/30 border-red-700/50 text-red-300">
+          <p className="font-medium text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-3 gap-8">
+        {/* Left Column - Queue */}
+        <div className="lg:col-span-1 space-y-4">
+          <div className="card">
+            <div className="flex flex-wrap gap-2">
+              {STATUS_FILTERS.map((filter) => (
+                <button
+                  key={filter.id || 'all'}
+                  onClick={() => {
+                    setStatusFilter(filter.id);
+                    setSelectedReport(null);
+                  }}
+                  className={`
+                    px-3 py-1 text-xs rounded-lg border transition-colors
+                    ${statusFilter === filter.id
+                      ? 'border-ocean-500 bg-ocean-600/20 text-gray-100'
+                      : 'border-dark-600 text-gray-400 hover:bg-dark-700'
+                    }
+                  `}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="card">
+            {loading && (
+              <div className="text-center py-4">
+                <div className="inline-block w-5 h-5 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+              </div>
+            )}
+
+            {!loading && reports.length === 0 && (
+              <p className="text-sm text-gray-400">No reports here.</p>
+            )}
+
+            <div className="space-y-2">
+              {reports.map((report) => (
+                <button
+                  key={report.id}
+                  onClick={() => handleSelectReport(report)}
+                  className={`
+                    w-full px-3 py-2 text-left rounded-lg border transition-all
+                    ${selectedReport?.id === report.id
+                      ? 'border-ocean-500 bg-ocean-600/20'
+                      : 'border-dark-600 bg-dark-700/50 hover:bg-dark-700 hover:border-dark-500'
+                    }
+                  `}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-100 truncate">{report.reportedUser.username}</span>
+                    <span className="text-xs text-gray-500 ml-2 flex-shrink-0">{formatDateTime(report.createdAt)}</span>
+                  </div>
+                  <div className="text-xs text-gray-400 truncate">
+                    {reasonLabel(report.reason)} · {statusLabel(report.status)}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Right Column - Report Detail */}
+        <div className="lg:col-span-2 space-y-6">
+          {!selectedReport ? (
+            <div className="card text-center py-12">
+              <p className="text-sm text-gray-400">Select a report to review it.</p>
+            </div>
+          ) : (
+            <>
+              <div className="card">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-100">
+                      {reasonLabel(selectedReport.reason)}: {selectedReport.reportedUser.username}
+                    </h2>
+                    <p className="text-sm text-gray-400 mt-1">
+                      Reported by {selectedReport.reportedBy.username} · {formatDateTime(selectedReport.createdAt)}
+                      {context?.type === 'room' && ` · ${getRoomName(context.room)}`}
+                      {context?.type === 'advice' && ' · Private advice session'}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-1 text-xs rounded-lg border ${STATUS_STYLES[selectedReport.status] || ''}`}>
+                    {statusLabel(selectedReport.status)}
+                  </span>
+                </div>
+
+                {selectedReport.details && (
+                  <p className="text-sm text-gray-300 mb-4 whitespace-pre-wrap">{selectedReport.details}</p>
+                )}
+
+                {/* Message Context */}
+                {context?.messages?.length > 0 && (
+                  <div className="mb-4">
+                    <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Context</div>
+                    <div className="max-h-80 overflow-y-auto space-y-2 p-3 rounded-lg bg-dark-800 border border-dark-600">
+                      {context.messages.map((message) => {
+                        const reported = message.userId === selectedReport.reportedUser.userId;
+                        const flagged = context.messageId && message.id === context.messageId;
+                        return (
+                          <div
+                            key={message.id}
+                            className={`text-sm px-2 py-1 rounded ${flagged ? 'bg-red-900/30 border border-red-700/50' : ''}`}
+                          >
+                            <span className={`font-medium ${reported ? 'text-red-300' : 'text-gray-300'}`}>{message.username}</span>
+                            <span className="text-xs text-gray-500 ml-2">{formatDateTime(message.timestamp)}</span>
+                            {removedMessageIds.has(message.id) ? (
+                              <span className="text-xs text-gray-500 ml-2">Removed</span>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => handleRemoveMessage(message.id)}
+                                className="text-xs text-gray-500 hover:text-red-400 ml-2"
+                              >
+                                Remove
+                              </button>
+                            )}
+                            <p className="text-gray-200 whitespace-pre-wrap break-words">{message.message}</p>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {/* Triage */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Resolution note</label>
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    rows={2}
+                    maxLength={1000}
+                    className="input-field"
+                    placeholder="What action was taken?"
+                  />
+                  {selectedReport.resolvedBy && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Closed by {selectedReport.resolvedBy.username} · {formatDateTime(selectedReport.resolvedAt)}
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-3 mt-4">
+                    {selectedReport.status === 'open' && (
+                      <button
+                        onClick={() => handleUpdateStatus('in_review')}
+                        disabled={updating}
+                        className="btn-secondary"
+                      >
+                        Mark In Review
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleUpdateStatus('resolved')}
+                      disabled={updating}
+                      className="btn-primary"
+                    >
+                      Resolve
+                    </button>
+                    <button
+                      onClick={() => handleUpdateStatus('dismissed')}
+                      disabled={updating}
+                      className="btn-secondary"
+                    >
+                      Dismiss
+                    </button>
+                    {['resolved', 'dismissed'].includes(selectedReport.status) && (
+                      <button
+                        onClick={() => handleUpdateStatus('open')}
+                        disabled={updating}
+                        className="btn-secondary"
+                      >
+                        Reopen
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {/* Sanctions */}
+              <div className="card">
+                <h3 className="text-sm font-semibold text-gray-100 mb-3">Take Action</h3>
+                <form onSubmit={handleIssueSanction} className="grid sm:grid-cols-3 gap-3">
+                  <select
+                    value={sanctionForm.type}
+                    onChange={(e) => setSanctionForm(prev => ({ ...prev, type: e.target.value }))}
+                    className="input-field"
+                  >
+                    {SANCTION_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={sanctionForm.room}
+                    onChange={(e) => setSanctionForm(prev => ({ ...prev, room: e.target.value }))}
+                    className="input-field"
+                  >
+                    {context?.type === 'room' && <option value={context.room}>In {getRoomName(context.room)}</option>}
+                    <option value="">Everywhere</option>
+                  </select>
+                  <select
+                    value={sanctionForm.duration}
+                    onChange={(e) => setSanctionForm(prev => ({ ...prev, duration: e.target.value }))}
+                    className="input-field"
+                  >
+                    {DURATION_OPTIONS.map((option) => (
+                      <option key={option.id || 'permanent'} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={sanctionForm.reason}
+                    onChange={(e) => setSanctionForm(prev => ({ ...prev, reason: e.target.value }))}
+                    maxLength={500}
+                    placeholder={`Reason shown to the user (default: ${reasonLabel(selectedReport.reason)})`}
+                    className="input-field sm:col-span-2"
+                  />
+                  <button type="submit" disabled={sanctioning} className="btn-primary">
+                    {sanctioning ? 'Applying...' : 'Apply'}
+                  </button>
+                </form>
+              </div>
+
+              {/* Reported User History */}
+              <div className="card">
+                <h3 className="text-sm font-semibold text-gray-100 mb-3">
+                  History for {selectedReport.reportedUser.username}
+                </h3>
+                {!userHistory ? (
+                  <p className="text-sm text-gray-400">Loading...</p>
+                ) : (
+                  <>
+                    <p className="text-xs text-gray-400 mb-3">
+                      {userHistory.user.level} · Joined {userHistory.user.createdAt ? formatDateTime(userHistory.user.createdAt) : 'unknown'}
+                      {' · '}
+                      {userHistory.reports.length} report{userHistory.reports.length === 1 ? '' : 's'}
+                      {' '}({userHistory.counts.resolved} resolved, {userHistory.counts.dismissed} dismissed)
+                    </p>
+                    <div className="space-y-2">
+                      {userHistory.reports.map((report) => (
+                        <div
+                          key={report.id}
+                          className={`px-3 py-2 rounded-lg border ${report.id === selectedReport.id ? 'border-ocean-500' : 'border-dark-600'} bg-dark-700/50`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <span className="text-sm text-gray-200">{reasonLabel(report.reason)}</span>
+                            <span className="text-xs text-gray-500">{formatDateTime(report.createdAt)}</span>
+                          </div>
+                          <div className="text-xs text-gray-400">
+                            {statusLabel(report.status)} · by {report.reportedBy.username}
+                            {report.resolutionNote && ` · ${report.resolutionNote}`}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {userHistory.sanctions.length > 0 && (
+                      <>
+                        <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mt-4 mb-2">Sanctions</div>
+                        <div className="space-y-2">
+                          {userHistory.sanctions.map((sanction) => (
+                            <div key={sanction.id} className="flex items-center justify-between px-3 py-2 rounded-lg border border-dark-600 bg-dark-700/50">
+                              <div className="min-w-0">
+                                <div className="text-sm text-gray-200">
+                                  {SANCTION_OPTIONS.find(o => o.id === sanction.type)?.label || sanction.type}
+                                  {' '}{sanction.room ? `in ${getRoomName(sanction.room)}` : 'everywhere'}
+                                  {sanction.active && <span className="ml-2 text-xs text-amber-300">Active</span>}
+                                </div>
+                                <div className="text-xs text-gray-400 truncate">
+                                  {formatDateTime(sanction.createdAt)}
+                                  {' · '}
+                                  {sanction.expiresAt ? `until ${formatDateTime(sanction.expiresAt)}` : 'permanent'}
+                                  {sanction.issuedBy && ` · by ${sanction.issuedBy.username}`}
+                                  {sanction.reason && ` · ${sanction.reason}`}
+                                </div>
+                              </div>
+                              {sanction.active && (
+                                <button
+                                  onClick={() => handleRevokeSanction(sanction.id)}
+                                  className="ml-3 text-xs text-gray-400 hover:text-gray-200 flex-shrink-0"
+                                >
+                                  Lift
+                                </button>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationPage;
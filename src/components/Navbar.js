@@ -12,6 +12,7 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
+import { USER_ROLES, hasRole } from '../utils/roles';
 
 const Navbar = () => {
   const location = useLocation();
@@ -24,7 +25,11 @@ const Navbar = () => {
     { name: 'Community Chat', href: '/general-chat' },
     { name: 'Private Chat', href: '/topic-chats' },
     { name: 'AI Advisor', href: '/ai-advisor' },
+    { name: 'Search', href: '/search' },
     { name: 'Profile', href: '/profile' },
+    // Staff links only for users who can use them
+    ...(hasRole(user, USER_ROLES.MODERATOR) ? [{ name: 'Moderation', href: '/moderation' }] : []),
+    ...(hasRole(user, USER_ROLES.ADMIN) ? [{ name: 'Admin', href: '/admin' }] : []),
   ];
 
   const isActive = (href) => {
@@ -0,0 +1,219 @@
+/**
+ * PhotoLightbox Component
+ *
+ * Full-size view of a gallery photo:
+ * - Caption (the text it was posted with), author and date
+ * - Previous/next through the loaded photos (also with the arrow keys)
+ * - Comments, which are the photo message's thread replies
+ * - The author can put it in their albums
+ * - Link back to the message in the chat
+ */
+
+import React, { useState, useEffect } from 'react';
+import { chatAPI } from '../services/api';
+import MessageText from './MessageText';
+
+/**
+ * @param {Object} props
+ * @param {string} props.room - Room slug
+ * @param {Array} props.photos - Gallery messages, newest first
+ * @param {number} props.index - Photo being shown
+ * @param {string} props.currentUserId - Signed-in user
+ * @param {Array} props.myAlbums - The user's albums in this room
+ * @param {boolean} props.canComment - Commenting is possible (connected, not sanctioned)
+ * @param {Function} props.onNavigate - Called with the index to show
+ * @param {Function} props.onComment - Called with (message, text); resolves to the send's ack
+ * @param {Function} props.onToggleAlbum - Called with (album, messageId, included)
+ * @param {Function} props.onViewInChat - Called with the message
+ * @param {Function} props.onClose - Close the lightbox
+ */
+const PhotoLightbox = ({
+  room,
+  photos,
+  index,
+  currentUserId,
+  myAlbums,
+  canComment,
+  onNavigate,
+  onComment,
+  onToggleAlbum,
+  onViewInChat,
+  onClose,
+}) => {
+  const message = photos[index];
+  const [comments, setComments] = useState([]);
+  const [loadingComments, setLoadingComments] = useState(false);
+  const [commentInput, setCommentInput] = useState('');
+  const [error, setError] = useState(null);
+
+  // Load the comments whenever another photo is shown
+  useEffect(() => {
+    let cancelled = false;
+    setComments([]);
+    setError(null);
+    if (!message.replyCount) return undefined;
+
+    const loadComments = async () => {
+      setLoadingComments(true);
+      try {
+        const thread = await chatAPI.getThread(room, message.id);
+        if (!cancelled) setComments(thread.replies || []);
+      } catch (error) {
+        console.error('Error loading comments:', error);
+        if (!cancelled) setError('Could not load the comments.');
+      } finally {
+        if (!cancelled) setLoadingComments(false);
+      }
+    };
+    loadComments();
+    return () => { cancelled = true; };
+  }, [room, message.id, message.replyCount]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT') return;
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && index > 0) onNavigate(index - 1);
+      if (e.key === 'ArrowRight' && index < photos.length - 1) onNavigate(index + 1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [index, photos.length, onNavigate, onClose]);
+
+  const handleSubmitComment = async (e) => {
+    e.preventDefault();
+    const text = commentInput.trim();
+    if (!text || !canComment) return;
+
+    setCommentInput('');
+    const response = await onComment(message, text);
+    if (response.ok) {
+      setComments(prev => (prev.some(comment => comment.id === response.message.id) ? prev : [...prev, response.message]));
+    } else if (!response.filtered) {
+      setCommentInput(text);
+      setError(`Your comment was not sent: ${response.error}`);
+    }
+  };
+
+  const own = message.userId === currentUserId;
+
+  return (
+    <div className="fixed inset-0 z-50 flex bg-black/90" onClick={onClose}>
+      <div className="flex-1 flex items-center justify-center relative p-6" onClick={(e) => e.stopPropagation()}>
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-4 left-4 text-gray-300 hover:text-white text-sm"
+        >
+          ✕ Close
+        </button>
+        {index > 0 && (
+          <button
+            type="button"
+            onClick={() => onNavigate(index - 1)}
+            className="absolute left-4 top-1/2 -translate-y-1/2 px-3 py-2 text-2xl text-gray-300 hover:text-white"
+            aria-label="Previous photo"
+          >
+            ‹
+          </button>
+        )}
+        <img
+          src={message.photo.url}
+          alt={message.message || `Photo by ${message.username}`}
+          className="max-w-full max-h-full object-contain rounded"
+        />
+        {index < photos.length - 1 && (
+          <button
+            type="button"
+            onClick={() => onNavigate(index + 1)}
+            className="absolute right-4 top-1/2 -translate-y-1/2 px-3 py-2 text-2xl text-gray-300 hover:text-white"
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+        )}
+      </div>
+
+      <div className="w-96 bg-gray-800 border-l border-gray-700 flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="px-4 py-4 border-b border-gray-700">
+          <p className="text-sm font-medium text-white">{message.username}</p>
+          <p className="text-xs text-gray-500">{new Date(message.timestamp).toLocaleString()}</p>
+          {message.message && (
+            <p className="mt-3 text-sm text-gray-100 leading-relaxed whitespace-pre-wrap break-words">
+              <MessageText text={message.message} mentions={message.mentions} currentUserId={currentUserId} />
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={() => onViewInChat(message)}
+            className="mt-3 text-xs text-ocean-400 hover:text-ocean-300"
+          >
+            View in chat
+          </button>
+        </div>
+
+        {own && myAlbums.length > 0 && (
+          <div className="px-4 py-3 border-b border-gray-700">
+            <p className="text-xs font-semibold text-gray-400 mb-2">In your albums</p>
+            <div className="space-y-1">
+              {myAlbums.map((album) => (
+                <label key={album.id} className="flex items-center space-x-2 text-sm text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={album.messageIds.includes(message.id)}
+                    onChange={(e) => onToggleAlbum(album, message.id, e.target.checked)}
+                  />
+                  <span className="truncate">{album.title}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto px-4 py-4 space-y-3">
+          <p className="text-xs font-semibold text-gray-400">Comments</p>
+          {loadingComments && <p className="text-sm text-gray-500">Loading...</p>}
+          {!loadingComments && comments.length === 0 && (
+            <p className="text-sm text-gray-500">No comments yet.</p>
+          )}
+          {comments.map((comment) => (
+            <div key={comment.id}>
+              <p className="text-xs text-gray-400">
+                <span className="font-medium text-gray-200">{comment.username}</span>
+                <span className="ml-2">{new Date(comment.timestamp).toLocaleString()}</span>
+              </p>
+              {comment.deletedAt ? (
+                <p className="text-sm italic text-gray-500">This comment was removed</p>
+              ) : (
+                <p className="text-sm text-gray-100 whitespace-pre-wrap break-words">
+                  <MessageText text={comment.message} mentions={comment.mentions} currentUserId={currentUserId} />
+                </p>
+              )}
+            </div>
+          ))}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+        </div>
+
+        <form onSubmit={handleSubmitComment} className="px-4 py-4 border-t border-gray-700 flex space-x-2">
+          <input
+            type="text"
+            value={commentInput}
+            onChange={(e) => setCommentInput(e.target.value)}
+            placeholder={canComment ? 'Add a comment...' : 'Commenting is unavailable'}
+            disabled={!canComment}
+            className="flex-1 px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!canComment || !commentInput.trim()}
+            className="px-4 py-2 text-sm font-medium text-white bg-accent-600 hover:bg-accent-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            Post
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoLightbox;
@@ -11,19 +11,20 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
-import { profileAPI, gamificationAPI } from '../services/api';
+import { profileAPI, gamificationAPI, moderationAPI } from '../services/api';
 
 const EXPERIENCE_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
 const TANK_TYPES = ['Freshwater', 'Saltwater', 'Reef', 'Brackish', 'Other'];
 
 const ProfilePage = () => {
   const navigate = useNavigate();
-  const { user, updateProfile, isAuthenticated, refreshUser, uploadProfilePicture } = useUser();
+  const { user, updateProfile, isAuthenticated, uploadProfilePicture } = useUser();
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({});
   const [message, setMessage] = useState({ type: '', text: '' });
   const [stats, setStats] = useState(null);
   const [uploadingPicture, setUploadingPicture] = useState(false);
+  const [blockedUsers, setBlockedUsers] = useState([]);
   const fileInputRef = useRef(null);
 
   // Redirect if not authenticated
@@ -79,11 +80,39 @@ const ProfilePage = () => {
     }
   }, [user]);
 
+  // Load blocked users list
+  useEffect(() => {
+    const loadBlockedUsers = async () => {
+      try {
+        const response = await moderationAPI.getBlockedUsers();
+        setBlockedUsers(response.blockedUsers || []);
+      } catch (error) {
+        console.error('Error loading blocked users:', error);
+      }
+    };
+
+    if (isAuthenticated) {
+      loadBlockedUsers();
+    }
+  }, [isAuthenticated]);
+
   // Don't render if not authenticated
   if (!isAuthenticated || !user) {
     return null;
   }
 
+  /**
+   * Handle unblocking a user
+   */
+  const handleUnblock = async (blockedUserId) => {
+    try {
+      await moderationAPI.unblockUser(blockedUserId);
+      setBlockedUsers(prev => prev.filter(entry => entry.userId !== blockedUserId));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to unblock user.' });
+    }
+  };
+
   /**
    * Handle input changes
    */
@@ -117,7 +146,6 @@ const ProfilePage = () => {
       const result = await uploadProfilePicture(file);
       if (result.success) {
         setMessage({ type: 'success', text: result.message });
-        refreshUser();
       } else {
         setMessage({ type: 'error', text: result.message });
       }
@@ -386,6 +414,26 @@ const ProfilePage = () => {
                 </div>
               </div>
             )}
+
+            {/* Blocked Users */}
+            {blockedUsers.length > 0 && (
+              <div className="card">
+                <h3 className="text-lg font-semibold text-gray-100 mb-4">Blocked Users</h3>
+                <div className="divide-y divide-dark-600">
+                  {blockedUsers.map((entry) => (
+                    <div key={entry.userId} className="flex items-center justify-between py-3">
+                      <span className="text-sm text-gray-100">{entry.username || 'Unknown user'}</span>
+                      <button
+                        onClick={() => handleUnblock(entry.userId)}
+                        className="px-3 py-1.5 text-xs font-medium text-gray-300 border border-dark-600 rounded-lg hover:bg-dark-700 hover:text-white transition-all"
+                      >
+                        Unblock
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       ) : (
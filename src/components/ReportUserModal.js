@@ -0,0 +1,133 @@
+/**
+ * ReportUserModal Component
+ *
+ * Dialog for reporting a user to the moderators:
+ * - Reason selection and optional details
+ * - Sends the room/message or advice session so the report has context
+ */
+
+import React, { useState } from 'react';
+import { moderationAPI } from '../services/api';
+
+export const REPORT_REASONS = [
+  { id: 'spam', label: 'Spam' },
+  { id: 'harassment', label: 'Harassment' },
+  { id: 'hate_speech', label: 'Hate speech' },
+  { id: 'inappropriate_content', label: 'Inappropriate content' },
+  { id: 'scam', label: 'Scam or fraud' },
+  { id: 'other', label: 'Other' },
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.target - { userId, username } of the reported user
+ * @param {Object} props.context - { room, messageId } or { sessionId }
+ * @param {Function} props.onClose - Called when the dialog closes
+ */
+const ReportUserModal = ({ target, context, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason || submitting) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await moderationAPI.reportUser({
+        userId: target.userId,
+        reason,
+        details: details.trim() || null,
+        ...context,
+      });
+      setSubmitted(true);
+    } catch (error) {
+      console.error('Error reporting user:', error);
+      setError(error.message || 'Could not submit report. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md bg-gray-800 border border-gray-700 rounded-lg p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {submitted ? (
+          <>
+            <h3 className="text-lg font-semibold text-white mb-2">Report sent</h3>
+            <p className="text-sm text-gray-400 mb-6">
+              Thanks. A moderator will review your report about {target.username}.
+            </p>
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-white bg-accent-600 hover:bg-accent-700 rounded-lg transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <h3 className="text-lg font-semibold text-white">Report {target.username}</h3>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Reason</label>
+              <select
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-accent-500 focus:border-transparent transition-all"
+              >
+                <option value="">Select a reason</option>
+                {REPORT_REASONS.map((option) => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Details (optional)</label>
+              <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                rows={3}
+                maxLength={1000}
+                placeholder="What happened?"
+                className="w-full px-4 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:border-transparent transition-all"
+              />
+            </div>
+
+            {error && <p className="text-sm text-red-400">{error}</p>}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-700/50 hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!reason || submitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Sending...' : 'Submit Report'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReportUserModal;
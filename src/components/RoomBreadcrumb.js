@@ -0,0 +1,47 @@
+/**
+ * RoomBreadcrumb Component
+ *
+ * Where a category room sits in the taxonomy, e.g.
+ * Saltwater › Water Chemistry › Salinity. Every level above the current
+ * room links to that level's room.
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.breadcrumb - [{ name, slug, category }] from the
+ *   environment down to the current room
+ * @param {Function} props.onOpen - Called with a crumb to open its room
+ */
+const RoomBreadcrumb = ({ breadcrumb, onOpen }) => {
+  if (!breadcrumb || breadcrumb.length < 2) {
+    return null;
+  }
+
+  return (
+    <nav aria-label="Breadcrumb" className="flex flex-wrap items-center text-xs text-gray-500 mb-1">
+      {breadcrumb.map((crumb, index) => {
+        const isCurrent = index === breadcrumb.length - 1;
+        return (
+          <React.Fragment key={crumb.slug}>
+            {index > 0 && <span className="mx-1.5">›</span>}
+            {isCurrent ? (
+              <span className="text-gray-300" aria-current="page">{crumb.name}</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onOpen(crumb)}
+                className="hover:text-gray-200 transition-colors"
+              >
+                {crumb.name}
+              </button>
+            )}
+          </React.Fragment>
+        );
+      })}
+    </nav>
+  );
+};
+
+export default RoomBreadcrumb;
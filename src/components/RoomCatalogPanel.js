@@ -0,0 +1,267 @@
+/**
+ * RoomCatalogPanel Component
+ *
+ * Admin editor for the community room catalog:
+ * - Every room, archived ones included, in display order; topic rooms
+ *   created from the category selector come last
+ * - Add a room or edit one's details
+ * - Archive a room (closes it, keeps its history) or restore it
+ */
+
+import React, { useState, useEffect } from 'react';
+import { adminAPI } from '../services/api';
+import { useRooms } from '../contexts/RoomsContext';
+
+const ENVIRONMENT_OPTIONS = [
+  { id: 'any', label: 'Any tank' },
+  { id: 'freshwater', label: 'Freshwater' },
+  { id: 'saltwater', label: 'Saltwater' },
+];
+
+const EMPTY_FORM = { name: '', slug: '', description: '', image: '', environment: 'any', categories: '' };
+
+// Form state for an existing room
+const toForm = (room) => ({
+  name: room.name,
+  slug: room.slug,
+  description: room.description || '',
+  image: room.image || '',
+  environment: room.environment,
+  categories: room.categories.join(', '),
+});
+
+const RoomCatalogPanel = () => {
+  const { refreshRooms } = useRooms();
+  const [rooms, setRooms] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingSlug, setEditingSlug] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    const loadRooms = async () => {
+      try {
+        const response = await adminAPI.getRooms();
+        setRooms(response.rooms || []);
+      } catch (error) {
+        console.error('Error loading rooms:', error);
+        setMessage({ type: 'error', text: 'Could not load rooms.' });
+      }
+    };
+    loadRooms();
+  }, []);
+
+  /**
+   * Put a saved room into the list and let the rest of the app see the change
+   */
+  const applyRoom = (room) => {
+    setRooms(prev => {
+      const exists = prev.some(entry => entry.slug === room.slug);
+      return exists ? prev.map(entry => (entry.slug === room.slug ? room : entry)) : [...prev, room];
+    });
+    refreshRooms();
+  };
+
+  const handleEdit = (room) => {
+    setEditingSlug(room.slug);
+    setForm(toForm(room));
+    setMessage({ type: '', text: '' });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingSlug(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    const fields = {
+      name: form.name.trim(),
+      description: form.description.trim(),
+      image: form.image.trim() || null,
+      environment: form.environment,
+      categories: form.categories.split(',').map(tag => tag.trim()).filter(Boolean),
+    };
+
+    try {
+      const { room } = editingSlug
+        ? await adminAPI.updateRoom(editingSlug, fields)
+        : await adminAPI.createRoom({ ...fields, slug: form.slug.trim() || undefined });
+      applyRoom(room);
+      setEditingSlug(null);
+      setForm(EMPTY_FORM);
+      setMessage({ type: 'success', text: `${room.name} saved.` });
+    } catch (error) {
+      console.error('Error saving room:', error);
+      setMessage({ type: 'error', text: error.message || 'Could not save the room.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async (room) => {
+    const archive = !room.archivedAt;
+    if (archive && !window.confirm(`Archive ${room.name}? Everyone in it will be sent out and it will disappear from the room list.`)) {
+      return;
+    }
+
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await adminAPI.updateRoom(room.slug, { archived: archive });
+      applyRoom(response.room);
+      setMessage({ type: 'success', text: `${room.name} ${archive ? 'archived' : 'restored'}.` });
+    } catch (error) {
+      console.error('Error archiving room:', error);
+      setMessage({ type: 'error', text: error.message || 'Could not update the room.' });
+    }
+  };
+
+  if (!rooms) {
+    return (
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-100 mb-2">Rooms</h2>
+        {message.text
+          ? <p className="text-sm text-red-400">{message.text}</p>
+          : <p className="text-sm text-gray-400">Loading...</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-100">Rooms</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Community rooms shown on the Community Chat page. Archived rooms are hidden and closed but keep their messages.
+      </p>
+
+      {message.text && (
+        <p className={`mb-4 text-sm ${message.type === 'success' ? 'text-green-300' : 'text-red-400'}`}>{message.text}</p>
+      )}
+
+      <div className="divide-y divide-dark-600 mb-6">
+        {rooms.map((room) => (
+          <div key={room.slug} className="flex items-center justify-between py-3">
+            <div className="min-w-0">
+              <p className={`text-sm font-medium truncate ${room.archivedAt ? 'text-gray-500' : 'text-gray-100'}`}>
+                {room.name}
+                <span className="ml-2 text-xs font-normal text-gray-500">{room.slug}</span>
+                {room.category && <span className="ml-2 text-xs font-normal text-gray-500">· Topic room</span>}
+                {room.archivedAt && <span className="ml-2 text-xs font-normal text-gray-500">· Archived</span>}
+              </p>
+              <p className="text-xs text-gray-400 truncate">{room.description}</p>
+            </div>
+            <div className="flex items-center space-x-3 ml-4 text-sm">
+              <button
+                type="button"
+                onClick={() => handleEdit(room)}
+                className="text-gray-400 hover:text-gray-200"
+              >
+                Edit
+              </button>
+              <button
+                type="button"
+                onClick={() => handleToggleArchived(room)}
+                className={room.archivedAt ? 'text-ocean-400 hover:text-ocean-300' : 'text-red-400 hover:text-red-300'}
+              >
+                {room.archivedAt ? 'Restore' : 'Archive'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <h3 className="text-sm font-semibold text-gray-200">
+          {editingSlug ? `Edit ${editingSlug}` : 'Add a room'}
+        </h3>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              maxLength={40}
+              className="input-field"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Slug</label>
+            <input
+              type="text"
+              value={form.slug}
+              onChange={(e) => setForm(prev => ({ ...prev, slug: e.target.value }))}
+              placeholder="Made from the name"
+              maxLength={40}
+              disabled={!!editingSlug}
+              className="input-field disabled:opacity-50"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Description</label>
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+            maxLength={200}
+            className="input-field"
+          />
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Image</label>
+            <input
+              type="text"
+              value={form.image}
+              onChange={(e) => setForm(prev => ({ ...prev, image: e.target.value }))}
+              placeholder="/images/... or https://..."
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Environment</label>
+            <select
+              value={form.environment}
+              onChange={(e) => setForm(prev => ({ ...prev, environment: e.target.value }))}
+              className="input-field"
+            >
+              {ENVIRONMENT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Category tags (comma separated)</label>
+          <input
+            type="text"
+            value={form.categories}
+            onChange={(e) => setForm(prev => ({ ...prev, categories: e.target.value }))}
+            placeholder="e.g. coral, waterChemistry"
+            className="input-field"
+          />
+        </div>
+
+        <div className="flex space-x-3">
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : editingSlug ? 'Save' : 'Add room'}
+          </button>
+          {editingSlug && (
+            <button type="button" onClick={handleCancelEdit} className="btn-secondary">Cancel</button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RoomCatalogPanel;
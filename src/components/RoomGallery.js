@@ -0,0 +1,304 @@
+/**
+ * RoomGallery Component
+ *
+ * Every photo posted in a room, as a grid:
+ * - Filter by album; albums show their owner and photo count
+ * - Start an album, rename or delete your own
+ * - Opens photos in the lightbox for captions, comments and albums
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { chatAPI } from '../services/api';
+import PhotoLightbox from './PhotoLightbox';
+
+const EMPTY_ALBUM_FORM = { title: '', description: '' };
+
+/**
+ * @param {Object} props
+ * @param {string} props.room - Room slug
+ * @param {string} props.currentUserId - Signed-in user
+ * @param {Set} props.blockedUsers - Users whose photos are hidden
+ * @param {boolean} props.canComment - Commenting is possible (connected, not sanctioned)
+ * @param {Function} props.onComment - Called with (message, text); resolves to the send's ack
+ * @param {Function} props.onViewInChat - Called with a photo's message
+ */
+const RoomGallery = ({ room, currentUserId, blockedUsers, canComment, onComment, onViewInChat }) => {
+  const [photos, setPhotos] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [albums, setAlbums] = useState([]);
+  const [selectedAlbumId, setSelectedAlbumId] = useState(null);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const [albumForm, setAlbumForm] = useState(null);
+  const [editingAlbumId, setEditingAlbumId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const visiblePhotos = photos.filter(photo => !blockedUsers.has(photo.userId));
+  const selectedAlbum = albums.find(album => album.id === selectedAlbumId) || null;
+  const myAlbums = albums.filter(album => album.owner.userId === currentUserId);
+
+  /**
+   * Load the first page of photos, or the next one after `before`
+   */
+  const loadPhotos = useCallback(async (before = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await chatAPI.getRoomGallery(room, { before, album: selectedAlbumId });
+      setPhotos(prev => (before ? [...prev, ...response.photos] : response.photos));
+      setHasMore(!!response.hasMore);
+    } catch (error) {
+      console.error('Error loading photos:', error);
+      setError(error.message || 'Could not load the photos.');
+    } finally {
+      setLoading(false);
+    }
+  }, [room, selectedAlbumId]);
+
+  useEffect(() => {
+    setLightboxIndex(null);
+    loadPhotos();
+  }, [loadPhotos]);
+
+  useEffect(() => {
+    const loadAlbums = async () => {
+      try {
+        const response = await chatAPI.getRoomAlbums(room);
+        setAlbums(response.albums || []);
+      } catch (error) {
+        console.error('Error loading albums:', error);
+      }
+    };
+    setSelectedAlbumId(null);
+    loadAlbums();
+  }, [room]);
+
+  /**
+   * Put a saved album into the list, keeping the cover we already have
+   */
+  const applyAlbum = (album) => {
+    setAlbums(prev => {
+      const existing = prev.find(entry => entry.id === album.id);
+      if (!existing) return [album, ...prev];
+      return prev.map(entry => (entry.id === album.id ? { ...album, cover: album.cover || entry.cover } : entry));
+    });
+  };
+
+  const handleSaveAlbum = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const fields = { title: albumForm.title.trim(), description: albumForm.description.trim() };
+      const { album } = editingAlbumId
+        ? await chatAPI.updateAlbum(editingAlbumId, fields)
+        : await chatAPI.createAlbum(room, fields);
+      applyAlbum(album);
+      setAlbumForm(null);
+      setEditingAlbumId(null);
+    } catch (error) {
+      console.error('Error saving album:', error);
+      setError(error.message || 'Could not save the album.');
+    }
+  };
+
+  const handleEditAlbum = (album) => {
+    setEditingAlbumId(album.id);
+    setAlbumForm({ title: album.title, description: album.description || '' });
+  };
+
+  const handleDeleteAlbum = async (album) => {
+    if (!window.confirm(`Delete the album "${album.title}"? The photos stay in the room.`)) return;
+    try {
+      await chatAPI.deleteAlbum(album.id);
+      setAlbums(prev => prev.filter(entry => entry.id !== album.id));
+      if (selectedAlbumId === album.id) setSelectedAlbumId(null);
+    } catch (error) {
+      console.error('Error deleting album:', error);
+      setError(error.message || 'Could not delete the album.');
+    }
+  };
+
+  const handleToggleAlbum = async (album, messageId, included) => {
+    try {
+      const response = await chatAPI.setAlbumPhoto(album.id, messageId, included);
+      applyAlbum(response.album);
+      if (!included && selectedAlbumId === album.id) {
+        setPhotos(prev => prev.filter(photo => photo.id !== messageId));
+      }
+    } catch (error) {
+      console.error('Error updating album:', error);
+      setError(error.message || 'Could not update the album.');
+    }
+  };
+
+  /**
+   * Post a comment and count it on the photo
+   */
+  const handleComment = async (message, text) => {
+    const response = await onComment(message, text);
+    if (response.ok) {
+      setPhotos(prev => prev.map(photo => (
+        photo.id === message.id ? { ...photo, replyCount: (photo.replyCount || 0) + 1 } : photo
+      )));
+    }
+    return response;
+  };
+
+  const handleCloseLightbox = useCallback(() => setLightboxIndex(null), []);
+
+  return (
+    <div className="flex-1 overflow-y-auto px-6 py-6">
+      <div className="max-w-4xl mx-auto">
+        {/* Albums */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <button
+            type="button"
+            onClick={() => setSelectedAlbumId(null)}
+            className={`px-3 py-1.5 text-sm rounded-lg border transition-colors ${!selectedAlbumId ? 'bg-ocean-600/30 border-ocean-500/50 text-ocean-300' : 'border-gray-700 text-gray-400 hover:text-gray-200'}`}
+          >
+            All photos
+          </button>
+          {albums.map((album) => (
+            <button
+              key={album.id}
+              type="button"
+              onClick={() => setSelectedAlbumId(album.id)}
+              className={`px-3 py-1.5 text-sm rounded-lg border transition-colors ${selectedAlbumId === album.id ? 'bg-ocean-600/30 border-ocean-500/50 text-ocean-300' : 'border-gray-700 text-gray-400 hover:text-gray-200'}`}
+            >
+              {album.title}
+              <span className="ml-1.5 text-xs text-gray-500">{album.photoCount}</span>
+            </button>
+          ))}
+          {!albumForm && (
+            <button
+              type="button"
+              onClick={() => setAlbumForm(EMPTY_ALBUM_FORM)}
+              className="px-3 py-1.5 text-sm text-gray-400 hover:text-gray-200"
+            >
+              + New album
+            </button>
+          )}
+        </div>
+
+        {albumForm && (
+          <form onSubmit={handleSaveAlbum} className="mb-4 p-4 bg-gray-800/60 border border-gray-700 rounded-lg space-y-3">
+            <input
+              type="text"
+              value={albumForm.title}
+              onChange={(e) => setAlbumForm(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="Album title, e.g. Reef build 2026"
+              maxLength={60}
+              className="input-field"
+              required
+            />
+            <input
+              type="text"
+              value={albumForm.description}
+              onChange={(e) => setAlbumForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              maxLength={300}
+              className="input-field"
+            />
+            <div className="flex space-x-3">
+              <button type="submit" disabled={!albumForm.title.trim()} className="btn-primary">
+                {editingAlbumId ? 'Save album' : 'Create album'}
+              </button>
+              <button
+                type="button"
+                onClick={() => { setAlbumForm(null); setEditingAlbumId(null); }}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+            {!editingAlbumId && (
+              <p className="text-xs text-gray-500">Add your photos to it from the photo view.</p>
+            )}
+          </form>
+        )}
+
+        {selectedAlbum && (
+          <div className="mb-4 flex items-start justify-between">
+            <div>
+              <h2 className="text-base font-semibold text-gray-100">{selectedAlbum.title}</h2>
+              <p className="text-xs text-gray-500">by {selectedAlbum.owner.username}</p>
+              {selectedAlbum.description && <p className="mt-1 text-sm text-gray-400">{selectedAlbum.description}</p>}
+            </div>
+            {selectedAlbum.owner.userId === currentUserId && (
+              <div className="flex items-center space-x-3 text-sm">
+                <button type="button" onClick={() => handleEditAlbum(selectedAlbum)} className="text-gray-400 hover:text-gray-200">
+                  Edit
+                </button>
+                <button type="button" onClick={() => handleDeleteAlbum(selectedAlbum)} className="text-red-400 hover:text-red-300">
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mb-4 text-sm text-red-400">{error}</p>}
+
+        {/* Photo grid */}
+        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2">
+          {visiblePhotos.map((message, index) => (
+            <button
+              key={message.id}
+              type="button"
+              onClick={() => setLightboxIndex(index)}
+              className="relative aspect-square rounded-md overflow-hidden bg-gray-800 group"
+            >
+              <img
+                src={message.photo.thumbnailUrl}
+                alt={message.message || `Photo by ${message.username}`}
+                loading="lazy"
+                className="w-full h-full object-cover group-hover:opacity-80 transition-opacity"
+              />
+              {message.replyCount > 0 && (
+                <span className="absolute bottom-1 right-1 px-1.5 py-0.5 text-xs rounded bg-black/60 text-gray-200">
+                  {message.replyCount} {message.replyCount === 1 ? 'comment' : 'comments'}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {!loading && visiblePhotos.length === 0 && (
+          <p className="text-sm text-gray-400">
+            {selectedAlbum ? 'This album is empty.' : 'No photos have been shared in this room yet.'}
+          </p>
+        )}
+        {loading && <p className="mt-4 text-sm text-gray-400">Loading...</p>}
+        {hasMore && !loading && (
+          <div className="mt-4 text-center">
+            <button
+              type="button"
+              onClick={() => loadPhotos(photos[photos.length - 1].id)}
+              className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+            >
+              Load more photos
+            </button>
+          </div>
+        )}
+      </div>
+
+      {lightboxIndex !== null && visiblePhotos[lightboxIndex] && (
+        <PhotoLightbox
+          room={room}
+          photos={visiblePhotos}
+          index={lightboxIndex}
+          currentUserId={currentUserId}
+          myAlbums={myAlbums}
+          canComment={canComment}
+          onNavigate={setLightboxIndex}
+          onComment={handleComment}
+          onToggleAlbum={handleToggleAlbum}
+          onViewInChat={onViewInChat}
+          onClose={handleCloseLightbox}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RoomGallery;
@@ -0,0 +1,65 @@
+/**
+ * RoomInvitePage Component
+ *
+ * Landing page for a room invite link (/rooms/invite/:code):
+ * - Signed in: joins the room and opens it
+ * - Otherwise: asks the user to sign in first
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useUser } from '../contexts/UserContext';
+import { chatAPI } from '../services/api';
+
+const RoomInvitePage = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useUser();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isAuthenticated || !user) return;
+
+    const acceptInvite = async () => {
+      try {
+        const response = await chatAPI.acceptRoomInvite(code);
+        navigate('/general-room', {
+          replace: true,
+          state: {
+            userData: {
+              userId: user.id,
+              username: user.username,
+              level: user.level
+            },
+            room: response.room.slug
+          }
+        });
+      } catch (error) {
+        console.error('Error accepting invite:', error);
+        setError(error.message || 'Could not join the room.');
+      }
+    };
+    acceptInvite();
+  }, [code, isAuthenticated, user, navigate]);
+
+  return (
+    <div className="max-w-md mx-auto card mt-10 text-center">
+      <h1 className="text-lg font-semibold text-gray-100 mb-2">Room invite</h1>
+      {!isAuthenticated ? (
+        <>
+          <p className="text-sm text-gray-400 mb-6">Sign in to join this room, then open the invite link again.</p>
+          <Link to="/login" className="btn-primary inline-block">Sign in</Link>
+        </>
+      ) : error ? (
+        <>
+          <p className="text-sm text-red-400 mb-6">{error}</p>
+          <Link to="/general-chat" className="btn-secondary inline-block">Back to Community Chat</Link>
+        </>
+      ) : (
+        <p className="text-sm text-gray-400">Joining room...</p>
+      )}
+    </div>
+  );
+};
+
+export default RoomInvitePage;
@@ -0,0 +1,336 @@
+/**
+ * RoomManageModal Component
+ *
+ * Settings for a user-created room, opened by its owner or a co-moderator:
+ * - Owner: edit the name, description, environment and visibility
+ * - Invite link to copy, or replace so the old one stops working
+ * - Members with their roles; add people by username, remove them, and
+ *   (owner only) make or unmake co-moderators
+ */
+
+import React, { useState, useEffect } from 'react';
+import { chatAPI, userAPI } from '../services/api';
+
+export const VISIBILITY_OPTIONS = [
+  { id: 'public', label: 'Public', description: 'Listed on the Community Chat page' },
+  { id: 'unlisted', label: 'Unlisted', description: 'Anyone with the link can join' },
+  { id: 'invite', label: 'Invite only', description: 'Only members can join, through an invite link' },
+];
+
+export const ENVIRONMENT_OPTIONS = [
+  { id: 'any', label: 'Any tank' },
+  { id: 'freshwater', label: 'Freshwater' },
+  { id: 'saltwater', label: 'Saltwater' },
+];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  moderator: 'Co-moderator',
+  member: 'Member',
+};
+
+/**
+ * Link that opens the invite page for a code
+ */
+export const inviteLink = (code) => `${window.location.origin}/rooms/invite/${code}`;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.room - The room's details, including the user's `role`
+ * @param {string} props.currentUserId - Signed-in user's ID
+ * @param {Function} props.onUpdated - Called with the room after the owner saves it
+ * @param {Function} props.onClose - Called when the dialog closes
+ */
+const RoomManageModal = ({ room, currentUserId, onUpdated, onClose }) => {
+  const isOwner = room.role === 'owner';
+  const [form, setForm] = useState({
+    name: room.name,
+    description: room.description || '',
+    environment: room.environment || 'any',
+    visibility: room.visibility || 'public',
+  });
+  const [members, setMembers] = useState(null);
+  const [inviteCode, setInviteCode] = useState(null);
+  const [search, setSearch] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    const loadMembers = async () => {
+      try {
+        const response = await chatAPI.getRoomMembers(room.slug);
+        setMembers(response.members || []);
+        setInviteCode(response.inviteCode);
+      } catch (error) {
+        console.error('Error loading members:', error);
+        setMessage({ type: 'error', text: error.message || 'Could not load members.' });
+      }
+    };
+    loadMembers();
+  }, [room.slug]);
+
+  // Username lookup for adding members
+  useEffect(() => {
+    const query = search.trim();
+    if (!query) {
+      setSearchResults([]);
+      return undefined;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await userAPI.searchUsers(query);
+        setSearchResults(response.users || []);
+      } catch (error) {
+        console.error('Error searching users:', error);
+      }
+    }, 250);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const showError = (error, fallback) => {
+    console.error(fallback, error);
+    setMessage({ type: 'error', text: error.message || fallback });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (form.visibility === 'invite' && room.visibility !== 'invite'
+      && !window.confirm('Make this room invite-only? Anyone in it who is not a member will be sent out.')) {
+      return;
+    }
+
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await chatAPI.updateRoom(room.slug, {
+        name: form.name.trim(),
+        description: form.description.trim(),
+        environment: form.environment,
+        visibility: form.visibility,
+      });
+      onUpdated(response.room);
+      setMessage({ type: 'success', text: 'Room saved.' });
+    } catch (error) {
+      showError(error, 'Could not save the room.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(inviteCode));
+      setMessage({ type: 'success', text: 'Invite link copied.' });
+    } catch (error) {
+      showError(error, 'Could not copy the link.');
+    }
+  };
+
+  const handleResetInvite = async () => {
+    if (!window.confirm('Create a new invite link? The current link will stop working.')) return;
+    try {
+      const response = await chatAPI.resetRoomInvite(room.slug);
+      setInviteCode(response.inviteCode);
+      setMessage({ type: 'success', text: 'New invite link created.' });
+    } catch (error) {
+      showError(error, 'Could not create a new link.');
+    }
+  };
+
+  /**
+   * Add a member or change their role, then put them in the list
+   */
+  const handleSetRole = async (userId, role) => {
+    setMessage({ type: '', text: '' });
+    try {
+      const { member } = await chatAPI.setRoomMember(room.slug, userId, role);
+      setMembers(prev => {
+        const exists = prev.some(entry => entry.userId === member.userId);
+        return exists ? prev.map(entry => (entry.userId === member.userId ? member : entry)) : [...prev, member];
+      });
+      setSearch('');
+    } catch (error) {
+      showError(error, 'Could not update the member.');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.username} from ${room.name}?`)) return;
+    setMessage({ type: '', text: '' });
+    try {
+      await chatAPI.removeRoomMember(room.slug, member.userId);
+      setMembers(prev => prev.filter(entry => entry.userId !== member.userId));
+    } catch (error) {
+      showError(error, 'Could not remove the member.');
+    }
+  };
+
+  // Co-moderators can only remove plain members; nobody removes the owner
+  const canRemove = (member) => member.userId !== currentUserId
+    && (member.role === 'member' || (isOwner && member.role === 'moderator'));
+
+  const memberIds = new Set((members || []).map(member => member.userId));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg p-6 space-y-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-white">Manage {room.name}</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-200">✕</button>
+        </div>
+
+        {message.text && (
+          <p className={`text-sm ${message.type === 'success' ? 'text-green-300' : 'text-red-400'}`}>{message.text}</p>
+        )}
+
+        {isOwner && (
+          <form onSubmit={handleSave} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={40}
+                className="input-field"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                maxLength={200}
+                className="input-field"
+              />
+            </div>
+            <div className="grid sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">Environment</label>
+                <select
+                  value={form.environment}
+                  onChange={(e) => setForm(prev => ({ ...prev, environment: e.target.value }))}
+                  className="input-field"
+                >
+                  {ENVIRONMENT_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">Visibility</label>
+                <select
+                  value={form.visibility}
+                  onChange={(e) => setForm(prev => ({ ...prev, visibility: e.target.value }))}
+                  className="input-field"
+                >
+                  {VISIBILITY_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <p className="text-xs text-gray-400">
+              {VISIBILITY_OPTIONS.find(option => option.id === form.visibility)?.description}
+            </p>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        )}
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-200 mb-2">Invite link</h4>
+          {inviteCode ? (
+            <div className="flex items-center space-x-2">
+              <input type="text" value={inviteLink(inviteCode)} readOnly className="input-field text-xs" />
+              <button type="button" onClick={handleCopyInvite} className="btn-secondary whitespace-nowrap">Copy</button>
+              <button type="button" onClick={handleResetInvite} className="text-sm text-gray-400 hover:text-gray-200 whitespace-nowrap">
+                New link
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">Loading...</p>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-200 mb-2">Members</h4>
+          <div className="relative mb-3">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Add someone by username"
+              className="input-field"
+            />
+            {searchResults.length > 0 && (
+              <ul className="absolute z-10 mt-1 w-full bg-gray-900 border border-gray-700 rounded-lg overflow-hidden">
+                {searchResults.map((user) => (
+                  <li key={user.userId} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-200">{user.username}</span>
+                    {memberIds.has(user.userId) ? (
+                      <span className="text-xs text-gray-500">Member</span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => handleSetRole(user.userId, 'member')}
+                        className="text-ocean-400 hover:text-ocean-300"
+                      >
+                        Add
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {!members ? (
+            <p className="text-sm text-gray-400">Loading...</p>
+          ) : (
+            <div className="divide-y divide-gray-700">
+              {members.map((member) => (
+                <div key={member.userId} className="flex items-center justify-between py-2">
+                  <p className="text-sm text-gray-100 truncate">
+                    {member.username}
+                    <span className="ml-2 text-xs text-gray-500">{ROLE_LABELS[member.role]}</span>
+                  </p>
+                  <div className="flex items-center space-x-3 ml-4 text-sm">
+                    {isOwner && member.role !== 'owner' && (
+                      <button
+                        type="button"
+                        onClick={() => handleSetRole(member.userId, member.role === 'moderator' ? 'member' : 'moderator')}
+                        className="text-gray-400 hover:text-gray-200"
+                      >
+                        {member.role === 'moderator' ? 'Remove co-moderator' : 'Make co-moderator'}
+                      </button>
+                    )}
+                    {canRemove(member) && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(member)}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoomManageModal;
@@ -0,0 +1,187 @@
+/**
+ * RoomPinsPanel Component
+ *
+ * Important content at the top of a community room:
+ * - The room announcement banner, editable by moderators
+ * - A collapsible list of pinned messages; clicking one jumps to it
+ */
+
+import React, { useState } from 'react';
+import MessageText from './MessageText';
+
+// Longest announcement the server accepts
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.announcement - { text, updatedAt, updatedBy } or null
+ * @param {Array} props.pins - Pinned messages, most recently pinned first
+ * @param {string} props.currentUserId - Signed-in user
+ * @param {boolean} props.canModerate - User may pin, unpin and edit the announcement
+ * @param {Function} props.onJump - Called with a pinned message to show it in the room
+ * @param {Function} props.onUnpin - Called with a pinned message to unpin it
+ * @param {Function} props.onSaveAnnouncement - Called with the new text (empty clears);
+ *   resolves to whether it was saved
+ */
+const RoomPinsPanel = ({
+  announcement,
+  pins,
+  currentUserId,
+  canModerate,
+  onJump,
+  onUnpin,
+  onSaveAnnouncement,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!announcement && pins.length === 0 && !canModerate) {
+    return null;
+  }
+
+  const handleStartEditing = () => {
+    setDraft(announcement?.text || '');
+    setEditing(true);
+  };
+
+  const handleSave = async (text) => {
+    setSaving(true);
+    const saved = await onSaveAnnouncement(text);
+    setSaving(false);
+    if (saved) setEditing(false);
+  };
+
+  const handleJump = (pin) => {
+    setExpanded(false);
+    onJump(pin);
+  };
+
+  return (
+    <div className="bg-gray-800/60 border-b border-gray-700">
+      {/* Announcement */}
+      {editing ? (
+        <div className="px-6 py-3 space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MAX_ANNOUNCEMENT_LENGTH}
+            rows={3}
+            placeholder="Room rules, an upcoming event..."
+            className="w-full px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-accent-500"
+          />
+          <div className="flex items-center justify-end space-x-3 text-sm">
+            <span className="mr-auto text-xs text-gray-500">{draft.length}/{MAX_ANNOUNCEMENT_LENGTH}</span>
+            {announcement && (
+              <button
+                type="button"
+                onClick={() => handleSave('')}
+                disabled={saving}
+                className="text-red-400 hover:text-red-300 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="text-gray-400 hover:text-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => handleSave(draft.trim())}
+              disabled={saving || !draft.trim()}
+              className="px-3 py-1.5 bg-accent-600 text-white font-medium rounded-lg hover:bg-accent-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : announcement ? (
+        <div className="px-6 py-3 flex items-start space-x-3 bg-ocean-900/30">
+          <svg className="w-4 h-4 mt-0.5 text-ocean-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z" />
+          </svg>
+          <p className="flex-1 text-sm text-gray-100 whitespace-pre-wrap break-words">{announcement.text}</p>
+          {canModerate && (
+            <button
+              type="button"
+              onClick={handleStartEditing}
+              className="text-xs text-gray-400 hover:text-gray-200"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+      ) : null}
+
+      {/* Pinned Messages */}
+      {(pins.length > 0 || (canModerate && !announcement && !editing)) && (
+        <div className="px-6 py-2 flex items-center justify-between">
+          {pins.length > 0 ? (
+            <button
+              type="button"
+              onClick={() => setExpanded(prev => !prev)}
+              className="flex items-center text-xs font-medium text-gray-300 hover:text-white"
+            >
+              <svg className="w-3.5 h-3.5 mr-1.5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+              </svg>
+              {pins.length} pinned {pins.length === 1 ? 'message' : 'messages'}
+              <span className="ml-1 text-gray-500">{expanded ? '▴' : '▾'}</span>
+            </button>
+          ) : (
+            <span />
+          )}
+          {canModerate && !announcement && !editing && (
+            <button
+              type="button"
+              onClick={handleStartEditing}
+              className="text-xs text-gray-400 hover:text-gray-200"
+            >
+              Add announcement
+            </button>
+          )}
+        </div>
+      )}
+
+      {expanded && pins.length > 0 && (
+        <div className="px-6 pb-3 max-h-64 overflow-y-auto space-y-2">
+          {pins.map((pin) => (
+            <div key={pin.id} className="group flex items-start px-3 py-2 rounded-lg bg-gray-700/40 hover:bg-gray-700/70 transition-colors">
+              <button
+                type="button"
+                onClick={() => handleJump(pin)}
+                className="flex-1 min-w-0 text-left"
+              >
+                <p className="text-xs text-gray-500">
+                  <span className="font-medium text-gray-300">{pin.username}</span>
+                  {pin.parentId && ' · in a thread'}
+                </p>
+                <p className="text-sm text-gray-200 line-clamp-2 break-words">
+                  {pin.message
+                    ? <MessageText text={pin.message} mentions={pin.mentions} currentUserId={currentUserId} />
+                    : <span className="italic text-gray-400">Photo</span>}
+                </p>
+              </button>
+              {canModerate && (
+                <button
+                  type="button"
+                  onClick={() => onUnpin(pin)}
+                  className="ml-3 text-xs text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                >
+                  Unpin
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomPinsPanel;
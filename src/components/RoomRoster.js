@@ -0,0 +1,58 @@
+/**
+ * RoomRoster Component
+ *
+ * "Who's here" list for a community room sidebar:
+ * - One row per member with their level and tank type
+ * - Typing members are marked while they type
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.members - Roster entries { userId, username, level, tankType, profilePicture }
+ * @param {string} props.currentUserId - Signed-in user, shown as "(you)"
+ * @param {Array} props.typingUserIds - Members who are typing right now
+ */
+const RoomRoster = ({ members, currentUserId, typingUserIds = [] }) => {
+  return (
+    <div>
+      <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3 px-2">
+        Who's Here ({members.length})
+      </div>
+      {members.length === 0 ? (
+        <p className="px-2 text-sm text-gray-500">No one else is here yet.</p>
+      ) : (
+        <div className="space-y-1">
+          {members.map((member) => {
+            const details = [member.level, member.tankType].filter(Boolean).join(' · ');
+            return (
+              <div key={member.userId} className="flex items-center px-2 py-1.5">
+                <div className="w-7 h-7 rounded-full bg-gray-700 flex items-center justify-center flex-shrink-0 overflow-hidden">
+                  {member.profilePicture ? (
+                    <img src={member.profilePicture} alt="" className="w-full h-full object-cover" />
+                  ) : (
+                    <span className="text-xs font-medium text-gray-300">
+                      {member.username.charAt(0).toUpperCase()}
+                    </span>
+                  )}
+                </div>
+                <div className="ml-2 min-w-0 flex-1">
+                  <p className="text-sm text-gray-200 truncate">
+                    {member.username}
+                    {member.userId === currentUserId && <span className="text-gray-500"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {typingUserIds.includes(member.userId) ? 'typing...' : details}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomRoster;
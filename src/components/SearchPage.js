@@ -0,0 +1,260 @@
+/**
+ * SearchPage Component
+ *
+ * Search across community room messages:
+ * - Full-text query with room, author, date range and photo filters
+ * - Results with matched words highlighted
+ * - Clicking a result opens the room at that message
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useUser } from '../contexts/UserContext';
+import { useRooms } from '../contexts/RoomsContext';
+import { chatAPI } from '../services/api';
+
+const EMPTY_FILTERS = { q: '', room: '', author: '', from: '', to: '', hasPhoto: false };
+
+const FILTER_KEYS = Object.keys(EMPTY_FILTERS);
+
+/**
+ * Wrap the searched words in <mark> so they stand out in a result
+ */
+const highlightTerms = (text, query) => {
+  const terms = query.split(/\s+/).map(term => term.replace(/[^\w'-]/g, '')).filter(term => term.length > 1);
+  if (!text || terms.length === 0) return text;
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <mark key={index} className="bg-ocean-600/40 text-gray-100 rounded px-0.5">{part}</mark>
+      : part
+  ));
+};
+
+const SearchPage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, isAuthenticated } = useUser();
+  const { rooms } = useRooms();
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!isAuthenticated) {
+      navigate('/');
+    }
+  }, [isAuthenticated, navigate]);
+
+  // The URL holds the last search so back/forward and reloads keep it
+  useEffect(() => {
+    const filters = { ...EMPTY_FILTERS };
+    FILTER_KEYS.forEach((key) => {
+      const value = searchParams.get(key);
+      if (value !== null) {
+        filters[key] = key === 'hasPhoto' ? value === 'true' : value;
+      }
+    });
+    setForm(filters);
+
+    if (FILTER_KEYS.some(key => searchParams.has(key))) {
+      runSearch(filters, 0);
+    } else {
+      setResults([]);
+      setSearched(false);
+    }
+  }, [searchParams]);
+
+  const runSearch = async (filters, offset) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await chatAPI.searchMessages({ ...filters, offset });
+      setResults(prev => (offset === 0 ? response.results || [] : [...prev, ...(response.results || [])]));
+      setHasMore(!!response.hasMore);
+      setSearched(true);
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      setError(error.message || 'Search failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const params = {};
+    FILTER_KEYS.forEach((key) => {
+      const value = typeof form[key] === 'string' ? form[key].trim() : form[key];
+      if (value) params[key] = value.toString();
+    });
+    if (Object.keys(params).length === 0) {
+      setError('Enter something to search for or pick a filter.');
+      return;
+    }
+    setSearchParams(params);
+  };
+
+  const handleClear = () => {
+    setForm(EMPTY_FILTERS);
+    setSearchParams({});
+  };
+
+  /**
+   * Open the room at the result
+   */
+  const handleOpenResult = (result) => {
+    navigate('/general-room', {
+      state: {
+        userData: {
+          userId: user.id,
+          username: user.username,
+          level: user.level
+        },
+        room: result.room,
+        focusMessageId: result.id
+      }
+    });
+  };
+
+  const formatDateTime = (timestamp) => {
+    return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  if (!isAuthenticated || !user) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-semibold text-gray-100">Search</h1>
+        <p className="mt-1 text-sm text-gray-400">Find past answers in the community rooms</p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="card mb-6 space-y-4">
+        <input
+          type="text"
+          value={form.q}
+          onChange={(e) => setForm(prev => ({ ...prev, q: e.target.value }))}
+          placeholder="e.g. fishless cycling, dosing, tetra compatibility"
+          className="input-field"
+          maxLength={200}
+        />
+
+        <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <select
+            value={form.room}
+            onChange={(e) => setForm(prev => ({ ...prev, room: e.target.value }))}
+            className="input-field"
+          >
+            <option value="">All rooms</option>
+            {rooms.map((room) => (
+              <option key={room.slug} value={room.slug}>{room.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={form.author}
+            onChange={(e) => setForm(prev => ({ ...prev, author: e.target.value }))}
+            placeholder="Author username"
+            className="input-field"
+            maxLength={31}
+          />
+          <input
+            type="date"
+            value={form.from}
+            onChange={(e) => setForm(prev => ({ ...prev, from: e.target.value }))}
+            className="input-field"
+            title="From"
+          />
+          <input
+            type="date"
+            value={form.to}
+            onChange={(e) => setForm(prev => ({ ...prev, to: e.target.value }))}
+            className="input-field"
+            title="To"
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <label className="flex items-center space-x-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.hasPhoto}
+              onChange={(e) => setForm(prev => ({ ...prev, hasPhoto: e.target.checked }))}
+              className="rounded border-dark-600 bg-dark-700"
+            />
+            <span>Only messages with photos</span>
+          </label>
+          <div className="flex space-x-3">
+            <button type="button" onClick={handleClear} className="btn-secondary">Clear</button>
+            <button type="submit" disabled={loading} className="btn-primary">Search</button>
+          </div>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-lg border bg-red-900/30 border-red-700/50 text-red-300">
+          <p className="font-medium text-sm">{error}</p>
+        </div>
+      )}
+
+      {searched && !loading && results.length === 0 && !error && (
+        <p className="text-sm text-gray-400">No messages found.</p>
+      )}
+
+      <div className="space-y-3">
+        {results.map((result) => (
+          <button
+            key={result.id}
+            type="button"
+            onClick={() => handleOpenResult(result)}
+            className="w-full text-left card hover:border-ocean-500/50 transition-all"
+          >
+            <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+              <span>
+                <span className="font-medium text-gray-300">{result.username}</span>
+                {' in '}
+                <span className="text-ocean-400">{result.roomName}</span>
+                {result.parentId && ' · thread reply'}
+              </span>
+              <span>{formatDateTime(result.timestamp)}</span>
+            </div>
+            <p className="text-sm text-gray-200 whitespace-pre-wrap break-words">
+              {highlightTerms(result.message, searchParams.get('q') || '')}
+            </p>
+            {result.photo && <p className="mt-1 text-xs text-gray-500">Includes a photo</p>}
+          </button>
+        ))}
+      </div>
+
+      {loading && (
+        <div className="text-center py-8">
+          <div className="inline-block w-6 h-6 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <div className="text-center mt-6">
+          <button
+            type="button"
+            onClick={() => runSearch(form, results.length)}
+            className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+          >
+            Show more results
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -11,18 +11,25 @@
 import React from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
+import { useUnread, formatUnreadCount } from '../contexts/UnreadContext';
+import { USER_ROLES, hasRole } from '../utils/roles';
 
 const Sidebar = () => {
   const location = useLocation();
   const { user, logout } = useUser();
+  const { totalRoomUnread, totalAdviceUnread } = useUnread();
   const navigate = useNavigate();
 
   const navigation = [
     { name: 'Home', href: '/', exact: true },
-    { name: 'Community Chat', href: '/general-chat' },
-    { name: 'Private Advice', href: '/topic-chats' },
+    { name: 'Community Chat', href: '/general-chat', unread: totalRoomUnread },
+    { name: 'Private Advice', href: '/topic-chats', unread: totalAdviceUnread },
     { name: 'AI Advisor', href: '/ai-advisor' },
+    { name: 'Search', href: '/search' },
     { name: 'Profile', href: '/profile' },
+    // Staff links only for users who can use them
+    ...(hasRole(user, USER_ROLES.MODERATOR) ? [{ name: 'Moderation', href: '/moderation' }] : []),
+    ...(hasRole(user, USER_ROLES.ADMIN) ? [{ name: 'Admin', href: '/admin' }] : []),
   ];
 
   const isActive = (href, exact = false) => {
@@ -68,7 +75,12 @@ const Sidebar = () => {
                   }
                 `}
               >
-                {item.name}
+                <span className="flex-1">{item.name}</span>
+                {item.unread > 0 && (
+                  <span className="ml-2 px-1.5 min-w-[1.25rem] text-center text-xs font-semibold rounded-full bg-ocean-600 text-white">
+                    {formatUnreadCount(item.unread)}
+                  </span>
+                )}
               </Link>
             );
           })}
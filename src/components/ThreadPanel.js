@@ -0,0 +1,190 @@
+/**
+ * ThreadPanel Component
+ *
+ * Side panel for one thread in a community room:
+ * - The message that started the thread
+ * - Its replies, oldest first, with reactions
+ * - Reply input
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import MessageReactions from './MessageReactions';
+import MessageText from './MessageText';
+import MessagePhoto from './MessagePhoto';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.parent - Top-level message of the thread
+ * @param {Array} props.replies - Replies, oldest first
+ * @param {boolean} props.loading - Replies are being fetched
+ * @param {boolean} props.hasMore - More replies exist after the loaded ones
+ * @param {Function} props.onLoadMore - Fetch the next page of replies
+ * @param {string} props.currentUserId - Signed-in user
+ * @param {boolean} props.canModerate - User may remove other users' replies
+ * @param {boolean} props.disabled - Replying is not possible (disconnected or sanctioned)
+ * @param {Function} props.onSend - Called with the reply text
+ * @param {Function} props.onToggleReaction - Called with (messageId, emoji)
+ * @param {Function} props.onDelete - Called with (message, asModerator)
+ * @param {Function} props.onClose - Close the panel
+ * @param {Function} props.formatTime - Timestamp formatter shared with the room
+ * @param {string} [props.focusedReplyId] - Reply opened from search, highlighted
+ */
+const ThreadPanel = ({
+  parent,
+  replies,
+  loading,
+  hasMore,
+  onLoadMore,
+  currentUserId,
+  canModerate,
+  disabled,
+  onSend,
+  onToggleReaction,
+  onDelete,
+  onClose,
+  formatTime,
+  focusedReplyId,
+}) => {
+  const [replyInput, setReplyInput] = useState('');
+  const repliesEndRef = useRef(null);
+
+  const lastReply = replies[replies.length - 1];
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastReply]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!replyInput.trim() || disabled) return;
+    onSend(replyInput.trim());
+    setReplyInput('');
+  };
+
+  const renderBody = (message) => (
+    message.deletedAt ? (
+      <p className="text-sm italic text-gray-500">
+        {message.deletedBy?.moderator ? 'Removed by a moderator' : 'This message was deleted'}
+      </p>
+    ) : (
+      <>
+        <MessagePhoto photo={message.photo} />
+        {message.message && (
+          <p className="text-sm text-gray-100 leading-relaxed whitespace-pre-wrap break-words">
+            <MessageText text={message.message} mentions={message.mentions} currentUserId={currentUserId} />
+          </p>
+        )}
+      </>
+    )
+  );
+
+  return (
+    <div className="w-96 bg-gray-800 border-l border-gray-700 flex flex-col">
+      {/* Header */}
+      <div className="px-4 py-4 border-b border-gray-700 flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-white">Thread</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-200 rounded-md hover:bg-gray-700 transition-colors"
+          title="Close thread"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4">
+        {/* Thread Parent */}
+        <div className="pb-4 mb-4 border-b border-gray-700">
+          <div className="flex items-center mb-1 text-xs text-gray-500">
+            <span className="font-medium text-gray-300">{parent.username}</span>
+            <span className="ml-2">{formatTime(parent.timestamp)}</span>
+            {parent.editedAt && !parent.deletedAt && <span className="ml-1">(edited)</span>}
+          </div>
+          {renderBody(parent)}
+          <p className="mt-2 text-xs text-gray-500">
+            {parent.replyCount || 0} {parent.replyCount === 1 ? 'reply' : 'replies'}
+          </p>
+        </div>
+
+        {/* Replies */}
+        <div className="space-y-4">
+          {replies.map((reply) => {
+            const own = reply.userId === currentUserId;
+            const deleted = !!reply.deletedAt;
+            return (
+              <div
+                key={reply.id}
+                className={`group ${reply.id === focusedReplyId ? '-mx-2 px-2 py-1 rounded-lg bg-ocean-600/15 ring-1 ring-ocean-500/40' : ''}`}
+              >
+                <div className="flex items-center mb-1 text-xs text-gray-500">
+                  <span className={`font-medium ${own ? 'text-accent-400' : 'text-gray-300'}`}>{reply.username}</span>
+                  <span className="ml-2">{formatTime(reply.timestamp)}</span>
+                  {reply.editedAt && !deleted && <span className="ml-1">(edited)</span>}
+                  {!deleted && (own || canModerate) && (
+                    <button
+                      type="button"
+                      onClick={() => onDelete(reply, !own)}
+                      className="ml-2 text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                    >
+                      {own ? 'Delete' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+                {renderBody(reply)}
+                {!deleted && (
+                  <MessageReactions
+                    reactions={reply.reactions}
+                    myReactions={reply.myReactions}
+                    onToggle={(emoji) => onToggleReaction(reply.id, emoji)}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {loading && (
+          <div className="text-center py-4">
+            <div className="inline-block w-5 h-5 border-2 border-gray-600 border-t-gray-400 rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {hasMore && !loading && (
+          <div className="text-center mt-4">
+            <button
+              type="button"
+              onClick={onLoadMore}
+              className="text-sm text-gray-400 hover:text-gray-200 transition-colors"
+            >
+              Load more replies
+            </button>
+          </div>
+        )}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {/* Reply Input */}
+      <form onSubmit={handleSubmit} className="px-4 py-4 border-t border-gray-700 flex items-center space-x-2">
+        <input
+          type="text"
+          value={replyInput}
+          onChange={(e) => setReplyInput(e.target.value)}
+          placeholder={parent.deletedAt ? 'This message was deleted' : 'Reply...'}
+          className="flex-1 px-3 py-2 bg-gray-700/50 border border-gray-600 rounded-lg text-sm text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-accent-500"
+          disabled={disabled || !!parent.deletedAt}
+        />
+        <button
+          type="submit"
+          disabled={disabled || !!parent.deletedAt || !replyInput.trim()}
+          className="px-4 py-2 bg-accent-600 text-white text-sm font-medium rounded-lg hover:bg-accent-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Reply
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ThreadPanel;
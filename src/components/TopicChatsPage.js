@@ -4,6 +4,7 @@
  * Private chat selection with dark theme:
  * - Topic selection interface
  * - Hierarchical category selection
+ * - Past session transcripts
  * - Professional dark layout with images
  */
 
@@ -11,6 +12,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
 import CategorySelector from './CategorySelector';
+import AdviceSessionHistory from './AdviceSessionHistory';
 
 const ADVICE_TOPICS = [
   'Fish',
@@ -197,6 +199,9 @@ const TopicChatsPage = () => {
               </li>
             </ul>
           </div>
+
+          {/* Past Sessions */}
+          <AdviceSessionHistory currentUserId={user.id} />
         </div>
       </div>
 
@@ -0,0 +1,69 @@
+/**
+ * RoomsContext
+ *
+ * The community room catalog from the server:
+ * - Loaded once when the app starts; pages that list rooms refresh it so
+ *   rooms added or archived by an admin show up without a reload
+ * - Rooms are identified by their slug everywhere in the client
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { chatAPI } from '../services/api';
+
+const RoomsContext = createContext();
+
+export const RoomsProvider = ({ children }) => {
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refreshRooms = useCallback(async () => {
+    try {
+      const response = await chatAPI.getRooms();
+      setRooms(response.rooms || []);
+    } catch (error) {
+      console.error('Error loading rooms:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshRooms();
+  }, [refreshRooms]);
+
+  /**
+   * Look up an active room by slug
+   * @returns {Object|null} - { slug, name, description, image, environment, categories }
+   */
+  const getRoom = useCallback((slug) => rooms.find(room => room.slug === slug) || null, [rooms]);
+
+  /**
+   * Display name for a room slug; archived and unknown rooms show the slug
+   */
+  const getRoomName = useCallback((slug) => getRoom(slug)?.name || slug, [getRoom]);
+
+  const value = {
+    rooms,
+    loading,
+    getRoom,
+    getRoomName,
+    refreshRooms,
+  };
+
+  return (
+    <RoomsContext.Provider value={value}>
+      {children}
+    </RoomsContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to use RoomsContext
+ */
+export const useRooms = () => {
+  const context = useContext(RoomsContext);
+  if (!context) {
+    throw new Error('useRooms must be used within RoomsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,101 @@
+/**
+ * UnreadContext
+ *
+ * Unread message counts for community rooms and advice sessions:
+ * - Loaded from the server once signed in and refreshed periodically
+ * - Chat pages report read markers as the user reads, so badges clear
+ *   without waiting for the next refresh
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { chatAPI } from '../services/api';
+import { useUser } from './UserContext';
+
+const UnreadContext = createContext();
+
+// How often counts are refreshed while signed in
+const UNREAD_REFRESH_INTERVAL_MS = 30 * 1000;
+
+// The server stops counting here
+export const MAX_UNREAD_COUNT = 99;
+
+/**
+ * Badge text for an unread count
+ */
+export const formatUnreadCount = (count) => (count >= MAX_UNREAD_COUNT ? `${MAX_UNREAD_COUNT}+` : String(count));
+
+const EMPTY_SUMMARY = { rooms: {}, advice: {} };
+
+const sumUnread = (entries) => Object.values(entries).reduce((total, entry) => total + (entry.unread || 0), 0);
+
+export const UnreadProvider = ({ children }) => {
+  const { isAuthenticated } = useUser();
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+
+  const refreshUnread = useCallback(async () => {
+    try {
+      const response = await chatAPI.getUnreadCounts();
+      setSummary({ rooms: response.rooms || {}, advice: response.advice || {} });
+    } catch (error) {
+      console.error('Error loading unread counts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSummary(EMPTY_SUMMARY);
+      return undefined;
+    }
+
+    refreshUnread();
+    const interval = setInterval(refreshUnread, UNREAD_REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isAuthenticated, refreshUnread]);
+
+  /**
+   * Record a read marker from 'read-marker-updated' or a page that just
+   * read everything; the room or session counts as fully read
+   * @param {Object} marker - { room | sessionId, lastReadMessageId, lastReadAt }
+   */
+  const applyReadMarker = useCallback((marker) => {
+    const group = marker.room ? 'rooms' : 'advice';
+    const key = marker.room || marker.sessionId;
+    setSummary(prev => {
+      const current = prev[group][key];
+      if (current && current.lastReadAt && current.lastReadAt > marker.lastReadAt) return prev;
+      return {
+        ...prev,
+        [group]: {
+          ...prev[group],
+          [key]: { unread: 0, lastReadMessageId: marker.lastReadMessageId, lastReadAt: marker.lastReadAt },
+        },
+      };
+    });
+  }, []);
+
+  const value = {
+    rooms: summary.rooms,
+    advice: summary.advice,
+    totalRoomUnread: sumUnread(summary.rooms),
+    totalAdviceUnread: sumUnread(summary.advice),
+    refreshUnread,
+    applyReadMarker,
+  };
+
+  return (
+    <UnreadContext.Provider value={value}>
+      {children}
+    </UnreadContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to use UnreadContext
+ */
+export const useUnread = () => {
+  const context = useContext(UnreadContext);
+  if (!context) {
+    throw new Error('useUnread must be used within UnreadProvider');
+  }
+  return context;
+};
@@ -11,11 +11,11 @@
  * - User login/logout with JWT tokens
  * - User profile management
  * - Persistent session (JWT token + user data)
- * - Auto-refresh tokens when needed
+ * - Silent access token refresh before expiry
  */
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI, profileAPI } from '../services/api';
+import { authAPI, profileAPI, isTokenExpiringSoon } from '../services/api';
 
 const UserContext = createContext();
 
@@ -23,6 +23,10 @@ const UserContext = createContext();
 // Set to false to use localStorage fallback, true to use backend API
 const USE_BACKEND_API = true; // Change to false for localStorage-only mode
 
+// How often to check the access token, and how early to refresh it
+const TOKEN_CHECK_INTERVAL_MS = 60 * 1000;
+const TOKEN_REFRESH_WINDOW_MS = 2 * 60 * 1000;
+
 /**
  * UserProvider component
  * Wraps the app and provides user state and functions
@@ -43,12 +47,19 @@ export const UserProvider = ({ children }) => {
           // Try to get user from backend using stored token
           try {
             const userData = await authAPI.getCurrentUser();
-            setUser(userData.user || userData);
+            const currentUser = userData.user || userData;
+            setUser(currentUser);
+            localStorage.setItem('aquarium_chat_user', JSON.stringify(currentUser));
           } catch (error) {
-            // Backend unavailable or invalid token, try localStorage fallback
-            const savedUser = localStorage.getItem('aquarium_chat_user');
-            if (savedUser) {
-              setUser(JSON.parse(savedUser));
+            if (error.status === 401 || error.status === 403) {
+              // Session is gone (expired or revoked); don't resurrect stale data
+              localStorage.removeItem('aquarium_chat_user');
+            } else {
+              // Backend unavailable, try localStorage fallback
+              const savedUser = localStorage.getItem('aquarium_chat_user');
+              if (savedUser) {
+                setUser(JSON.parse(savedUser));
+              }
             }
           }
         } else {
@@ -68,6 +79,34 @@ export const UserProvider = ({ children }) => {
     initializeUser();
   }, []);
 
+  /**
+   * Keep the access token fresh while signed in
+   * Sockets read the token on (re)connect, so it must not be allowed to lapse
+   */
+  useEffect(() => {
+    if (!USE_BACKEND_API || !user) return;
+
+    const refreshIfNeeded = async () => {
+      if (!isTokenExpiringSoon(TOKEN_REFRESH_WINDOW_MS)) return;
+
+      try {
+        await authAPI.refreshToken();
+      } catch (error) {
+        if (error.status === 401 || error.status === 400) {
+          // Refresh token expired or revoked: end the session
+          setUser(null);
+          localStorage.removeItem('aquarium_chat_user');
+        } else {
+          console.error('Token refresh error:', error);
+        }
+      }
+    };
+
+    refreshIfNeeded();
+    const interval = setInterval(refreshIfNeeded, TOKEN_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [user]);
+
   // Check if user is authenticated
   const isAuthenticated = !!user;
 
@@ -225,6 +264,28 @@ export const UserProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Upload a new profile picture
+   * @param {File} file - Image file
+   * @returns {Object} - { success: boolean, message: string }
+   */
+  const uploadProfilePicture = async (file) => {
+    if (!USE_BACKEND_API) {
+      return { success: false, message: 'Profile pictures are only available when signed in to the server' };
+    }
+
+    try {
+      const { url } = await profileAPI.uploadProfilePicture(file);
+      const updatedUser = { ...user, profilePicture: url };
+      setUser(updatedUser);
+      localStorage.setItem('aquarium_chat_user', JSON.stringify(updatedUser));
+      return { success: true, message: 'Profile picture updated' };
+    } catch (error) {
+      console.error('Profile picture upload error:', error);
+      return { success: false, message: error.message || 'Profile picture upload failed' };
+    }
+  };
+
   /**
    * Refresh user data from backend
    */
@@ -248,6 +309,7 @@ export const UserProvider = ({ children }) => {
     login,
     logout,
     updateProfile,
+    uploadProfilePicture,
     refreshUser,
   };
 
@@ -275,7 +337,9 @@ export const useUser = () => {
  * This context manages user authentication with backend API integration:
  * - USE_BACKEND_API flag controls whether to use backend or localStorage
  * - Falls back to localStorage if backend is unavailable (for development)
- * - JWT tokens are managed automatically by the API service
+ * - JWT tokens are managed automatically by the API service; access tokens
+ *   are refreshed shortly before they expire
+ * - A rejected refresh token signs the user out
  * - User data is cached in localStorage for quick access
  * - refreshUser() can be called to sync with backend data
  * 
@@ -287,5 +351,6 @@ export const useUser = () => {
  * - login(): Authenticate user
  * - logout(): Clear session
  * - updateProfile(): Update user profile
+ * - uploadProfilePicture(): Replace the profile picture
  * - refreshUser(): Sync user data from backend
  */
@@ -21,7 +21,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL
 /**
  * Get authentication token from localStorage
  */
-const getToken = () => {
+export const getToken = () => {
   return localStorage.getItem('auth_token');
 };
 
@@ -36,10 +36,61 @@ const setToken = (token) => {
   }
 };
 
+/**
+ * Get refresh token from localStorage
+ */
+const getRefreshToken = () => {
+  return localStorage.getItem('refresh_token');
+};
+
+/**
+ * Set refresh token in localStorage
+ */
+const setRefreshToken = (refreshToken) => {
+  if (refreshToken) {
+    localStorage.setItem('refresh_token', refreshToken);
+  } else {
+    localStorage.removeItem('refresh_token');
+  }
+};
+
+/**
+ * Store the token pair returned by login, register and refresh
+ */
+const setSession = (response) => {
+  if (response.token) {
+    setToken(response.token);
+  }
+  if (response.refreshToken) {
+    setRefreshToken(response.refreshToken);
+  }
+};
+
+/**
+ * Check whether the access token expires within the given window
+ * @param {number} withinMs - Window in milliseconds
+ * @returns {boolean} - True if the token is missing, unreadable or expiring
+ */
+export const isTokenExpiringSoon = (withinMs = 0) => {
+  const token = getToken();
+  if (!token) return true;
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return !payload.exp || payload.exp * 1000 - Date.now() <= withinMs;
+  } catch (error) {
+    return true;
+  }
+};
+
+// In-flight refresh request, shared so concurrent callers don't rotate twice
+let refreshPromise = null;
+
 /**
  * Make authenticated API request
+ * Retries once after refreshing the session when the access token has expired
  */
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, allowRefresh = true) => {
   const token = getToken();
   const headers = {
     'Content-Type': 'application/json',
@@ -93,6 +144,11 @@ const apiRequest = async (endpoint, options = {}) => {
       throw new Error(responseText || 'API request failed - non-JSON response');
     }
 
+    if (response.status === 401 && data.code === 'TOKEN_EXPIRED' && allowRefresh && getRefreshToken()) {
+      await authAPI.refreshToken();
+      return await apiRequest(endpoint, options, false);
+    }
+
     if (!response.ok) {
       // Preserve error details for proper error handling
       console.error('[API Error]', 'Request failed:', response.status, data);
@@ -124,9 +180,7 @@ export const authAPI = {
       body: JSON.stringify(userData),
     });
     
-    if (response.token) {
-      setToken(response.token);
-    }
+    setSession(response);
     
     return response;
   },
@@ -135,7 +189,7 @@ export const authAPI = {
    * Login user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} - { user, token }
+   * @returns {Object} - { user, token, refreshToken }
    */
   login: async (email, password) => {
     const response = await apiRequest('/auth/login', {
@@ -143,23 +197,25 @@ export const authAPI = {
       body: JSON.stringify({ email, password }),
     });
     
-    if (response.token) {
-      setToken(response.token);
-    }
+    setSession(response);
     
     return response;
   },
 
   /**
-   * Logout user
+   * Logout user and revoke the refresh token on the server
    */
   logout: async () => {
     try {
-      await apiRequest('/auth/logout', { method: 'POST' });
+      await apiRequest('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: getRefreshToken() }),
+      }, false);
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       setToken(null);
+      setRefreshToken(null);
     }
   },
 
@@ -173,14 +229,39 @@ export const authAPI = {
 
   /**
    * Refresh authentication token
-   * @returns {Object} - { token }
+   * Rotates the refresh token; clears the session if the server rejects it
+   * @returns {Object} - { token, refreshToken, expiresIn }
    */
   refreshToken: async () => {
-    const response = await apiRequest('/auth/refresh', { method: 'POST' });
-    if (response.token) {
-      setToken(response.token);
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        const refreshToken = getRefreshToken();
+        if (!refreshToken) {
+          const error = new Error('No refresh token');
+          error.status = 401;
+          throw error;
+        }
+
+        try {
+          const response = await apiRequest('/auth/refresh', {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken }),
+          }, false);
+          setSession(response);
+          return response;
+        } catch (error) {
+          if (error.status === 401 || error.status === 400) {
+            setToken(null);
+            setRefreshToken(null);
+          }
+          throw error;
+        }
+      })().finally(() => {
+        refreshPromise = null;
+      });
     }
-    return response;
+
+    return await refreshPromise;
   },
 };
 
@@ -211,9 +292,9 @@ export const profileAPI = {
   },
 
   /**
-   * Upload profile picture
+   * Upload profile picture (JPEG, PNG, WebP or GIF, up to 5 MB; cropped square)
    * @param {File} file - Image file
-   * @returns {Object} - { url: string }
+   * @returns {Object} - { url, photo }
    */
   uploadProfilePicture: async (file) => {
     const formData = new FormData();
@@ -254,9 +335,126 @@ export const profileAPI = {
  * Chat API
  */
 export const chatAPI = {
+  /**
+   * Get the active community rooms and the advice topics
+   * @returns {Object} - { rooms: [{ slug, name, description, image, environment, categories }], adviceTopics }
+   */
+  getRooms: async () => {
+    return await apiRequest('/rooms');
+  },
+
+  /**
+   * Get the category taxonomy (environments, subcategories and their items)
+   * @returns {Object} - { categories }
+   */
+  getCategories: async () => {
+    return await apiRequest('/categories');
+  },
+
+  /**
+   * Open the room for a category node, which the server creates the first time
+   * @param {Object} category - { main, sub, item }: environment key, subcategory key, item name
+   * @returns {Object} - { room } including its breadcrumb
+   */
+  openCategoryRoom: async ({ main, sub = null, item = null }) => {
+    return await apiRequest('/rooms/category', {
+      method: 'POST',
+      body: JSON.stringify({ main, sub, item }),
+    });
+  },
+
+  /**
+   * Get the rooms the user owns, co-moderates or is a member of
+   * @returns {Object} - { rooms: [{ ...room, role }] }
+   */
+  getMyRooms: async () => {
+    return await apiRequest('/rooms/mine');
+  },
+
+  /**
+   * Create a room owned by the current user
+   * @param {Object} room - { name, description, environment, visibility }
+   * @returns {Object} - { room } with role 'owner'
+   */
+  createRoom: async (room) => {
+    return await apiRequest('/rooms', {
+      method: 'POST',
+      body: JSON.stringify(room),
+    });
+  },
+
+  /**
+   * Edit a room the user owns
+   * @param {string} slug - Room slug
+   * @param {Object} changes - Any of { name, description, environment, visibility }
+   * @returns {Object} - { room }
+   */
+  updateRoom: async (slug, changes) => {
+    return await apiRequest(`/rooms/${encodeURIComponent(slug)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  /**
+   * Get a room's members and invite code (owner and co-moderators)
+   * @param {string} slug - Room slug
+   * @returns {Object} - { members: [{ userId, username, role }], inviteCode }
+   */
+  getRoomMembers: async (slug) => {
+    return await apiRequest(`/rooms/${encodeURIComponent(slug)}/members`);
+  },
+
+  /**
+   * Add a member to a room or change their role
+   * @param {string} slug - Room slug
+   * @param {string} userId - User ID
+   * @param {string} role - 'member' or 'moderator'
+   * @returns {Object} - { member: { userId, username, role } }
+   */
+  setRoomMember: async (slug, userId, role = 'member') => {
+    return await apiRequest(`/rooms/${encodeURIComponent(slug)}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  /**
+   * Remove a member from a room; pass your own ID to leave it
+   * @param {string} slug - Room slug
+   * @param {string} userId - User ID
+   */
+  removeRoomMember: async (slug, userId) => {
+    return await apiRequest(`/rooms/${encodeURIComponent(slug)}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Replace a room's invite link
+   * @param {string} slug - Room slug
+   * @returns {Object} - { inviteCode }
+   */
+  resetRoomInvite: async (slug) => {
+    return await apiRequest(`/rooms/${encodeURIComponent(slug)}/invite`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Join a room through an invite link
+   * @param {string} code - Invite code from the link
+   * @returns {Object} - { room } with the user's role
+   */
+  acceptRoomInvite: async (code) => {
+    return await apiRequest(`/rooms/invites/${encodeURIComponent(code)}`, {
+      method: 'POST',
+    });
+  },
+
   /**
    * Get chat history for a room
-   * @param {string} roomName - Room name
+   * @param {string} roomName - Room slug
    * @param {number} limit - Number of messages to fetch
    * @param {string} before - Message ID to fetch messages before
    * @returns {Object} - { messages: Array, hasMore: boolean }
@@ -265,21 +463,157 @@ export const chatAPI = {
     const params = new URLSearchParams({ limit: limit.toString() });
     if (before) params.append('before', before);
     
-    return await apiRequest(`/chat/rooms/${roomName}/messages?${params}`);
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/messages?${params}`);
+  },
+
+  /**
+   * Get the room history around one message (a search result in context)
+   * @param {string} roomName - Room slug
+   * @param {string} messageId - Message to center on; replies center on their thread
+   * @param {number} limit - Number of messages to fetch
+   * @returns {Object} - { messages, hasMore, hasNewer, anchorId } messages newest first
+   */
+  getRoomHistoryAround: async (roomName, messageId, limit = 50) => {
+    const params = new URLSearchParams({ limit: limit.toString(), around: messageId });
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/messages?${params}`);
+  },
+
+  /**
+   * Search community room messages
+   * @param {Object} filters - { q, room, author, from, to, hasPhoto, offset }
+   *   where from/to are YYYY-MM-DD dates; empty filters are left out
+   * @returns {Object} - { results: Array, hasMore: boolean }
+   */
+  searchMessages: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && value !== false) {
+        params.append(key, value.toString());
+      }
+    });
+    return await apiRequest(`/chat/search?${params}`);
+  },
+
+  /**
+   * Get a thread: the top-level message and its replies
+   * @param {string} roomName - Room slug
+   * @param {string} messageId - Top-level message ID
+   * @param {number} limit - Number of replies to fetch
+   * @param {string} after - Reply ID to fetch replies after
+   * @returns {Object} - { parent, replies: Array, hasMore: boolean } replies oldest first
+   */
+  getThread: async (roomName, messageId, limit = 50, after = null) => {
+    const params = new URLSearchParams({ limit: limit.toString() });
+    if (after) params.append('after', after);
+
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/messages/${encodeURIComponent(messageId)}/thread?${params}`);
+  },
+
+  /**
+   * Get a room's photos, newest first
+   * @param {string} roomName - Room slug
+   * @param {Object} options - { before: messageId to page from, album: album ID, limit }
+   * @returns {Object} - { photos: [message with photo], hasMore }
+   */
+  getRoomGallery: async (roomName, { before = null, album = null, limit = 30 } = {}) => {
+    const params = new URLSearchParams({ limit: limit.toString() });
+    if (before) params.append('before', before);
+    if (album) params.append('album', album);
+
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/gallery?${params}`);
+  },
+
+  /**
+   * Get a room's photo albums
+   * @param {string} roomName - Room slug
+   * @returns {Object} - { albums: [{ id, title, description, owner, messageIds, photoCount, cover }] }
+   */
+  getRoomAlbums: async (roomName) => {
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/albums`);
+  },
+
+  /**
+   * Start an album in a room
+   * @param {string} roomName - Room slug
+   * @param {Object} album - { title, description }
+   * @returns {Object} - { album }
+   */
+  createAlbum: async (roomName, album) => {
+    return await apiRequest(`/chat/rooms/${encodeURIComponent(roomName)}/albums`, {
+      method: 'POST',
+      body: JSON.stringify(album),
+    });
+  },
+
+  /**
+   * Rename one of your albums or change its description
+   * @param {string} albumId - Album ID
+   * @param {Object} changes - Any of { title, description }
+   * @returns {Object} - { album }
+   */
+  updateAlbum: async (albumId, changes) => {
+    return await apiRequest(`/chat/albums/${encodeURIComponent(albumId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
+
+  /**
+   * Delete one of your albums (its photos stay in the room)
+   * @param {string} albumId - Album ID
+   */
+  deleteAlbum: async (albumId) => {
+    return await apiRequest(`/chat/albums/${encodeURIComponent(albumId)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Add one of your photos to your album, or take it out
+   * @param {string} albumId - Album ID
+   * @param {string} messageId - Message the photo was posted with
+   * @param {boolean} included - true to add, false to remove
+   * @returns {Object} - { album }
+   */
+  setAlbumPhoto: async (albumId, messageId, included) => {
+    return await apiRequest(`/chat/albums/${encodeURIComponent(albumId)}/photos/${encodeURIComponent(messageId)}`, {
+      method: included ? 'PUT' : 'DELETE',
+    });
+  },
+
+  /**
+   * Get unread counts and read markers for every room and recent advice session
+   * @returns {Object} - { rooms: { [room]: entry }, advice: { [sessionId]: entry } }
+   *   where entry is { unread, lastReadMessageId, lastReadAt }
+   */
+  getUnreadCounts: async () => {
+    return await apiRequest('/chat/unread');
+  },
+
+  /**
+   * Mark messages read up to and including a message
+   * @param {Object} data - { room, messageId } or { sessionId, messageId }
+   * @returns {Object} - { marker } (null if already read further)
+   */
+  markRead: async (data) => {
+    return await apiRequest('/chat/read', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
   },
 
   /**
    * Get advice chat session history
    * @param {string} sessionId - Session ID
-   * @returns {Object} - { messages: Array }
+   * @returns {Object} - { messages: Array } oldest first
    */
   getAdviceChatHistory: async (sessionId) => {
-    return await apiRequest(`/chat/advice/${sessionId}/messages`);
+    return await apiRequest(`/chat/advice/${encodeURIComponent(sessionId)}/messages`);
   },
 
   /**
    * Get user's advice chat sessions
-   * @returns {Array} - List of sessions
+   * @returns {Object} - { sessions: Array } newest first
    */
   getAdviceSessions: async () => {
     return await apiRequest('/chat/advice/sessions');
@@ -291,9 +625,10 @@ export const chatAPI = {
  */
 export const mediaAPI = {
   /**
-   * Upload image for chat
+   * Upload a photo for chat (JPEG, PNG, WebP or GIF, up to 5 MB)
+   * Send the returned id as `photoId` with the message to attach it.
    * @param {File} file - Image file
-   * @returns {Object} - { url: string, id: string }
+   * @returns {Object} - { photo: { id, url, thumbnailUrl, width, height } }
    */
   uploadImage: async (file) => {
     const formData = new FormData();
@@ -386,8 +721,9 @@ export const moderationAPI = {
 
   /**
    * Report a user
-   * @param {Object} reportData - { userId, reason, details }
-   * @returns {Object} - Success response
+   * @param {Object} reportData - { userId, reason, details } plus either
+   *   { room, messageId } or { sessionId } for message context
+   * @returns {Object} - { success, reportId }
    */
   reportUser: async (reportData) => {
     return await apiRequest('/moderation/report', {
@@ -398,11 +734,208 @@ export const moderationAPI = {
 
   /**
    * Get blocked users list
-   * @returns {Array} - List of blocked user IDs
+   * @returns {Object} - { blockedUsers: [{ userId, username, blockedAt }] }
    */
   getBlockedUsers: async () => {
     return await apiRequest('/moderation/blocked');
   },
+
+  /**
+   * Get the moderation report queue (moderators only)
+   * @param {string} status - Optional status filter (open, in_review, resolved, dismissed)
+   * @returns {Object} - { reports }
+   */
+  getReports: async (status) => {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    return await apiRequest(`/moderation/reports${query}`);
+  },
+
+  /**
+   * Update a report's status (moderators only)
+   * @param {string} reportId - Report ID
+   * @param {Object} update - { status, note }
+   * @returns {Object} - { report }
+   */
+  updateReport: async (reportId, update) => {
+    return await apiRequest(`/moderation/reports/${encodeURIComponent(reportId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(update),
+    });
+  },
+
+  /**
+   * Get reports filed against a user (moderators only)
+   * @param {string} userId - Reported user ID
+   * @returns {Object} - { user, reports, counts, sanctions }
+   */
+  getUserModerationHistory: async (userId) => {
+    return await apiRequest(`/moderation/users/${encodeURIComponent(userId)}/history`);
+  },
+
+  /**
+   * Mute, kick or ban a user (moderators only)
+   * @param {Object} data - { userId, type, room, durationMinutes, reason, reportId }
+   *   room null applies everywhere; durationMinutes null is permanent
+   * @returns {Object} - { sanction }
+   */
+  issueSanction: async (data) => {
+    return await apiRequest('/moderation/sanctions', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  /**
+   * Lift a sanction early (moderators only)
+   * @param {string} sanctionId - Sanction ID
+   * @returns {Object} - { sanction }
+   */
+  revokeSanction: async (sanctionId) => {
+    return await apiRequest(`/moderation/sanctions/${encodeURIComponent(sanctionId)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Remove a room or advice message (moderators only)
+   * @param {string} messageId - Message ID
+   * @param {Object} location - { room } or { sessionId }
+   * @returns {Object} - { success }
+   */
+  removeMessage: async (messageId, { room, sessionId }) => {
+    const params = new URLSearchParams(room ? { room } : { sessionId });
+    return await apiRequest(`/moderation/messages/${encodeURIComponent(messageId)}?${params.toString()}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Pin or unpin a room message (moderators only)
+   * @param {string} room - Room name
+   * @param {string} messageId - Message ID
+   * @param {boolean} pinned - true to pin, false to unpin
+   * @returns {Object} - { success }
+   */
+  setMessagePinned: async (room, messageId, pinned) => {
+    return await apiRequest(`/moderation/rooms/${encodeURIComponent(room)}/pins/${encodeURIComponent(messageId)}`, {
+      method: pinned ? 'PUT' : 'DELETE',
+    });
+  },
+
+  /**
+   * Set a room's announcement banner; empty text clears it (moderators only)
+   * @param {string} room - Room name
+   * @param {string} text - Announcement text
+   * @returns {Object} - { success, announcement }
+   */
+  setRoomAnnouncement: async (room, text) => {
+    return await apiRequest(`/moderation/rooms/${encodeURIComponent(room)}/announcement`, {
+      method: 'PUT',
+      body: JSON.stringify({ text }),
+    });
+  },
+};
+
+/**
+ * User Directory API
+ */
+export const userAPI = {
+  /**
+   * Find users whose username starts with a prefix
+   * @param {string} query - Username prefix (a leading "@" is ignored)
+   * @returns {Object} - { users: [{ userId, username, level, profilePicture }] }
+   */
+  searchUsers: async (query) => {
+    const params = new URLSearchParams({ q: query });
+    return await apiRequest(`/users/search?${params}`);
+  },
+};
+
+/**
+ * Admin API
+ */
+export const adminAPI = {
+  /**
+   * List users with their roles (admins only)
+   * @param {Object} filters - { search, role }
+   * @returns {Object} - { users: [{ userId, username, email, role, createdAt }] }
+   */
+  getUsers: async ({ search, role } = {}) => {
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    if (role) params.set('role', role);
+    const query = params.toString();
+    return await apiRequest(`/admin/users${query ? `?${query}` : ''}`);
+  },
+
+  /**
+   * Set a user's role (admins only)
+   * @param {string} userId - User ID
+   * @param {string} role - member, moderator or admin
+   * @returns {Object} - { user: { userId, username, role } }
+   */
+  setUserRole: async (userId, role) => {
+    return await apiRequest(`/admin/users/${encodeURIComponent(userId)}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  /**
+   * Get message filter settings (admins only)
+   * @returns {Object} - { scopes, settings, defaults, spamRules }
+   */
+  getFilterSettings: async () => {
+    return await apiRequest('/admin/filters');
+  },
+
+  /**
+   * Update message filter settings for one scope (admins only)
+   * @param {string} scope - 'default', 'advice' or a room slug
+   * @param {Object} settings - { enabled, words, wordAction, spamAction }
+   *   (null values inherit the defaults outside the 'default' scope)
+   * @returns {Object} - { scope, settings }
+   */
+  updateFilterSettings: async (scope, settings) => {
+    return await apiRequest(`/admin/filters/${encodeURIComponent(scope)}`, {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  /**
+   * Get every room in the catalog, archived ones included (admins only)
+   * @returns {Object} - { rooms: [{ slug, name, description, image, environment, categories, sortOrder, archivedAt }] }
+   */
+  getRooms: async () => {
+    return await apiRequest('/admin/rooms');
+  },
+
+  /**
+   * Add a room to the catalog (admins only)
+   * @param {Object} room - { name, slug, description, image, environment, categories }
+   *   (the slug is made from the name when left out)
+   * @returns {Object} - { room }
+   */
+  createRoom: async (room) => {
+    return await apiRequest('/admin/rooms', {
+      method: 'POST',
+      body: JSON.stringify(room),
+    });
+  },
+
+  /**
+   * Edit, archive or restore a room (admins only)
+   * @param {string} slug - Room slug
+   * @param {Object} changes - Any of { name, description, image, environment, categories, sortOrder, archived }
+   * @returns {Object} - { room }
+   */
+  updateRoom: async (slug, changes) => {
+    return await apiRequest(`/admin/rooms/${encodeURIComponent(slug)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+  },
 };
 
 /**
@@ -429,6 +962,8 @@ export const aiAPI = {
  * It handles:
  * - JWT token management (stored in localStorage)
  * - Automatic token attachment to requests
+ * - Short-lived access tokens, refreshed once on expiry with a rotating
+ *   refresh token (concurrent refreshes share one request)
  * - Error handling and response parsing
  * - File uploads for media and profile pictures
  * 
@@ -0,0 +1,70 @@
+/**
+ * Mention Utilities
+ *
+ * Helpers for @username mentions in chat messages:
+ * - Find the "@name" being typed at the cursor, for autocomplete
+ * - Insert a chosen username
+ * - Split message text into plain and mention segments for highlighting
+ */
+
+// Same shape the server accepts: "@" not preceded by a word character, then
+// the name up to the next space
+const ACTIVE_MENTION_PATTERN = /(^|[^\w@])@([^\s@]{0,30})$/;
+
+/**
+ * The mention being typed just before the cursor
+ * @param {string} text - Input value
+ * @param {number} cursor - Cursor position
+ * @returns {Object|null} - { query, start } where start is the index of "@",
+ *   or null if the cursor isn't in a mention
+ */
+export const getActiveMention = (text, cursor) => {
+  const match = text.slice(0, cursor).match(ACTIVE_MENTION_PATTERN);
+  if (!match) return null;
+  return { query: match[2], start: match.index + match[1].length };
+};
+
+/**
+ * Replace the mention being typed with a username
+ * @param {string} text - Input value
+ * @param {Object} activeMention - From getActiveMention()
+ * @param {number} cursor - Cursor position
+ * @param {string} username - Chosen username
+ * @returns {Object} - { text, cursor } after insertion
+ */
+export const insertMention = (text, activeMention, cursor, username) => {
+  const inserted = `@${username} `;
+  return {
+    text: text.slice(0, activeMention.start) + inserted + text.slice(cursor).replace(/^\s+/, ''),
+    cursor: activeMention.start + inserted.length,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split message text around mentions of known users
+ * @param {string} text - Message text
+ * @param {Array} mentions - [{ userId, username }] resolved by the server
+ * @returns {Array} - Segments { text, mention } where mention is the
+ *   matching entry or null for plain text
+ */
+export const splitMentions = (text, mentions = []) => {
+  if (!text || mentions.length === 0) return [{ text: text || '', mention: null }];
+
+  const byName = new Map(mentions.map(mention => [mention.username.toLowerCase(), mention]));
+  // Longest names first so "@ann" doesn't cut "@anna" short
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length).map(escapeRegex);
+  const pattern = new RegExp(`(^|[^\\w@])(@(?:${names.join('|')}))(?![^\\s.,!?:;)\\]}'"])`, 'gi');
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index + match[1].length;
+    if (start > lastIndex) segments.push({ text: text.slice(lastIndex, start), mention: null });
+    segments.push({ text: match[2], mention: byName.get(match[2].slice(1).toLowerCase()) });
+    lastIndex = start + match[2].length;
+  }
+  if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex), mention: null });
+  return segments;
+};
@@ -71,9 +71,13 @@ export const showNotification = (title, options = {}) => {
  * @param {string} username - Sender username
  * @param {string} message - Message preview
  * @param {string} room - Room name (optional)
+ * @param {Object} options - { mention } set when the message mentions the user
  */
-export const showMessageNotification = (username, message, room = null) => {
-  const title = room ? `New message in ${room}` : 'New message';
+export const showMessageNotification = (username, message, room = null, { mention = false } = {}) => {
+  let title = room ? `New message in ${room}` : 'New message';
+  if (mention) {
+    title = room ? `${username} mentioned you in ${room}` : `${username} mentioned you`;
+  }
   const body = room 
     ? `${username}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`
     : `${username}: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`;
@@ -90,7 +94,7 @@ export const showMessageNotification = (username, message, room = null) => {
  * Provides browser notification functionality:
  * - requestNotificationPermission(): Asks user for permission
  * - showNotification(): Generic notification display
- * - showMessageNotification(): Specialized for chat messages
+ * - showMessageNotification(): Specialized for chat messages and mentions
  * 
  * Notifications only show if:
  * - Browser supports notifications
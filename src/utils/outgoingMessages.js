@@ -0,0 +1,72 @@
+/**
+ * Outgoing Message Utilities
+ *
+ * Helpers for showing a sent chat message before the server confirms it:
+ * - Client-generated ids that tie the pending copy to the saved message
+ * - Emitting with an acknowledgement and a timeout
+ * - Swapping the pending copy for the server's message
+ */
+
+// Stop waiting for the server after this long; the message can be retried
+export const SEND_TIMEOUT_MS = 10000;
+
+// Status of a message that has no server id yet
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+/**
+ * A new id for an outgoing message (the server accepts [\w-]{1,64})
+ */
+export const createClientId = () => `c${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Emit a message event and wait for the server's acknowledgement
+ * @param {Object} socket - Socket.IO client
+ * @param {string} event - 'room-message' or 'advice-message'
+ * @param {Object} payload - Event data including clientId
+ * @returns {Promise<Object>} - { ok: true, message } or { ok: false, error };
+ *   never rejects, a timeout resolves as a failure
+ */
+export const sendWithAck = (socket, event, payload) => new Promise((resolve) => {
+  socket.timeout(SEND_TIMEOUT_MS).emit(event, payload, (err, response) => {
+    if (err) {
+      resolve({ ok: false, error: 'The server did not respond' });
+      return;
+    }
+    resolve(response || { ok: false, error: 'Message was not sent' });
+  });
+});
+
+/**
+ * Add a message from the server to a list
+ * The pending copy with the same clientId is replaced in place; a message
+ * that is already there (by id) is not added twice.
+ * @param {Array} list - Messages, oldest first
+ * @param {Object} message - Saved message
+ * @returns {Array} - New list (or the same one if nothing changed)
+ */
+export const mergeSentMessage = (list, message) => {
+  if (list.some(item => item.id === message.id)) return list;
+
+  const index = message.clientId ? list.findIndex(item => !item.id && item.clientId === message.clientId) : -1;
+  if (index === -1) return [...list, message];
+  return [...list.slice(0, index), message, ...list.slice(index + 1)];
+};
+
+/**
+ * Update the pending copy of a message
+ * @param {Array} list - Messages
+ * @param {string} clientId - Pending message's client id
+ * @param {Object} changes - Fields to set, e.g. { status, error }
+ * @returns {Array} - New list
+ */
+export const updatePendingMessage = (list, clientId, changes) => (
+  list.map(item => (!item.id && item.clientId === clientId ? { ...item, ...changes } : item))
+);
+
+/**
+ * Drop the pending copy of a message
+ */
+export const removePendingMessage = (list, clientId) => list.filter(item => item.id || item.clientId !== clientId);
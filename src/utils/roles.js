@@ -0,0 +1,29 @@
+/**
+ * Role Utilities
+ *
+ * Client-side mirror of the server's user roles. These checks only decide
+ * what to show; the server enforces every permission itself.
+ */
+
+export const USER_ROLES = {
+  MEMBER: 'member',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+const ROLE_RANK = {
+  [USER_ROLES.MEMBER]: 0,
+  [USER_ROLES.MODERATOR]: 1,
+  [USER_ROLES.ADMIN]: 2,
+};
+
+/**
+ * Check whether a user has at least the given role
+ * @param {Object} user - User object (missing roles count as member)
+ * @param {string} minRole - Lowest role allowed
+ * @returns {boolean}
+ */
+export const hasRole = (user, minRole) => {
+  if (!user) return false;
+  return (ROLE_RANK[user.role || USER_ROLES.MEMBER] ?? 0) >= ROLE_RANK[minRole];
+};
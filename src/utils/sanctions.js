@@ -0,0 +1,40 @@
+/**
+ * Sanction Utilities
+ *
+ * Helpers for the 'sanctioned' socket event sent when a moderator mutes,
+ * kicks or bans the user, or when a sanctioned user tries a blocked action.
+ */
+
+/**
+ * Build the notice shown to a sanctioned user
+ * @param {Object} sanction - { type, room, reason, expiresAt, message } from the server
+ * @returns {string} - e.g. "You are muted in Reef. Reason: spam. Ends at 3:45 PM."
+ */
+export const describeSanction = (sanction) => {
+  let text = sanction.message;
+
+  if (sanction.reason) {
+    text += ` Reason: ${sanction.reason}.`;
+  }
+
+  if (sanction.expiresAt) {
+    const ends = new Date(sanction.expiresAt);
+    const sameDay = ends.toDateString() === new Date().toDateString();
+    const time = ends.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    text += sameDay
+      ? ` Ends at ${time}.`
+      : ` Ends ${ends.toLocaleDateString([], { month: 'short', day: 'numeric' })} at ${time}.`;
+  }
+
+  return text;
+};
+
+/**
+ * Whether a sanction keeps the user out of a room entirely
+ * @param {Object} sanction - Sanction payload
+ * @param {string} room - Room name
+ * @returns {boolean}
+ */
+export const sanctionBlocksRoom = (sanction, room) => {
+  return sanction.type !== 'mute' && (sanction.room === null || sanction.room === room);
+};
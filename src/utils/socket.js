@@ -6,6 +6,7 @@
  */
 
 import { io } from 'socket.io-client';
+import { authAPI, getToken } from '../services/api';
 
 // Server URL - configured via environment variable
 const SERVER_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
@@ -17,12 +18,31 @@ const SERVER_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
 export const createSocket = () => {
   const socket = io(SERVER_URL, {
     transports: ['websocket', 'polling'],
-    autoConnect: false
+    autoConnect: false,
+    // Read the token on every (re)connect so a refreshed token is picked up
+    auth: (cb) => cb({ token: getToken() })
   });
 
+  // Allow one token refresh per failed handshake before giving up
+  let refreshAttempted = false;
+
   // Connection event handlers
   socket.on('connect', () => {
     console.log('Connected to server:', socket.id);
+    refreshAttempted = false;
+  });
+
+  // The server rejects expired tokens; refresh once and retry the handshake
+  socket.on('connect_error', async (error) => {
+    if (error.message !== 'Invalid or expired token' || refreshAttempted) return;
+    refreshAttempted = true;
+
+    try {
+      await authAPI.refreshToken();
+      socket.connect();
+    } catch (refreshError) {
+      console.error('Socket token refresh failed:', refreshError);
+    }
   });
 
   socket.on('disconnect', () => {
@@ -40,6 +60,8 @@ export const createSocket = () => {
  * Socket Utility Explanation:
  * This module provides a centralized way to create Socket.IO connections.
  * The socket is configured with autoConnect: false so we can control when
- * to connect (after user enters their info). The SERVER_URL can be changed
- * via environment variable for different deployment environments.
+ * to connect (after user enters their info). The JWT from localStorage is sent
+ * in the handshake; the server identifies the user from it and emits
+ * 'authenticated' once the connection is accepted. The SERVER_URL can be
+ * changed via environment variable for different deployment environments.
  */
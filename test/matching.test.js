@@ -0,0 +1,124 @@
+/**
+ * Matching Engine Tests
+ *
+ * Unit tests for server/matching.js, run with `npm test` (node:test).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AGING_WINDOW_MS,
+  BASE_MATCH_THRESHOLD,
+  scorePair,
+  matchThreshold,
+  findMatches
+} = require('../server/matching');
+
+const NOW = 1_700_000_000_000;
+
+/**
+ * Queue entry that joined `waitedMs` before NOW
+ */
+function entry(userId, level, { topic = null, waitedMs = 0, socketId = `socket-${userId}` } = {}) {
+  return { socketId, userId, username: userId, level, topic, joinedAt: NOW - waitedMs };
+}
+
+test('scorePair prefers complementary levels over two Beginners', () => {
+  const mentor = scorePair(entry('a', 'Beginner'), entry('b', 'Intermediate'), { now: NOW });
+  const peers = scorePair(entry('a', 'Beginner'), entry('b', 'Beginner'), { now: NOW });
+
+  assert.ok(mentor > peers);
+  assert.ok(mentor >= BASE_MATCH_THRESHOLD);
+  assert.ok(peers < BASE_MATCH_THRESHOLD);
+});
+
+test('scorePair rewards topic and category overlap', () => {
+  const score = (topicA, topicB) => scorePair(
+    entry('a', 'Intermediate', { topic: topicA }),
+    entry('b', 'Intermediate', { topic: topicB }),
+    { now: NOW }
+  );
+
+  const full = score('SPS Coral', 'Coral');
+  const partial = score('Fish (Saltwater)', 'Saltwater - Coral');
+  const none = score('Planted Tanks', 'Saltwater - Coral');
+  const unknown = score(null, 'Saltwater - Coral');
+
+  assert.ok(full > partial);
+  assert.ok(partial > none);
+  // No topic is neutral: between no overlap and full overlap
+  assert.ok(unknown > none && unknown < full);
+});
+
+test('scorePair weighs past ratings', () => {
+  const a = entry('a', 'Intermediate');
+  const b = entry('b', 'Intermediate');
+
+  const unrated = scorePair(a, b, { now: NOW });
+  const wellRated = scorePair(a, b, { now: NOW, ratings: new Map([['a', 5], ['b', 5]]) });
+  const poorlyRated = scorePair(a, b, { now: NOW, ratings: new Map([['a', 1], ['b', 1]]) });
+
+  assert.ok(wellRated > unrated);
+  assert.ok(unrated > poorlyRated);
+});
+
+test('matchThreshold relaxes from the base threshold to zero over the aging window', () => {
+  const fresh = entry('b', 'Beginner');
+
+  assert.equal(matchThreshold(entry('a', 'Beginner'), fresh, NOW), BASE_MATCH_THRESHOLD);
+  assert.ok(Math.abs(matchThreshold(entry('a', 'Beginner', { waitedMs: AGING_WINDOW_MS / 2 }), fresh, NOW) - BASE_MATCH_THRESHOLD / 2) < 1e-9);
+  assert.equal(matchThreshold(entry('a', 'Beginner', { waitedMs: AGING_WINDOW_MS }), fresh, NOW), 0);
+  assert.equal(matchThreshold(entry('a', 'Beginner', { waitedMs: AGING_WINDOW_MS * 3 }), fresh, NOW), 0);
+});
+
+test('findMatches pairs two Beginners only once they have waited', () => {
+  assert.equal(findMatches([entry('a', 'Beginner'), entry('b', 'Beginner')], { now: NOW }).length, 0);
+
+  const aged = findMatches([
+    entry('a', 'Beginner', { waitedMs: AGING_WINDOW_MS }),
+    entry('b', 'Beginner')
+  ], { now: NOW });
+  assert.equal(aged.length, 1);
+  assert.equal(aged[0].a.userId, 'a');
+});
+
+test('findMatches pairs the best partners first and uses each user once', () => {
+  const queue = [
+    entry('beginner', 'Beginner', { topic: 'Coral', waitedMs: 10_000 }),
+    entry('intermediate', 'Intermediate', { topic: 'SPS Coral' }),
+    entry('advanced', 'Advanced', { topic: 'Planted Tanks' })
+  ];
+
+  const matches = findMatches(queue, { now: NOW });
+
+  assert.equal(matches.length, 1);
+  assert.deepEqual([matches[0].a.userId, matches[0].b.userId], ['beginner', 'intermediate']);
+});
+
+test('findMatches never pairs a user with themselves', () => {
+  const queue = [
+    entry('a', 'Beginner', { socketId: 'tab-1', waitedMs: AGING_WINDOW_MS }),
+    entry('a', 'Intermediate', { socketId: 'tab-2' })
+  ];
+
+  assert.equal(findMatches(queue, { now: NOW }).length, 0);
+});
+
+test('findMatches respects the canPair veto', () => {
+  const queue = [entry('a', 'Beginner'), entry('b', 'Intermediate'), entry('c', 'Intermediate')];
+  const blocked = new Set(['a:b', 'b:a']);
+
+  const matches = findMatches(queue, {
+    now: NOW,
+    canPair: (x, y) => !blocked.has(`${x.userId}:${y.userId}`)
+  });
+
+  assert.equal(matches.length, 1);
+  assert.deepEqual([matches[0].a.userId, matches[0].b.userId].sort(), ['a', 'c']);
+
+  const vetoed = findMatches(queue.slice(0, 2), {
+    now: NOW + AGING_WINDOW_MS,
+    canPair: (x, y) => !blocked.has(`${x.userId}:${y.userId}`)
+  });
+  assert.equal(vetoed.length, 0);
+});